@@ -0,0 +1,140 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const Config = require('./src/config/Config');
+const DataManager = require('./src/core/DataManager');
+const StateArchive = require('./src/storage/StateArchive');
+
+const USAGE = `Usage: node cli.js <command>
+
+Commands:
+  export [file]                     Write all bot state to one archive (default: newsbot-state-<date>.json, "-" for stdout)
+  import <file> [--replace] [--yes] Preview importing an archive (merged by default); --yes stages it for the next start
+  import --cancel                   Drop a staged import
+  backup                            Copy the data to data/backups/`;
+
+// Data maintenance without starting the bot. Works on the storage backend directly,
+// so it doesn't migrate or rewrite anything the running bot owns.
+class DataCli {
+    constructor(args) {
+        this.args = args;
+        this.config = new Config({ requireSecrets: false });
+        this.storage = null;
+    }
+
+    hasFlag(flag) {
+        return this.args.includes(flag);
+    }
+
+    getPositional(index) {
+        return this.args.filter(arg => !arg.startsWith('--'))[index];
+    }
+
+    openStorage() {
+        const { directory, storage } = this.config.getDataConfig();
+        const BackendClass = DataManager.getStorageBackend(storage);
+        if (!BackendClass) {
+            throw new Error(`Unknown storage backend "${storage}" - available: ${DataManager.getRegisteredStorageBackends().join(', ')}`);
+        }
+
+        this.storage = new BackendClass(directory);
+        this.storage.open();
+        return new StateArchive(this.storage);
+    }
+
+    run() {
+        const command = this.getPositional(0);
+        const commands = {
+            export: () => this.exportState(),
+            import: () => this.importState(),
+            backup: () => this.backup()
+        };
+
+        if (!commands[command]) {
+            console.log(USAGE);
+            return command ? 1 : 0;
+        }
+
+        try {
+            return commands[command]();
+        } catch (error) {
+            console.error(`❌ ${error.message}`);
+            return 1;
+        } finally {
+            if (this.storage) {
+                this.storage.close();
+            }
+        }
+    }
+
+    exportState() {
+        const archive = this.openStorage().create();
+        const target = this.getPositional(1) || `newsbot-state-${archive.exportedAt.slice(0, 10)}.json`;
+        const content = JSON.stringify(archive, null, 2);
+
+        if (target === '-') {
+            process.stdout.write(`${content}\n`);
+            return 0;
+        }
+
+        fs.writeFileSync(target, content, 'utf8');
+        const seenItems = Object.values(archive.seenItems).reduce((sum, items) => sum + Object.keys(items).length, 0);
+        const files = Object.keys(archive.lists).length + Object.keys(archive.documents).length;
+        console.log(`📤 Exported ${files} files and ${seenItems} seen items (layout version ${archive.layoutVersion}) to ${path.resolve(target)}`);
+        return 0;
+    }
+
+    importState() {
+        const stateArchive = this.openStorage();
+
+        if (this.hasFlag('--cancel')) {
+            console.log(stateArchive.cancelPending() ? '🗑️ Staged import cancelled' : 'No import is staged');
+            return 0;
+        }
+
+        const file = this.getPositional(1);
+        if (!file) {
+            console.log(USAGE);
+            return 1;
+        }
+
+        const archive = JSON.parse(fs.readFileSync(file, 'utf8'));
+        const mode = this.hasFlag('--replace') ? 'replace' : 'merge';
+        const preview = stateArchive.preview(archive, mode);
+        if (!preview.valid) {
+            console.error('❌ The archive can\'t be imported:');
+            preview.errors.forEach(error => console.error(`   ${error}`));
+            return 1;
+        }
+
+        console.log(`📦 Archive exported ${preview.exportedAt}, ${mode} into ${this.storage.describe()}:`);
+        preview.files.forEach(entry => {
+            console.log(`   ${entry.action.padEnd(8)} ${entry.name} (${entry.current} → ${entry.after})`);
+        });
+        preview.seenItems.forEach(entry => {
+            console.log(`   seen     ${entry.endpoint} (${entry.current} → ${entry.after})`);
+        });
+
+        if (!this.hasFlag('--yes')) {
+            console.log('\nNothing changed. Run again with --yes to stage this import.');
+            return 0;
+        }
+
+        stateArchive.stage(archive, mode);
+        console.log('\n📥 Import staged - it\'s applied (after a backup) the next time the bot starts.');
+        return 0;
+    }
+
+    backup() {
+        const backupPath = this.openStorage().backup('manual');
+        console.log(`💾 Backed up to ${backupPath}`);
+        return 0;
+    }
+}
+
+if (require.main === module) {
+    process.exitCode = new DataCli(process.argv.slice(2)).run();
+}
+
+module.exports = DataCli;
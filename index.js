@@ -7,11 +7,6 @@ const WebGUIService = require('./src/services/WebGUIService');
 const NewsBot = require('./src/core/NewsBot');
 const Logger = require('./src/utils/Logger');
 
-// Import endpoint classes
-const RedditEndpoint = require('./src/endpoints/RedditEndpoint');
-const CongressEndpoint = require('./src/endpoints/CongressEndpoint');
-const AsteroidEndpoint = require('./src/endpoints/AsteroidEndpoint');
-
 class Application {
     constructor() {
         this.newsBot = null;
@@ -53,14 +48,15 @@ class Application {
 
             // Initialize core components
             const config = new Config();
-            const dataManager = new DataManager(config.getDataConfig().directory);
+            const dataConfig = config.getDataConfig();
+            const dataManager = new DataManager(dataConfig.directory, { backend: dataConfig.storage, flushDelayMs: dataConfig.flushDelayMs });
             const discordService = new DiscordService(config, dataManager, this.logger);
             
             // Create NewsBot instance
             this.newsBot = new NewsBot(config, dataManager, discordService, this.logger);
 
-            // Register endpoints
-            await this.registerEndpoints(config, dataManager);
+            // Discover endpoint plugins and register the enabled ones
+            this.registerEndpoints();
 
             // Create and start Web GUI service (if not disabled)
             if (!config.getBotConfig().disableGUI) {
@@ -85,26 +81,11 @@ class Application {
         }
     }
 
-    async registerEndpoints(config, dataManager) {
-        const endpointConfig = config.getEndpointsConfig();
-        
-        // Register Reddit endpoint
-        if (endpointConfig.enabled.includes('reddit')) {
-            const redditEndpoint = new RedditEndpoint(config, dataManager);
-            this.newsBot.registerEndpoint(redditEndpoint);
-        }
+    registerEndpoints() {
+        const plugins = this.newsBot.loadPlugins();
 
-        // Register Congress endpoint
-        if (endpointConfig.enabled.includes('congress')) {
-            const congressEndpoint = new CongressEndpoint(config, dataManager);
-            this.newsBot.registerEndpoint(congressEndpoint);
-        }
-
-        // Register Asteroid endpoint
-        if (endpointConfig.enabled.includes('asteroid')) {
-            const asteroidEndpoint = new AsteroidEndpoint(config, dataManager);
-            this.newsBot.registerEndpoint(asteroidEndpoint);
-        }
+        plugins.filter(plugin => plugin.status === 'disabled' || plugin.status === 'invalid' || plugin.status === 'error')
+            .forEach(plugin => this.logger.warn(`🔌 ${plugin.name} not registered (${plugin.status}): ${plugin.reason}`));
 
 
         this.logger.info(`Registered ${this.newsBot.getEnabledEndpoints().length} enabled endpoints`);
@@ -139,8 +120,15 @@ class Application {
         this.logger.info('📊 NewsBot Status:');
         this.logger.info(`   Running: ${status.isRunning ? '✅' : '❌'}`);
         this.logger.info(`   Discord: ${status.discordConnected ? '✅ Connected' : '❌ Disconnected'}`);
-        this.logger.info(`   Interval: ${status.intervalMinutes} minutes`);
         this.logger.info(`   Endpoints: ${status.enabledEndpoints.join(', ')} (${status.enabledEndpoints.length}/${status.totalEndpoints})`);
+        Object.entries(status.schedules).forEach(([name, schedule]) => {
+            const cadence = schedule.schedule.cron ? `cron "${schedule.schedule.cron}"` : `every ${schedule.schedule.intervalMinutes} minutes`;
+            this.logger.info(`   ⏰ ${name}: ${cadence}`);
+        });
+        status.notifiers.forEach(notifier => {
+            const state = notifier.connected ? '✅' : `❌ ${notifier.error || 'disabled'}`;
+            this.logger.info(`   📣 ${notifier.name} (${notifier.type}): ${state}, ${notifier.targets.length} targets`);
+        });
         this.logger.info('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
     }
 
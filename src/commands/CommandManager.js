@@ -0,0 +1,116 @@
+const { PermissionFlagsBits } = require('discord.js');
+const PingCommand = require('./builtin/PingCommand');
+const AsteroidsCommand = require('./builtin/AsteroidsCommand');
+const CongressCommand = require('./builtin/CongressCommand');
+const SetChannelCommand = require('./builtin/SetChannelCommand');
+const UnsetChannelCommand = require('./builtin/UnsetChannelCommand');
+const ChannelsCommand = require('./builtin/ChannelsCommand');
+const PostingCommand = require('./builtin/PostingCommand');
+const SubscriptionCommand = require('./builtin/SubscriptionCommand');
+
+const commandRegistry = new Map(); // command name -> SlashCommand subclass
+
+// Registers the bot's application (slash) commands with Discord and routes interactions to them
+class CommandManager {
+    static registerCommand(name, CommandClass) {
+        commandRegistry.set(name, CommandClass);
+    }
+
+    static getRegisteredCommands() {
+        return Array.from(commandRegistry.keys());
+    }
+
+    constructor(config, logger, services = {}) {
+        this.config = config;
+        this.logger = logger;
+        this.discordConfig = config.getDiscordConfig();
+
+        this.commands = new Map(); // name -> SlashCommand
+        commandRegistry.forEach((CommandClass, name) => {
+            this.commands.set(name, new CommandClass(name, { config, logger, ...services }));
+        });
+    }
+
+    getCommand(name) {
+        return this.commands.get(name) || null;
+    }
+
+    getDefinitions() {
+        return Array.from(this.commands.values()).map(command => command.toJSON());
+    }
+
+    async register(client) {
+        // Guild commands update instantly; global ones can take up to an hour to show up
+        const guildId = this.discordConfig.commandGuildId;
+        try {
+            await client.application.commands.set(this.getDefinitions(), guildId || undefined);
+            this.logger.success(`⌨️ Registered ${this.commands.size} slash commands ${guildId ? `in guild ${guildId}` : 'globally'}`);
+        } catch (error) {
+            this.logger.error('Failed to register slash commands', error);
+        }
+    }
+
+    isAdmin(interaction) {
+        if (interaction.memberPermissions && interaction.memberPermissions.has(PermissionFlagsBits.ManageChannels)) {
+            return true;
+        }
+
+        // Cached members have a role manager, uncached ones a plain list of role IDs
+        const roles = interaction.member ? interaction.member.roles : null;
+        const roleIds = Array.isArray(roles) ? roles : Array.from(roles?.cache?.keys() || []);
+        return this.discordConfig.adminRoleIds.some(roleId => roleIds.includes(roleId));
+    }
+
+    async handle(interaction) {
+        if (!interaction.isChatInputCommand() && !interaction.isAutocomplete()) {
+            return;
+        }
+
+        const command = this.getCommand(interaction.commandName);
+        if (!command) {
+            this.logger.warn(`Unknown slash command: /${interaction.commandName}`);
+            return;
+        }
+
+        if (interaction.isAutocomplete()) {
+            try {
+                const choices = await command.autocomplete(interaction);
+                await interaction.respond(choices.slice(0, 25));
+            } catch (error) {
+                this.logger.error(`Error autocompleting /${command.name}`, error);
+            }
+            return;
+        }
+
+        if (command.adminOnly && !this.isAdmin(interaction)) {
+            try {
+                await command.replyPrivately(interaction, '🔒 You need the Manage Channels permission or an admin role to use this command.');
+            } catch (error) {
+                this.logger.error(`Could not report missing permission for /${command.name}`, error);
+            }
+            return;
+        }
+
+        try {
+            await command.execute(interaction);
+        } catch (error) {
+            this.logger.error(`Error running /${command.name}`, error);
+            try {
+                await command.replyPrivately(interaction, `❌ ${error.message}`);
+            } catch (replyError) {
+                this.logger.error(`Could not report /${command.name} error`, replyError);
+            }
+        }
+    }
+}
+
+CommandManager.registerCommand('ping', PingCommand);
+CommandManager.registerCommand('asteroids', AsteroidsCommand);
+CommandManager.registerCommand('congress', CongressCommand);
+CommandManager.registerCommand('setchannel', SetChannelCommand);
+CommandManager.registerCommand('unsetchannel', UnsetChannelCommand);
+CommandManager.registerCommand('channels', ChannelsCommand);
+CommandManager.registerCommand('posting', PostingCommand);
+CommandManager.registerCommand('subscription', SubscriptionCommand);
+
+module.exports = CommandManager;
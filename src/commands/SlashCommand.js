@@ -0,0 +1,40 @@
+const { SlashCommandBuilder, MessageFlags } = require('discord.js');
+
+class SlashCommand {
+    constructor(name, services = {}) {
+        this.name = name;
+        this.config = services.config;
+        this.logger = services.logger;
+        this.bot = services.bot;
+        this.discord = services.discord;
+        this.adminOnly = false; // Manage Channels or a configured admin role required
+    }
+
+    // Describe the command and its options on the builder (name is already set)
+    build(builder) {
+        throw new Error(`${this.name} command must implement build() method`);
+    }
+
+    async execute(interaction) {
+        throw new Error(`${this.name} command must implement execute() method`);
+    }
+
+    // Return up to 25 { name, value } choices for the focused option
+    async autocomplete(interaction) {
+        return [];
+    }
+
+    toJSON() {
+        return this.build(new SlashCommandBuilder().setName(this.name)).toJSON();
+    }
+
+    async replyPrivately(interaction, content) {
+        const message = typeof content === 'string' ? { content } : content;
+        if (interaction.deferred || interaction.replied) {
+            return interaction.followUp({ ...message, flags: MessageFlags.Ephemeral });
+        }
+        return interaction.reply({ ...message, flags: MessageFlags.Ephemeral });
+    }
+}
+
+module.exports = SlashCommand;
@@ -0,0 +1,52 @@
+const SlashCommand = require('../SlashCommand');
+
+class AsteroidsCommand extends SlashCommand {
+    build(builder) {
+        return builder
+            .setDescription('Show potentially hazardous asteroids approaching Earth')
+            .addIntegerOption(option => option
+                .setName('count')
+                .setDescription('How many to show (default 5)')
+                .setMinValue(1)
+                .setMaxValue(10));
+    }
+
+    async execute(interaction) {
+        const asteroidEndpoint = this.bot.getEndpoint('asteroid');
+        if (!asteroidEndpoint) {
+            await this.replyPrivately(interaction, 'Asteroid endpoint not available.');
+            return;
+        }
+
+        // The NASA feed can take longer than the 3 second reply deadline
+        await interaction.deferReply();
+        const count = interaction.options.getInteger('count') || 5;
+
+        try {
+            const asteroids = await asteroidEndpoint.getAllAsteroidsForCommand();
+            if (asteroids.length === 0) {
+                await interaction.editReply('No potentially hazardous asteroids found...for now.');
+                return;
+            }
+
+            await interaction.editReply('The following asteroids are approaching Earth and have been labeled Potentially Hazardous by NASA:');
+            for (const asteroid of asteroids.slice(0, count)) {
+                await interaction.followUp(`**Name**: ${asteroid.name}
+**NASA URL**: ${asteroid.nasa_jpl_url}
+**Estimated Diameter (max)**: ${asteroid.estimated_diameter.miles.estimated_diameter_max.toFixed(2)} miles
+**Close Approach Date**: ${asteroid.close_approach_data[0].close_approach_date_full}
+**Relative Velocity**: ${parseFloat(asteroid.close_approach_data[0].relative_velocity.miles_per_hour).toLocaleString()} mph
+**Miss Distance**: ${parseFloat(asteroid.close_approach_data[0].miss_distance.miles).toLocaleString()} miles`);
+            }
+
+            if (asteroids.length > count) {
+                await interaction.followUp(`... and ${asteroids.length - count} more asteroids.`);
+            }
+        } catch (error) {
+            this.logger.error('Error handling asteroid request', error);
+            await interaction.editReply('Error fetching asteroid data.');
+        }
+    }
+}
+
+module.exports = AsteroidsCommand;
@@ -0,0 +1,88 @@
+const { ChannelType, InteractionContextType, PermissionFlagsBits } = require('discord.js');
+const SlashCommand = require('../SlashCommand');
+
+class ChannelsCommand extends SlashCommand {
+    constructor(name, services) {
+        super(name, services);
+        this.adminOnly = true;
+    }
+
+    build(builder) {
+        return builder
+            .setDescription('Registered news channels in this server')
+            .setContexts(InteractionContextType.Guild)
+            .addSubcommand(subcommand => subcommand
+                .setName('list')
+                .setDescription('List the channels that get automatic posts'))
+            .addSubcommand(subcommand => subcommand
+                .setName('status')
+                .setDescription('Show delivery status for a channel')
+                .addChannelOption(option => option
+                    .setName('channel')
+                    .setDescription('Channel to inspect (default: this one)')
+                    .addChannelTypes(ChannelType.GuildText)));
+    }
+
+    describeRouting(channelId) {
+        const subscription = this.discord.channels.getSubscription(channelId);
+        const settings = this.bot.channelSettings.get(channelId);
+        const parts = [
+            subscription.endpoints ? subscription.endpoints.join(', ') : 'all endpoints',
+            settings.mode === 'digest' ? 'digest' : 'stream'
+        ];
+        if (settings.postingWindow) parts.push(`window ${settings.postingWindow}`);
+        if (subscription.maxPostsPerHour) parts.push(`max ${subscription.maxPostsPerHour}/hour`);
+        return parts.join(' · ');
+    }
+
+    async list(interaction) {
+        const records = this.discord.channels.getByGuild(interaction.guildId);
+        if (records.length === 0) {
+            await this.replyPrivately(interaction, 'No channels in this server get automatic posts. Use /setchannel to add one.');
+            return;
+        }
+
+        const lines = records.map(record => `• <#${record.channelId}> - ${this.describeRouting(record.channelId)}`);
+        await this.replyPrivately(interaction, `📺 **${records.length} news channels in ${interaction.guild ? interaction.guild.name : 'this server'}**\n${lines.join('\n')}`);
+    }
+
+    async status(interaction) {
+        const channel = interaction.options.getChannel('channel') || interaction.channel;
+        const channelId = channel ? channel.id : interaction.channelId;
+        const record = this.discord.channels.get(channelId);
+        if (!record || (record.guildId && record.guildId !== interaction.guildId)) {
+            await this.replyPrivately(interaction, `<#${channelId}> is not registered for automatic posts.`);
+            return;
+        }
+
+        const cached = interaction.client.channels.cache.get(channelId);
+        const permissions = cached && cached.permissionsFor ? cached.permissionsFor(interaction.client.user) : null;
+        const canPost = permissions ? permissions.has([PermissionFlagsBits.ViewChannel, PermissionFlagsBits.SendMessages]) : !!cached;
+        const canEmbed = permissions ? permissions.has(PermissionFlagsBits.EmbedLinks) : !!cached;
+
+        const subscription = this.discord.channels.getSubscription(channelId);
+        const isOpen = this.bot.channelSettings.isOpen(channelId);
+        const [lastPost] = this.bot.archive.search({ channel: channelId, limit: 1 }).results;
+
+        const lines = [
+            `**Registered**: <t:${Math.floor(new Date(record.addedAt || Date.now()).getTime() / 1000)}:R>`,
+            `**Bot access**: ${canPost ? '✅ Can post' : '❌ Cannot post'}${canPost && !canEmbed ? ' (no Embed Links - plain text)' : ''}`,
+            `**Routing**: ${this.describeRouting(channelId)}`,
+            `**Posts in the last hour**: ${this.discord.channels.getPostsInLastHour(channelId)}${subscription.maxPostsPerHour ? `/${subscription.maxPostsPerHour}` : ''}`,
+            `**Posting window**: ${isOpen ? '🟢 Open' : '🌙 Quiet hours'}`,
+            `**Held**: ${this.bot.holdQueue.size(channelId)} for quiet hours, ${this.bot.digestQueue.size(channelId)} for the next digest`,
+            `**Last post**: ${lastPost ? `[${lastPost.title}](${lastPost.url}) <t:${Math.floor(new Date(lastPost.postedAt).getTime() / 1000)}:R>` : 'None archived'}`
+        ];
+        await this.replyPrivately(interaction, `📺 Status of <#${channelId}>\n${lines.join('\n')}`);
+    }
+
+    async execute(interaction) {
+        if (interaction.options.getSubcommand() === 'status') {
+            await this.status(interaction);
+        } else {
+            await this.list(interaction);
+        }
+    }
+}
+
+module.exports = ChannelsCommand;
@@ -0,0 +1,34 @@
+const SlashCommand = require('../SlashCommand');
+
+class CongressCommand extends SlashCommand {
+    build(builder) {
+        return builder.setDescription('Get the latest Congress update');
+    }
+
+    async execute(interaction) {
+        const congressEndpoint = this.bot.getEndpoint('congress');
+        if (!congressEndpoint) {
+            await this.replyPrivately(interaction, 'Congress endpoint not available.');
+            return;
+        }
+
+        await interaction.deferReply();
+
+        try {
+            const congressUpdate = await congressEndpoint.fetchUpdate();
+            if (!congressUpdate) {
+                await interaction.editReply('No recent congress updates found.');
+                return;
+            }
+
+            // Interaction replies can always carry embeds, so only the channel's own setting matters
+            const message = this.bot.formatMessage(congressUpdate, interaction.channelId);
+            await interaction.editReply(typeof message === 'string' ? message : { embeds: message.embeds });
+        } catch (error) {
+            this.logger.error('Error handling congress request', error);
+            await interaction.editReply('Error fetching congress data.');
+        }
+    }
+}
+
+module.exports = CongressCommand;
@@ -0,0 +1,13 @@
+const SlashCommand = require('../SlashCommand');
+
+class PingCommand extends SlashCommand {
+    build(builder) {
+        return builder.setDescription('Check that the bot is responding');
+    }
+
+    async execute(interaction) {
+        await this.replyPrivately(interaction, `🏓 Pong! (gateway latency ${interaction.client.ws.ping}ms)`);
+    }
+}
+
+module.exports = PingCommand;
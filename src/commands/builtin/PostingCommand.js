@@ -0,0 +1,153 @@
+const { ChannelType, InteractionContextType } = require('discord.js');
+const SlashCommand = require('../SlashCommand');
+
+// Slash option name -> ChannelSettings key
+const SETTING_OPTIONS = {
+    window: 'postingWindow',
+    timezone: 'timezone',
+    release: 'release',
+    mode: 'mode',
+    'digest-schedule': 'digestSchedule',
+    embeds: 'embeds',
+    'story-updates': 'storyUpdates',
+    threads: 'threads',
+    'thread-archive': 'threadArchiveMinutes'
+};
+
+const ARCHIVE_CHOICES = [
+    { name: '1 hour', value: 60 },
+    { name: '1 day', value: 1440 },
+    { name: '3 days', value: 4320 },
+    { name: '1 week', value: 10080 }
+];
+
+class PostingCommand extends SlashCommand {
+    constructor(name, services) {
+        super(name, services);
+        this.adminOnly = true;
+    }
+
+    build(builder) {
+        const channelOption = option => option
+            .setName('channel')
+            .setDescription('Channel to configure (default: this one)')
+            .addChannelTypes(ChannelType.GuildText);
+
+        return builder
+            .setDescription('Posting windows, digests and message style for a channel')
+            .setContexts(InteractionContextType.Guild)
+            .addSubcommand(subcommand => subcommand
+                .setName('show')
+                .setDescription('Show the channel\'s posting settings')
+                .addChannelOption(channelOption))
+            .addSubcommand(subcommand => subcommand
+                .setName('set')
+                .setDescription('Change the channel\'s posting settings')
+                .addChannelOption(channelOption)
+                .addStringOption(option => option
+                    .setName('window')
+                    .setDescription('Posting window like 07:00-22:00, or "always"'))
+                .addStringOption(option => option
+                    .setName('timezone')
+                    .setDescription('Time zone of the posting window')
+                    .setAutocomplete(true))
+                .addStringOption(option => option
+                    .setName('release')
+                    .setDescription('How news held during quiet hours is released')
+                    .addChoices({ name: 'Catch-up batch', value: 'batch' }, { name: 'Digest', value: 'digest' }))
+                .addStringOption(option => option
+                    .setName('mode')
+                    .setDescription('Post each item, or collect them into scheduled digests')
+                    .addChoices({ name: 'Stream', value: 'stream' }, { name: 'Scheduled digest', value: 'digest' }))
+                .addStringOption(option => option
+                    .setName('digest-schedule')
+                    .setDescription('Cron expression for digests, e.g. "0 8 * * *"'))
+                .addBooleanOption(option => option
+                    .setName('embeds')
+                    .setDescription('Post rich embeds (false posts plain text)'))
+                .addStringOption(option => option
+                    .setName('story-updates')
+                    .setDescription('How updates of an earlier story, like a bill\'s progress, are shown')
+                    .addChoices(
+                        { name: 'Edit the first post', value: 'edit' },
+                        { name: 'Reply in a thread', value: 'thread' },
+                        { name: 'Post again', value: 'post' }
+                    ))
+                .addBooleanOption(option => option
+                    .setName('threads')
+                    .setDescription('Open a discussion thread on every news post'))
+                .addIntegerOption(option => option
+                    .setName('thread-archive')
+                    .setDescription('Hide discussion threads after this long without messages')
+                    .addChoices(...ARCHIVE_CHOICES)))
+            .addSubcommand(subcommand => subcommand
+                .setName('reset')
+                .setDescription('Go back to the global posting settings')
+                .addChannelOption(channelOption));
+    }
+
+    async autocomplete(interaction) {
+        const focused = interaction.options.getFocused().toLowerCase();
+        return Intl.supportedValuesOf('timeZone')
+            .filter(zone => zone.toLowerCase().includes(focused))
+            .slice(0, 25)
+            .map(zone => ({ name: zone, value: zone }));
+    }
+
+    describe(channelId) {
+        const status = this.bot.channelSettings.getStatus([channelId]).channels[channelId];
+        const lines = [
+            `**Posting window**: ${status.postingWindow ? `${status.postingWindow} ${status.timezone || '(server time)'}` : 'Always open'}`,
+            `**Right now**: ${status.isOpen ? '🟢 Open' : `🌙 Quiet until <t:${Math.floor(new Date(status.nextOpening).getTime() / 1000)}:t>`}`,
+            `**Held news released as**: ${status.release}`,
+            `**Delivery**: ${status.mode === 'digest' ? `Digest at "${status.digestSchedule}"` : 'Stream'}`,
+            `**Message style**: ${status.embeds ? 'Rich embeds' : 'Plain text'}`,
+            `**Story updates**: ${{ edit: 'Edit the first post', thread: 'Reply in a thread', post: 'Post again' }[status.storyUpdates]}`,
+            `**Discussion threads**: ${status.threads ? `On, archived after ${ARCHIVE_CHOICES.find(choice => choice.value === status.threadArchiveMinutes).name} idle` : 'Off'}`
+        ];
+        if (status.overrides.length > 0) {
+            lines.push(`**Overrides**: ${status.overrides.join(', ')}`);
+        }
+        return lines.join('\n');
+    }
+
+    async execute(interaction) {
+        const channel = interaction.options.getChannel('channel') || interaction.channel;
+        const channelId = channel ? channel.id : interaction.channelId;
+        const subcommand = interaction.options.getSubcommand();
+
+        if (subcommand === 'reset') {
+            this.bot.channelSettings.clear(channelId);
+            await this.replyPrivately(interaction, `♻️ <#${channelId}> uses the global posting settings again.\n${this.describe(channelId)}`);
+            return;
+        }
+
+        if (subcommand === 'set') {
+            const changes = {};
+            Object.entries(SETTING_OPTIONS).forEach(([optionName, key]) => {
+                const value = interaction.options.get(optionName)?.value;
+                if (value !== undefined) {
+                    changes[key] = value;
+                }
+            });
+            if (changes.postingWindow === 'always') {
+                changes.postingWindow = ''; // Empty window keeps the channel open even when the default has one
+            }
+
+            if (Object.keys(changes).length === 0) {
+                await this.replyPrivately(interaction, 'Nothing to change - pick at least one setting.');
+                return;
+            }
+
+            // Throws on invalid settings; CommandManager shows the message to the user
+            this.bot.channelSettings.set(channelId, changes);
+            this.logger.info(`🌙 Posting settings for ${channelId} changed by ${interaction.user.tag}: ${Object.keys(changes).join(', ')}`);
+            await this.replyPrivately(interaction, `✅ Updated <#${channelId}>\n${this.describe(channelId)}`);
+            return;
+        }
+
+        await this.replyPrivately(interaction, `Posting settings for <#${channelId}>\n${this.describe(channelId)}`);
+    }
+}
+
+module.exports = PostingCommand;
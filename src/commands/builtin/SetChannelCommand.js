@@ -0,0 +1,37 @@
+const { ChannelType, InteractionContextType } = require('discord.js');
+const SlashCommand = require('../SlashCommand');
+
+class SetChannelCommand extends SlashCommand {
+    constructor(name, services) {
+        super(name, services);
+        this.adminOnly = true;
+    }
+
+    build(builder) {
+        return builder
+            .setDescription('Register a channel for automatic news posts')
+            .setContexts(InteractionContextType.Guild)
+            .addChannelOption(option => option
+                .setName('channel')
+                .setDescription('Channel to register (default: this one)')
+                .addChannelTypes(ChannelType.GuildText));
+    }
+
+    async execute(interaction) {
+        const channel = interaction.options.getChannel('channel') || interaction.channel;
+        if (!interaction.inGuild() || !channel || channel.type !== ChannelType.GuildText) {
+            await this.replyPrivately(interaction, 'This command must be used in a text channel.');
+            return;
+        }
+
+        if (!this.discord.addTargetChannel(channel.id, channel)) {
+            await this.replyPrivately(interaction, `<#${channel.id}> is already registered for automatic posts.`);
+            return;
+        }
+
+        this.logger.info(`Channel registered by ${interaction.user.tag}: #${channel.name} (${channel.id})`);
+        await this.replyPrivately(interaction, `✅ <#${channel.id}> registered for automatic posts.`);
+    }
+}
+
+module.exports = SetChannelCommand;
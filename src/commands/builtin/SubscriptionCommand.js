@@ -0,0 +1,133 @@
+const { ChannelType, InteractionContextType } = require('discord.js');
+const SlashCommand = require('../SlashCommand');
+
+class SubscriptionCommand extends SlashCommand {
+    constructor(name, services) {
+        super(name, services);
+        this.adminOnly = true;
+    }
+
+    build(builder) {
+        const channelOption = option => option
+            .setName('channel')
+            .setDescription('Registered channel (default: this one)')
+            .addChannelTypes(ChannelType.GuildText);
+
+        return builder
+            .setDescription('Choose which news a channel gets')
+            .setContexts(InteractionContextType.Guild)
+            .addSubcommand(subcommand => subcommand
+                .setName('show')
+                .setDescription('Show the channel\'s subscription')
+                .addChannelOption(channelOption))
+            .addSubcommand(subcommand => subcommand
+                .setName('set')
+                .setDescription('Change the channel\'s subscription')
+                .addChannelOption(channelOption)
+                .addStringOption(option => option
+                    .setName('endpoints')
+                    .setDescription('Comma-separated endpoints, or "all"')
+                    .setAutocomplete(true))
+                .addStringOption(option => option
+                    .setName('subreddits')
+                    .setDescription('Comma-separated subreddits or Reddit source URLs, or "all"'))
+                .addStringOption(option => option
+                    .setName('include')
+                    .setDescription('Comma-separated keywords - one must appear; "none" clears'))
+                .addStringOption(option => option
+                    .setName('exclude')
+                    .setDescription('Comma-separated keywords that block a post; "none" clears'))
+                .addIntegerOption(option => option
+                    .setName('max-per-hour')
+                    .setDescription('Most posts per hour, 0 for no limit')
+                    .setMinValue(0)))
+            .addSubcommand(subcommand => subcommand
+                .setName('reset')
+                .setDescription('Get every post again')
+                .addChannelOption(channelOption));
+    }
+
+    async autocomplete(interaction) {
+        // Complete the last entry of the comma-separated list
+        const typed = interaction.options.getFocused().split(',').map(name => name.trim());
+        const current = typed.pop().toLowerCase();
+        const prefix = typed.length > 0 ? `${typed.join(', ')}, ` : '';
+
+        return ['all', ...Array.from(this.bot.endpoints.keys())]
+            .filter(name => name.toLowerCase().startsWith(current) && !typed.includes(name))
+            .map(name => ({ name: `${prefix}${name}`, value: `${prefix}${name}` }));
+    }
+
+    describe(channelId) {
+        const subscription = this.discord.channels.getSubscription(channelId);
+        return [
+            `**Endpoints**: ${subscription.endpoints ? subscription.endpoints.join(', ') : 'All'}`,
+            `**Subreddits**: ${subscription.subreddits ? subscription.subreddits.join(', ') : 'All'}`,
+            `**Must mention**: ${subscription.include.length > 0 ? subscription.include.join(', ') : 'Anything'}`,
+            `**Never mention**: ${subscription.exclude.length > 0 ? subscription.exclude.join(', ') : 'Nothing'}`,
+            `**Max posts per hour**: ${subscription.maxPostsPerHour || 'No limit'} (${this.discord.channels.getPostsInLastHour(channelId)} in the last hour)`
+        ].join('\n');
+    }
+
+    getChanges(interaction) {
+        const changes = {};
+        const list = (optionName, clearWord) => {
+            const value = interaction.options.getString(optionName);
+            if (value === null) return undefined;
+            return value.trim().toLowerCase() === clearWord ? null : value;
+        };
+
+        changes.endpoints = list('endpoints', 'all');
+        changes.subreddits = list('subreddits', 'all');
+        changes.include = list('include', 'none');
+        changes.exclude = list('exclude', 'none');
+
+        const maxPerHour = interaction.options.getInteger('max-per-hour');
+        if (maxPerHour !== null) {
+            changes.maxPostsPerHour = maxPerHour > 0 ? maxPerHour : null;
+        }
+
+        return Object.fromEntries(Object.entries(changes).filter(([, value]) => value !== undefined));
+    }
+
+    async execute(interaction) {
+        const channel = interaction.options.getChannel('channel') || interaction.channel;
+        const channelId = channel ? channel.id : interaction.channelId;
+        if (!this.discord.channels.has(channelId)) {
+            await this.replyPrivately(interaction, `<#${channelId}> is not registered for news - use /setchannel first.`);
+            return;
+        }
+
+        const subcommand = interaction.options.getSubcommand();
+        if (subcommand === 'reset') {
+            this.discord.channels.resetSubscription(channelId);
+            await this.replyPrivately(interaction, `♻️ <#${channelId}> gets every post again.\n${this.describe(channelId)}`);
+            return;
+        }
+
+        if (subcommand === 'set') {
+            const changes = this.getChanges(interaction);
+            if (Object.keys(changes).length === 0) {
+                await this.replyPrivately(interaction, 'Nothing to change - pick at least one option.');
+                return;
+            }
+
+            const unknown = (changes.endpoints ? changes.endpoints.split(',') : [])
+                .map(name => name.trim())
+                .filter(name => name && !this.bot.getEndpoint(name));
+            if (unknown.length > 0) {
+                await this.replyPrivately(interaction, `Unknown endpoints: ${unknown.join(', ')}`);
+                return;
+            }
+
+            this.discord.channels.setSubscription(channelId, changes);
+            this.logger.info(`📬 Subscription for ${channelId} changed by ${interaction.user.tag}: ${Object.keys(changes).join(', ')}`);
+            await this.replyPrivately(interaction, `✅ Updated <#${channelId}>\n${this.describe(channelId)}`);
+            return;
+        }
+
+        await this.replyPrivately(interaction, `Subscription for <#${channelId}>\n${this.describe(channelId)}`);
+    }
+}
+
+module.exports = SubscriptionCommand;
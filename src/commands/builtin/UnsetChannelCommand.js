@@ -0,0 +1,36 @@
+const { ChannelType, InteractionContextType } = require('discord.js');
+const SlashCommand = require('../SlashCommand');
+
+class UnsetChannelCommand extends SlashCommand {
+    constructor(name, services) {
+        super(name, services);
+        this.adminOnly = true;
+    }
+
+    build(builder) {
+        return builder
+            .setDescription('Stop automatic news posts in a channel')
+            .setContexts(InteractionContextType.Guild)
+            .addChannelOption(option => option
+                .setName('channel')
+                .setDescription('Channel to unregister (default: this one)')
+                .addChannelTypes(ChannelType.GuildText));
+    }
+
+    async execute(interaction) {
+        const channel = interaction.options.getChannel('channel') || interaction.channel;
+        const channelId = channel ? channel.id : interaction.channelId;
+        const record = this.discord.channels.get(channelId);
+
+        // Admins of one server can't unregister another server's channels
+        if (!record || (record.guildId && record.guildId !== interaction.guildId)) {
+            await this.replyPrivately(interaction, `<#${channelId}> is not registered for automatic posts.`);
+            return;
+        }
+
+        this.discord.removeTargetChannel(channelId, `unset by ${interaction.user.tag}`);
+        await this.replyPrivately(interaction, `🗑️ <#${channelId}> no longer gets automatic posts. Its subscription, posting settings and held news were removed.`);
+    }
+}
+
+module.exports = UnsetChannelCommand;
@@ -1,55 +1,106 @@
 require('dotenv').config();
 
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const ConfigSchema = require('./ConfigSchema');
+const NotifierManager = require('../notifiers/NotifierManager');
+
+const DEFAULT_FILES = ['newsbot.config.yaml', 'newsbot.config.yml', 'newsbot.config.json'];
+
 class Config {
-    constructor() {
-        this.validateRequiredEnvVars();
+    constructor(options = {}) {
+        // Tools that only touch the data directory (cli.js) don't need Discord credentials
+        this.requireSecrets = options.requireSecrets !== false;
+        this.file = null;
         this.loadConfiguration();
     }
 
-    validateRequiredEnvVars() {
-        const required = ['DISCORD_BOT_TOKEN'];
-        const missing = required.filter(varName => !process.env[varName]);
-        
-        if (missing.length > 0) {
-            throw new Error(`Missing required environment variables: ${missing.join(', ')}`);
+    // CONFIG_FILE, or the first default file in the working directory
+    static findConfigFile(env = process.env) {
+        if (env.CONFIG_FILE) {
+            return path.resolve(env.CONFIG_FILE);
         }
+        return DEFAULT_FILES.map(name => path.resolve(name)).find(file => fs.existsSync(file)) || null;
+    }
+
+    loadFile() {
+        this.file = Config.findConfigFile();
+        if (!this.file) {
+            return {};
+        }
+        if (!fs.existsSync(this.file)) {
+            throw new Error(`Config file ${this.file} (CONFIG_FILE) does not exist`);
+        }
+
+        let parsed;
+        try {
+            const content = fs.readFileSync(this.file, 'utf8');
+            parsed = this.file.endsWith('.json') ? JSON.parse(content) : YAML.parse(content);
+        } catch (error) {
+            throw new Error(`Config file ${this.file} could not be read: ${error.message}`);
+        }
+
+        if (parsed === null || parsed === undefined) {
+            return {}; // Empty file
+        }
+        if (typeof parsed !== 'object' || Array.isArray(parsed)) {
+            throw new Error(`Config file ${this.file} must contain sections of settings, like "bot:" or "endpoints:"`);
+        }
+        return parsed;
     }
 
     loadConfiguration() {
-        this.discord = {
-            token: process.env.DISCORD_BOT_TOKEN,
-            testChannel: process.env.TEST_CHANNEL,
-            goChannel: process.env.GO_CHANNEL,
-            tytanic: process.env.TYTANIC
-        };
+        const { values, errors } = new ConfigSchema().resolve(this.loadFile(), process.env);
+        if (this.requireSecrets && !values.discord.token) {
+            errors.push('discord.token: is required - set DISCORD_BOT_TOKEN');
+        }
+
+        // Everything in notifiers besides the environment-style keys is a section named after a notifier
+        const { slackWebhookUrls, webhookUrls, matrixHomeserverUrl, matrixAccessToken, matrixRoomIds, ...notifierSections } = values.notifiers;
+        const notifierTypes = NotifierManager.getRegisteredNotifiers();
+        Object.entries(notifierSections).forEach(([name, section]) => {
+            if (!section.type && !notifierTypes.includes(name)) {
+                errors.push(`notifiers.${name}.type: is required unless the section is named after a notifier type (${notifierTypes.join(', ')})`);
+            }
+        });
+
+        if (errors.length > 0) {
+            throw this.createError(errors);
+        }
+
+        this.discord = values.discord;
 
         this.apis = {
             congress: {
-                token: process.env.CONGRESS_GOV_TOKEN,
+                token: values.apis.congress.token,
                 baseUrl: 'https://api.congress.gov/v3',
                 currentCongress: 119
             },
             nasa: {
-                token: process.env.NASA_TOKEN,
+                token: values.apis.nasa.token,
                 baseUrl: 'https://api.nasa.gov'
             },
         };
 
         this.bot = {
-            intervalMinutes: parseFloat(process.env.INTERVAL_MINUTES) || 1.25,
-            testing: process.env.NODE_ENV === 'test' || process.env.TESTING === 'true',
-            vectorEmbedding: process.env.VECTOR_EMBEDDING !== 'false', // Default enabled
-            disableGUI: process.env.DISABLE_GUI === 'true'
+            ...values.bot,
+            postIntervalMinutes: values.bot.postIntervalMinutes || values.bot.intervalMinutes,
+            testing: process.env.NODE_ENV === 'test' || values.bot.testing
         };
 
         this.secrets = {
-            message: process.env.secret_message?.replace(/^"|"$/g, '') || '',
-            reply: process.env.secret_reply?.replace(/^"|"$/g, '') || ''
+            message: values.secrets.message.replace(/^"|"$/g, ''),
+            reply: values.secrets.reply.replace(/^"|"$/g, '')
         };
 
+        // Everything in endpoints besides "enabled" is a section named after an endpoint
+        const { enabled, ...endpointSections } = values.endpoints;
         this.endpoints = {
-            enabled: (process.env.ENABLED_ENDPOINTS || 'reddit,congress').split(',').map(e => e.trim()),
-            weights: this.parseWeights(process.env.ENDPOINT_WEIGHTS),
+            enabled,
+            sections: endpointSections,
+            weights: this.collectSectionValues(endpointSections, 'weight'),
+            schedules: this.collectSectionValues(endpointSections, 'schedule'),
             reddit: {
                 defaultSources: [
                     { author: 'any', url: 'https://www.reddit.com/r/news/new.json' }
@@ -57,31 +108,77 @@ class Config {
             }
         };
 
+        this.plugins = values.plugins;
+
+        this.deduplication = {
+            enabled: this.bot.vectorEmbedding,
+            ...values.deduplication,
+            thresholds: this.collectSectionValues(endpointSections, 'similarityThreshold')
+        };
+
+        this.pipeline = {
+            defaultStages: ['urlNormalize', 'keywordFilter', 'dedup'],
+            stagesOverride: values.pipeline.stages
+        };
+
+        this.backoff = {
+            ...values.backoff, // strategy is linear, exponential, timeOfDay or activity
+            strategies: this.collectSectionValues(endpointSections, 'backoffStrategy')
+        };
+
+        this.health = values.health;
+
+        this.posting = values.posting;
+
+        this.notifiers = {
+            slackWebhookUrls,
+            webhookUrls,
+            matrix: {
+                homeserverUrl: matrixHomeserverUrl,
+                accessToken: matrixAccessToken,
+                roomIds: matrixRoomIds
+            },
+            sections: notifierSections
+        };
+
+        this.archive = values.archive;
+
+        this.feedback = values.feedback;
+
+        this.feeds = values.feeds;
+
+        this.queue = values.queue;
+
         this.data = {
-            directory: process.env.DATA_DIRECTORY || './data',
-            retentionDays: parseInt(process.env.DATA_RETENTION_DAYS) || 7
+            ...values.data,
+            storage: values.data.storage.toLowerCase() // csv or sqlite
         };
 
         if (this.bot.testing) {
             this.bot.intervalMinutes = 0.1;
+            this.bot.postIntervalMinutes = 0.1;
         }
     }
 
-    parseWeights(weightsString) {
-        const weights = {};
-        if (weightsString) {
-            try {
-                weightsString.split(',').forEach(pair => {
-                    const [endpoint, weight] = pair.split(':');
-                    if (endpoint && weight) {
-                        weights[endpoint.trim()] = parseFloat(weight);
-                    }
-                });
-            } catch (error) {
-                console.error('Error parsing endpoint weights:', error);
+    // endpoint name -> one key of its section, for the sections that set it
+    collectSectionValues(sections, key) {
+        const collected = {};
+        Object.entries(sections).forEach(([name, section]) => {
+            if (section[key] !== undefined && section[key] !== null) {
+                collected[name] = section[key];
             }
-        }
-        return weights;
+        });
+        return collected;
+    }
+
+    // One error listing every problem, so a bad config is fixed in one go
+    createError(errors) {
+        const source = this.file ? `${path.basename(this.file)} and environment` : 'environment';
+        return new Error(`Invalid configuration (${source}):\n  - ${errors.join('\n  - ')}`);
+    }
+
+    getConfigFile() {
+        return this.file;
     }
 
     getDiscordConfig() {
@@ -104,6 +201,56 @@ class Config {
         return { ...this.endpoints };
     }
 
+    getEndpointSection(endpointName) {
+        const section = this.endpoints.sections[endpointName];
+        return section ? { ...section, settings: { ...section.settings } } : null;
+    }
+
+    getPluginsConfig() {
+        return { ...this.plugins, packages: [...this.plugins.packages] };
+    }
+
+    getDeduplicationConfig() {
+        return { ...this.deduplication, thresholds: { ...this.deduplication.thresholds } };
+    }
+
+    getPipelineConfig() {
+        return { ...this.pipeline };
+    }
+
+    getFeedConfig() {
+        return { ...this.feeds };
+    }
+
+    getNotifierConfig() {
+        return { ...this.notifiers, matrix: { ...this.notifiers.matrix }, sections: { ...this.notifiers.sections } };
+    }
+
+    getArchiveConfig() {
+        return { ...this.archive };
+    }
+
+    getFeedbackConfig() {
+        return { ...this.feedback };
+    }
+
+    getPostingConfig() {
+        return { ...this.posting, bypassEndpoints: [...this.posting.bypassEndpoints] };
+    }
+
+    getBackoffConfig(endpointName = null) {
+        const { strategies, ...options } = this.backoff;
+        return { ...options, strategy: strategies[endpointName] || options.strategy };
+    }
+
+    getHealthConfig() {
+        return { ...this.health };
+    }
+
+    getQueueConfig() {
+        return { ...this.queue };
+    }
+
     getDataConfig() {
         return { ...this.data };
     }
@@ -116,6 +263,10 @@ class Config {
         return this.endpoints.weights[endpointName] || 1;
     }
 
+    getEndpointSchedule(endpointName) {
+        return this.endpoints.schedules[endpointName] || null;
+    }
+
     isTesting() {
         return this.bot.testing;
     }
@@ -123,6 +274,10 @@ class Config {
     getIntervalMinutes() {
         return this.bot.intervalMinutes;
     }
+
+    getPostIntervalMinutes() {
+        return this.bot.postIntervalMinutes;
+    }
 }
 
 module.exports = Config;
\ No newline at end of file
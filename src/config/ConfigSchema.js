@@ -0,0 +1,337 @@
+const BackoffStrategy = require('../core/BackoffStrategy');
+const ChannelSettings = require('../core/ChannelSettings');
+const NotifierManager = require('../notifiers/NotifierManager');
+const CronExpression = require('../utils/CronExpression');
+const PostingWindow = require('../utils/PostingWindow');
+
+const NAME_PATTERN = /^[a-z0-9][a-z0-9_-]*$/i; // Same rule as endpoint instance names
+
+const checkCron = value => {
+    try {
+        CronExpression.validate(value);
+        return null;
+    } catch (error) {
+        return error.message;
+    }
+};
+
+const checkWindow = value => {
+    try {
+        PostingWindow.parse(value);
+        return null;
+    } catch (error) {
+        return 'must be a window like "07:00-22:00"';
+    }
+};
+
+// endpoints.<name> - the ENDPOINT_WEIGHTS style variables override one key of these each
+const ENDPOINT_SECTION = {
+    type: { type: 'string' }, // Plugin to run; defaults to the section name
+    weight: { type: 'number', min: 0, envMap: { env: 'ENDPOINT_WEIGHTS' } },
+    schedule: { type: 'schedule', envMap: { env: 'ENDPOINT_SCHEDULES', separator: ';' } },
+    backoffStrategy: { type: 'string', choices: () => BackoffStrategy.getRegisteredStrategies(), envMap: { env: 'BACKOFF_STRATEGIES' } },
+    similarityThreshold: { type: 'number', min: 0, max: 1, envMap: { env: 'SIMILARITY_THRESHOLDS' } },
+    settings: { type: 'object', default: {} } // Checked against the plugin's configSchema once plugins are loaded
+};
+
+// notifiers.<name> - used when notifiers.json doesn't exist yet
+const NOTIFIER_SECTION = {
+    type: { type: 'string', choices: () => NotifierManager.getRegisteredNotifiers() }, // Defaults to the section name
+    enabled: { type: 'boolean', default: true },
+    targets: { type: 'records', default: [] },
+    retries: { type: 'integer', min: 0 },
+    retryDelayMs: { type: 'integer', min: 0 },
+    maxRetryDelayMs: { type: 'integer', min: 0 },
+    homeserverUrl: { type: 'string' },
+    accessToken: { type: 'string' }
+};
+
+// Every setting with its type, limits, default and the environment variable that
+// overrides it. Sections nest; "*" stands for sections named by the user.
+const SCHEMA = {
+    discord: {
+        token: { type: 'string', env: 'DISCORD_BOT_TOKEN' },
+        testChannel: { type: 'string', env: 'TEST_CHANNEL' },
+        goChannel: { type: 'string', env: 'GO_CHANNEL' },
+        tytanic: { type: 'string', env: 'TYTANIC' },
+        adminRoleIds: { type: 'list', env: 'DISCORD_ADMIN_ROLE_IDS', default: [] }, // Besides Manage Channels, may run admin commands
+        commandGuildId: { type: 'string', env: 'DISCORD_COMMAND_GUILD_ID', default: null } // Register slash commands in one guild instead of globally
+    },
+    apis: {
+        congress: { token: { type: 'string', env: 'CONGRESS_GOV_TOKEN' } },
+        nasa: { token: { type: 'string', env: 'NASA_TOKEN' } }
+    },
+    bot: {
+        intervalMinutes: { type: 'number', env: 'INTERVAL_MINUTES', default: 1.25, above: 0 },
+        postIntervalMinutes: { type: 'number', env: 'POST_INTERVAL_MINUTES', default: null, above: 0 }, // Unset = intervalMinutes
+        testing: { type: 'boolean', env: 'TESTING', default: false },
+        vectorEmbedding: { type: 'boolean', env: 'VECTOR_EMBEDDING', default: true },
+        disableGUI: { type: 'boolean', env: 'DISABLE_GUI', default: false }
+    },
+    secrets: {
+        message: { type: 'string', env: 'secret_message', default: '' },
+        reply: { type: 'string', env: 'secret_reply', default: '' }
+    },
+    endpoints: {
+        enabled: { type: 'list', env: 'ENABLED_ENDPOINTS', default: ['reddit', 'congress'] },
+        '*': ENDPOINT_SECTION
+    },
+    plugins: {
+        directory: { type: 'string', env: 'PLUGINS_DIRECTORY', default: './plugins' }, // Extra endpoint plugins
+        packages: { type: 'list', env: 'PLUGIN_PACKAGES', default: [] }
+    },
+    deduplication: {
+        defaultThreshold: { type: 'number', env: 'SIMILARITY_THRESHOLD', default: 0.85, min: 0, max: 1 },
+        maxHistorySize: { type: 'integer', default: 500, min: 1 },
+        retentionHours: { type: 'number', default: 48, above: 0 }
+    },
+    pipeline: {
+        stages: { type: 'list', env: 'PIPELINE_STAGES', default: null } // Unset = the default stages
+    },
+    backoff: {
+        strategy: { type: 'string', env: 'BACKOFF_STRATEGY', default: 'linear', choices: () => BackoffStrategy.getRegisteredStrategies() },
+        maxMinutes: { type: 'number', env: 'BACKOFF_MAX_MINUTES', default: 60, above: 0 },
+        incrementSeconds: { type: 'number', env: 'BACKOFF_INCREMENT_SECONDS', default: 30, above: 0 },
+        multiplier: { type: 'number', env: 'BACKOFF_MULTIPLIER', default: 2, above: 0 },
+        activeHours: { type: 'string', env: 'BACKOFF_ACTIVE_HOURS', default: '7-23', pattern: /^\d{1,2}-\d{1,2}$/, example: '7-23' },
+        offHoursMultiplier: { type: 'number', env: 'BACKOFF_OFF_HOURS_MULTIPLIER', default: 4, above: 0 },
+        windowSize: { type: 'integer', env: 'BACKOFF_ACTIVITY_WINDOW', default: 10, min: 1 },
+        maxMultiplier: { type: 'number', env: 'BACKOFF_ACTIVITY_MAX_MULTIPLIER', default: 8, above: 0 }
+    },
+    health: {
+        failureThreshold: { type: 'integer', env: 'CIRCUIT_FAILURE_THRESHOLD', default: 5, min: 1 },
+        cooldownMinutes: { type: 'number', env: 'CIRCUIT_COOLDOWN_MINUTES', default: 5, above: 0 }
+    },
+    posting: {
+        postingWindow: { type: 'string', env: 'POSTING_WINDOW', default: null, check: checkWindow }, // Unset = always open
+        timezone: { type: 'string', env: 'POSTING_TIMEZONE', default: null, check: value => (PostingWindow.isValidTimezone(value) ? null : 'must be an IANA time zone like "Europe/Berlin"') },
+        release: { type: 'string', env: 'QUIET_HOURS_RELEASE', default: 'batch', choices: ChannelSettings.RELEASE_MODES },
+        catchUpLimit: { type: 'integer', env: 'QUIET_HOURS_CATCH_UP_LIMIT', default: 10, min: 1 }, // Larger backlogs are released as a digest
+        bypassPriority: { type: 'number', env: 'QUIET_HOURS_BYPASS_PRIORITY', default: null },
+        bypassEndpoints: { type: 'list', env: 'QUIET_HOURS_BYPASS_ENDPOINTS', default: [] },
+        mode: { type: 'string', env: 'DELIVERY_MODE', default: 'stream', choices: ChannelSettings.DELIVERY_MODES },
+        digestSchedule: { type: 'string', env: 'DIGEST_SCHEDULE', default: '0 8 * * *', check: checkCron }, // Cron expression in server time
+        embeds: { type: 'boolean', env: 'DISCORD_EMBEDS', default: true },
+        storyUpdates: { type: 'string', env: 'STORY_UPDATES', default: 'edit', choices: ChannelSettings.STORY_UPDATE_MODES },
+        threads: { type: 'boolean', env: 'DISCUSSION_THREADS', default: false },
+        threadArchiveMinutes: { type: 'integer', env: 'THREAD_ARCHIVE_MINUTES', default: 1440, choices: ChannelSettings.THREAD_ARCHIVE_MINUTES }
+    },
+    notifiers: {
+        slackWebhookUrls: { type: 'list', env: 'SLACK_WEBHOOK_URLS', default: [] },
+        webhookUrls: { type: 'list', env: 'WEBHOOK_URLS', default: [] },
+        matrixHomeserverUrl: { type: 'string', env: 'MATRIX_HOMESERVER_URL' },
+        matrixAccessToken: { type: 'string', env: 'MATRIX_ACCESS_TOKEN' },
+        matrixRoomIds: { type: 'list', env: 'MATRIX_ROOM_IDS', default: [] },
+        '*': NOTIFIER_SECTION
+    },
+    archive: {
+        enabled: { type: 'boolean', env: 'ARCHIVE_ENABLED', default: true },
+        retentionDays: { type: 'number', env: 'ARCHIVE_RETENTION_DAYS', default: 90, min: 0 } // 0 = keep forever
+    },
+    feedback: {
+        enabled: { type: 'boolean', env: 'FEEDBACK_ENABLED', default: true }, // 👍/👎 reactions on posted news tune weights
+        learningRate: { type: 'number', env: 'FEEDBACK_LEARNING_RATE', default: 0.02, above: 0, max: 1 },
+        minWeight: { type: 'number', env: 'FEEDBACK_MIN_WEIGHT', default: 0.5, above: 0 },
+        maxWeight: { type: 'number', env: 'FEEDBACK_MAX_WEIGHT', default: 2, above: 0 },
+        trackDays: { type: 'number', env: 'FEEDBACK_TRACK_DAYS', default: 7, above: 0 } // Reactions on older posts are ignored
+    },
+    feeds: {
+        title: { type: 'string', env: 'FEED_TITLE', default: 'NewsBot' },
+        limit: { type: 'integer', env: 'FEED_ITEM_LIMIT', default: 50, min: 1 }
+    },
+    queue: {
+        freshnessHalfLifeHours: { type: 'number', env: 'QUEUE_HALF_LIFE_HOURS', default: 6, above: 0 },
+        maxAgeHours: { type: 'number', env: 'QUEUE_MAX_AGE_HOURS', default: 24, above: 0 },
+        maxSize: { type: 'integer', env: 'QUEUE_MAX_SIZE', default: 200, min: 1 }
+    },
+    data: {
+        directory: { type: 'string', env: 'DATA_DIRECTORY', default: './data' },
+        storage: { type: 'string', env: 'STORAGE_BACKEND', default: 'csv' }, // Checked against the registered storage backends by DataManager
+        flushDelayMs: { type: 'integer', env: 'DATA_FLUSH_DELAY_MS', default: 2000, min: 0 },
+        retentionDays: { type: 'integer', env: 'DATA_RETENTION_DAYS', default: 7, min: 1 }
+    }
+};
+
+const isSection = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isField = node => typeof node.type === 'string';
+
+// Resolves the config file against the schema. Environment variables win over the
+// file, the file over defaults; every problem is reported with its path.
+class ConfigSchema {
+    constructor(schema = SCHEMA) {
+        this.schema = schema;
+    }
+
+    resolve(fileValues = {}, env = process.env) {
+        const errors = [];
+        const values = this.resolveSection(this.schema, fileValues, '', env, errors, {});
+        return { values, errors };
+    }
+
+    resolveSection(schema, fileSection, path, env, errors, envOverrides) {
+        const prefix = path ? `${path}.` : '';
+        if (fileSection === undefined || fileSection === null) {
+            fileSection = {};
+        } else if (!isSection(fileSection)) {
+            errors.push(`${path}: must be a section of settings (got ${JSON.stringify(fileSection)})`);
+            fileSection = {};
+        }
+
+        const values = {};
+        Object.entries(schema).filter(([key]) => key !== '*').forEach(([key, node]) => {
+            values[key] = isField(node)
+                ? this.resolveField(node, fileSection[key], `${prefix}${key}`, env, errors, envOverrides[key])
+                : this.resolveSection(node, fileSection[key], `${prefix}${key}`, env, errors, {});
+        });
+
+        const named = Object.keys(fileSection).filter(key => !Object.prototype.hasOwnProperty.call(schema, key));
+        if (!schema['*']) {
+            named.forEach(key => errors.push(`${prefix}${key}: unknown setting`));
+            return values;
+        }
+
+        // Variables like ENDPOINT_WEIGHTS="reddit:2" set one key in several named sections
+        const mapped = this.readEnvMaps(schema['*'], env, errors);
+        const names = new Set([...named, ...Object.keys(mapped)]);
+        names.forEach(name => {
+            if (schema[name]) {
+                errors.push(`${prefix}${name}: is a setting, not a section name`);
+                return;
+            }
+            if (!NAME_PATTERN.test(name)) {
+                errors.push(`${prefix}${name}: section names may only contain letters, numbers, "-" and "_"`);
+                return;
+            }
+            values[name] = this.resolveSection(schema['*'], fileSection[name], `${prefix}${name}`, env, errors, mapped[name] || {});
+        });
+        return values;
+    }
+
+    // name -> { key -> { raw, env } } from the envMap variables of a named section
+    readEnvMaps(sectionSchema, env, errors) {
+        const mapped = {};
+        Object.entries(sectionSchema).filter(([, field]) => isField(field) && field.envMap).forEach(([key, field]) => {
+            const { env: envName, separator = ',' } = field.envMap;
+            (env[envName] || '').split(separator).map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+                const separatorIndex = entry.indexOf(':');
+                const name = entry.slice(0, separatorIndex).trim();
+                const raw = entry.slice(separatorIndex + 1).trim();
+                if (separatorIndex === -1 || !name || !raw) {
+                    errors.push(`${envName}: "${entry}" is not in "name:value" form`);
+                    return;
+                }
+                mapped[name] = { ...mapped[name], [key]: { raw, env: envName } };
+            });
+        });
+        return mapped;
+    }
+
+    resolveField(field, fileValue, path, env, errors, envOverride) {
+        const envName = envOverride ? envOverride.env : field.env;
+        const raw = envOverride ? envOverride.raw : (field.env ? env[field.env] : undefined);
+
+        let result;
+        let label = path;
+        if (raw !== undefined && raw !== '') {
+            label = `${path} (from ${envName})`;
+            result = this.parseString(field, raw);
+        } else if (fileValue !== undefined && fileValue !== null) {
+            result = this.coerce(field, fileValue);
+        } else {
+            const value = field.default;
+            return Array.isArray(value) ? [...value] : isSection(value) ? { ...value } : value;
+        }
+
+        const problem = result.error || this.checkLimits(field, result.value);
+        if (problem) {
+            errors.push(`${label}: ${problem} (got ${JSON.stringify(raw !== undefined && raw !== '' ? raw : fileValue)})`);
+            return field.default;
+        }
+        return result.value;
+    }
+
+    // Environment variables are always strings
+    parseString(field, raw) {
+        switch (field.type) {
+            case 'number':
+            case 'integer':
+                return this.coerce(field, raw.trim() === '' ? NaN : Number(raw));
+            case 'boolean': {
+                const lower = raw.trim().toLowerCase();
+                if (['true', '1', 'yes'].includes(lower)) return { value: true };
+                if (['false', '0', 'no'].includes(lower)) return { value: false };
+                return { error: 'must be true or false' };
+            }
+            case 'list':
+                return { value: raw.split(',').map(value => value.trim()).filter(Boolean) };
+            case 'schedule':
+                return this.coerce(field, raw.trim());
+            default:
+                return this.coerce(field, raw);
+        }
+    }
+
+    coerce(field, value) {
+        switch (field.type) {
+            case 'number':
+                return typeof value === 'number' && Number.isFinite(value) ? { value } : { error: 'must be a number' };
+            case 'integer':
+                return Number.isInteger(value) ? { value } : { error: 'must be a whole number' };
+            case 'boolean':
+                return typeof value === 'boolean' ? { value } : { error: 'must be true or false' };
+            case 'list':
+                return Array.isArray(value) && value.every(entry => typeof entry === 'string')
+                    ? { value: value.map(entry => entry.trim()).filter(Boolean) }
+                    : { error: 'must be a list of strings' };
+            case 'records':
+                return Array.isArray(value) && value.every(record => isSection(record) && typeof record.id === 'string' && record.id)
+                    ? { value }
+                    : { error: 'must be a list of entries that each have an "id"' };
+            case 'object':
+                return isSection(value) ? { value: { ...value } } : { error: 'must be a section of settings' };
+            case 'schedule':
+                return this.coerceSchedule(value);
+            default:
+                return typeof value === 'string'
+                    ? { value }
+                    : { error: 'must be a string - quote numbers such as Discord IDs' };
+        }
+    }
+
+    // Minutes between polls, or a 5-field cron expression
+    coerceSchedule(value) {
+        const minutes = typeof value === 'number' ? value : typeof value === 'string' && value !== '' ? Number(value) : NaN;
+        if (Number.isFinite(minutes)) {
+            return minutes > 0 ? { value: { intervalMinutes: minutes } } : { error: 'must be greater than 0 minutes' };
+        }
+        if (typeof value !== 'string' || !CronExpression.isCronExpression(value)) {
+            return { error: 'must be minutes or a 5-field cron expression' };
+        }
+        const problem = checkCron(value);
+        return problem ? { error: problem } : { value: { cron: value.trim() } };
+    }
+
+    checkLimits(field, value) {
+        const choices = typeof field.choices === 'function' ? field.choices() : field.choices;
+        if (choices && !choices.includes(value)) {
+            return `must be one of: ${choices.join(', ')}`;
+        }
+        if (field.min !== undefined && value < field.min) {
+            return `must be at least ${field.min}`;
+        }
+        if (field.above !== undefined && value <= field.above) {
+            return `must be greater than ${field.above}`;
+        }
+        if (field.max !== undefined && value > field.max) {
+            return `must be at most ${field.max}`;
+        }
+        if (field.pattern && !field.pattern.test(value)) {
+            return `must look like "${field.example}"`;
+        }
+        return field.check ? field.check(value) : null;
+    }
+}
+
+ConfigSchema.SCHEMA = SCHEMA;
+
+module.exports = ConfigSchema;
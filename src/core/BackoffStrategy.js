@@ -0,0 +1,199 @@
+// Decides how much extra delay an endpoint waits on top of its own cadence.
+// Strategies only see poll outcomes, so they work for interval and cron schedules alike.
+const strategyRegistry = new Map(); // strategy name -> BackoffStrategy subclass
+
+class BackoffStrategy {
+    static registerStrategy(name, StrategyClass) {
+        strategyRegistry.set(name, StrategyClass);
+    }
+
+    static getRegisteredStrategies() {
+        return Array.from(strategyRegistry.keys());
+    }
+
+    static create(name, options = {}) {
+        const StrategyClass = strategyRegistry.get(name);
+        if (!StrategyClass) {
+            throw new Error(`Unknown backoff strategy "${name}" (available: ${BackoffStrategy.getRegisteredStrategies().join(', ')})`);
+        }
+        return new StrategyClass(options);
+    }
+
+    constructor(name, options = {}) {
+        this.name = name;
+        this.maxMinutes = options.maxMinutes || 60; // Cap on base interval + backoff
+        this.incrementMinutes = (options.incrementSeconds || 30) / 60;
+    }
+
+    // Cron schedules have no base interval - the increment is the unit instead
+    getUnitMinutes(baseMinutes) {
+        return baseMinutes || this.incrementMinutes;
+    }
+
+    clamp(backoffMinutes, baseMinutes) {
+        const maxBackoff = Math.max(0, this.maxMinutes - (baseMinutes || 0));
+        return Math.min(Math.max(0, backoffMinutes), maxBackoff);
+    }
+
+    onNewsFound() {}
+
+    onEmpty() {}
+
+    getBackoffMinutes() {
+        return 0;
+    }
+
+    getStatus(baseMinutes) {
+        return {
+            strategy: this.name,
+            backoffMinutes: this.getBackoffMinutes(baseMinutes),
+            maxMinutes: this.maxMinutes
+        };
+    }
+}
+
+class LinearBackoff extends BackoffStrategy {
+    constructor(options = {}) {
+        super('linear', options);
+        this.backoffMinutes = 0;
+        this.emptyStreak = 0;
+    }
+
+    onNewsFound() {
+        this.backoffMinutes = 0;
+        this.emptyStreak = 0;
+    }
+
+    onEmpty(baseMinutes) {
+        this.emptyStreak++;
+        this.backoffMinutes = this.clamp(this.backoffMinutes + this.incrementMinutes, baseMinutes);
+    }
+
+    getBackoffMinutes(baseMinutes) {
+        return this.clamp(this.backoffMinutes, baseMinutes);
+    }
+
+    getStatus(baseMinutes) {
+        return { ...super.getStatus(baseMinutes), emptyStreak: this.emptyStreak, incrementSeconds: this.incrementMinutes * 60 };
+    }
+}
+
+class ExponentialBackoff extends BackoffStrategy {
+    constructor(options = {}) {
+        super('exponential', options);
+        this.multiplier = options.multiplier || 2;
+        this.emptyStreak = 0;
+    }
+
+    onNewsFound() {
+        this.emptyStreak = 0;
+    }
+
+    onEmpty() {
+        this.emptyStreak++;
+    }
+
+    getBackoffMinutes(baseMinutes) {
+        // Interval grows unit * multiplier^streak; cap the exponent so it can't overflow
+        const exponent = Math.min(this.emptyStreak, 32);
+        const unit = this.getUnitMinutes(baseMinutes);
+        return this.clamp(unit * (Math.pow(this.multiplier, exponent) - 1), baseMinutes);
+    }
+
+    getStatus(baseMinutes) {
+        return { ...super.getStatus(baseMinutes), emptyStreak: this.emptyStreak, multiplier: this.multiplier };
+    }
+}
+
+class TimeOfDayBackoff extends LinearBackoff {
+    constructor(options = {}) {
+        super(options);
+        this.name = 'timeOfDay';
+        this.activeHours = TimeOfDayBackoff.parseHours(options.activeHours || '7-23');
+        this.offHoursMultiplier = options.offHoursMultiplier || 4;
+    }
+
+    static parseHours(range) {
+        // "7-23" = 07:00 up to 23:00; "22-6" wraps past midnight
+        const [start, end] = String(range).split('-').map(hour => parseInt(hour, 10));
+        if (!Number.isInteger(start) || !Number.isInteger(end)) {
+            throw new Error(`Invalid active hours "${range}" (expected e.g. "7-23")`);
+        }
+        return { start, end };
+    }
+
+    isActiveHour(now = new Date()) {
+        const hour = now.getHours();
+        const { start, end } = this.activeHours;
+        return start <= end ? hour >= start && hour < end : hour >= start || hour < end;
+    }
+
+    getBackoffMinutes(baseMinutes, now = new Date()) {
+        // Outside active hours the whole cadence is stretched, on top of the empty-poll backoff
+        const offHours = this.isActiveHour(now) ? 0 : this.getUnitMinutes(baseMinutes) * (this.offHoursMultiplier - 1);
+        return this.clamp(this.backoffMinutes + offHours, baseMinutes);
+    }
+
+    getStatus(baseMinutes) {
+        const { start, end } = this.activeHours;
+        return {
+            ...super.getStatus(baseMinutes),
+            strategy: this.name,
+            activeHours: `${start}-${end}`,
+            offHoursMultiplier: this.offHoursMultiplier,
+            isActiveHour: this.isActiveHour()
+        };
+    }
+}
+
+class ActivityBackoff extends BackoffStrategy {
+    constructor(options = {}) {
+        super('activity', options);
+        this.windowSize = options.windowSize || 10; // Recent polls considered
+        this.maxMultiplier = options.maxMultiplier || 8; // Interval multiplier when nothing was found in the window
+        this.recentPolls = []; // true = found news
+    }
+
+    record(found) {
+        this.recentPolls.push(found);
+        if (this.recentPolls.length > this.windowSize) {
+            this.recentPolls.shift();
+        }
+    }
+
+    onNewsFound() {
+        this.record(true);
+    }
+
+    onEmpty() {
+        this.record(false);
+    }
+
+    getHitRate() {
+        if (this.recentPolls.length === 0) return 1; // No history yet - poll at full speed
+        return this.recentPolls.filter(Boolean).length / this.recentPolls.length;
+    }
+
+    getBackoffMinutes(baseMinutes) {
+        // Busy endpoints stay near their base cadence, quiet ones slow towards maxMultiplier
+        const factor = (1 - this.getHitRate()) * (this.maxMultiplier - 1);
+        return this.clamp(this.getUnitMinutes(baseMinutes) * factor, baseMinutes);
+    }
+
+    getStatus(baseMinutes) {
+        return {
+            ...super.getStatus(baseMinutes),
+            hitRate: Math.round(this.getHitRate() * 100) / 100,
+            windowSize: this.windowSize,
+            polls: this.recentPolls.length,
+            maxMultiplier: this.maxMultiplier
+        };
+    }
+}
+
+BackoffStrategy.registerStrategy('linear', LinearBackoff);
+BackoffStrategy.registerStrategy('exponential', ExponentialBackoff);
+BackoffStrategy.registerStrategy('timeOfDay', TimeOfDayBackoff);
+BackoffStrategy.registerStrategy('activity', ActivityBackoff);
+
+module.exports = BackoffStrategy;
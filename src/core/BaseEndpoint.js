@@ -1,13 +1,18 @@
 const { EventEmitter } = require('events');
+const NewsEmbed = require('../utils/NewsEmbed');
+const CronExpression = require('../utils/CronExpression');
 
 class BaseEndpoint extends EventEmitter {
-    constructor(name, config, dataManager) {
+    constructor(type, config, dataManager, options = {}) {
         super();
-        this.name = name;
+        this.type = type; // Plugin name - several instances of one type can run side by side
+        this.name = options.name || type;
         this.config = config;
         this.dataManager = dataManager;
         this.isEnabled = true;
-        this.weight = 1; // For weighted random selection
+        this.weight = 1; // Scales this endpoint's items in the post queue ranking
+        this.schedule = { intervalMinutes: config.getIntervalMinutes() }; // Poll cadence - interval or cron
+        this.pluginConfig = {}; // Values resolved from the class's plugin configSchema
     }
 
     async initialize() {
@@ -15,7 +20,23 @@ class BaseEndpoint extends EventEmitter {
     }
 
     async fetchUpdate() {
-        throw new Error(`${this.name} endpoint must implement fetchUpdate() method`);
+        if (this.fetchCandidates === BaseEndpoint.prototype.fetchCandidates) {
+            throw new Error(`${this.name} endpoint must implement fetchCandidates() or fetchUpdate() method`);
+        }
+
+        // Only ask for one so nothing else gets marked as seen and dropped
+        const candidates = await this.fetchCandidates(1);
+        return candidates[0] || null;
+    }
+
+    async fetchCandidates(limit = Infinity) {
+        if (this.fetchUpdate === BaseEndpoint.prototype.fetchUpdate) {
+            throw new Error(`${this.name} endpoint must implement fetchCandidates() or fetchUpdate() method`);
+        }
+
+        // Endpoints that only implement fetchUpdate() yield at most one item per poll
+        const item = await this.fetchUpdate();
+        return item && limit > 0 ? [item] : [];
     }
 
     async shutdown() {
@@ -33,10 +54,38 @@ class BaseEndpoint extends EventEmitter {
         this.emit('weightChanged', weight);
     }
 
+    static validateSchedule(schedule, name) {
+        if (!schedule || (!schedule.cron && !(schedule.intervalMinutes > 0))) {
+            throw new Error(`${name} schedule needs an intervalMinutes > 0 or a cron expression`);
+        }
+        if (schedule.cron) {
+            CronExpression.validate(schedule.cron);
+        }
+    }
+
+    setSchedule(schedule) {
+        BaseEndpoint.validateSchedule(schedule, this.name);
+
+        this.schedule = schedule.cron ? { cron: schedule.cron } : { intervalMinutes: schedule.intervalMinutes };
+        this.emit('scheduleChanged', this.schedule);
+    }
+
+    setPluginConfig(values) {
+        this.pluginConfig = { ...values };
+    }
+
+    getPluginConfig() {
+        return { ...this.pluginConfig };
+    }
+
     getName() {
         return this.name;
     }
 
+    getType() {
+        return this.type;
+    }
+
     isEndpointEnabled() {
         return this.isEnabled;
     }
@@ -45,6 +94,10 @@ class BaseEndpoint extends EventEmitter {
         return this.weight;
     }
 
+    getSchedule() {
+        return { ...this.schedule };
+    }
+
     log(level, message, ...args) {
         this.emit('log', { level, message: `[${this.name}] ${message}`, args });
     }
@@ -83,15 +136,34 @@ class BaseEndpoint extends EventEmitter {
             throw new Error('Invalid news item format');
         }
 
+        const timestamp = new Date().toISOString();
+
         return {
+            id: String(rawData.id || rawData.url.trim()),
             title: rawData.title.trim(),
             url: rawData.url.trim(),
             details: rawData.details || null,
-            timestamp: new Date().toISOString(),
+            timestamp,
+            publishedAt: rawData.publishedAt || timestamp,
+            priority: rawData.priority || 1, // Source priority used when ranking the post queue
             source: this.name,
-            metadata: rawData.metadata || {}
+            tags: rawData.tags || [],
+            metadata: rawData.metadata || {},
+            fields: rawData.fields || [], // [{ name, value, inline }] shown as embed fields; details stays the text version
+            thumbnail: rawData.thumbnail || null,
+            story: rawData.story || null // { id, status } - later items with the same story id update the first post
         };
     }
+
+    getEmbedColor() {
+        const plugin = this.constructor.plugin;
+        return plugin && Number.isInteger(plugin.embedColor) ? plugin.embedColor : null;
+    }
+
+    // Discord embed for one of this endpoint's items - override to change the layout
+    buildEmbed(item) {
+        return NewsEmbed.create(item, { color: this.getEmbedColor() });
+    }
 }
 
 module.exports = BaseEndpoint;
\ No newline at end of file
@@ -0,0 +1,213 @@
+const DEFAULT_SUBSCRIPTION = {
+    endpoints: null, // Endpoint names; null gets every endpoint
+    subreddits: null, // Subreddit names or reddit_sources.csv URLs; null gets every Reddit source
+    include: [], // At least one keyword must appear, when any are set
+    exclude: [], // None of these may appear
+    maxPostsPerHour: null // null is unlimited
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Registered Discord channels and what each one subscribes to. Replaces the
+// one-column target_channels.csv (imported by a data migration).
+class ChannelRegistry {
+    constructor(dataManager, options = {}) {
+        this.dataManager = dataManager;
+        this.filename = options.filename || 'channels.json';
+
+        this.channels = new Map(); // channelId -> { channelId, guildId, guildName, name, addedAt, subscription }
+        this.recentPosts = new Map(); // channelId -> post timestamps within the last hour
+    }
+
+    static normalizeList(list, transform = value => value) {
+        if (list === null || list === undefined) return null;
+        const values = (Array.isArray(list) ? list : String(list).split(','))
+            .map(value => transform(String(value).trim()))
+            .filter(Boolean);
+        return values.length > 0 ? Array.from(new Set(values)) : null;
+    }
+
+    static normalizeSubscription(subscription = {}) {
+        const merged = { ...DEFAULT_SUBSCRIPTION, ...subscription };
+        const maxPostsPerHour = merged.maxPostsPerHour === null || merged.maxPostsPerHour === ''
+            ? null
+            : Number(merged.maxPostsPerHour);
+
+        if (maxPostsPerHour !== null && !(Number.isInteger(maxPostsPerHour) && maxPostsPerHour > 0)) {
+            throw new Error('maxPostsPerHour must be a whole number above 0, or null for no limit');
+        }
+
+        return {
+            endpoints: ChannelRegistry.normalizeList(merged.endpoints),
+            subreddits: ChannelRegistry.normalizeList(merged.subreddits, value => value.toLowerCase().replace(/^r\//, '')),
+            include: ChannelRegistry.normalizeList(merged.include, value => value.toLowerCase()) || [],
+            exclude: ChannelRegistry.normalizeList(merged.exclude, value => value.toLowerCase()) || [],
+            maxPostsPerHour
+        };
+    }
+
+    static createRecord(channelId, details = {}) {
+        // Guild and channel names are filled in from Discord once the bot is connected
+        return {
+            channelId,
+            guildId: details.guildId || null,
+            guildName: details.guildName || null,
+            name: details.name || null,
+            addedAt: new Date().toISOString(),
+            subscription: ChannelRegistry.normalizeSubscription()
+        };
+    }
+
+    load() {
+        this.channels.clear();
+
+        const saved = this.dataManager.loadJSONData(this.filename, []);
+        (Array.isArray(saved) ? saved : []).forEach(record => {
+            if (record && record.channelId) {
+                this.channels.set(record.channelId, {
+                    ...record,
+                    subscription: ChannelRegistry.normalizeSubscription(record.subscription)
+                });
+            }
+        });
+
+        return this.channels.size;
+    }
+
+    save() {
+        this.dataManager.saveJSONData(this.filename, this.list());
+    }
+
+    list() {
+        return Array.from(this.channels.values());
+    }
+
+    get(channelId) {
+        return this.channels.get(channelId) || null;
+    }
+
+    has(channelId) {
+        return this.channels.has(channelId);
+    }
+
+    getByGuild(guildId) {
+        return this.list().filter(record => record.guildId === guildId);
+    }
+
+    add(channelId, details = {}) {
+        if (this.channels.has(channelId)) {
+            return false;
+        }
+        this.channels.set(channelId, ChannelRegistry.createRecord(channelId, details));
+        this.save();
+        return true;
+    }
+
+    // Refresh guild and channel names; only saves when something changed
+    update(channelId, details) {
+        const record = this.get(channelId);
+        if (!record) {
+            return false;
+        }
+
+        const changed = ['guildId', 'guildName', 'name'].filter(key => details[key] !== undefined && details[key] !== record[key]);
+        changed.forEach(key => {
+            record[key] = details[key];
+        });
+        if (changed.length > 0) {
+            this.save();
+        }
+        return changed.length > 0;
+    }
+
+    remove(channelId) {
+        if (!this.channels.delete(channelId)) {
+            return false;
+        }
+        this.recentPosts.delete(channelId);
+        this.save();
+        return true;
+    }
+
+    getSubscription(channelId) {
+        const record = this.get(channelId);
+        return ChannelRegistry.normalizeSubscription(record ? record.subscription : {});
+    }
+
+    setSubscription(channelId, changes) {
+        const record = this.get(channelId);
+        if (!record) {
+            throw new Error(`Channel ${channelId} is not registered`);
+        }
+
+        // An explicit null goes back to the default for that field
+        const next = { ...record.subscription };
+        Object.keys(DEFAULT_SUBSCRIPTION).forEach(key => {
+            if (changes[key] === undefined) return;
+            next[key] = changes[key] === null ? DEFAULT_SUBSCRIPTION[key] : changes[key];
+        });
+
+        record.subscription = ChannelRegistry.normalizeSubscription(next);
+        this.save();
+        return { ...record.subscription };
+    }
+
+    resetSubscription(channelId) {
+        return this.setSubscription(channelId, Object.fromEntries(Object.keys(DEFAULT_SUBSCRIPTION).map(key => [key, null])));
+    }
+
+    // Whether the item fits the channel's subscription, ignoring the hourly limit
+    matches(channelId, item) {
+        const subscription = this.getSubscription(channelId);
+
+        if (subscription.endpoints && !subscription.endpoints.includes(item.source)) {
+            return false;
+        }
+
+        // Subreddit filters only apply to Reddit items
+        const { subreddit, sourceUrl } = item.metadata || {};
+        if (subscription.subreddits && subreddit) {
+            const candidates = [subreddit.toLowerCase(), (sourceUrl || '').toLowerCase()];
+            if (!subscription.subreddits.some(entry => candidates.includes(entry))) {
+                return false;
+            }
+        }
+
+        if (subscription.include.length > 0 || subscription.exclude.length > 0) {
+            const text = [item.title, item.description, item.details].filter(Boolean).join('\n').toLowerCase();
+            if (subscription.include.length > 0 && !subscription.include.some(keyword => text.includes(keyword))) {
+                return false;
+            }
+            if (subscription.exclude.some(keyword => text.includes(keyword))) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    getPostsInLastHour(channelId) {
+        const cutoff = Date.now() - HOUR_MS;
+        const posts = (this.recentPosts.get(channelId) || []).filter(time => time > cutoff);
+        this.recentPosts.set(channelId, posts);
+        return posts.length;
+    }
+
+    isRateLimited(channelId) {
+        const { maxPostsPerHour } = this.getSubscription(channelId);
+        return maxPostsPerHour !== null && this.getPostsInLastHour(channelId) >= maxPostsPerHour;
+    }
+
+    recordPost(channelId) {
+        this.getPostsInLastHour(channelId);
+        this.recentPosts.get(channelId).push(Date.now());
+    }
+
+    getStatus() {
+        return this.list().map(record => ({
+            ...record,
+            postsLastHour: this.getPostsInLastHour(record.channelId)
+        }));
+    }
+}
+
+module.exports = ChannelRegistry;
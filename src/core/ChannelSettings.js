@@ -0,0 +1,176 @@
+const PostingWindow = require('../utils/PostingWindow');
+const CronExpression = require('../utils/CronExpression');
+
+const RELEASE_MODES = ['batch', 'digest'];
+const DELIVERY_MODES = ['stream', 'digest'];
+const STORY_UPDATE_MODES = ['edit', 'thread', 'post'];
+const THREAD_ARCHIVE_MINUTES = [60, 1440, 4320, 10080]; // The durations Discord accepts
+
+class ChannelSettings {
+    constructor(config, dataManager) {
+        this.dataManager = dataManager;
+        this.filename = 'channel_settings.json';
+
+        this.defaults = config.getPostingConfig();
+        this.overrides = {}; // channelId -> partial settings
+        this.windows = new Map(); // channelId -> PostingWindow | null
+        this.digestSchedules = new Map(); // channelId -> CronExpression
+
+        this.validate({}); // Fail fast on a bad POSTING_WINDOW or POSTING_TIMEZONE
+        this.load();
+    }
+
+    load() {
+        const saved = this.dataManager.loadJSONData(this.filename, {});
+        this.overrides = saved && typeof saved === 'object' && !Array.isArray(saved) ? saved : {};
+        this.windows.clear();
+        this.digestSchedules.clear();
+    }
+
+    save() {
+        this.dataManager.saveJSONData(this.filename, this.overrides);
+    }
+
+    get(channelId) {
+        return { ...this.defaults, ...(this.overrides[channelId] || {}) };
+    }
+
+    getWindow(channelId) {
+        if (!this.windows.has(channelId)) {
+            const settings = this.get(channelId);
+            // No window configured means the channel is always open
+            this.windows.set(channelId, settings.postingWindow
+                ? PostingWindow.parse(settings.postingWindow, settings.timezone || undefined)
+                : null);
+        }
+        return this.windows.get(channelId);
+    }
+
+    getDigestSchedule(channelId) {
+        if (!this.digestSchedules.has(channelId)) {
+            this.digestSchedules.set(channelId, new CronExpression(this.get(channelId).digestSchedule));
+        }
+        return this.digestSchedules.get(channelId);
+    }
+
+    isDigest(channelId) {
+        return this.get(channelId).mode === 'digest';
+    }
+
+    isOpen(channelId, date = new Date()) {
+        const window = this.getWindow(channelId);
+        return !window || window.isOpen(date);
+    }
+
+    canBypass(channelId, item) {
+        const settings = this.get(channelId);
+        if (settings.bypassEndpoints.includes(item.source)) {
+            return true;
+        }
+        return settings.bypassPriority !== null && (item.priority || 1) >= settings.bypassPriority;
+    }
+
+    validate(settings) {
+        const merged = { ...this.defaults, ...settings };
+
+        if (merged.postingWindow) {
+            PostingWindow.parse(merged.postingWindow, merged.timezone || undefined); // Throws on bad input
+        } else if (merged.timezone && !PostingWindow.isValidTimezone(merged.timezone)) {
+            throw new Error(`Unknown time zone "${merged.timezone}"`);
+        }
+
+        if (!RELEASE_MODES.includes(merged.release)) {
+            throw new Error(`Release mode must be one of: ${RELEASE_MODES.join(', ')}`);
+        }
+
+        if (merged.bypassPriority !== null && !Number.isFinite(merged.bypassPriority)) {
+            throw new Error('bypassPriority must be a number or null');
+        }
+
+        if (!Array.isArray(merged.bypassEndpoints)) {
+            throw new Error('bypassEndpoints must be a list of endpoint names');
+        }
+
+        if (!DELIVERY_MODES.includes(merged.mode)) {
+            throw new Error(`Delivery mode must be one of: ${DELIVERY_MODES.join(', ')}`);
+        }
+        CronExpression.validate(merged.digestSchedule); // Throws on bad input
+
+        if (typeof merged.embeds !== 'boolean') {
+            throw new Error('embeds must be true or false');
+        }
+
+        if (!STORY_UPDATE_MODES.includes(merged.storyUpdates)) {
+            throw new Error(`Story updates must be one of: ${STORY_UPDATE_MODES.join(', ')}`);
+        }
+
+        if (typeof merged.threads !== 'boolean') {
+            throw new Error('threads must be true or false');
+        }
+
+        if (!THREAD_ARCHIVE_MINUTES.includes(merged.threadArchiveMinutes)) {
+            throw new Error(`threadArchiveMinutes must be one of: ${THREAD_ARCHIVE_MINUTES.join(', ')}`);
+        }
+    }
+
+    set(channelId, changes) {
+        const override = { ...(this.overrides[channelId] || {}) };
+
+        Object.keys(this.defaults).forEach(key => {
+            if (changes[key] === undefined) return;
+
+            // An explicit null falls back to the global default
+            if (changes[key] === null) {
+                delete override[key];
+            } else {
+                override[key] = changes[key];
+            }
+        });
+
+        this.validate(override);
+
+        if (Object.keys(override).length > 0) {
+            this.overrides[channelId] = override;
+        } else {
+            delete this.overrides[channelId];
+        }
+        this.forget(channelId);
+        this.save();
+        return this.get(channelId);
+    }
+
+    clear(channelId) {
+        delete this.overrides[channelId];
+        this.forget(channelId);
+        this.save();
+    }
+
+    forget(channelId) {
+        this.windows.delete(channelId);
+        this.digestSchedules.delete(channelId);
+    }
+
+    getStatus(channelIds = []) {
+        const channels = {};
+        const ids = new Set([...channelIds, ...Object.keys(this.overrides)]);
+        ids.forEach(channelId => {
+            const window = this.getWindow(channelId);
+            channels[channelId] = {
+                ...this.get(channelId),
+                overrides: Object.keys(this.overrides[channelId] || {}),
+                isOpen: this.isOpen(channelId),
+                nextOpening: window && !window.isOpen() ? window.getNextOpening().toISOString() : null,
+                nextDigestAt: this.isDigest(channelId) ? this.getDigestSchedule(channelId).getNextDate().toISOString() : null
+            };
+        });
+
+        return { defaults: { ...this.defaults }, channels };
+    }
+}
+
+ChannelSettings.RELEASE_MODES = RELEASE_MODES;
+ChannelSettings.DELIVERY_MODES = DELIVERY_MODES;
+ChannelSettings.STORY_UPDATE_MODES = STORY_UPDATE_MODES;
+ChannelSettings.THREAD_ARCHIVE_MINUTES = THREAD_ARCHIVE_MINUTES;
+
+module.exports = ChannelSettings;
@@ -1,22 +1,75 @@
 const fs = require('fs');
 const path = require('path');
+const CsvStorage = require('../storage/backends/CsvStorage');
+const SqliteStorage = require('../storage/backends/SqliteStorage');
+const DataMigrator = require('../storage/DataMigrator');
+const StateArchive = require('../storage/StateArchive');
+
+const storageRegistry = new Map(); // backend name -> StorageBackend subclass
 
 class DataManager {
-    constructor(dataDirectory = './data') {
+    static registerStorageBackend(name, BackendClass) {
+        storageRegistry.set(name, BackendClass);
+    }
+
+    static getRegisteredStorageBackends() {
+        return Array.from(storageRegistry.keys());
+    }
+
+    static getStorageBackend(name) {
+        return storageRegistry.get(name) || null;
+    }
+
+    constructor(dataDirectory = './data', options = {}) {
         this.dataDirectory = dataDirectory;
+        this.backendName = options.backend || 'csv';
         this.seenItems = new Map(); // endpointName -> Map(itemId -> timestamp)
         this.retentionPeriods = new Map(); // endpointName -> retention period in seconds
         this.cleanupInterval = null;
-        
-        this.ensureDataDirectory();
-        this.loadAllData();
-        this.startPeriodicCleanup();
-    }
 
-    ensureDataDirectory() {
-        if (!fs.existsSync(this.dataDirectory)) {
-            fs.mkdirSync(this.dataDirectory, { recursive: true });
+        // Seen item changes are buffered and written in batches; until then they're
+        // appended to a journal so a crash doesn't lose them. Journal lines are batched too
+        this.pendingSeenItems = new Map(); // endpointName -> { added: Map(itemId -> timestamp), removed: Set(itemId) }
+        this.flushDelayMs = options.flushDelayMs !== undefined ? options.flushDelayMs : 2000; // Quiet time before a flush
+        this.flushMaxWaitMs = Math.max(this.flushDelayMs, options.flushMaxWaitMs || this.flushDelayMs * 10); // Longest a change waits
+        this.flushTimer = null;
+        this.firstPendingAt = null;
+        this.journalPath = path.join(dataDirectory, 'seen_items.journal');
+        this.journalDelayMs = options.journalDelayMs !== undefined ? options.journalDelayMs : 200; // Marks a crash can lose
+        this.journalLines = [];
+        this.journalTimer = null;
+        this.journalFd = null; // Opened on the first write, closed once the journal is removed
+
+        const BackendClass = DataManager.getStorageBackend(this.backendName);
+        if (!BackendClass) {
+            throw new Error(`Unknown storage backend "${this.backendName}" - available: ${DataManager.getRegisteredStorageBackends().join(', ')}`);
+        }
+        this.storage = new BackendClass(dataDirectory, options);
+        this.storage.open();
+
+        // Refuses to go on (throws) if the data is newer than this code understands
+        this.migrator = new DataMigrator(this.storage);
+        try {
+            this.migrator.run();
+        } catch (error) {
+            this.storage.close();
+            throw error;
         }
+
+        // Imports staged through the web panel or CLI are applied before anything else loads.
+        // Journaled marks are saved first, so they land in the backup instead of being replayed over the import
+        this.stateArchive = new StateArchive(this.storage);
+        if (this.stateArchive.getPending()) {
+            this.loadAllData();
+            if (this.pendingSeenItems.size === 0) {
+                this.stateArchive.applyPending();
+            } else {
+                console.error('Staged state import postponed: journaled seen items could not be saved first');
+            }
+        }
+
+        this.loadAllData();
+        this.startPeriodicCleanup();
     }
 
     setRetentionPeriod(endpointName, seconds) {
@@ -29,51 +82,155 @@ class DataManager {
 
     loadAllData() {
         try {
-            const files = fs.readdirSync(this.dataDirectory);
-            files.forEach(file => {
-                if (file.endsWith('_seen_items.csv')) {
-                    const endpointName = file.replace('_seen_items.csv', '');
-                    this.loadSeenItems(endpointName);
-                }
-            });
+            this.seenItems = this.storage.loadSeenItems();
+            this.recoverJournal();
+            this.seenItems.forEach((_, endpointName) => this.cleanupOldItems(endpointName));
+            this.flush();
         } catch (error) {
             console.error('Error loading data:', error);
         }
     }
 
-    loadSeenItems(endpointName) {
-        const filePath = path.join(this.dataDirectory, `${endpointName}_seen_items.csv`);
-        const seenItemsMap = new Map();
+    // Marks left in the journal by a run that didn't shut down cleanly
+    recoverJournal() {
+        if (!fs.existsSync(this.journalPath)) {
+            return;
+        }
+
+        let recovered = 0;
+        fs.readFileSync(this.journalPath, 'utf8').split('\n').forEach(line => {
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch (error) {
+                return; // Blank or torn last line
+            }
+            if (!entry || !entry.endpoint || entry.itemId === undefined) {
+                return;
+            }
+
+            if (!this.seenItems.has(entry.endpoint)) {
+                this.seenItems.set(entry.endpoint, new Map());
+            }
+            this.seenItems.get(entry.endpoint).set(entry.itemId, entry.seenAt);
+            this.getPendingChanges(entry.endpoint).added.set(entry.itemId, entry.seenAt);
+            recovered++;
+        });
+
+        if (recovered > 0) {
+            console.log(`🩹 Recovered ${recovered} seen items from the journal after an unclean shutdown`);
+        }
+    }
+
+    appendToJournal(entry) {
+        this.journalLines.push(JSON.stringify(entry));
+        if (!this.journalTimer) {
+            this.journalTimer = setTimeout(() => this.writeJournal(), this.journalDelayMs);
+            if (this.journalTimer.unref) {
+                this.journalTimer.unref(); // shutdown() writes what's left
+            }
+        }
+    }
+
+    // Append the buffered journal lines in one write
+    writeJournal() {
+        clearTimeout(this.journalTimer);
+        this.journalTimer = null;
+        if (this.journalLines.length === 0) {
+            return;
+        }
 
+        const lines = this.journalLines.splice(0);
         try {
-            if (fs.existsSync(filePath)) {
-                const data = fs.readFileSync(filePath, 'utf8');
-                data.split('\n').forEach(line => {
-                    const [itemId, timestamp] = line.split(',');
-                    if (itemId && timestamp) {
-                        seenItemsMap.set(itemId, parseFloat(timestamp));
-                    }
-                });
+            if (this.journalFd === null) {
+                this.journalFd = fs.openSync(this.journalPath, 'a');
             }
+            fs.writeSync(this.journalFd, `${lines.join('\n')}\n`);
         } catch (error) {
-            console.error(`Error loading seen items for ${endpointName}:`, error);
+            console.error('Error writing the seen items journal:', error);
         }
+    }
 
-        this.seenItems.set(endpointName, seenItemsMap);
-        this.cleanupOldItems(endpointName);
+    // Everything journaled so far is saved: drop the unwritten lines and the file
+    discardJournal() {
+        clearTimeout(this.journalTimer);
+        this.journalTimer = null;
+        this.journalLines = [];
+        this.closeJournal();
+        fs.rmSync(this.journalPath, { force: true });
     }
 
-    saveSeenItems(endpointName) {
-        const filePath = path.join(this.dataDirectory, `${endpointName}_seen_items.csv`);
+    closeJournal(sync = false) {
+        if (this.journalFd === null) {
+            return;
+        }
+        try {
+            if (sync) {
+                fs.fsyncSync(this.journalFd);
+            }
+            fs.closeSync(this.journalFd);
+        } catch (error) {
+            console.error('Error closing the seen items journal:', error);
+        }
+        this.journalFd = null;
+    }
+
+    getPendingChanges(endpointName) {
+        if (!this.pendingSeenItems.has(endpointName)) {
+            this.pendingSeenItems.set(endpointName, { added: new Map(), removed: new Set() });
+        }
+        return this.pendingSeenItems.get(endpointName);
+    }
+
+    // Debounced: each change pushes the flush back, up to flushMaxWaitMs after the first one
+    scheduleFlush() {
+        const now = Date.now();
+        this.firstPendingAt = this.firstPendingAt || now;
+
+        if (this.flushTimer) {
+            clearTimeout(this.flushTimer);
+        }
+        const delay = Math.min(this.flushDelayMs, this.firstPendingAt + this.flushMaxWaitMs - now);
+        this.flushTimer = setTimeout(() => this.flush(), Math.max(0, delay));
+        if (this.flushTimer.unref) {
+            this.flushTimer.unref(); // shutdown() flushes anyway
+        }
+    }
+
+    // Write buffered seen item changes; returns whether everything was written
+    flush() {
+        if (this.flushTimer) {
+            clearTimeout(this.flushTimer);
+            this.flushTimer = null;
+        }
+        this.firstPendingAt = null;
+
+        this.pendingSeenItems.forEach((pending, endpointName) => {
+            const changes = { added: Array.from(pending.added.entries()), removed: Array.from(pending.removed) };
+            if (this.saveSeenItems(endpointName, changes)) {
+                this.pendingSeenItems.delete(endpointName);
+            }
+        });
+
+        if (this.pendingSeenItems.size > 0) {
+            this.writeJournal(); // Until a later try succeeds, only the journal has the marks
+            this.scheduleFlush();
+            return false;
+        }
+
+        this.discardJournal();
+        return true;
+    }
+
+    saveSeenItems(endpointName, changes = null) {
         const seenItemsMap = this.seenItems.get(endpointName) || new Map();
 
         try {
-            const entries = Array.from(seenItemsMap.entries())
-                .map(([itemId, timestamp]) => `${itemId},${timestamp}`)
-                .join('\n');
-            fs.writeFileSync(filePath, entries, 'utf8');
+            this.storage.saveSeenItems(endpointName, seenItemsMap, changes);
+            return true;
         } catch (error) {
             console.error(`Error saving seen items for ${endpointName}:`, error);
+            return false;
         }
     }
 
@@ -94,7 +251,12 @@ class DataManager {
         itemsToRemove.forEach(itemId => seenItemsMap.delete(itemId));
         
         if (itemsToRemove.length > 0) {
-            this.saveSeenItems(endpointName);
+            const pending = this.getPendingChanges(endpointName);
+            itemsToRemove.forEach(itemId => {
+                pending.added.delete(itemId);
+                pending.removed.add(itemId);
+            });
+            this.scheduleFlush();
         }
     }
 
@@ -109,8 +271,14 @@ class DataManager {
         }
 
         const seenItemsMap = this.seenItems.get(endpointName);
-        seenItemsMap.set(itemId, Date.now() / 1000);
-        this.saveSeenItems(endpointName);
+        const timestamp = Date.now() / 1000;
+        seenItemsMap.set(itemId, timestamp);
+
+        const pending = this.getPendingChanges(endpointName);
+        pending.removed.delete(itemId);
+        pending.added.set(itemId, timestamp);
+        this.appendToJournal({ endpoint: endpointName, itemId, seenAt: timestamp });
+        this.scheduleFlush();
     }
 
     getSeenItemsCount(endpointName) {
@@ -119,15 +287,8 @@ class DataManager {
     }
 
     loadCSVData(filename, parser = null) {
-        const filePath = path.join(this.dataDirectory, filename);
-        
         try {
-            if (!fs.existsSync(filePath)) {
-                return [];
-            }
-
-            const data = fs.readFileSync(filePath, 'utf8');
-            const lines = data.split('\n').filter(line => line.trim());
+            const lines = (this.storage.readLines(filename) || []).filter(line => line.trim());
             
             if (parser && typeof parser === 'function') {
                 return lines.map(parser).filter(Boolean);
@@ -141,31 +302,68 @@ class DataManager {
     }
 
     saveCSVData(filename, data, formatter = null) {
-        const filePath = path.join(this.dataDirectory, filename);
-        
         try {
-            let content;
+            let lines;
             if (formatter && typeof formatter === 'function') {
-                content = data.map(formatter).join('\n');
+                lines = data.map(formatter);
             } else if (Array.isArray(data)) {
-                content = data.join('\n');
+                lines = data.map(String);
             } else {
-                content = String(data);
+                lines = String(data).split('\n');
             }
             
-            fs.writeFileSync(filePath, content, 'utf8');
+            this.storage.writeLines(filename, lines);
         } catch (error) {
             console.error(`Error saving CSV data to ${filename}:`, error);
         }
     }
 
+    loadJSONData(filename, defaultValue = null) {
+        try {
+            const content = this.storage.readDocument(filename);
+            return content === null ? defaultValue : JSON.parse(content);
+        } catch (error) {
+            console.error(`Error loading JSON data from ${filename}:`, error);
+            return defaultValue;
+        }
+    }
+
+    saveJSONData(filename, data) {
+        try {
+            this.storage.writeDocument(filename, JSON.stringify(data, null, 2));
+        } catch (error) {
+            console.error(`Error saving JSON data to ${filename}:`, error);
+        }
+    }
+
+    fileExists(filename) {
+        return this.storage.exists(filename);
+    }
+
     ensureFile(filename, defaultContent = '') {
-        const filePath = path.join(this.dataDirectory, filename);
-        if (!fs.existsSync(filePath)) {
-            fs.writeFileSync(filePath, defaultContent, 'utf8');
+        if (this.storage.exists(filename)) {
+            return;
+        }
+
+        if (filename.endsWith('.csv')) {
+            this.storage.writeLines(filename, defaultContent.split('\n'));
+        } else {
+            this.storage.writeDocument(filename, defaultContent);
         }
     }
 
+    getStatus() {
+        const pendingSeenItems = Array.from(this.pendingSeenItems.values())
+            .reduce((sum, pending) => sum + pending.added.size + pending.removed.size, 0);
+        return {
+            backend: this.backendName,
+            location: this.storage.describe(),
+            layoutVersion: this.migrator.getVersion(),
+            pendingSeenItems,
+            pendingImport: this.stateArchive.getPending()
+        };
+    }
+
     startPeriodicCleanup() {
         // Run cleanup every hour
         this.cleanupInterval = setInterval(() => {
@@ -185,7 +383,17 @@ class DataManager {
 
     shutdown() {
         this.stopPeriodicCleanup();
+        if (!this.flush()) {
+            clearTimeout(this.flushTimer);
+            this.flushTimer = null;
+            this.closeJournal(true);
+            console.error('Some seen items could not be saved; they will be recovered from the journal on the next start');
+        }
+        this.storage.close();
     }
 }
 
+DataManager.registerStorageBackend('csv', CsvStorage);
+DataManager.registerStorageBackend('sqlite', SqliteStorage);
+
 module.exports = DataManager;
\ No newline at end of file
@@ -0,0 +1,137 @@
+const { EventEmitter } = require('events');
+
+class EndpointHealth extends EventEmitter {
+    constructor(endpointName, options = {}) {
+        super();
+        this.endpointName = endpointName;
+
+        this.failureThreshold = options.failureThreshold || 5; // Consecutive failures before the circuit opens
+        this.cooldownMinutes = options.cooldownMinutes || 5; // How long an open circuit waits before probing
+
+        this.state = 'closed'; // closed -> open -> half-open -> closed
+        this.consecutiveFailures = 0;
+        this.totalFailures = 0;
+        this.totalSuccesses = 0;
+        this.lastError = null; // { message, status, at }
+        this.lastSuccessAt = null;
+        this.lastLatencyMs = null;
+        this.averageLatencyMs = null;
+        this.openedAt = null;
+        this.nextProbeAt = null;
+    }
+
+    static isRateLimited(error) {
+        return error?.response?.status === 429;
+    }
+
+    static getRetryAfterMs(error) {
+        // Retry-After is either seconds or an HTTP date
+        const header = error?.response?.headers?.['retry-after'];
+        if (!header) return null;
+
+        const seconds = Number(header);
+        if (Number.isFinite(seconds)) return seconds * 1000;
+
+        const date = new Date(header).getTime();
+        return Number.isFinite(date) ? Math.max(0, date - Date.now()) : null;
+    }
+
+    canAttempt(now = Date.now()) {
+        if (this.state !== 'open') {
+            return true;
+        }
+
+        if (now >= this.nextProbeAt.getTime()) {
+            this.setState('half-open');
+            return true;
+        }
+        return false;
+    }
+
+    recordSuccess(latencyMs) {
+        this.recordLatency(latencyMs);
+        this.totalSuccesses++;
+        this.consecutiveFailures = 0;
+        this.lastSuccessAt = new Date();
+
+        if (this.state !== 'closed') {
+            this.openedAt = null;
+            this.nextProbeAt = null;
+            this.setState('closed');
+        }
+    }
+
+    recordFailure(error, latencyMs) {
+        this.recordLatency(latencyMs);
+        this.totalFailures++;
+        this.consecutiveFailures++;
+        this.lastError = {
+            message: error?.message || String(error),
+            status: error?.response?.status || null,
+            at: new Date().toISOString()
+        };
+
+        // Rate limits open the circuit straight away for as long as the server asks
+        if (EndpointHealth.isRateLimited(error)) {
+            const retryAfterMs = EndpointHealth.getRetryAfterMs(error) || 60 * 1000;
+            this.open(retryAfterMs, 'rate limited');
+        } else if (this.state === 'half-open') {
+            this.open(this.cooldownMinutes * 60 * 1000, 'probe failed');
+        } else if (this.consecutiveFailures >= this.failureThreshold) {
+            this.open(this.cooldownMinutes * 60 * 1000, `${this.consecutiveFailures} consecutive failures`);
+        }
+    }
+
+    recordLatency(latencyMs) {
+        if (!Number.isFinite(latencyMs)) return;
+
+        this.lastLatencyMs = latencyMs;
+        // Exponential moving average so one slow poll doesn't dominate
+        this.averageLatencyMs = this.averageLatencyMs === null
+            ? latencyMs
+            : Math.round(this.averageLatencyMs * 0.8 + latencyMs * 0.2);
+    }
+
+    open(durationMs, reason) {
+        this.openedAt = new Date();
+        this.nextProbeAt = new Date(Date.now() + durationMs);
+        this.setState('open', reason);
+    }
+
+    reset() {
+        this.consecutiveFailures = 0;
+        this.openedAt = null;
+        this.nextProbeAt = null;
+        if (this.state !== 'closed') {
+            this.setState('closed', 'reset');
+        }
+    }
+
+    setState(state, reason = null) {
+        const previous = this.state;
+        this.state = state;
+        this.emit('stateChanged', { endpointName: this.endpointName, previous, state, reason, nextProbeAt: this.nextProbeAt });
+    }
+
+    isOpen() {
+        return this.state === 'open';
+    }
+
+    getStatus() {
+        return {
+            state: this.state,
+            consecutiveFailures: this.consecutiveFailures,
+            failureThreshold: this.failureThreshold,
+            totalFailures: this.totalFailures,
+            totalSuccesses: this.totalSuccesses,
+            lastError: this.lastError,
+            lastSuccessAt: this.lastSuccessAt ? this.lastSuccessAt.toISOString() : null,
+            lastLatencyMs: this.lastLatencyMs,
+            averageLatencyMs: this.averageLatencyMs,
+            openedAt: this.openedAt ? this.openedAt.toISOString() : null,
+            nextProbeAt: this.nextProbeAt ? this.nextProbeAt.toISOString() : null
+        };
+    }
+}
+
+module.exports = EndpointHealth;
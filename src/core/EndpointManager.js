@@ -0,0 +1,275 @@
+const BaseEndpoint = require('./BaseEndpoint');
+
+const ENDPOINT_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]*$/i;
+
+class EndpointManager {
+    constructor(newsBot, pluginLoader, dataManager, config, logger) {
+        this.newsBot = newsBot;
+        this.pluginLoader = pluginLoader;
+        this.dataManager = dataManager;
+        this.config = config;
+        this.logger = logger;
+
+        this.filename = 'endpoints.json';
+        this.definitions = new Map(); // instance name -> { name, type, enabled, weight, schedule, settings }
+        this.errors = new Map(); // instance name -> last create/initialize error
+    }
+
+    loadAll() {
+        this.pluginLoader.discover();
+
+        const problems = this.pluginLoader.checkConfiguredSettings();
+        if (problems.length > 0) {
+            throw this.config.createError(problems);
+        }
+
+        // Once endpoints have been changed at runtime the saved list replaces ENABLED_ENDPOINTS
+        const saved = this.dataManager.fileExists(this.filename)
+            ? this.dataManager.loadJSONData(this.filename, [])
+            : null;
+
+        const definitions = Array.isArray(saved) ? saved : this.getDefaultDefinitions();
+        this.definitions.clear();
+
+        definitions.forEach(definition => {
+            this.definitions.set(definition.name, this.normalizeDefinition(definition));
+        });
+
+        for (const definition of this.definitions.values()) {
+            try {
+                this.instantiate(definition);
+            } catch (error) {
+                this.errors.set(definition.name, error.message);
+                this.logger.warn(`🔌 ${definition.name} not registered: ${error.message}`);
+            }
+        }
+
+        return this.pluginLoader.getStatus();
+    }
+
+    getDefaultDefinitions() {
+        // An enabled name with a config file section may run a different plugin under its own name
+        const { enabled, sections } = this.config.getEndpointsConfig();
+        return enabled
+            .map(name => ({ name, type: (sections[name] && sections[name].type) || name, enabled: true }))
+            .filter(definition => this.pluginLoader.getPlugin(definition.type));
+    }
+
+    normalizeDefinition(definition) {
+        return {
+            name: definition.name,
+            type: definition.type || definition.name,
+            enabled: definition.enabled !== false,
+            weight: definition.weight !== undefined ? definition.weight : null,
+            schedule: definition.schedule || null,
+            settings: { ...(definition.settings || {}) }
+        };
+    }
+
+    save() {
+        this.dataManager.saveJSONData(this.filename, Array.from(this.definitions.values()));
+    }
+
+    instantiate(definition) {
+        const endpoint = this.pluginLoader.instantiate(definition.type, definition.name, definition.settings);
+        return this.register(endpoint, definition);
+    }
+
+    register(endpoint, definition) {
+        try {
+            this.newsBot.registerEndpoint(endpoint);
+        } catch (error) {
+            this.pluginLoader.release(definition.type, definition.name);
+            throw error;
+        }
+
+        // Saved overrides win over ENDPOINT_WEIGHTS / ENDPOINT_SCHEDULES
+        endpoint.setEnabled(definition.enabled);
+        if (definition.weight !== null) {
+            endpoint.setWeight(definition.weight);
+        }
+        if (definition.schedule) {
+            endpoint.setSchedule(definition.schedule);
+        }
+
+        this.errors.delete(definition.name);
+        return endpoint;
+    }
+
+    async createEndpoint({ name, type, enabled, weight, schedule, settings }) {
+        const instanceName = name || type;
+        if (!instanceName || !ENDPOINT_NAME_PATTERN.test(instanceName)) {
+            throw new Error('Endpoint name may only contain letters, numbers, "-" and "_"');
+        }
+        if (this.definitions.has(instanceName) || this.newsBot.getEndpoint(instanceName)) {
+            throw new Error(`Endpoint ${instanceName} already exists`);
+        }
+        if (!this.pluginLoader.isAvailable(type)) {
+            throw new Error(`Unknown endpoint type "${type}"`);
+        }
+
+        const definition = this.normalizeDefinition({ name: instanceName, type, enabled, weight, schedule, settings });
+        const endpoint = this.instantiate(definition);
+
+        this.definitions.set(instanceName, definition);
+        this.save();
+
+        this.logger.success(`🔌 Created endpoint ${instanceName} (${type})`);
+        if (this.newsBot.isInitialized) {
+            await this.tryInitialize(endpoint);
+        }
+        return endpoint;
+    }
+
+    async updateEndpoint(name, changes) {
+        const definition = this.getDefinition(name);
+
+        if (changes.settings !== undefined) {
+            // Plugin config is read at construction - rebuild the instance with the new settings
+            const settings = { ...definition.settings, ...changes.settings };
+            await this.replaceInstance({ ...definition, settings });
+            definition.settings = settings;
+        }
+
+        if (changes.weight !== undefined) {
+            const weight = parseFloat(changes.weight);
+            if (!Number.isFinite(weight)) {
+                throw new Error('Weight must be a number');
+            }
+            definition.weight = Math.max(0, weight);
+        }
+
+        if (changes.schedule !== undefined) {
+            // Validate before persisting, also for instances that aren't running
+            BaseEndpoint.validateSchedule(changes.schedule, name);
+            this.newsBot.getEndpoint(name)?.setSchedule(changes.schedule);
+            definition.schedule = changes.schedule;
+        }
+
+        if (changes.enabled !== undefined) {
+            definition.enabled = changes.enabled === true || changes.enabled === 'true';
+        }
+
+        // An instance that failed to initialize stays disabled until initialized again
+        const endpoint = this.newsBot.getEndpoint(name);
+        if (endpoint) {
+            endpoint.setEnabled(definition.enabled && !this.errors.has(name));
+            if (definition.weight !== null) {
+                endpoint.setWeight(definition.weight);
+            }
+        }
+
+        this.save();
+
+        if (changes.settings !== undefined && this.errors.has(name)) {
+            throw new Error(`Settings saved, but ${name} failed to initialize: ${this.errors.get(name)}`);
+        }
+        return definition;
+    }
+
+    async replaceInstance(definition) {
+        // Build the replacement first so bad settings leave the running instance alone
+        const replacement = this.pluginLoader.instantiate(definition.type, definition.name, definition.settings);
+
+        if (this.newsBot.getEndpoint(definition.name)) {
+            await this.newsBot.shutdownEndpoint(definition.name);
+            this.newsBot.unregisterEndpoint(definition.name);
+        }
+
+        this.register(replacement, definition);
+        if (this.newsBot.isInitialized) {
+            await this.tryInitialize(replacement);
+        }
+    }
+
+    async tryInitialize(endpoint) {
+        try {
+            await this.newsBot.initializeEndpoint(endpoint);
+            return true;
+        } catch (error) {
+            this.errors.set(endpoint.getName(), error.message);
+            return false;
+        }
+    }
+
+    async initializeEndpoint(name) {
+        const definition = this.getDefinition(name);
+        let endpoint = this.newsBot.getEndpoint(name);
+
+        // Instances that failed to load at boot (e.g. secrets added since) get another try
+        if (!endpoint) {
+            try {
+                endpoint = this.instantiate(definition);
+            } catch (error) {
+                this.errors.set(name, error.message);
+                throw error;
+            }
+        }
+
+        if (!await this.tryInitialize(endpoint)) {
+            throw new Error(this.errors.get(name));
+        }
+
+        endpoint.setEnabled(true);
+        definition.enabled = true;
+        this.save();
+        return endpoint;
+    }
+
+    async shutdownEndpoint(name) {
+        const definition = this.getDefinition(name);
+
+        if (this.newsBot.getEndpoint(name)) {
+            await this.newsBot.shutdownEndpoint(name);
+        }
+
+        definition.enabled = false;
+        this.save();
+        return definition;
+    }
+
+    async removeEndpoint(name) {
+        const definition = this.getDefinition(name);
+
+        if (this.newsBot.getEndpoint(name)) {
+            await this.newsBot.shutdownEndpoint(name);
+            this.newsBot.unregisterEndpoint(name);
+            this.pluginLoader.release(definition.type, name);
+        }
+
+        this.definitions.delete(name);
+        this.errors.delete(name);
+        this.save();
+        this.logger.info(`🔌 Removed endpoint ${name}`);
+    }
+
+    hasEndpoint(name) {
+        return this.definitions.has(name);
+    }
+
+    getDefinition(name) {
+        const definition = this.definitions.get(name);
+        if (!definition) {
+            throw new Error(`Endpoint ${name} not found`);
+        }
+        return definition;
+    }
+
+    getStatus() {
+        return Array.from(this.definitions.values()).map(definition => {
+            const endpoint = this.newsBot.getEndpoint(definition.name);
+            return {
+                name: definition.name,
+                type: definition.type,
+                registered: !!endpoint,
+                enabled: endpoint ? endpoint.isEndpointEnabled() : false,
+                weight: endpoint ? endpoint.getWeight() : definition.weight,
+                schedule: endpoint ? endpoint.getSchedule() : definition.schedule,
+                settings: { ...definition.settings },
+                error: this.errors.get(definition.name) || null
+            };
+        });
+    }
+}
+
+module.exports = EndpointManager;
@@ -0,0 +1,216 @@
+const { EventEmitter } = require('events');
+const CronExpression = require('../utils/CronExpression');
+const EndpointHealth = require('./EndpointHealth');
+const BackoffStrategy = require('./BackoffStrategy');
+
+class EndpointScheduler extends EventEmitter {
+    constructor(endpoint, runHandler, logger, options = {}) {
+        super();
+        this.endpoint = endpoint;
+        this.runHandler = runHandler; // async (endpoint) => { found, message }
+        this.logger = logger;
+
+        this.timer = null;
+        this.isRunning = false;
+        this.isFetching = false;
+
+        // Adaptive backoff - added on top of the endpoint's own cadence
+        const backoff = options.backoff || {};
+        try {
+            this.backoff = BackoffStrategy.create(backoff.strategy || 'linear', backoff);
+        } catch (error) {
+            this.logger.error(`${error.message} - ${endpoint.getName()} falls back to linear backoff`);
+            this.backoff = BackoffStrategy.create('linear', backoff);
+        }
+        this.fallbackIntervalMinutes = options.fallbackIntervalMinutes || 60; // When a cron schedule has no next run
+        this.nextRunAt = null;
+        this.lastRun = null; // { startedAt, finishedAt, outcome, message, itemsFound }
+
+        // Circuit breaker - a failing endpoint is skipped until its cooldown ends
+        this.health = new EndpointHealth(endpoint.getName(), options.health);
+        this.health.on('stateChanged', change => this.onHealthChanged(change));
+
+        this.setSchedule(endpoint.getSchedule());
+    }
+
+    setSchedule(schedule) {
+        this.schedule = { ...schedule };
+        this.cron = schedule.cron ? new CronExpression(schedule.cron) : null;
+
+        // Re-arm the timer so a changed cadence takes effect immediately
+        if (this.isRunning) {
+            this.clearTimer();
+            this.scheduleNext();
+        }
+    }
+
+    start() {
+        if (this.isRunning) {
+            return;
+        }
+
+        this.isRunning = true;
+        this.scheduleNext();
+    }
+
+    stop() {
+        this.isRunning = false;
+        this.clearTimer();
+        this.nextRunAt = null;
+    }
+
+    clearTimer() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+
+    getBaseIntervalMinutes() {
+        return this.cron ? null : this.schedule.intervalMinutes;
+    }
+
+    getBackoffMinutes(now = new Date()) {
+        return this.backoff.getBackoffMinutes(this.getBaseIntervalMinutes(), now);
+    }
+
+    computeNextRunAt(from = new Date()) {
+        const backoffMs = this.getBackoffMinutes(from) * 60 * 1000;
+
+        if (this.cron) {
+            // Cron schedules skip occurrences that fall inside the backoff window
+            return this.cron.getNextDate(new Date(from.getTime() + backoffMs));
+        }
+
+        const intervalMs = this.schedule.intervalMinutes * 60 * 1000;
+        return new Date(from.getTime() + intervalMs + backoffMs);
+    }
+
+    getNextRunAt(from = new Date()) {
+        const nextRunAt = this.computeNextRunAt(from);
+
+        // No point waking up before an open circuit is ready to probe
+        if (this.health.isOpen() && this.health.nextProbeAt > nextRunAt) {
+            return this.cron ? this.cron.getNextDate(this.health.nextProbeAt) : new Date(this.health.nextProbeAt);
+        }
+        return nextRunAt;
+    }
+
+    scheduleNext() {
+        if (!this.isRunning) {
+            return;
+        }
+
+        try {
+            this.nextRunAt = this.getNextRunAt();
+        } catch (error) {
+            // Runs in timer callbacks - a throw here would be an unhandled rejection
+            this.logger.error(`${error.message} - ${this.endpoint.getName()} polls every ${this.fallbackIntervalMinutes} minutes instead`);
+            this.nextRunAt = new Date(Date.now() + this.fallbackIntervalMinutes * 60 * 1000);
+        }
+        const delayMs = Math.max(0, this.nextRunAt.getTime() - Date.now());
+        this.logger.debug(`⏰ Next ${this.endpoint.getName()} fetch at ${this.nextRunAt.toISOString()}`);
+
+        this.timer = setTimeout(() => this.runNow(), delayMs);
+    }
+
+    async runNow() {
+        if (this.isFetching) {
+            this.logger.debug(`${this.endpoint.getName()} fetch already in progress, skipping`);
+            return { outcome: 'busy', message: 'Fetch already in progress', itemsFound: 0 }; // Not recorded - the running fetch reports itself
+        }
+
+        this.clearTimer();
+        this.isFetching = true;
+        const startedAt = new Date();
+
+        try {
+            if (!this.endpoint.isEndpointEnabled()) {
+                this.recordRun(startedAt, 'skipped', 'Endpoint disabled');
+            } else if (!this.health.canAttempt()) {
+                this.recordRun(startedAt, 'skipped', `Circuit open until ${this.health.nextProbeAt.toISOString()}`);
+            } else {
+                const result = await this.runHandler(this.endpoint);
+                this.health.recordSuccess(Date.now() - startedAt.getTime());
+
+                if (result && result.found > 0) {
+                    this.recordRun(startedAt, 'found', result.message, result.found);
+                    this.onNewsFound();
+                } else {
+                    this.recordRun(startedAt, 'empty', (result && result.message) || 'No news found');
+                    this.onNoPostFound();
+                }
+            }
+        } catch (error) {
+            this.health.recordFailure(error, Date.now() - startedAt.getTime());
+            if (!this.health.isOpen()) {
+                this.logger.error(`Error in ${this.endpoint.getName()} poll (${this.health.consecutiveFailures}/${this.health.failureThreshold} failures)`, error);
+            }
+            this.recordRun(startedAt, 'error', error.message);
+            this.onNoPostFound();
+        } finally {
+            this.isFetching = false;
+            this.scheduleNext();
+        }
+
+        return this.lastRun;
+    }
+
+    recordRun(startedAt, outcome, message = null, itemsFound = 0) {
+        this.lastRun = {
+            startedAt: startedAt.toISOString(),
+            finishedAt: new Date().toISOString(),
+            outcome,
+            message,
+            itemsFound
+        };
+        this.emit('run', this.endpoint, this.lastRun);
+    }
+
+    onHealthChanged({ state, reason, nextProbeAt }) {
+        const name = this.endpoint.getName();
+        if (state === 'open') {
+            const lastError = this.health.lastError ? ` Last error: ${this.health.lastError.message}` : '';
+            this.logger.warn(`🔴 ${name} circuit opened (${reason}), skipping until ${nextProbeAt.toISOString()}.${lastError}`);
+        } else if (state === 'half-open') {
+            this.logger.info(`🟡 ${name} circuit half-open, probing`);
+        } else {
+            this.logger.success(`🟢 ${name} circuit closed, endpoint healthy again`);
+        }
+        this.emit('healthChanged', this.endpoint, this.health.getStatus());
+    }
+
+    onNewsFound() {
+        const previous = this.getBackoffMinutes();
+        this.backoff.onNewsFound(this.getBaseIntervalMinutes());
+
+        if (previous !== 0 && this.getBackoffMinutes() < previous) {
+            this.logger.info(`📰 ${this.endpoint.getName()} found news! Backoff now ${this.getBackoffMinutes()} minutes`);
+        }
+    }
+
+    onNoPostFound() {
+        const previous = this.getBackoffMinutes();
+        this.backoff.onEmpty(this.getBaseIntervalMinutes());
+
+        if (this.getBackoffMinutes() > previous) {
+            this.logger.debug(`😴 ${this.endpoint.getName()} returned no news. Backoff now ${this.getBackoffMinutes()} minutes (${this.backoff.name})`);
+        }
+    }
+
+    getStatus() {
+        const baseMinutes = this.getBaseIntervalMinutes();
+        const backoffMinutes = this.getBackoffMinutes();
+        return {
+            schedule: this.cron ? { cron: this.cron.toString() } : { intervalMinutes: this.schedule.intervalMinutes },
+            currentIntervalMinutes: baseMinutes !== null ? baseMinutes + backoffMinutes : null,
+            backoffMinutes,
+            backoff: this.backoff.getStatus(baseMinutes),
+            nextRunAt: this.nextRunAt ? this.nextRunAt.toISOString() : null,
+            isFetching: this.isFetching,
+            lastRun: this.lastRun
+        };
+    }
+}
+
+module.exports = EndpointScheduler;
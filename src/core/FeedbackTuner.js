@@ -0,0 +1,115 @@
+// Turns 👍/👎 reactions on posted news into small, bounded changes to endpoint
+// weights and per-source priorities (Reddit sources)
+class FeedbackTuner {
+    constructor(newsBot, dataManager, config, logger) {
+        this.newsBot = newsBot;
+        this.dataManager = dataManager;
+        this.logger = logger;
+        this.options = config.getFeedbackConfig();
+
+        this.filename = 'feedback.json';
+        this.historyLimit = 200;
+        this.scores = { endpoints: {}, sources: {} }; // endpoint name / source URL -> { up, down }
+        this.history = []; // Oldest first
+        this.load();
+    }
+
+    load() {
+        const saved = this.dataManager.loadJSONData(this.filename, {});
+        this.scores = {
+            endpoints: { ...(saved.scores?.endpoints || {}) },
+            sources: { ...(saved.scores?.sources || {}) }
+        };
+        this.history = Array.isArray(saved.history) ? saved.history.slice(-this.historyLimit) : [];
+    }
+
+    save() {
+        this.dataManager.saveJSONData(this.filename, { scores: this.scores, history: this.history });
+    }
+
+    nudge(current, value) {
+        const { learningRate, minWeight, maxWeight } = this.options;
+        const next = current * Math.exp(learningRate * value);
+
+        // Weights set by hand outside the limits are never pushed further out, nor snapped back in
+        const bounded = Math.min(Math.max(next, Math.min(current, minWeight)), Math.max(current, maxWeight));
+        return Math.round(bounded * 1000) / 1000;
+    }
+
+    tally(scores, key, feedback, extra = {}) {
+        const score = scores[key] || { up: 0, down: 0, ...extra };
+        const field = feedback.vote > 0 ? 'up' : 'down';
+        score[field] = Math.max(0, score[field] + (feedback.removed ? -1 : 1));
+        scores[key] = score;
+    }
+
+    // feedback: { source, sourceUrl, vote: 1 | -1, removed, channelId, title }
+    async apply(feedback) {
+        const endpoint = this.newsBot.getEndpoint(feedback.source);
+        if (!this.options.enabled || !endpoint) {
+            return [];
+        }
+
+        // Taking a reaction back undoes its vote
+        const value = feedback.removed ? -feedback.vote : feedback.vote;
+        const changes = [];
+
+        this.tally(this.scores.endpoints, feedback.source, feedback);
+        const weight = endpoint.getWeight();
+        if (weight > 0) { // Muted endpoints stay muted
+            const next = this.nudge(weight, value);
+            if (next !== weight) {
+                await this.newsBot.endpointManager.updateEndpoint(feedback.source, { weight: next });
+            }
+            changes.push({ type: 'endpoint', target: feedback.source, from: weight, to: next });
+        }
+
+        if (feedback.sourceUrl && typeof endpoint.setSourcePriority === 'function') {
+            this.tally(this.scores.sources, feedback.sourceUrl, feedback, { endpoint: feedback.source });
+            const priority = endpoint.getSourcePriority(feedback.sourceUrl);
+            const next = this.nudge(priority, value);
+            if (next === priority || endpoint.setSourcePriority(feedback.sourceUrl, next)) {
+                changes.push({ type: 'source', target: feedback.sourceUrl, from: priority, to: next });
+            }
+        }
+
+        this.history.push({
+            at: new Date().toISOString(),
+            title: feedback.title || null,
+            channelId: feedback.channelId || null,
+            vote: feedback.vote > 0 ? 'up' : 'down',
+            removed: !!feedback.removed,
+            changes
+        });
+        this.history = this.history.slice(-this.historyLimit);
+        this.save();
+
+        const summary = changes.map(change => `${change.target} ${change.from} → ${change.to}`).join(', ');
+        this.logger.info(`${feedback.vote > 0 ? '👍' : '👎'} Feedback${feedback.removed ? ' withdrawn' : ''} on ${feedback.source}: ${summary || 'no change'}`);
+        return changes;
+    }
+
+    getStatus() {
+        const endpoints = Object.entries(this.scores.endpoints).map(([name, score]) => {
+            const endpoint = this.newsBot.getEndpoint(name);
+            return { name, ...score, weight: endpoint ? endpoint.getWeight() : null };
+        });
+
+        const sources = Object.entries(this.scores.sources).map(([url, score]) => {
+            const endpoint = this.newsBot.getEndpoint(score.endpoint);
+            return { url, ...score, priority: endpoint && endpoint.getSourcePriority ? endpoint.getSourcePriority(url) : null };
+        });
+
+        return {
+            enabled: this.options.enabled,
+            learningRate: this.options.learningRate,
+            minWeight: this.options.minWeight,
+            maxWeight: this.options.maxWeight,
+            endpoints,
+            sources,
+            history: this.history.slice(-50).reverse()
+        };
+    }
+}
+
+module.exports = FeedbackTuner;
@@ -0,0 +1,92 @@
+// Items that arrived while a channel was outside its posting window, kept until the window opens
+class HoldQueue {
+    constructor(dataManager, options = {}) {
+        this.dataManager = dataManager;
+        this.filename = options.filename || 'held_items.json';
+        this.maxPerChannel = options.maxPerChannel || 100;
+
+        this.channels = new Map(); // channelId -> [{ item, heldAt, storyId? }]
+        this.load();
+    }
+
+    load() {
+        const saved = this.dataManager.loadJSONData(this.filename, {});
+        this.channels.clear();
+
+        Object.entries(saved && typeof saved === 'object' ? saved : {}).forEach(([channelId, entries]) => {
+            const valid = (Array.isArray(entries) ? entries : []).filter(entry => entry && entry.item && entry.item.title);
+            if (valid.length > 0) {
+                this.channels.set(channelId, valid);
+            }
+        });
+    }
+
+    save() {
+        this.dataManager.saveJSONData(this.filename, Object.fromEntries(this.channels));
+    }
+
+    // Story updates keep their story ID so they can be released into the story's own post
+    hold(channelId, item, storyId = null) {
+        const entries = this.channels.get(channelId) || [];
+        if (entries.some(entry => entry.item.source === item.source && entry.item.id === item.id)) {
+            return false;
+        }
+
+        const entry = { item, heldAt: new Date().toISOString() };
+        if (storyId) {
+            entry.storyId = storyId;
+        }
+        entries.push(entry);
+        // Keep the newest items when a channel has been quiet for a long time
+        if (entries.length > this.maxPerChannel) {
+            entries.splice(0, entries.length - this.maxPerChannel);
+        }
+
+        this.channels.set(channelId, entries);
+        this.save();
+        return true;
+    }
+
+    peek(channelId) {
+        return [...(this.channels.get(channelId) || [])];
+    }
+
+    take(channelId) {
+        const entries = this.channels.get(channelId) || [];
+        if (this.channels.delete(channelId)) {
+            this.save();
+        }
+        return entries;
+    }
+
+    restore(channelId, entries) {
+        // Put back items that failed to send, ahead of anything held since
+        this.channels.set(channelId, [...entries, ...(this.channels.get(channelId) || [])].slice(-this.maxPerChannel));
+        this.save();
+    }
+
+    getChannelIds() {
+        return Array.from(this.channels.keys());
+    }
+
+    size(channelId = null) {
+        if (channelId) {
+            return (this.channels.get(channelId) || []).length;
+        }
+        return Array.from(this.channels.values()).reduce((total, entries) => total + entries.length, 0);
+    }
+
+    getStatus() {
+        const status = {};
+        this.channels.forEach((entries, channelId) => {
+            status[channelId] = {
+                count: entries.length,
+                oldest: entries[0].heldAt,
+                items: entries.map(entry => ({ source: entry.item.source, title: entry.item.title, heldAt: entry.heldAt }))
+            };
+        });
+        return status;
+    }
+}
+
+module.exports = HoldQueue;
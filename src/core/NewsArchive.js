@@ -0,0 +1,193 @@
+// Everything the bot actually posted, with where it went, kept for searching after the fact
+class NewsArchive {
+    constructor(dataManager, options = {}) {
+        this.dataManager = dataManager;
+        this.filename = options.filename || 'archive.json';
+
+        this.options = {
+            enabled: options.enabled !== false,
+            retentionDays: options.retentionDays === undefined ? 90 : options.retentionDays // 0 keeps items forever
+        };
+
+        this.entries = new Map(); // source:id -> archive entry
+        this.searchText = new Map(); // source:id -> lowercased text searched by queries
+        this.lastPrunedAt = 0;
+        this.load();
+    }
+
+    static keyFor(item) {
+        return `${item.source}:${item.id}`;
+    }
+
+    static tokenize(query) {
+        // Quoted phrases stay together: senate "budget bill"
+        const terms = [];
+        String(query || '').toLowerCase().replace(/"([^"]+)"|(\S+)/g, (match, phrase, word) => {
+            terms.push((phrase || word).trim());
+            return match;
+        });
+        return terms.filter(Boolean);
+    }
+
+    load() {
+        const saved = this.dataManager.loadJSONData(this.filename, []);
+        this.entries.clear();
+        this.searchText.clear();
+
+        (Array.isArray(saved) ? saved : []).forEach(entry => {
+            if (entry && entry.key && entry.title) {
+                this.index(entry);
+            }
+        });
+
+        this.prune();
+    }
+
+    save() {
+        this.dataManager.saveJSONData(this.filename, Array.from(this.entries.values()));
+    }
+
+    index(entry) {
+        this.entries.set(entry.key, entry);
+        this.searchText.set(entry.key, [entry.title, entry.description, entry.details, entry.url, ...(entry.tags || [])]
+            .filter(Boolean)
+            .join('\n')
+            .toLowerCase());
+    }
+
+    record(item, deliveries) {
+        if (!this.options.enabled || deliveries.length === 0) {
+            return null;
+        }
+
+        const key = NewsArchive.keyFor(item);
+        const existing = this.entries.get(key);
+        const messages = [...(existing ? existing.messages : []), ...deliveries];
+
+        // The same item can reach different channels at different times (quiet hours, digests)
+        const entry = {
+            key,
+            id: item.id,
+            source: item.source,
+            title: item.title,
+            url: item.url,
+            description: item.description || null,
+            details: item.details || null,
+            metadata: item.metadata || {},
+            tags: item.tags || [],
+            priority: item.priority || 1,
+            publishedAt: item.publishedAt || item.timestamp || null,
+            postedAt: existing ? existing.postedAt : new Date().toISOString(),
+            channels: Array.from(new Set(messages.map(message => message.channelId))),
+            messages
+        };
+
+        this.index(entry);
+        this.prune();
+        this.save();
+        return entry;
+    }
+
+    get(key) {
+        return this.entries.get(key) || null;
+    }
+
+    findByMessage(messageId) {
+        for (const entry of this.entries.values()) {
+            if (entry.messages.some(message => message.messageId === messageId)) {
+                return entry;
+            }
+        }
+        return null;
+    }
+
+    // Latest posted entry for a link, e.g. the story a rejected duplicate matched
+    findByUrl(url, source = null) {
+        let found = null;
+        for (const entry of this.entries.values()) {
+            if (entry.url === url && (!source || entry.source === source) && (!found || entry.postedAt > found.postedAt)) {
+                found = entry;
+            }
+        }
+        return found;
+    }
+
+    search(filters = {}) {
+        const terms = NewsArchive.tokenize(filters.q);
+        const from = filters.from ? new Date(filters.from).getTime() : null;
+        const to = filters.to ? new Date(filters.to).getTime() : null;
+        const limit = Math.min(parseInt(filters.limit, 10) || 25, 200);
+        const offset = Math.max(parseInt(filters.offset, 10) || 0, 0);
+
+        const matches = Array.from(this.entries.values())
+            .filter(entry => {
+                const postedAt = new Date(entry.postedAt).getTime();
+                if (filters.source && entry.source !== filters.source) return false;
+                if (filters.channel && !entry.channels.includes(filters.channel)) return false;
+                if (Number.isFinite(from) && postedAt < from) return false;
+                if (Number.isFinite(to) && postedAt > to) return false;
+
+                const text = this.searchText.get(entry.key);
+                return terms.every(term => text.includes(term));
+            })
+            .sort((a, b) => new Date(b.postedAt) - new Date(a.postedAt));
+
+        return {
+            total: matches.length,
+            offset,
+            limit,
+            results: matches.slice(offset, offset + limit)
+        };
+    }
+
+    prune(force = false) {
+        // Pruning walks the whole archive, so do it at most hourly
+        const now = Date.now();
+        if (!this.options.retentionDays || (!force && now - this.lastPrunedAt < 60 * 60 * 1000)) {
+            return 0;
+        }
+        this.lastPrunedAt = now;
+
+        const cutoff = now - this.options.retentionDays * 24 * 60 * 60 * 1000;
+        let removed = 0;
+        for (const [key, entry] of this.entries.entries()) {
+            if (new Date(entry.postedAt).getTime() < cutoff) {
+                this.entries.delete(key);
+                this.searchText.delete(key);
+                removed++;
+            }
+        }
+
+        if (removed > 0) {
+            this.save();
+        }
+        return removed;
+    }
+
+    clear() {
+        this.entries.clear();
+        this.searchText.clear();
+        this.save();
+    }
+
+    getStatus() {
+        const sources = {};
+        let oldest = null;
+        this.entries.forEach(entry => {
+            sources[entry.source] = (sources[entry.source] || 0) + 1;
+            if (!oldest || entry.postedAt < oldest) {
+                oldest = entry.postedAt;
+            }
+        });
+
+        return {
+            enabled: this.options.enabled,
+            retentionDays: this.options.retentionDays,
+            size: this.entries.size,
+            oldest,
+            sources
+        };
+    }
+}
+
+module.exports = NewsArchive;
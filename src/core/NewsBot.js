@@ -1,4 +1,17 @@
 const { EventEmitter } = require('events');
+const EndpointScheduler = require('./EndpointScheduler');
+const PostQueue = require('./PostQueue');
+const NewsPipeline = require('../pipeline/NewsPipeline');
+const PluginLoader = require('./PluginLoader');
+const EndpointManager = require('./EndpointManager');
+const ChannelSettings = require('./ChannelSettings');
+const HoldQueue = require('./HoldQueue');
+const NewsArchive = require('./NewsArchive');
+const FeedbackTuner = require('./FeedbackTuner');
+const StoryTracker = require('./StoryTracker');
+const NotifierManager = require('../notifiers/NotifierManager');
+const CommandManager = require('../commands/CommandManager');
+const DigestFormatter = require('../utils/DigestFormatter');
 
 class NewsBot extends EventEmitter {
     constructor(config, dataManager, discordService, logger) {
@@ -9,31 +22,86 @@ class NewsBot extends EventEmitter {
         this.logger = logger;
         
         this.endpoints = new Map();
-        this.newsInterval = null;
+        this.schedulers = new Map(); // endpointName -> EndpointScheduler
         this.isRunning = false;
+        this.isInitialized = false;
         
-        // Adaptive interval system
+        // Adaptive interval system - each endpoint backs off independently
         this.baseIntervalMinutes = config.getIntervalMinutes();
-        this.currentIntervalMinutes = this.baseIntervalMinutes;
-        this.maxIntervalMinutes = 60; // 1 hour max
-        this.intervalIncrementSeconds = 30; // 30 seconds increment
+        this.maxIntervalMinutes = config.getBackoffConfig().maxMinutes;
         this.lastSuccessfulPost = Date.now();
         
+        // Endpoints feed a ranked queue that is drained at a steady rate
+        this.postQueue = new PostQueue(dataManager, config.getQueueConfig());
+        this.postQueue.on('pruned', ({ title, source, reason }) => {
+            this.logger.warn(`🗑️ Dropped unposted "${title}" from ${source}: ${reason}`);
+        });
+        this.postIntervalMinutes = config.getPostIntervalMinutes();
+        this.postTimer = null;
+        this.nextPostAt = null;
+        
+        // Every item passes the news pipeline (filters, enrichers, dedup) before sendNews()
+        this.pipeline = new NewsPipeline(config, dataManager, logger);
+        this.deduplication = this.pipeline.getSharedStage('dedup');
+        
+        // Endpoint classes are discovered as plugins rather than hardcoded, and
+        // instances can be created, reconfigured and removed while the bot runs
+        this.pluginLoader = new PluginLoader(config, dataManager, logger);
+        this.endpointManager = new EndpointManager(this, this.pluginLoader, dataManager, config, logger);
+        
+        // Channels can have posting windows; news arriving during quiet hours is held until they open
+        this.channelSettings = new ChannelSettings(config, dataManager);
+        this.holdQueue = new HoldQueue(dataManager);
+        this.releaseTimer = null;
+        
+        // Digest channels collect items into a scheduled roundup instead
+        this.digestQueue = new HoldQueue(dataManager, { filename: 'digest_items.json', maxPerChannel: 500 });
+        
+        // Every posted item is archived with the Discord messages it became
+        this.archive = new NewsArchive(dataManager, config.getArchiveConfig());
+        
+        // Updates of an evolving story (a bill's progress) edit or reply to its first post
+        this.stories = new StoryTracker(dataManager);
+        
+        // 👍/👎 reactions on posted news slowly tune endpoint and source weights
+        this.feedbackTuner = new FeedbackTuner(this, dataManager, config, logger);
+        
+        // Outputs besides Discord (Slack, Matrix, webhooks)
+        this.notifierManager = new NotifierManager(config, dataManager, logger);
+        this.notifications = new Set(); // Notifier deliveries still running, retries included
+        
+        // Slash commands get the bot for endpoints and channel settings
+        this.commandManager = new CommandManager(config, logger, { bot: this, discord: discordService });
+        
+        // All endpoints post through one serialized output path
+        this.sendChain = Promise.resolve();
+        
         this.setupEventHandlers();
     }
 
     setupEventHandlers() {
         // Discord service events
-        this.discordService.on('ready', () => {
+        this.discordService.on('ready', async () => {
             this.emit('discordReady');
+            await this.commandManager.register(this.discordService.client);
         });
 
-        this.discordService.on('asteroidRequest', async (message) => {
-            await this.handleAsteroidRequest(message);
+        this.discordService.on('interaction', (interaction) => {
+            this.commandManager.handle(interaction).catch(error => this.logger.error('Error handling interaction', error));
+        });
+
+        this.discordService.on('channelRemoved', (channelId) => {
+            // Nothing should be posted to the channel later, so drop what was waiting for it
+            const held = this.holdQueue.take(channelId).length + this.digestQueue.take(channelId).length;
+            this.channelSettings.clear(channelId);
+            this.stories.forgetChannel(channelId);
+            if (held > 0) {
+                this.logger.info(`Dropped ${held} held items for removed channel ${channelId}`);
+            }
         });
 
-        this.discordService.on('congressRequest', async (message) => {
-            await this.handleCongressRequest(message);
+        this.discordService.on('feedback', (feedback) => {
+            this.feedbackTuner.apply(feedback).catch(error => this.logger.error('Error applying reaction feedback', error));
         });
 
         this.discordService.on('error', (error) => {
@@ -56,20 +124,51 @@ class NewsBot extends EventEmitter {
         // Initialize Discord service
         await this.discordService.initialize();
         
+        // Start the other notifiers - one failing doesn't stop the bot
+        await this.notifierManager.loadAll();
+        
+        // Set up pipeline stages (loads the shared embedding model for dedup)
+        await this.pipeline.initialize();
+        
         // Initialize all endpoints
         for (const endpoint of this.endpoints.values()) {
             try {
-                await endpoint.initialize();
-                this.logger.info(`Initialized endpoint: ${endpoint.getName()}`);
+                await this.initializeEndpoint(endpoint);
             } catch (error) {
-                this.logger.error(`Failed to initialize endpoint ${endpoint.getName()}`, error);
-                endpoint.setEnabled(false);
+                // Already logged - the endpoint stays registered but disabled
             }
         }
 
+        this.isInitialized = true;
         this.logger.success('NewsBot initialized successfully');
     }
 
+    async initializeEndpoint(endpoint) {
+        try {
+            await endpoint.initialize();
+            this.logger.info(`Initialized endpoint: ${endpoint.getName()}`);
+        } catch (error) {
+            this.logger.error(`Failed to initialize endpoint ${endpoint.getName()}`, error);
+            endpoint.setEnabled(false);
+            throw error;
+        }
+    }
+
+    async shutdownEndpoint(endpointName) {
+        const endpoint = this.endpoints.get(endpointName);
+        if (!endpoint) {
+            return;
+        }
+
+        endpoint.setEnabled(false);
+        try {
+            await endpoint.shutdown();
+            this.logger.info(`Shut down endpoint: ${endpointName}`);
+        } catch (error) {
+            this.logger.error(`Error shutting down endpoint ${endpointName}`, error);
+        }
+    }
+
     registerEndpoint(endpoint) {
         if (this.endpoints.has(endpoint.getName())) {
             throw new Error(`Endpoint ${endpoint.getName()} already registered`);
@@ -87,19 +186,72 @@ class NewsBot extends EventEmitter {
         endpoint.setEnabled(endpointConfig.enabled.includes(endpoint.getName()));
         endpoint.setWeight(endpointConfig.weights[endpoint.getName()] || 1);
 
+        // Testing mode polls everything at the shortened test interval
+        const schedule = this.config.isTesting()
+            ? { intervalMinutes: this.baseIntervalMinutes }
+            : this.config.getEndpointSchedule(endpoint.getName());
+        if (schedule) {
+            endpoint.setSchedule(schedule);
+        }
+
+        this.createScheduler(endpoint);
+
         this.emit('endpointAdded', endpoint);
         this.logger.info(`Registered endpoint: ${endpoint.getName()}`);
     }
 
+    loadPlugins() {
+        const plugins = this.endpointManager.loadAll();
+        this.logger.info(`🔌 Discovered ${plugins.length} endpoint plugins, ${this.endpoints.size} registered`);
+        return plugins;
+    }
+
     unregisterEndpoint(endpointName) {
         const endpoint = this.endpoints.get(endpointName);
         if (endpoint) {
+            const scheduler = this.schedulers.get(endpointName);
+            if (scheduler) {
+                scheduler.stop();
+                this.schedulers.delete(endpointName);
+            }
             endpoint.removeAllListeners();
             this.endpoints.delete(endpointName);
             this.emit('endpointRemoved', endpointName);
         }
     }
 
+    createScheduler(endpoint) {
+        const scheduler = new EndpointScheduler(endpoint, ep => this.pollEndpoint(ep), this.logger, {
+            backoff: this.config.getBackoffConfig(endpoint.getName()),
+            health: this.config.getHealthConfig(),
+            fallbackIntervalMinutes: this.config.getIntervalMinutes()
+        });
+
+        endpoint.on('scheduleChanged', (schedule) => {
+            scheduler.setSchedule(schedule);
+        });
+
+        scheduler.on('run', (runEndpoint, lastRun) => {
+            this.emit('endpointPolled', runEndpoint, lastRun);
+        });
+
+        scheduler.on('healthChanged', (changedEndpoint, health) => {
+            this.emit('endpointHealthChanged', changedEndpoint, health);
+        });
+
+        this.schedulers.set(endpoint.getName(), scheduler);
+
+        if (this.isRunning) {
+            scheduler.start();
+        }
+
+        return scheduler;
+    }
+
+    getScheduler(name) {
+        return this.schedulers.get(name);
+    }
+
     getEndpoint(name) {
         return this.endpoints.get(name);
     }
@@ -108,209 +260,551 @@ class NewsBot extends EventEmitter {
         return Array.from(this.endpoints.values()).filter(endpoint => endpoint.isEndpointEnabled());
     }
 
-    selectRandomEndpoint() {
+    async fetchNews() {
         const enabledEndpoints = this.getEnabledEndpoints();
         if (enabledEndpoints.length === 0) {
-            return null;
+            this.logger.warn('No enabled endpoints available');
+            return 0;
         }
 
-        // Weighted random selection
-        const totalWeight = enabledEndpoints.reduce((sum, endpoint) => sum + endpoint.getWeight(), 0);
-        let random = Math.random() * totalWeight;
+        // Collect candidates from every endpoint at once - the queue decides what posts first
+        const runs = await Promise.all(enabledEndpoints.map(endpoint => {
+            const scheduler = this.schedulers.get(endpoint.getName());
+            return scheduler.runNow();
+        }));
+
+        const queued = runs
+            .filter(run => run && run.outcome === 'found')
+            .reduce((sum, run) => sum + run.itemsFound, 0);
+        this.logger.debug(`🔍 Collection cycle queued ${queued} new items (${this.postQueue.size()} waiting)`);
+        return queued;
+    }
 
-        for (const endpoint of enabledEndpoints) {
-            random -= endpoint.getWeight();
-            if (random <= 0) {
-                return endpoint;
-            }
+    formatMessage(newsItem, channelId = null) {
+        if (channelId && !this.channelSettings.get(channelId).embeds) {
+            return this.discordService.formatPlainText(newsItem);
         }
 
-        // Fallback to first enabled endpoint
-        return enabledEndpoints[0];
+        // Endpoints style their own embeds; items from removed endpoints get the default look
+        const endpoint = this.getEndpoint(newsItem.source);
+        return this.discordService.formatItem(newsItem, endpoint ? endpoint.buildEmbed(newsItem) : undefined);
     }
 
-    async fetchNews() {
-        const enabledEndpoints = this.getEnabledEndpoints();
-        if (enabledEndpoints.length === 0) {
-            this.logger.warn('No enabled endpoints available');
-            return null;
+    async sendNews(newsItem) {
+        const { deliveries, held } = await this.sendToDiscord(newsItem);
+        deliveries.forEach(({ item, sent }) => this.discordService.trackMessages(item, sent));
+        deliveries.forEach(({ item, sent }) => this.archive.record(item, sent));
+
+        const success = deliveries.length > 0;
+        if (success) {
+            this.emit('newsSent', newsItem, deliveries.flatMap(delivery => delivery.sent));
+        }
+        if (held) {
+            this.emit('newsHeld', newsItem);
         }
 
-        // Try all endpoints in random order until we find news
-        const shuffledEndpoints = [...enabledEndpoints].sort(() => 0.5 - Math.random());
-        
-        for (const endpoint of shuffledEndpoints) {
-            this.logger.debug(`Trying to fetch news from ${endpoint.getName()}`);
-            
-            try {
-                const newsItem = await endpoint.fetchUpdate();
-                if (newsItem) {
-                    this.logger.info(`📰 News fetched from ${endpoint.getName()}: ${newsItem.title.substring(0, 50)}...`);
-                    this.emit('newsFetched', newsItem, endpoint);
-                    return newsItem;
+        // Slack, Matrix and webhook targets get the same feed, filtered by their own subscriptions.
+        // Their retries can wait out a Retry-After, so the next Discord post doesn't wait for them
+        const notifying = this.notifierManager.hasTargetsFor(newsItem);
+        if (notifying) {
+            this.notifyOthers(newsItem, !success);
+        }
+
+        // A held item counts as handled - it is released with the channel's catch-up or digest.
+        // So does one handed to the notifiers, which log and count their own failures
+        return success || held || notifying;
+    }
+
+    notifyOthers(newsItem, announce) {
+        const notification = this.notifierManager.notify(newsItem)
+            .then(notified => {
+                const sent = notified.flatMap(({ notifier, receipts }) =>
+                    receipts.map(receipt => ({ channelId: `${notifier}:${receipt.targetId}`, messageId: receipt.messageId })));
+                this.archive.record(newsItem, sent);
+                if (announce && sent.length > 0) {
+                    this.emit('newsSent', newsItem, sent);
                 }
-                this.logger.debug(`No news found from ${endpoint.getName()}`);
-            } catch (error) {
-                this.logger.error(`Error fetching news from ${endpoint.getName()}`, error);
-                continue; // Try the next endpoint
+            })
+            .catch(error => this.logger.error(`Error notifying about "${newsItem.title}"`, error))
+            .finally(() => this.notifications.delete(notification));
+        this.notifications.add(notification);
+        return notification;
+    }
+
+    async sendToDiscord(newsItem) {
+        if (this.discordService.getDeliveryChannelIds().length === 0) {
+            if (!this.notifierManager.hasNotifiers()) {
+                this.logger.warn('No target channels configured');
             }
+            return { deliveries: [], held: false };
         }
 
-        // If we get here, all endpoints have been tried and returned nothing
-        this.logger.debug('🔍 All endpoints checked - no news found');
-        return null;
-    }
+        // Only channels subscribed to the item and under their hourly limit
+        const channelIds = this.discordService.getDeliveryChannelIds(newsItem);
+        if (channelIds.length === 0) {
+            this.logger.debug(`No channel can take "${newsItem.title}" right now`);
+            return { deliveries: [], held: false };
+        }
 
-    async sendNews(newsItem) {
-        let messageContent = newsItem.title;
-        
-        // Add description if available
-        if (newsItem.description && newsItem.description.trim()) {
-            messageContent += `\n\n${newsItem.description}`;
+        const directSent = [];
+        const deliveries = []; // { item, sent: [{ channelId, messageId }] }
+        const delivered = []; // Channel pipeline results - remembered after the loop, or the next channel's dedup would match the item against itself
+        const story = newsItem.story ? this.stories.addUpdate(newsItem) : null;
+        let held = false;
+
+        for (const channelId of channelIds) {
+            // Channels with their own stages may drop or reshape the item
+            const result = this.pipeline.hasChannelStages(channelId)
+                ? await this.pipeline.processForChannel(newsItem, channelId)
+                : null;
+            if (result && !result.item) continue;
+
+            const item = result ? result.item : newsItem;
+            const storyMessage = story ? this.stories.getMessage(story.storyId, channelId) : null;
+            const editsInPlace = storyMessage && this.channelSettings.get(channelId).storyUpdates === 'edit';
+            if (this.channelSettings.isDigest(channelId)) {
+                this.digestQueue.hold(channelId, item, story ? story.storyId : null);
+                held = true;
+                if (result) delivered.push(result);
+                continue;
+            }
+
+            // Editing an earlier post notifies nobody, so it doesn't wait for the posting window
+            if (!editsInPlace && !this.channelSettings.isOpen(channelId) && !this.channelSettings.canBypass(channelId, item)) {
+                if (this.holdQueue.hold(channelId, item, story ? story.storyId : null)) {
+                    this.logger.debug(`🌙 Holding "${item.title}" for channel ${channelId} until its posting window opens`);
+                }
+                held = true;
+                if (result) delivered.push(result);
+                continue;
+            }
+
+            const sent = story
+                ? await this.postStory(item, story, channelId, storyMessage)
+                : await this.discordService.postToChannels(this.formatMessage(item, channelId), [channelId]);
+            if (sent.length > 0) {
+                // Edits don't count toward the channel's hourly limit; replies in a story's thread need no thread of their own
+                const isNewMessage = !storyMessage || sent[0].messageId !== storyMessage.messageId;
+                if (isNewMessage) {
+                    this.discordService.recordPost(channelId);
+                }
+                if (isNewMessage && !sent[0].threadId) {
+                    await this.openDiscussion(channelId, item, sent[0]);
+                    if (story && sent[0].threadId) {
+                        this.stories.recordMessage(story.storyId, channelId, { threadId: sent[0].threadId });
+                    }
+                }
+                if (result) {
+                    deliveries.push({ item, sent });
+                    delivered.push(result);
+                } else {
+                    directSent.push(...sent);
+                }
+            }
         }
-        
-        // Add details if available
-        if (newsItem.details) {
-            messageContent += `\n\n${newsItem.details}`;
+
+        if (delivered.length > 0) {
+            await this.pipeline.markDelivered(...delivered);
         }
-        
-        // Add URL at the end (Discord will auto-embed)
-        messageContent += `\n\nURL: ${newsItem.url}`;
 
-        const success = await this.discordService.sendToChannels(messageContent);
-        if (success) {
-            this.emit('newsSent', newsItem);
+        // Channels without their own stages share one archive entry for the unmodified item
+        if (directSent.length > 0) {
+            deliveries.push({ item: newsItem, sent: directSent });
+        }
+        return { deliveries, held };
+    }
+
+    // Posts a story item the way the channel shows story updates: edit the first post,
+    // reply in its thread, or post again. The first post, or one whose message is gone, is posted normally
+    async postStory(item, story, channelId, storyMessage) {
+        const mode = this.channelSettings.get(channelId).storyUpdates;
+
+        if (storyMessage && mode === 'edit') {
+            const message = this.stories.withTimeline(this.formatMessage(item, channelId), story);
+            if (await this.discordService.editMessage(channelId, storyMessage.messageId, message)) {
+                this.logger.info(`✏️ Updated "${story.title}" in place in channel ${channelId}`);
+                return [{ channelId, messageId: storyMessage.messageId, threadId: storyMessage.threadId || undefined }];
+            }
+        } else if (storyMessage && mode === 'thread') {
+            const reply = await this.discordService.replyInThread(channelId, storyMessage.messageId, storyMessage.threadId, this.formatMessage(item, channelId), story.title);
+            if (reply) {
+                this.stories.recordMessage(story.storyId, channelId, { threadId: reply.threadId });
+                return [reply];
+            }
+        }
+
+        const sent = await this.discordService.postToChannels(this.stories.withTimeline(this.formatMessage(item, channelId), story), [channelId]);
+        if (sent.length > 0) {
+            this.stories.recordMessage(story.storyId, channelId, { messageId: sent[0].messageId, threadId: null });
         }
-        return success;
+        return sent;
     }
 
-    async handleAsteroidRequest(message) {
-        const asteroidEndpoint = this.getEndpoint('asteroid');
-        if (!asteroidEndpoint) {
-            await message.channel.send('Asteroid endpoint not available.');
+    // Channels with discussion threads get one on every news message; the thread ID is kept on the delivery
+    async openDiscussion(channelId, item, delivery) {
+        const settings = this.channelSettings.get(channelId);
+        if (!settings.threads) {
             return;
         }
 
-        try {
-            const asteroids = await asteroidEndpoint.getAllAsteroidsForCommand();
-            if (asteroids.length > 0) {
-                await message.channel.send("The following asteroids are approaching Earth and have been labeled Potentially Hazardous by NASA:");
-                
-                for (const asteroid of asteroids.slice(0, 5)) { // Limit to 5 to avoid spam
-                    const messageContent = `**Name**: ${asteroid.name}
-**NASA URL**: ${asteroid.nasa_jpl_url}
-**Estimated Diameter (max)**: ${asteroid.estimated_diameter.miles.estimated_diameter_max.toFixed(2)} miles
-**Close Approach Date**: ${asteroid.close_approach_data[0].close_approach_date_full}
-**Relative Velocity**: ${parseFloat(asteroid.close_approach_data[0].relative_velocity.miles_per_hour).toLocaleString()} mph
-**Miss Distance**: ${parseFloat(asteroid.close_approach_data[0].miss_distance.miles).toLocaleString()} miles`;
-                    await message.channel.send(messageContent);
+        const threadId = await this.discordService.openThread(channelId, delivery.messageId, item.title, settings.threadArchiveMinutes);
+        if (threadId) {
+            delivery.threadId = threadId;
+        }
+    }
+
+    // A rejected duplicate goes to the discussion threads of the story it matched, as related coverage
+    async postRelatedCoverage(newsItem, duplicate) {
+        const original = this.archive.findByUrl(duplicate.matched.url, duplicate.matched.source);
+        if (!original || original.url === newsItem.url) {
+            return 0;
+        }
+
+        // Only threads in channels that still want threads and would have taken the item
+        const threads = original.messages.filter(({ channelId, threadId }) => threadId &&
+            this.discordService.channels.has(channelId) &&
+            this.channelSettings.get(channelId).threads &&
+            this.discordService.channels.matches(channelId, newsItem));
+
+        let posted = 0;
+        for (const { threadId } of threads) {
+            if (await this.discordService.sendToThread(threadId, `🔗 Related coverage from ${newsItem.source}: **${newsItem.title}**\n${newsItem.url}`)) {
+                posted++;
+            }
+        }
+
+        if (posted > 0) {
+            this.logger.info(`🔗 Added "${newsItem.title}" to ${posted} threads of "${original.title}"`);
+        }
+        return posted;
+    }
+
+    async releaseHeldItems(options = {}) {
+        return this.flushChannels(this.holdQueue, options, (channelId, entries) => {
+            const settings = this.channelSettings.get(channelId);
+            const items = entries.map(entry => entry.item);
+            const asDigest = settings.release === 'digest' || items.length > settings.catchUpLimit;
+
+            const messages = asDigest
+                ? this.formatDigest(items, `🌅 ${items.length} stories from quiet hours`)
+                : items.map(item => this.formatMessage(item, channelId));
+            return { messages, perItem: !asDigest, summary: `${items.length} held items${asDigest ? ' as a digest' : ''}` };
+        });
+    }
+
+    async postDueDigests(options = {}) {
+        const now = new Date();
+        return this.flushChannels(this.digestQueue, {
+            ...options,
+            // A digest is due once its schedule has fired since the oldest item was collected,
+            // so a restart mid-period still posts at the next scheduled time
+            isDue: channelId => this.channelSettings.getDigestSchedule(channelId)
+                .getNextDate(new Date(this.digestQueue.peek(channelId)[0].heldAt)) <= now
+        }, (channelId, entries) => {
+            const items = entries.map(entry => entry.item);
+            return { messages: this.formatDigest(items, `📰 News roundup - ${items.length} stories`), summary: `a digest of ${items.length} items` };
+        });
+    }
+
+    async flushChannels(queue, options, buildMessages) {
+        const deliveryChannels = this.discordService.getDeliveryChannelIds();
+        const channelIds = options.channelId ? [options.channelId] : queue.getChannelIds();
+        let released = 0;
+
+        for (const channelId of channelIds) {
+            if (queue.size(channelId) === 0) continue;
+
+            if (!deliveryChannels.includes(channelId)) {
+                const dropped = queue.take(channelId);
+                this.logger.warn(`Dropped ${dropped.length} held items for channel ${channelId} (no longer a delivery channel)`);
+                continue;
+            }
+
+            if (!options.force && (!this.channelSettings.isOpen(channelId) || (options.isDue && !options.isDue(channelId)))) continue;
+
+            const entries = queue.take(channelId);
+            // Story updates go to their story's post (edit, thread reply or repost) rather than the catch-up
+            const storyEntries = entries.filter(entry => entry.storyId && this.stories.get(entry.storyId));
+            const newsEntries = entries.filter(entry => !storyEntries.includes(entry));
+            const failed = [];
+            const releasedItems = [];
+
+            if (newsEntries.length > 0) {
+                const { messages, perItem, summary } = buildMessages(channelId, newsEntries);
+                const sent = await this.queueMessages(channelId, messages);
+                if (sent) {
+                    // Catch-up posts map one message per item; digest items share the digest's messages
+                    if (perItem) {
+                        for (const [index, entry] of newsEntries.entries()) {
+                            await this.openDiscussion(channelId, entry.item, sent[index]);
+                            this.discordService.trackMessages(entry.item, [sent[index]]);
+                        }
+                    }
+                    newsEntries.forEach((entry, index) => this.archive.record(entry.item, perItem ? [sent[index]] : sent));
+                    releasedItems.push(...newsEntries.map(entry => entry.item));
+                    this.logger.info(`🌅 Posted ${summary} to channel ${channelId}`);
+                } else {
+                    failed.push(...newsEntries);
                 }
-                
-                if (asteroids.length > 5) {
-                    await message.channel.send(`... and ${asteroids.length - 5} more asteroids.`);
+            }
+
+            for (const entry of storyEntries) {
+                if (await this.queueStoryUpdate(channelId, entry)) {
+                    releasedItems.push(entry.item);
+                } else {
+                    failed.push(entry);
                 }
-            } else {
-                await message.channel.send("No potentially hazardous asteroids found...for now.");
             }
-        } catch (error) {
-            this.logger.error('Error handling asteroid request', error);
-            await message.channel.send('Error fetching asteroid data.');
+
+            if (failed.length > 0) {
+                queue.restore(channelId, entries.filter(entry => failed.includes(entry)));
+            }
+            if (releasedItems.length > 0) {
+                released += releasedItems.length;
+                this.emit('heldItemsReleased', channelId, releasedItems);
+            }
         }
+        return released;
     }
 
-    async handleCongressRequest(message) {
-        const congressEndpoint = this.getEndpoint('congress');
-        if (!congressEndpoint) {
-            await message.channel.send('Congress endpoint not available.');
-            return;
-        }
+    queueStoryUpdate(channelId, entry) {
+        const send = this.sendChain.then(async () => {
+            const story = this.stories.get(entry.storyId);
+            const storyMessage = this.stories.getMessage(story.storyId, channelId);
+            const sent = await this.postStory(entry.item, story, channelId, storyMessage);
+            if (sent.length === 0) {
+                return null;
+            }
 
-        try {
-            const congressUpdate = await congressEndpoint.fetchUpdate();
-            if (congressUpdate) {
-                let messageContent;
-                if (congressUpdate.details) {
-                    messageContent = `${congressUpdate.title}\n${congressUpdate.details}\nURL: ${congressUpdate.url}`;
-                } else {
-                    messageContent = `${congressUpdate.title}\nURL: ${congressUpdate.url}`;
+            if ((!storyMessage || sent[0].messageId !== storyMessage.messageId) && !sent[0].threadId) {
+                await this.openDiscussion(channelId, entry.item, sent[0]);
+                if (sent[0].threadId) {
+                    this.stories.recordMessage(story.storyId, channelId, { threadId: sent[0].threadId });
                 }
-                await message.channel.send(messageContent);
-            } else {
-                await message.channel.send("No recent congress updates found.");
             }
-        } catch (error) {
-            this.logger.error('Error handling congress request', error);
-            await message.channel.send('Error fetching congress data.');
+            this.discordService.trackMessages(entry.item, sent);
+            this.archive.record(entry.item, sent);
+            this.logger.info(`🌅 Posted held update to "${story.title}" in channel ${channelId}`);
+            return sent;
+        });
+        this.sendChain = send.catch(() => {});
+        return send.catch(error => {
+            this.logger.error(`Error posting story update to channel ${channelId}`, error);
+            return null;
+        });
+    }
+
+    queueMessages(channelId, messages) {
+        // Goes through the same chain as live posts so nothing interleaves mid-catch-up
+        const send = this.sendChain.then(async () => {
+            const sent = [];
+            for (const message of messages) {
+                const [delivery] = await this.discordService.postToChannels(message, [channelId]);
+                if (!delivery) {
+                    return null;
+                }
+                sent.push(delivery);
+            }
+            return sent;
+        });
+        this.sendChain = send.catch(() => {});
+        return send.catch(error => {
+            this.logger.error(`Error posting to channel ${channelId}`, error);
+            return null;
+        });
+    }
+
+    describeItems(source, count) {
+        // Plugins name their items ("bill updates"); fall back to the endpoint name
+        const endpoint = this.getEndpoint(source);
+        const plugin = endpoint && this.pluginLoader.getPlugin(endpoint.getType());
+        const noun = plugin?.EndpointClass?.plugin.itemNoun;
+        return noun ? `${count} ${count === 1 ? noun[0] : noun[1]}` : DigestFormatter.describeCount(source, count);
+    }
+
+    formatDigest(items, title) {
+        return DigestFormatter.format(items, { title, describe: (source, count) => this.describeItems(source, count) });
+    }
+
+    getPostingStatus() {
+        return {
+            ...this.channelSettings.getStatus(this.discordService.getDeliveryChannelIds()),
+            held: this.holdQueue.getStatus(),
+            digests: this.digestQueue.getStatus()
+        };
+    }
+
+    async deliver(newsItem) {
+        const result = await this.pipeline.processForEndpoint(newsItem);
+        if (!result.item) {
+            if (result.context && result.context.duplicate) {
+                // Serialized with posts so a thread never gets coverage before its story
+                const related = this.sendChain.then(() => this.postRelatedCoverage(newsItem, result.context.duplicate));
+                this.sendChain = related.catch(() => {});
+                await related.catch(error => this.logger.error('Error posting related coverage', error));
+            }
+            this.emit('newsDropped', newsItem, result.droppedBy, result.reason);
+            return { sent: false, dropped: true, droppedBy: result.droppedBy, reason: result.reason };
+        }
+
+        // Nobody subscribes to it - drop it rather than retrying; channels at their hourly limit still retry
+        const hasChannels = this.discordService.getDeliveryChannelIds().length > 0;
+        if (hasChannels && !this.discordService.hasSubscribers(result.item) && !this.notifierManager.hasTargetsFor(result.item)) {
+            const reason = 'No channel subscribes to it';
+            this.emit('newsDropped', newsItem, 'routing', reason);
+            return { sent: false, dropped: true, droppedBy: 'routing', reason };
+        }
+
+        const success = await this.queueSend(result.item);
+        if (success) {
+            this.lastSuccessfulPost = Date.now();
+            await this.pipeline.markDelivered(result);
         }
+        return { sent: success, dropped: false, newsItem: result.item };
     }
 
-    startNewsLoop() {
-        if (this.newsInterval) {
-            this.logger.warn('News loop already running');
-            return;
+    queueSend(newsItem) {
+        const send = this.sendChain.then(() => this.sendNews(newsItem));
+        // Keep the chain alive even if one send fails
+        this.sendChain = send.catch(() => {});
+        return send;
+    }
+
+    async pollEndpoint(endpoint) {
+        this.logger.debug(`Polling ${endpoint.getName()} for news`);
+
+        // Endpoints mark what they return as seen, so only fetch what the queue has room for
+        const freeSlots = this.postQueue.getFreeSlots();
+        if (freeSlots === 0) {
+            this.logger.debug(`Post queue full - not polling ${endpoint.getName()}`);
+            return { found: 0, message: 'Post queue full' };
         }
 
-        this.scheduleNextFetch();
-        this.isRunning = true;
-        this.emit('newsLoopStarted');
+        const candidates = await endpoint.fetchCandidates(freeSlots);
+        if (candidates.length === 0) {
+            this.logger.debug(`No news found from ${endpoint.getName()}`);
+            return { found: 0, message: 'No news found' };
+        }
+
+        const added = this.postQueue.add(candidates);
+        candidates.forEach(newsItem => this.emit('newsFetched', newsItem, endpoint));
+
+        this.logger.info(`📥 Queued ${added} items from ${endpoint.getName()} (${this.postQueue.size()} waiting)`);
+        return { found: added, message: `Queued ${added} items` };
     }
 
-    scheduleNextFetch() {
-        const intervalMs = this.currentIntervalMinutes * 60 * 1000;
-        this.logger.info(`⏰ Next fetch in ${this.currentIntervalMinutes} minutes`);
+    getQueueWeight(endpointName) {
+        const endpoint = this.endpoints.get(endpointName);
+        if (!endpoint || !endpoint.isEndpointEnabled()) {
+            return 0;
+        }
+        return endpoint.getWeight();
+    }
 
-        this.newsInterval = setTimeout(async () => {
+    async dispatchNext() {
+        // Dropped items are discarded and the next best item is tried in the same slot
+        let entry;
+        while ((entry = this.postQueue.takeNext(name => this.getQueueWeight(name)))) {
+            let result;
             try {
-                const newsItem = await this.fetchNews();
-                if (newsItem) {
-                    await this.sendNews(newsItem);
-                    this.onSuccessfulPost();
-                } else {
-                    this.onNoPostFound();
-                }
-                
-                if (this.isRunning) {
-                    this.scheduleNextFetch();
-                }
+                result = await this.deliver(entry.item);
             } catch (error) {
-                this.logger.error('Error in news loop', error);
-                if (this.isRunning) {
-                    this.scheduleNextFetch();
-                }
+                this.postQueue.requeue(entry);
+                throw error;
             }
-        }, intervalMs);
+
+            if (result.dropped) {
+                this.postQueue.complete(entry);
+                continue;
+            }
+
+            if (result.sent) {
+                this.postQueue.complete(entry);
+                return result.newsItem;
+            }
+
+            if (this.postQueue.requeue(entry)) {
+                this.logger.warn(`Send failed, requeued: ${entry.item.title.substring(0, 50)}...`);
+            } else {
+                this.logger.error(`Send failed too many times, dropping: ${entry.item.title.substring(0, 50)}...`);
+            }
+            return null;
+        }
+
+        this.logger.debug('📭 Post queue empty - nothing to send');
+        return null;
     }
 
-    onSuccessfulPost() {
-        this.lastSuccessfulPost = Date.now();
-        
-        // Reset interval to base value
-        if (this.currentIntervalMinutes !== this.baseIntervalMinutes) {
-            this.currentIntervalMinutes = this.baseIntervalMinutes;
-            this.logger.info(`📰 Post sent! Reset interval to ${this.currentIntervalMinutes} minutes`);
+    scheduleNextPost() {
+        if (!this.isRunning) {
+            return;
         }
+
+        const intervalMs = this.postIntervalMinutes * 60 * 1000;
+        this.nextPostAt = new Date(Date.now() + intervalMs);
+
+        this.postTimer = setTimeout(async () => {
+            try {
+                await this.dispatchNext();
+            } catch (error) {
+                this.logger.error('Error dispatching queued news', error);
+            }
+            this.scheduleNextPost();
+        }, intervalMs);
     }
 
-    onNoPostFound() {
-        const enabledEndpoints = this.getEnabledEndpoints();
-        const endpointNames = enabledEndpoints.map(e => e.getName()).join(', ');
-        
-        // Increase interval by 30 seconds (up to 60 minutes max)
-        const incrementMinutes = this.intervalIncrementSeconds / 60;
-        const newInterval = Math.min(this.currentIntervalMinutes + incrementMinutes, this.maxIntervalMinutes);
-        
-        if (newInterval > this.currentIntervalMinutes) {
-            this.currentIntervalMinutes = newInterval;
-            this.logger.info(`😴 All endpoints (${endpointNames}) returned no news. Increased interval to ${this.currentIntervalMinutes} minutes`);
-        } else {
-            this.logger.info(`😴 All endpoints (${endpointNames}) returned no news. Interval at maximum (${this.currentIntervalMinutes} minutes)`);
+    getQueueStatus(limit = 5) {
+        const ranked = this.postQueue.getRanked(name => this.getQueueWeight(name));
+        return {
+            size: ranked.length,
+            postIntervalMinutes: this.postIntervalMinutes,
+            nextPostAt: this.nextPostAt ? this.nextPostAt.toISOString() : null,
+            pruned: this.postQueue.getPrunedStatus(),
+            upcoming: ranked.slice(0, limit).map(entry => ({
+                key: PostQueue.keyFor(entry.item),
+                title: entry.item.title,
+                source: entry.item.source,
+                url: entry.item.url,
+                queuedAt: entry.queuedAt,
+                attempts: entry.attempts,
+                score: Math.round(entry.score * 1000) / 1000
+            }))
+        };
+    }
+
+    startNewsLoop() {
+        if (this.isRunning) {
+            this.logger.warn('News loop already running');
+            return;
         }
+
+        this.isRunning = true;
+        for (const scheduler of this.schedulers.values()) {
+            scheduler.start();
+        }
+        this.scheduleNextPost();
+        // Checks every minute for channels whose posting window opened or whose digest is due
+        this.releaseTimer = setInterval(() => {
+            this.releaseHeldItems().catch(error => this.logger.error('Error releasing held news', error));
+            this.postDueDigests().catch(error => this.logger.error('Error posting digests', error));
+        }, 60 * 1000);
+        this.emit('newsLoopStarted');
     }
 
     stopNewsLoop() {
-        if (this.newsInterval) {
-            clearTimeout(this.newsInterval);
-            this.newsInterval = null;
+        if (this.isRunning) {
+            for (const scheduler of this.schedulers.values()) {
+                scheduler.stop();
+            }
+            if (this.postTimer) {
+                clearTimeout(this.postTimer);
+                this.postTimer = null;
+                this.nextPostAt = null;
+            }
+            if (this.releaseTimer) {
+                clearInterval(this.releaseTimer);
+                this.releaseTimer = null;
+            }
             this.isRunning = false;
             this.emit('newsLoopStopped');
             this.logger.info('News loop stopped');
@@ -344,7 +838,14 @@ class NewsBot extends EventEmitter {
             }
         }
         
-        // Shutdown Discord service
+        // Shut down pipeline stages (persists the shared headline history)
+        await this.pipeline.shutdown();
+        
+        // Shutdown notifiers
+        if (this.notifications.size > 0) {
+            this.logger.warn(`⚠️ Shutting down with ${this.notifications.size} notifier deliveries still retrying`);
+        }
+        await this.notifierManager.shutdown();
         await this.discordService.shutdown();
         
         // Shutdown data manager
@@ -354,15 +855,47 @@ class NewsBot extends EventEmitter {
         this.logger.success('NewsBot shut down successfully');
     }
 
+    getScheduleStatus() {
+        const schedules = {};
+        for (const [name, scheduler] of this.schedulers.entries()) {
+            schedules[name] = scheduler.getStatus();
+        }
+        return schedules;
+    }
+
+    getHealthStatus() {
+        const health = {};
+        for (const [name, scheduler] of this.schedulers.entries()) {
+            health[name] = scheduler.health.getStatus();
+        }
+        return health;
+    }
+
     getStatus() {
         return {
             isRunning: this.isRunning,
             discordConnected: this.discordService.isConnected(),
             enabledEndpoints: this.getEnabledEndpoints().map(e => e.getName()),
             totalEndpoints: this.endpoints.size,
-            intervalMinutes: this.currentIntervalMinutes,
+            intervalMinutes: this.baseIntervalMinutes,
             baseIntervalMinutes: this.baseIntervalMinutes,
-            maxIntervalMinutes: this.maxIntervalMinutes
+            maxIntervalMinutes: this.maxIntervalMinutes,
+            backoffStrategy: this.config.getBackoffConfig().strategy,
+            lastSuccessfulPost: new Date(this.lastSuccessfulPost).toISOString(),
+            schedules: this.getScheduleStatus(),
+            health: this.getHealthStatus(),
+            queue: this.getQueueStatus(),
+            posting: this.getPostingStatus(),
+            channels: this.discordService.channels.getStatus(),
+            archive: this.archive.getStatus(),
+            feedback: this.feedbackTuner.getStatus(),
+            stories: this.stories.getStatus(),
+            storage: this.dataManager.getStatus(),
+            notifiers: this.notifierManager.getStatus(),
+            deduplication: this.deduplication.getStats(),
+            pipeline: this.pipeline.getStatus(),
+            plugins: this.pluginLoader.getStatus(),
+            endpointInstances: this.endpointManager.getStatus()
         };
     }
 }
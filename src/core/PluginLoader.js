@@ -0,0 +1,270 @@
+const fs = require('fs');
+const path = require('path');
+const BaseEndpoint = require('./BaseEndpoint');
+
+// Every method an endpoint inherits from BaseEndpoint - checked by name so plugins
+// shipped as packages with their own copy of BaseEndpoint still pass
+const CONTRACT_METHODS = Object.getOwnPropertyNames(BaseEndpoint.prototype).filter(name => name !== 'constructor');
+
+class PluginLoader {
+    constructor(config, dataManager, logger) {
+        this.config = config;
+        this.dataManager = dataManager;
+        this.logger = logger;
+
+        this.builtinDirectory = path.join(__dirname, '..', 'endpoints');
+        this.plugins = new Map(); // plugin name -> { name, description, origin, status, reason, EndpointClass, instances }
+    }
+
+    discover() {
+        const pluginsConfig = this.config.getPluginsConfig();
+        const modules = [
+            ...this.listDirectory(this.builtinDirectory, 'builtin'),
+            ...this.listDirectory(path.resolve(pluginsConfig.directory), 'directory'),
+            ...pluginsConfig.packages.map(name => ({ origin: 'package', request: name }))
+        ];
+
+        this.plugins.clear();
+        modules.forEach(module => this.loadModule(module));
+        return this.getStatus();
+    }
+
+    listDirectory(directory, origin) {
+        if (!fs.existsSync(directory)) {
+            return [];
+        }
+
+        // Plain .js files, or folders with an index.js / package.json main
+        return fs.readdirSync(directory, { withFileTypes: true })
+            .filter(entry => entry.isDirectory() || entry.name.endsWith('.js'))
+            .map(entry => ({ origin, request: path.join(directory, entry.name) }));
+    }
+
+    loadModule({ origin, request }) {
+        const moduleName = origin === 'package' ? request : path.basename(request, '.js');
+        let exported;
+        try {
+            const resolved = origin === 'package'
+                ? require.resolve(request, { paths: [process.cwd()] })
+                : request;
+            exported = require(resolved);
+        } catch (error) {
+            this.recordInvalid(moduleName, origin, `Failed to load: ${error.message.split('\n')[0]}`);
+            return;
+        }
+
+        const classes = typeof exported === 'function'
+            ? [exported]
+            : Object.values(exported || {}).filter(value => typeof value === 'function');
+
+        if (classes.length === 0) {
+            this.recordInvalid(moduleName, origin, 'Module does not export an endpoint class');
+            return;
+        }
+
+        classes.forEach(EndpointClass => {
+            const problem = this.validateEndpointClass(EndpointClass);
+            const name = EndpointClass.plugin?.name || moduleName;
+
+            if (problem) {
+                this.recordInvalid(name, origin, problem);
+            } else if (this.plugins.has(name)) {
+                this.logger.warn(`Ignoring duplicate endpoint plugin "${name}" from ${request}`);
+            } else {
+                this.plugins.set(name, {
+                    name,
+                    description: EndpointClass.plugin.description || '',
+                    origin,
+                    status: 'available',
+                    reason: null,
+                    EndpointClass,
+                    instances: new Set()
+                });
+            }
+        });
+    }
+
+    recordInvalid(name, origin, reason) {
+        this.logger.warn(`⚠️ Skipping endpoint plugin ${name}: ${reason}`);
+        this.plugins.set(name, { name, description: '', origin, status: 'invalid', reason, EndpointClass: null, instances: new Set() });
+    }
+
+    validateEndpointClass(EndpointClass) {
+        const descriptor = EndpointClass.plugin;
+        if (!descriptor || typeof descriptor.name !== 'string' || !descriptor.name) {
+            return 'Missing static plugin descriptor with a name';
+        }
+
+        const prototype = EndpointClass.prototype || {};
+        const missing = CONTRACT_METHODS.filter(method => typeof prototype[method] !== 'function');
+        if (missing.length > 0) {
+            return `Does not implement the BaseEndpoint contract (missing ${missing.join(', ')})`;
+        }
+
+        if (prototype.initialize === BaseEndpoint.prototype.initialize) {
+            return 'Must implement initialize()';
+        }
+
+        if (prototype.fetchCandidates === BaseEndpoint.prototype.fetchCandidates &&
+            prototype.fetchUpdate === BaseEndpoint.prototype.fetchUpdate) {
+            return 'Must implement fetchCandidates() or fetchUpdate()';
+        }
+
+        return null;
+    }
+
+    // Settings from the config file (endpoints.<name>.settings) that don't fit the plugin
+    checkConfiguredSettings() {
+        const errors = [];
+        Object.entries(this.config.getEndpointsConfig().sections).forEach(([name, section]) => {
+            const type = section.type || name;
+            const plugin = this.plugins.get(type);
+            if (!plugin) {
+                // Without a type the section may belong to an instance from endpoints.json
+                if (section.type) {
+                    errors.push(`endpoints.${name}.type: no endpoint plugin named "${type}" (available: ${Array.from(this.plugins.keys()).join(', ')})`);
+                }
+                return;
+            }
+            if (plugin.status === 'invalid') {
+                return;
+            }
+
+            const schema = plugin.EndpointClass.plugin.configSchema || {};
+            Object.entries(section.settings).forEach(([key, value]) => {
+                const field = schema[key];
+                if (!field) {
+                    errors.push(`endpoints.${name}.settings.${key}: unknown setting for ${type} endpoints`);
+                } else if (this.parseValue(String(value), field.type) === undefined) {
+                    errors.push(`endpoints.${name}.settings.${key}: must be a ${field.type || 'string'} (got ${JSON.stringify(value)})`);
+                }
+            });
+        });
+        return errors;
+    }
+
+    resolveConfig(descriptor, settings = {}, fileSettings = {}) {
+        const values = {};
+        const problems = [];
+
+        const missingSecrets = (descriptor.secrets || []).filter(envVar => !process.env[envVar]);
+        if (missingSecrets.length > 0) {
+            problems.push(`Missing required secrets: ${missingSecrets.join(', ')}`);
+        }
+
+        Object.entries(descriptor.configSchema || {}).forEach(([key, field]) => {
+            // Per-instance settings take precedence over the environment, which overrides the config file
+            let raw = settings[key] !== undefined ? String(settings[key]) : (field.env ? process.env[field.env] : undefined);
+            if ((raw === undefined || raw === '') && fileSettings[key] !== undefined) {
+                raw = String(fileSettings[key]);
+            }
+
+            if (raw === undefined || raw === '') {
+                if (field.required) {
+                    problems.push(`Missing required setting ${field.env || key}`);
+                }
+                values[key] = field.default;
+                return;
+            }
+
+            const value = this.parseValue(raw, field.type);
+            if (value === undefined) {
+                problems.push(`Invalid ${field.type} for ${field.env || key}: "${raw}"`);
+                values[key] = field.default;
+            } else {
+                values[key] = value;
+            }
+        });
+
+        return { values, problems };
+    }
+
+    parseValue(raw, type = 'string') {
+        switch (type) {
+            case 'number': {
+                const number = Number(raw);
+                return Number.isFinite(number) ? number : undefined;
+            }
+            case 'boolean':
+                if (['true', '1', 'yes'].includes(raw.toLowerCase())) return true;
+                if (['false', '0', 'no'].includes(raw.toLowerCase())) return false;
+                return undefined;
+            case 'list':
+                return raw.split(',').map(value => value.trim()).filter(Boolean);
+            default:
+                return raw;
+        }
+    }
+
+    getPlugin(type) {
+        return this.plugins.get(type);
+    }
+
+    isAvailable(type) {
+        const plugin = this.plugins.get(type);
+        return !!plugin && plugin.status !== 'invalid';
+    }
+
+    instantiate(type, name = type, settings = {}) {
+        const plugin = this.plugins.get(type);
+        if (!plugin) {
+            throw new Error(`Unknown endpoint type "${type}"`);
+        }
+        if (plugin.status === 'invalid') {
+            throw new Error(`Endpoint plugin ${type} is invalid: ${plugin.reason}`);
+        }
+
+        // Missing secrets disable the plugin instead of letting its constructor throw
+        const section = this.config.getEndpointSection(name);
+        const { values, problems } = this.resolveConfig(plugin.EndpointClass.plugin, settings, section ? section.settings : {});
+        if (problems.length > 0) {
+            if (plugin.instances.size === 0) {
+                plugin.status = 'disabled';
+                plugin.reason = problems.join('; ');
+                this.logger.warn(`⚠️ Endpoint plugin ${type} disabled: ${plugin.reason}`);
+            }
+            throw new Error(problems.join('; '));
+        }
+
+        let endpoint;
+        try {
+            endpoint = new plugin.EndpointClass(this.config, this.dataManager, { name });
+            if (endpoint.getName() !== name) {
+                throw new Error(`Endpoint name "${endpoint.getName()}" does not match "${name}" - the constructor must pass its options to BaseEndpoint`);
+            }
+        } catch (error) {
+            if (plugin.instances.size === 0) {
+                plugin.status = 'error';
+                plugin.reason = error.message;
+            }
+            throw error;
+        }
+
+        endpoint.setPluginConfig(values);
+        plugin.instances.add(name);
+        plugin.status = 'registered';
+        plugin.reason = null;
+        return endpoint;
+    }
+
+    release(type, name) {
+        const plugin = this.plugins.get(type);
+        if (plugin && plugin.instances.delete(name) && plugin.instances.size === 0) {
+            plugin.status = 'available';
+        }
+    }
+
+    getStatus() {
+        return Array.from(this.plugins.values()).map(({ name, description, origin, status, reason, EndpointClass, instances }) => ({
+            name,
+            description,
+            origin,
+            status,
+            reason,
+            configSchema: EndpointClass?.plugin.configSchema || {},
+            instances: Array.from(instances)
+        }));
+    }
+}
+
+module.exports = PluginLoader;
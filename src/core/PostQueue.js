@@ -0,0 +1,202 @@
+const { EventEmitter } = require('events');
+
+// Items dropped unposted were already marked seen by their endpoint, so each one is reported
+class PostQueue extends EventEmitter {
+    constructor(dataManager, options = {}) {
+        super();
+        this.dataManager = dataManager;
+        this.filename = options.filename || 'post_queue.json';
+
+        this.options = {
+            freshnessHalfLifeHours: options.freshnessHalfLifeHours || 6, // Score halves every 6 hours
+            maxAgeHours: options.maxAgeHours || 24, // Older items are dropped unposted
+            maxSize: options.maxSize || 200,
+            maxAttempts: options.maxAttempts || 3
+        };
+
+        this.entries = new Map(); // source:id -> { item, queuedAt, attempts }
+        this.inFlight = new Set(); // Keys being sent right now - still saved, so a crash mid-send retries them
+        this.pruned = { total: 0, recent: [] }; // Items dropped unposted since startup, newest last
+        this.load();
+    }
+
+    static keyFor(item) {
+        return `${item.source}:${item.id}`;
+    }
+
+    load() {
+        const saved = this.dataManager.loadJSONData(this.filename, []);
+        this.entries.clear();
+
+        (Array.isArray(saved) ? saved : []).forEach(entry => {
+            if (entry && entry.item && entry.item.title && entry.item.url) {
+                this.entries.set(PostQueue.keyFor(entry.item), entry);
+            }
+        });
+        // Stale saved entries are pruned on the first add or take, once someone listens for 'pruned'
+    }
+
+    save() {
+        this.dataManager.saveJSONData(this.filename, Array.from(this.entries.values()));
+    }
+
+    add(items) {
+        let added = 0;
+
+        items.forEach(item => {
+            const key = PostQueue.keyFor(item);
+            if (this.entries.has(key)) return;
+
+            this.entries.set(key, { item, queuedAt: new Date().toISOString(), attempts: 0 });
+            added++;
+        });
+
+        if (added > 0) {
+            this.pruneExpired();
+            this.save();
+        }
+        return added;
+    }
+
+    getFreshness(item, now = Date.now()) {
+        const publishedAt = new Date(item.publishedAt || item.timestamp).getTime();
+        const ageHours = Math.max(0, (now - (Number.isFinite(publishedAt) ? publishedAt : now)) / (60 * 60 * 1000));
+        return Math.pow(0.5, ageHours / this.options.freshnessHalfLifeHours);
+    }
+
+    score(entry, getWeight, now = Date.now()) {
+        const weight = getWeight(entry.item.source);
+        const priority = entry.item.priority || 1;
+        return this.getFreshness(entry.item, now) * weight * priority;
+    }
+
+    getRanked(getWeight) {
+        const now = Date.now();
+        return Array.from(this.entries.values())
+            .map(entry => ({ ...entry, score: this.score(entry, getWeight, now) }))
+            .sort((a, b) => b.score - a.score);
+    }
+
+    takeNext(getWeight) {
+        this.pruneExpired();
+
+        // Zero-weight endpoints are effectively muted - their items wait
+        const [best] = this.getRanked(getWeight)
+            .filter(entry => entry.score > 0 && !this.inFlight.has(PostQueue.keyFor(entry.item)));
+        if (!best) {
+            return null;
+        }
+
+        // The entry stays in the saved queue until complete() - endpoints marked it seen when
+        // they fetched it, so losing it mid-send would lose it for good
+        this.inFlight.add(PostQueue.keyFor(best.item));
+        return best;
+    }
+
+    // The item was posted (or dropped by the pipeline) - it leaves the queue
+    complete(entry) {
+        const key = PostQueue.keyFor(entry.item);
+        this.inFlight.delete(key);
+        if (this.entries.delete(key)) {
+            this.save();
+        }
+    }
+
+    requeue(entry) {
+        const key = PostQueue.keyFor(entry.item);
+        this.inFlight.delete(key);
+
+        const attempts = (entry.attempts || 0) + 1;
+        if (attempts >= this.options.maxAttempts) {
+            this.entries.delete(key);
+            this.save();
+            return false;
+        }
+
+        this.entries.set(PostQueue.keyFor(entry.item), {
+            item: entry.item,
+            queuedAt: entry.queuedAt,
+            attempts
+        });
+        this.save();
+        return true;
+    }
+
+    // Room left before the queue starts dropping its stalest items
+    getFreeSlots() {
+        return Math.max(0, this.options.maxSize - this.entries.size);
+    }
+
+    pruneExpired() {
+        const cutoff = Date.now() - this.options.maxAgeHours * 60 * 60 * 1000;
+        let removed = 0;
+
+        for (const [key, entry] of this.entries.entries()) {
+            if (this.inFlight.has(key)) continue;
+            const publishedAt = new Date(entry.item.publishedAt || entry.queuedAt).getTime();
+            if (publishedAt < cutoff) {
+                this.entries.delete(key);
+                this.recordPruned(entry, `older than ${this.options.maxAgeHours} hours`);
+                removed++;
+            }
+        }
+
+        // Keep the queue bounded - drop the stalest entries first. Items being sent are
+        // on their way out, so they don't push a newer item out
+        const excess = this.entries.size - this.inFlight.size - this.options.maxSize;
+        if (excess > 0) {
+            const byFreshness = Array.from(this.entries.entries())
+                .filter(([key]) => !this.inFlight.has(key))
+                .sort((a, b) => this.getFreshness(a[1].item) - this.getFreshness(b[1].item));
+            byFreshness.slice(0, excess).forEach(([key, entry]) => {
+                this.entries.delete(key);
+                this.recordPruned(entry, `queue over ${this.options.maxSize} items`);
+                removed++;
+            });
+        }
+
+        if (removed > 0) {
+            this.save();
+        }
+        return removed;
+    }
+
+    recordPruned(entry, reason) {
+        const pruned = {
+            key: PostQueue.keyFor(entry.item),
+            title: entry.item.title,
+            source: entry.item.source,
+            reason,
+            at: new Date().toISOString()
+        };
+
+        this.pruned.total++;
+        this.pruned.recent = [...this.pruned.recent, pruned].slice(-20);
+        this.emit('pruned', pruned);
+    }
+
+    getPrunedStatus() {
+        return { total: this.pruned.total, recent: [...this.pruned.recent] };
+    }
+
+    remove(key) {
+        this.inFlight.delete(key);
+        const removed = this.entries.delete(key);
+        if (removed) {
+            this.save();
+        }
+        return removed;
+    }
+
+    clear() {
+        this.entries.clear();
+        this.inFlight.clear();
+        this.save();
+    }
+
+    size() {
+        return this.entries.size;
+    }
+}
+
+module.exports = PostQueue;
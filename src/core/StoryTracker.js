@@ -0,0 +1,128 @@
+const NewsEmbed = require('../utils/NewsEmbed');
+
+// Evolving stories (e.g. a bill moving through Congress) and the Discord messages posted
+// for them, so later updates can edit the original post or reply in its thread
+class StoryTracker {
+    constructor(dataManager, options = {}) {
+        this.dataManager = dataManager;
+        this.filename = options.filename || 'stories.json';
+        this.retentionDays = options.retentionDays || 30; // Stories without updates for this long are forgotten
+        this.timelineLimit = 10;
+
+        this.stories = new Map(); // storyId -> { storyId, source, title, url, updatedAt, timeline, messages }
+        this.load();
+    }
+
+    load() {
+        const saved = this.dataManager.loadJSONData(this.filename, []);
+        this.stories.clear();
+        (Array.isArray(saved) ? saved : []).forEach(story => {
+            if (story && story.storyId) {
+                this.stories.set(story.storyId, story);
+            }
+        });
+        this.prune();
+    }
+
+    save() {
+        this.dataManager.saveJSONData(this.filename, Array.from(this.stories.values()));
+    }
+
+    prune() {
+        const cutoff = Date.now() - this.retentionDays * 24 * 60 * 60 * 1000;
+        this.stories.forEach((story, storyId) => {
+            if (new Date(story.updatedAt).getTime() < cutoff) {
+                this.stories.delete(storyId);
+            }
+        });
+    }
+
+    get(storyId) {
+        return this.stories.get(storyId) || null;
+    }
+
+    // Add the item's status to its story's timeline; returns the story
+    addUpdate(item) {
+        const { id: storyId, status } = item.story;
+        const story = this.get(storyId) || { storyId, source: item.source, timeline: [], messages: {} };
+
+        story.title = item.title;
+        story.url = item.url;
+        story.updatedAt = new Date().toISOString();
+
+        const last = story.timeline[story.timeline.length - 1];
+        if (status && (!last || last.status !== status)) {
+            story.timeline.push({ at: item.publishedAt || story.updatedAt, status });
+            story.timeline = story.timeline.slice(-this.timelineLimit);
+        }
+
+        this.stories.set(storyId, story);
+        this.prune();
+        this.save();
+        return story;
+    }
+
+    // { messageId, threadId } of the story's first post in the channel
+    getMessage(storyId, channelId) {
+        const story = this.get(storyId);
+        return story && story.messages[channelId] ? { ...story.messages[channelId] } : null;
+    }
+
+    recordMessage(storyId, channelId, message) {
+        const story = this.get(storyId);
+        if (!story) {
+            return;
+        }
+        story.messages[channelId] = { ...(story.messages[channelId] || {}), ...message };
+        this.save();
+    }
+
+    forgetChannel(channelId) {
+        let changed = false;
+        this.stories.forEach(story => {
+            if (story.messages[channelId]) {
+                delete story.messages[channelId];
+                changed = true;
+            }
+        });
+        if (changed) {
+            this.save();
+        }
+    }
+
+    formatTimeline(story) {
+        return story.timeline
+            .map(entry => `• ${new Date(entry.at).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })} - ${entry.status}`)
+            .join('\n');
+    }
+
+    // Adds the story's timeline to a formatted message (plain text or { embeds, fallback })
+    withTimeline(message, story) {
+        if (!story || story.timeline.length < 2) {
+            return message;
+        }
+
+        const timeline = this.formatTimeline(story);
+        if (typeof message === 'string') {
+            return `${message}\n\nTimeline:\n${timeline}`;
+        }
+
+        const [embed, ...rest] = message.embeds;
+        const fields = (embed.fields || []).slice(0, NewsEmbed.LIMITS.fields - 1);
+        fields.push({ name: 'Timeline', value: NewsEmbed.truncate(timeline, NewsEmbed.LIMITS.fieldValue), inline: false });
+        return {
+            ...message,
+            embeds: [{ ...embed, fields }, ...rest],
+            fallback: `${message.fallback}\n\nTimeline:\n${timeline}`
+        };
+    }
+
+    getStatus() {
+        return {
+            stories: this.stories.size,
+            messages: Array.from(this.stories.values()).reduce((sum, story) => sum + Object.keys(story.messages).length, 0)
+        };
+    }
+}
+
+module.exports = StoryTracker;
@@ -2,11 +2,14 @@ const axios = require('axios');
 const BaseEndpoint = require('../core/BaseEndpoint');
 
 class AsteroidEndpoint extends BaseEndpoint {
-    constructor(config, dataManager) {
-        super('asteroid', config, dataManager);
+    constructor(config, dataManager, options = {}) {
+        super('asteroid', config, dataManager, options);
         this.apiConfig = config.getAPIConfig('nasa');
         this.requestTimeout = 15000; // Longer timeout for NASA API
         
+        // The NEO feed covers a week at a time, so hourly checks are plenty
+        this.setSchedule({ intervalMinutes: 60 });
+        
         // Set retention period to 7 days for asteroids
         this.dataManager.setRetentionPeriod(this.name, 7 * 24 * 60 * 60);
         
@@ -25,16 +28,19 @@ class AsteroidEndpoint extends BaseEndpoint {
         this.logInfo('Initializing Asteroid endpoint...');
     }
 
-    async fetchUpdate() {
+    async fetchCandidates(limit = Infinity) {
         if (!this.isEnabled || !this.apiConfig.token) {
-            return null;
+            return [];
         }
 
         this.logDebug('Fetching asteroid updates...');
         
         const asteroids = await this.fetchHazardousAsteroids();
+        const candidates = [];
         
         for (const asteroid of asteroids) {
+            if (candidates.length >= limit) break;
+
             const asteroidId = asteroid.id;
             
             if (this.hasSeenItem(asteroidId)) continue;
@@ -46,21 +52,26 @@ class AsteroidEndpoint extends BaseEndpoint {
             
             this.logInfo(`Found new hazardous asteroid: ${asteroid.name}`);
             
-            return this.formatNewsItem({
+            candidates.push(this.formatNewsItem({
+                id: asteroidId,
                 title,
                 url: asteroid.nasa_jpl_url,
                 details,
+                fields: this.formatAsteroidFields(asteroid),
+                priority: 2, // Hazard alerts outrank regular news
                 metadata: {
                     diameter: asteroid.estimated_diameter.miles.estimated_diameter_max,
                     closeApproachDate: asteroid.close_approach_data[0].close_approach_date_full,
                     velocity: asteroid.close_approach_data[0].relative_velocity.miles_per_hour,
                     missDistance: asteroid.close_approach_data[0].miss_distance.miles
                 }
-            });
+            }));
         }
 
-        this.logDebug('No new hazardous asteroids found');
-        return null;
+        if (candidates.length === 0) {
+            this.logDebug('No new hazardous asteroids found');
+        }
+        return candidates;
     }
 
     async fetchHazardousAsteroids() {
@@ -68,46 +79,42 @@ class AsteroidEndpoint extends BaseEndpoint {
         const endDate = new Date().toISOString().split('T')[0];
         const startDate = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
         
-        try {
-            const response = await axios.get(NASA_API_URL, {
-                params: {
-                    start_date: startDate,
-                    end_date: endDate,
-                    api_key: this.apiConfig.token
-                },
-                timeout: this.requestTimeout
-            });
-
-            const data = response.data;
-            const hazardousAsteroids = [];
-
-            for (const date in data.near_earth_objects) {
-                for (const asteroid of data.near_earth_objects[date]) {
-                    if (asteroid.is_potentially_hazardous_asteroid) {
-                        const approachDate = new Date(asteroid.close_approach_data[0].close_approach_date_full);
-                        const today = new Date();
-
-                        // Only include future approaches
-                        if (approachDate >= today) {
-                            hazardousAsteroids.push(asteroid);
-                        }
+        // Errors propagate so the scheduler's circuit breaker sees NASA outages
+        const response = await axios.get(NASA_API_URL, {
+            params: {
+                start_date: startDate,
+                end_date: endDate,
+                api_key: this.apiConfig.token
+            },
+            timeout: this.requestTimeout
+        });
+
+        const data = response.data;
+        const hazardousAsteroids = [];
+
+        for (const date in data.near_earth_objects) {
+            for (const asteroid of data.near_earth_objects[date]) {
+                if (asteroid.is_potentially_hazardous_asteroid) {
+                    const approachDate = new Date(asteroid.close_approach_data[0].close_approach_date_full);
+                    const today = new Date();
+
+                    // Only include future approaches
+                    if (approachDate >= today) {
+                        hazardousAsteroids.push(asteroid);
                     }
                 }
             }
+        }
 
-            // Sort by approach date (earliest first)
-            hazardousAsteroids.sort((a, b) => {
-                const dateA = new Date(a.close_approach_data[0].close_approach_date_full);
-                const dateB = new Date(b.close_approach_data[0].close_approach_date_full);
-                return dateA - dateB;
-            });
+        // Sort by approach date (earliest first)
+        hazardousAsteroids.sort((a, b) => {
+            const dateA = new Date(a.close_approach_data[0].close_approach_date_full);
+            const dateB = new Date(b.close_approach_data[0].close_approach_date_full);
+            return dateA - dateB;
+        });
 
-            this.logDebug(`Found ${hazardousAsteroids.length} hazardous asteroids`);
-            return hazardousAsteroids;
-        } catch (error) {
-            this.logError('Error fetching asteroid data', error);
-            return [];
-        }
+        this.logDebug(`Found ${hazardousAsteroids.length} hazardous asteroids`);
+        return hazardousAsteroids;
     }
 
     formatAsteroidDetails(asteroid) {
@@ -122,6 +129,16 @@ class AsteroidEndpoint extends BaseEndpoint {
                `Distance: ${parseFloat(missDistance).toLocaleString()} miles`;
     }
 
+    formatAsteroidFields(asteroid) {
+        const approach = asteroid.close_approach_data[0];
+        return [
+            { name: 'Size', value: `${asteroid.estimated_diameter.miles.estimated_diameter_max.toFixed(2)} miles`, inline: true },
+            { name: 'Speed', value: `${parseFloat(approach.relative_velocity.miles_per_hour).toLocaleString()} mph`, inline: true },
+            { name: 'Miss Distance', value: `${parseFloat(approach.miss_distance.miles).toLocaleString()} miles`, inline: true },
+            { name: 'Closest Approach', value: this.formatDate(approach.close_approach_date_full), inline: false }
+        ];
+    }
+
     formatDate(dateString) {
         try {
             return new Date(dateString).toLocaleDateString('en-US', {
@@ -158,7 +175,7 @@ class AsteroidEndpoint extends BaseEndpoint {
     }
 
     async getAllAsteroidsForCommand() {
-        // This method returns all hazardous asteroids for the !asteroids command
+        // This method returns all hazardous asteroids for the /asteroids command
         return await this.fetchHazardousAsteroids();
     }
 
@@ -171,4 +188,13 @@ class AsteroidEndpoint extends BaseEndpoint {
     }
 }
 
+AsteroidEndpoint.plugin = {
+    name: 'asteroid',
+    description: 'Potentially hazardous asteroid approaches from the NASA NEO feed',
+    itemNoun: ['asteroid', 'asteroids'],
+    embedColor: 0xE67E22,
+    secrets: ['NASA_TOKEN'],
+    configSchema: {}
+};
+
 module.exports = AsteroidEndpoint;
\ No newline at end of file
@@ -2,12 +2,15 @@ const axios = require('axios');
 const BaseEndpoint = require('../core/BaseEndpoint');
 
 class CongressEndpoint extends BaseEndpoint {
-    constructor(config, dataManager) {
-        super('congress', config, dataManager);
+    constructor(config, dataManager, options = {}) {
+        super('congress', config, dataManager, options);
         this.apiConfig = config.getAPIConfig('congress');
         this.requestTimeout = 10000;
         this.billTypes = ['hr', 's', 'hjres', 'sjres', 'hconres', 'sconres', 'hres', 'sres'];
         
+        // Bill listings update slowly and each poll costs several API calls
+        this.setSchedule({ intervalMinutes: 10 });
+        
         // Set retention period to 7 days for Congress items
         this.dataManager.setRetentionPeriod(this.name, 7 * 24 * 60 * 60);
         
@@ -24,44 +27,46 @@ class CongressEndpoint extends BaseEndpoint {
         }
 
         this.logInfo('Initializing Congress endpoint...');
+        if (this.pluginConfig.currentCongress) {
+            this.apiConfig.currentCongress = this.pluginConfig.currentCongress;
+        }
         this.logInfo(`Configured for Congress ${this.apiConfig.currentCongress}`);
     }
 
-    async fetchUpdate() {
+    async fetchCandidates(limit = Infinity) {
         if (!this.isEnabled || !this.apiConfig.token) {
-            return null;
+            return [];
         }
 
-        this.logDebug('Fetching Congress update...');
+        this.logDebug('Fetching Congress candidates...');
         
-        // Try to get recent bill updates first
-        const billUpdate = await this.getRecentBillUpdate();
-        if (billUpdate) {
-            this.logInfo(`Found bill update: ${billUpdate.title.substring(0, 50)}...`);
-            return this.formatNewsItem({
-                title: billUpdate.title,
-                url: billUpdate.url,
-                details: billUpdate.details
-            });
+        // Bill updates first, then recent votes
+        const updates = await this.getRecentBillUpdates(limit);
+        if (updates.length < limit) {
+            updates.push(...await this.getRecentVotes(limit - updates.length));
         }
 
-        // Then try to get recent votes
-        const voteUpdate = await this.getRecentVote();
-        if (voteUpdate) {
-            this.logInfo(`Found vote update: ${voteUpdate.title.substring(0, 50)}...`);
-            return this.formatNewsItem({
-                title: voteUpdate.title,
-                url: voteUpdate.url,
-                details: voteUpdate.details
-            });
+        if (updates.length === 0) {
+            this.logDebug('No new Congress updates found');
         }
 
-        this.logDebug('No new Congress updates found');
-        return null;
+        return updates.map(update => {
+            this.logInfo(`Found congress update: ${update.title.substring(0, 50)}...`);
+            return this.formatNewsItem(update);
+        });
     }
 
-    async getRecentBillUpdate() {
+    async getRecentBillUpdates(limit = Infinity) {
+        const updates = [];
+        let attempted = 0;
+        let failed = 0;
+        let lastError = null;
+
         for (const billType of this.billTypes) {
+            if (updates.length >= limit) break;
+            attempted++;
+
+
             try {
                 const url = `${this.apiConfig.baseUrl}/bill/${this.apiConfig.currentCongress}/${billType}`;
                 this.logInfo(`🌐 Making API call to: ${url} (${billType} bills)`);
@@ -79,6 +84,8 @@ class CongressEndpoint extends BaseEndpoint {
                 const bills = response.data?.bills || [];
                 
                 for (const bill of bills) {
+                    if (updates.length >= limit) break;
+
                     const billId = `${bill.congress}-${bill.type}-${bill.number}`;
                     const updateDate = new Date(bill.updateDateIncludingText);
                     const hoursSinceUpdate = (Date.now() - updateDate.getTime()) / (1000 * 60 * 60);
@@ -113,48 +120,81 @@ class CongressEndpoint extends BaseEndpoint {
                     
                     // Build comprehensive details
                     let details = `${bill.type.toUpperCase()} ${bill.number} - Updated: ${this.formatDate(bill.updateDateIncludingText)}`;
+                    const fields = [
+                        { name: 'Bill', value: `${bill.type.toUpperCase()} ${bill.number}`, inline: true },
+                        { name: 'Updated', value: this.formatDate(bill.updateDateIncludingText), inline: true }
+                    ];
                     
                     // Add sponsor information
                     if (billData.sponsors && billData.sponsors.length > 0) {
                         const sponsor = billData.sponsors[0];
                         const sponsorInfo = `${sponsor.fullName || `${sponsor.firstName} ${sponsor.lastName}`} (${sponsor.party}-${sponsor.state}${sponsor.district ? `-${sponsor.district}` : ''})`;
                         details += `\nSponsor: ${sponsorInfo}`;
+                        fields.push({ name: 'Sponsor', value: sponsorInfo, inline: true });
                     } else {
                         // Fallback: show that sponsor info is unavailable  
                         details += `\nSponsor: [Info not available]`;
+                        fields.push({ name: 'Sponsor', value: 'Info not available', inline: true });
                     }
                     
                     // Add legislative status
                     const status = this.determineLegislativeStatus(billData);
                     if (status) {
                         details += `\nStatus: ${status}`;
+                        fields.push({ name: 'Status', value: status, inline: true });
                     }
                     
                     // Add policy area
                     if (billData.policyArea && billData.policyArea.name) {
                         details += `\nPolicy Area: ${billData.policyArea.name}`;
+                        fields.push({ name: 'Policy Area', value: billData.policyArea.name, inline: true });
                     }
                     
                     // Add latest action
                     if (billData.latestAction && billData.latestAction.text) {
                         const actionDate = billData.latestAction.date ? ` (${this.formatDate(billData.latestAction.date)})` : '';
                         details += `\nLatest Action: ${billData.latestAction.text}${actionDate}`;
+                        fields.push({ name: 'Latest Action', value: `${billData.latestAction.text}${actionDate}`, inline: false });
                     }
                     
-                    return {
+                    // Every update of the bill belongs to one story, so channels can edit the first post
+                    const latestAction = billData.latestAction && billData.latestAction.text;
+                    updates.push({
+                        id: trackingId,
                         title: `📋 BILL UPDATE: ${billData.title || bill.title}`,
                         url: `https://congress.gov/bill/${bill.congress}th-congress/${bill.type}/${bill.number}`,
-                        details: details
-                    };
+                        details: details,
+                        fields,
+                        publishedAt: updateDate.toISOString(),
+                        priority: this.getStatusPriority(status),
+                        story: {
+                            id: `congress-bill-${billId}`,
+                            status: [status, latestAction].filter(Boolean).join(': ') || 'Updated'
+                        }
+                    });
                 }
             } catch (error) {
+                // Rate limits apply to the whole API key - no point trying the other bill types
+                if (error.response?.status === 429) {
+                    throw error;
+                }
+
                 this.logError(`Error fetching ${billType} bills`, error);
+                failed++;
+                lastError = error;
             }
         }
-        return null;
+
+        // Every bill listing failed - report it so the circuit breaker can count it
+        if (failed > 0 && failed === attempted) {
+            throw lastError;
+        }
+        return updates;
     }
 
-    async getRecentVote() {
+    async getRecentVotes(limit = Infinity) {
+        const votes = [];
+
         try {
             // Try House votes first (new beta endpoint)
             const url = `${this.apiConfig.baseUrl}/house-vote/${this.apiConfig.currentCongress}`;
@@ -173,6 +213,8 @@ class CongressEndpoint extends BaseEndpoint {
             const houseVotes = houseResponse.data?.houseVotes || [];
             
             for (const vote of houseVotes) {
+                if (votes.length >= limit) break;
+
                 const voteId = `house-${vote.congress}-${vote.session}-${vote.rollNumber}`;
                 const voteDate = new Date(vote.date);
                 const hoursSinceVote = (Date.now() - voteDate.getTime()) / (1000 * 60 * 60);
@@ -186,18 +228,26 @@ class CongressEndpoint extends BaseEndpoint {
 
                 this.markItemAsSeen(trackingId);
                 
-                return {
+                votes.push({
+                    id: trackingId,
                     title: `🗳️ HOUSE VOTE: ${vote.question || 'Unknown Question'}`,
                     url: `https://clerk.house.gov/Votes/${vote.congress}/${vote.rollNumber}`,
-                    details: `Roll #${vote.rollNumber} - ${vote.result || 'Unknown Result'} (${vote.yea || 0}-${vote.nay || 0}) - ${this.formatDate(vote.date)}`
-                };
+                    details: `Roll #${vote.rollNumber} - ${vote.result || 'Unknown Result'} (${vote.yea || 0}-${vote.nay || 0}) - ${this.formatDate(vote.date)}`,
+                    fields: [
+                        { name: 'Roll', value: `#${vote.rollNumber}`, inline: true },
+                        { name: 'Result', value: vote.result || 'Unknown Result', inline: true },
+                        { name: 'Tally', value: `${vote.yea || 0}-${vote.nay || 0}`, inline: true },
+                        { name: 'Date', value: this.formatDate(vote.date), inline: true }
+                    ],
+                    publishedAt: voteDate.toISOString()
+                });
             }
         } catch (error) {
             this.logError('Error fetching House votes', error);
         }
 
         // TODO: Add Senate votes when endpoint becomes available
-        return null;
+        return votes;
     }
 
     async getBillDetails(congress, billType, billNumber) {
@@ -274,6 +324,20 @@ class CongressEndpoint extends BaseEndpoint {
         this.logInfo(`Updated current Congress to ${congress}`);
     }
 
+    getStatusPriority(status) {
+        // Final outcomes rank above routine committee movement
+        switch (status) {
+            case 'Became Law':
+            case 'Vetoed':
+                return 2;
+            case 'Sent to President':
+            case 'Passed Both Chambers':
+                return 1.5;
+            default:
+                return 1;
+        }
+    }
+
     determineLegislativeStatus(bill) {
         // Check if bill became law
         if (bill.latestAction && bill.latestAction.text) {
@@ -334,4 +398,15 @@ class CongressEndpoint extends BaseEndpoint {
     }
 }
 
+CongressEndpoint.plugin = {
+    name: 'congress',
+    description: 'Bill status changes and House votes from congress.gov',
+    itemNoun: ['bill update', 'bill updates'],
+    embedColor: 0x1D3C78,
+    secrets: ['CONGRESS_GOV_TOKEN'],
+    configSchema: {
+        currentCongress: { env: 'CURRENT_CONGRESS', type: 'number', default: 119 }
+    }
+};
+
 module.exports = CongressEndpoint;
\ No newline at end of file
@@ -1,20 +1,14 @@
 const axios = require('axios');
 const BaseEndpoint = require('../core/BaseEndpoint');
-const EmbeddingService = require('../services/EmbeddingService');
-const SimilarityChecker = require('../utils/SimilarityChecker');
 
 class RedditEndpoint extends BaseEndpoint {
-    constructor(config, dataManager) {
-        super('reddit', config, dataManager);
-        this.sources = new Map();
-        this.bannedKeywords = [];
+    constructor(config, dataManager, options = {}) {
+        super('reddit', config, dataManager, options);
+        this.sources = new Map(); // jsonUrl -> author
+        this.sourcePriorities = new Map(); // jsonUrl -> ranking priority
         this.userAgent = 'news_feed_monitor';
         this.requestTimeout = 10000;
-        
-        // Vector embedding configuration
-        this.vectorEmbeddingEnabled = config.getBotConfig().vectorEmbedding !== false; // Default enabled
-        this.embeddingService = null;
-        this.similarityChecker = null;
+        this.sourcesFile = `${this.name}_sources.csv`; // One source list per instance
         
         // Set retention period to 24 hours for Reddit posts
         this.dataManager.setRetentionPeriod(this.name, 24 * 60 * 60);
@@ -22,65 +16,30 @@ class RedditEndpoint extends BaseEndpoint {
 
     async initialize() {
         this.logInfo('Initializing Reddit endpoint...');
+        this.userAgent = this.pluginConfig.userAgent || this.userAgent;
         await this.loadSources();
-        await this.loadBannedKeywords();
         
-        // Initialize vector embedding if enabled
-        if (this.vectorEmbeddingEnabled) {
-            this.logInfo('Initializing vector embedding for similarity detection...');
-            this.embeddingService = new EmbeddingService({
-                info: (msg, ...args) => this.logInfo(msg, ...args),
-                success: (msg, ...args) => this.logInfo(msg, ...args),
-                error: (msg, ...args) => this.logError(msg, ...args),
-                debug: (msg, ...args) => this.logDebug(msg, ...args)
-            });
-            
-            this.similarityChecker = new SimilarityChecker(
-                this.embeddingService,
-                this.dataManager,
-                {
-                    info: (msg, ...args) => this.logInfo(msg, ...args),
-                    error: (msg, ...args) => this.logError(msg, ...args),
-                    debug: (msg, ...args) => this.logDebug(msg, ...args),
-                    warn: (msg, ...args) => this.logInfo(msg, ...args)
-                },
-                {
-                    similarityThreshold: 0.85,
-                    maxHistorySize: 500,
-                    retentionHours: 48
-                }
-            );
-            
-            try {
-                await this.embeddingService.initialize();
-                await this.similarityChecker.loadRecentHeadlines(this.name);
-                this.logInfo('✅ Vector embedding initialized successfully');
-            } catch (error) {
-                this.logError('❌ Failed to initialize vector embedding, disabling feature', error);
-                this.vectorEmbeddingEnabled = false;
-                this.embeddingService = null;
-                this.similarityChecker = null;
-            }
-        }
-        
-        this.logInfo(`Loaded ${this.sources.size} sources and ${this.bannedKeywords.length} banned keywords`);
-        if (this.vectorEmbeddingEnabled) {
-            this.logInfo('🧠 Vector embedding enabled for duplicate detection');
-        }
+        this.logInfo(`Loaded ${this.sources.size} sources`);
     }
 
     async loadSources() {
-        this.dataManager.ensureFile('reddit_sources.csv', 'author,json_url\nany,https://www.reddit.com/r/news/new.json\n');
+        this.dataManager.ensureFile(this.sourcesFile, 'author,json_url,priority\nany,https://www.reddit.com/r/news/new.json,1\n');
         
-        const sources = this.dataManager.loadCSVData('reddit_sources.csv', line => {
-            const [author, jsonUrl] = line.split(',');
-            return author && jsonUrl ? { author: author.trim(), jsonUrl: jsonUrl.trim() } : null;
+        const sources = this.dataManager.loadCSVData(this.sourcesFile, line => {
+            const [author, jsonUrl, priority] = line.split(',');
+            return author && jsonUrl ? {
+                author: author.trim(),
+                jsonUrl: jsonUrl.trim(),
+                priority: parseFloat(priority) || 1 // Older files have no priority column
+            } : null;
         });
 
         this.sources.clear();
-        sources.forEach(({ author, jsonUrl }) => {
-            if (!jsonUrl.includes('author')) { // Skip header
+        this.sourcePriorities.clear();
+        sources.forEach(({ author, jsonUrl, priority }) => {
+            if (author !== 'author') { // Skip header
                 this.sources.set(jsonUrl, author);
+                this.sourcePriorities.set(jsonUrl, priority);
             }
         });
 
@@ -91,125 +50,141 @@ class RedditEndpoint extends BaseEndpoint {
         }
     }
 
-    async loadBannedKeywords() {
-        this.dataManager.ensureFile('banned_keywords.csv', '');
-        
-        const keywords = this.dataManager.loadCSVData('banned_keywords.csv', line => {
-            return line.split(',').map(keyword => keyword.trim()).filter(Boolean);
-        });
-
-        this.bannedKeywords = keywords.flat();
-    }
-
-    async fetchUpdate() {
+    async fetchCandidates(limit = Infinity) {
         if (!this.isEnabled) {
-            return null;
+            return [];
         }
 
-        this.logDebug('Fetching Reddit update...');
+        this.logDebug('Fetching Reddit candidates...');
         
-        // Shuffle sources for random selection
+        // Shuffle sources so no subreddit is always checked first
         const sourceEntries = Array.from(this.sources.entries()).sort(() => 0.5 - Math.random());
+        const candidates = [];
+        let failedSources = 0;
+        let lastError = null;
 
         for (const [jsonUrl, author] of sourceEntries) {
-            const post = await this.fetchFromSource(jsonUrl, author);
-            if (post) {
+            let posts;
+            try {
+                posts = await this.fetchFromSource(jsonUrl, author, limit - candidates.length);
+            } catch (error) {
+                // A 429 applies to every subreddit - stop here and let the circuit breaker wait it out
+                if (error.response?.status === 429) {
+                    this.logError(`❌ Rate limited by Reddit for ${jsonUrl}`);
+                    throw error;
+                }
+
+                this.logError(`❌ API call failed for: ${jsonUrl}`, error);
+                failedSources++;
+                lastError = error;
+                continue;
+            }
+
+            posts.forEach(post => {
                 this.logInfo(`Found new post: ${post.title.substring(0, 50)}...`);
-                return this.formatNewsItem(post);
+                candidates.push(this.formatNewsItem(post));
+            });
+
+            if (candidates.length >= limit) {
+                break;
             }
             
             // Add delay between source attempts to avoid rate limiting
             await new Promise(resolve => setTimeout(resolve, 1000)); // 1 second delay
         }
 
-        this.logDebug('No new Reddit posts found');
-        return null;
+        // Only count the poll as failed when no source could be reached
+        if (failedSources > 0 && failedSources === sourceEntries.length) {
+            throw lastError;
+        }
+
+        if (candidates.length === 0) {
+            this.logDebug('No new Reddit posts found');
+        }
+        return candidates;
     }
 
-    async fetchFromSource(jsonUrl, author) {
+    async fetchFromSource(jsonUrl, author, limit = Infinity) {
         const thresholdTimestamp = Math.floor(Date.now() / 1000) - 24 * 60 * 60; // 24 hours ago
+        const found = [];
 
-        try {
-            this.logInfo(`🌐 Making API call to: ${jsonUrl}`);
-            const response = await axios.get(jsonUrl, {
-                headers: { 'User-Agent': this.userAgent },
-                timeout: this.requestTimeout
-            });
-            this.logInfo(`✅ API call completed successfully for: ${jsonUrl}`);
+        // Request errors propagate so fetchCandidates() can tell a failed source from an empty one
+        this.logInfo(`🌐 Making API call to: ${jsonUrl}`);
+        const response = await axios.get(jsonUrl, {
+            headers: { 'User-Agent': this.userAgent },
+            timeout: this.requestTimeout
+        });
+        this.logInfo(`✅ API call completed successfully for: ${jsonUrl}`);
 
-            const posts = response.data?.data?.children || [];
+        const posts = response.data?.data?.children || [];
 
-            for (const post of posts) {
-                const postData = post.data;
-                const {
-                    id: postId,
-                    title,
-                    created_utc: createdUtc,
-                    author: postAuthor,
-                    subreddit: postSubreddit
-                } = postData;
+        for (const post of posts) {
+            if (found.length >= limit) break;
 
-                const url = postData.url_overridden_by_dest || postData.url || '';
+            const postData = post.data;
+            const {
+                id: postId,
+                title,
+                created_utc: createdUtc,
+                author: postAuthor,
+                subreddit: postSubreddit
+            } = postData;
 
-                // Skip old posts
-                if (createdUtc < thresholdTimestamp) continue;
+            const url = postData.url_overridden_by_dest || postData.url || '';
 
-                // Skip if author doesn't match (unless 'any')
-                if (author !== 'any' && postAuthor !== author) continue;
+            // Skip old posts
+            if (createdUtc < thresholdTimestamp) continue;
 
-                // Skip if already seen
-                if (this.hasSeenItem(postId)) continue;
+            // Skip if author doesn't match (unless 'any')
+            if (author !== 'any' && postAuthor !== author) continue;
 
-                // Validate that post comes from an approved source subreddit
-                if (!this.isFromApprovedSource(jsonUrl, postSubreddit)) {
-                    this.markItemAsSeen(postId);
-                    continue;
-                }
+            // Skip if already seen
+            if (this.hasSeenItem(postId)) continue;
 
-                // Skip if URL is invalid or banned
-                if (!url || this.isUrlBanned(url)) {
-                    this.markItemAsSeen(postId);
-                    continue;
-                }
-
-                // Check for similarity if vector embedding is enabled
-                if (this.vectorEmbeddingEnabled && this.similarityChecker) {
-                    const similarityResult = await this.similarityChecker.checkSimilarity(title);
-                    
-                    if (similarityResult.isSimilar) {
-                        this.logInfo(`🔄 REJECTED - Similar headline: "${title}" (similarity: ${(similarityResult.similarity * 100).toFixed(1)}% with "${similarityResult.similarHeadline}")`);
-                        this.markItemAsSeen(postId);
-                        continue;
-                    }
-                }
+            // Validate that post comes from an approved source subreddit
+            if (!this.isFromApprovedSource(jsonUrl, postSubreddit)) {
+                this.markItemAsSeen(postId);
+                continue;
+            }
 
-                // Mark as seen and add to similarity checker
+            // Skip if URL is missing - banned keywords are handled by the news pipeline
+            if (!url) {
                 this.markItemAsSeen(postId);
-                
-                if (this.vectorEmbeddingEnabled && this.similarityChecker) {
-                    await this.similarityChecker.addHeadline(title);
-                    await this.similarityChecker.saveRecentHeadlines(this.name);
-                }
-                
-                return { title, url };
+                continue;
             }
-        } catch (error) {
-            if (error.response?.status === 429) {
-                this.logError(`❌ Rate limited by Reddit for ${jsonUrl}. Waiting 60 seconds...`);
-                await new Promise(resolve => setTimeout(resolve, 60000)); // Wait 1 minute on rate limit
-            } else {
-                this.logError(`❌ API call failed for: ${jsonUrl}`, error);
+
+            // Similar headlines are caught by the shared deduplication stage in NewsBot
+            this.markItemAsSeen(postId);
+            
+            const fields = [
+                { name: 'Subreddit', value: `r/${postSubreddit}`, inline: true },
+                { name: 'Posted by', value: `u/${postAuthor}`, inline: true }
+            ];
+            if (postData.permalink) {
+                fields.push({ name: 'Discussion', value: `https://www.reddit.com${postData.permalink}`, inline: false });
             }
+
+            found.push({
+                id: postId,
+                title,
+                url,
+                publishedAt: new Date(createdUtc * 1000).toISOString(),
+                priority: this.getSourcePriority(jsonUrl),
+                metadata: { subreddit: postSubreddit, sourceUrl: jsonUrl },
+                fields,
+                thumbnail: postData.thumbnail // "self", "default" and "nsfw" placeholders are dropped by the embed
+            });
         }
 
-        return null;
+        return found;
     }
 
-    isUrlBanned(url) {
-        const lowerUrl = url.toLowerCase();
-        return this.bannedKeywords.some(keyword => 
-            lowerUrl.includes(keyword.toLowerCase())
-        );
+    buildEmbed(item) {
+        const embed = super.buildEmbed(item);
+        if (item.metadata.subreddit) {
+            embed.footer = { text: `Reddit • r/${item.metadata.subreddit}` };
+        }
+        return embed;
     }
 
     isFromApprovedSource(jsonUrl, postSubreddit) {
@@ -236,176 +211,50 @@ class RedditEndpoint extends BaseEndpoint {
         return this.sources.size;
     }
 
-    getBannedKeywordsCount() {
-        return this.bannedKeywords.length;
+    getSourcePriority(jsonUrl) {
+        return this.sourcePriorities.get(jsonUrl) || 1;
+    }
+
+    setSourcePriority(jsonUrl, priority) {
+        if (!this.sources.has(jsonUrl)) {
+            return false;
+        }
+        this.sourcePriorities.set(jsonUrl, parseFloat(priority) || 1);
+        this.saveSources();
+        return true;
     }
 
-    addSource(author, jsonUrl) {
+    addSource(author, jsonUrl, priority = 1) {
         this.sources.set(jsonUrl, author);
+        this.sourcePriorities.set(jsonUrl, parseFloat(priority) || 1);
         this.saveSources();
     }
 
     removeSource(jsonUrl) {
         this.sources.delete(jsonUrl);
+        this.sourcePriorities.delete(jsonUrl);
         this.saveSources();
     }
 
     saveSources() {
-        const data = ['author,json_url'];
+        const data = ['author,json_url,priority'];
         this.sources.forEach((author, jsonUrl) => {
-            data.push(`${author},${jsonUrl}`);
+            data.push(`${author},${jsonUrl},${this.getSourcePriority(jsonUrl)}`);
         });
         
-        this.dataManager.saveCSVData('reddit_sources.csv', data);
-    }
-
-    addBannedKeyword(keyword) {
-        if (!this.bannedKeywords.includes(keyword)) {
-            this.bannedKeywords.push(keyword);
-            this.saveBannedKeywords();
-        }
-    }
-
-    removeBannedKeyword(keyword) {
-        const index = this.bannedKeywords.indexOf(keyword);
-        if (index > -1) {
-            this.bannedKeywords.splice(index, 1);
-            this.saveBannedKeywords();
-        }
-    }
-
-    saveBannedKeywords() {
-        this.dataManager.saveCSVData('banned_keywords.csv', this.bannedKeywords.join(','));
-    }
-
-    // Vector embedding control methods
-    
-    isVectorEmbeddingEnabled() {
-        return this.vectorEmbeddingEnabled;
-    }
-
-    async enableVectorEmbedding() {
-        if (this.vectorEmbeddingEnabled) {
-            return { success: true, message: 'Vector embedding already enabled' };
-        }
-
-        try {
-            this.logInfo('Enabling vector embedding...');
-            
-            this.embeddingService = new EmbeddingService({
-                info: (msg, ...args) => this.logInfo(msg, ...args),
-                success: (msg, ...args) => this.logInfo(msg, ...args),
-                error: (msg, ...args) => this.logError(msg, ...args),
-                debug: (msg, ...args) => this.logDebug(msg, ...args)
-            });
-            
-            this.similarityChecker = new SimilarityChecker(
-                this.embeddingService,
-                this.dataManager,
-                {
-                    info: (msg, ...args) => this.logInfo(msg, ...args),
-                    error: (msg, ...args) => this.logError(msg, ...args),
-                    debug: (msg, ...args) => this.logDebug(msg, ...args),
-                    warn: (msg, ...args) => this.logInfo(msg, ...args)
-                },
-                {
-                    similarityThreshold: 0.85,
-                    maxHistorySize: 500,
-                    retentionHours: 48
-                }
-            );
-            
-            await this.embeddingService.initialize();
-            await this.similarityChecker.loadRecentHeadlines(this.name);
-            
-            this.vectorEmbeddingEnabled = true;
-            this.logInfo('✅ Vector embedding enabled successfully');
-            
-            return { success: true, message: 'Vector embedding enabled successfully' };
-            
-        } catch (error) {
-            this.logError('❌ Failed to enable vector embedding', error);
-            this.embeddingService = null;
-            this.similarityChecker = null;
-            return { success: false, message: `Failed to enable vector embedding: ${error.message}` };
-        }
-    }
-
-    async disableVectorEmbedding() {
-        if (!this.vectorEmbeddingEnabled) {
-            return { success: true, message: 'Vector embedding already disabled' };
-        }
-
-        try {
-            this.logInfo('Disabling vector embedding...');
-            
-            if (this.similarityChecker) {
-                await this.similarityChecker.saveRecentHeadlines(this.name);
-                this.similarityChecker.clear();
-            }
-            
-            if (this.embeddingService) {
-                await this.embeddingService.shutdown();
-            }
-            
-            this.vectorEmbeddingEnabled = false;
-            this.embeddingService = null;
-            this.similarityChecker = null;
-            
-            this.logInfo('✅ Vector embedding disabled successfully');
-            return { success: true, message: 'Vector embedding disabled successfully' };
-            
-        } catch (error) {
-            this.logError('❌ Error disabling vector embedding', error);
-            return { success: false, message: `Error disabling vector embedding: ${error.message}` };
-        }
-    }
-
-    getSimilarityStats() {
-        if (!this.vectorEmbeddingEnabled || !this.similarityChecker) {
-            return { enabled: false };
-        }
-
-        return {
-            enabled: true,
-            ...this.similarityChecker.getStats(),
-            cacheSize: this.embeddingService?.getCacheSize() || 0
-        };
-    }
-
-    updateSimilarityThreshold(threshold) {
-        if (this.vectorEmbeddingEnabled && this.similarityChecker) {
-            this.similarityChecker.updateThreshold(threshold);
-            return { success: true, message: `Similarity threshold updated to ${threshold}` };
-        }
-        return { success: false, message: 'Vector embedding not enabled' };
-    }
-
-    clearSimilarityCache() {
-        if (this.vectorEmbeddingEnabled) {
-            if (this.similarityChecker) {
-                this.similarityChecker.clear();
-            }
-            if (this.embeddingService) {
-                this.embeddingService.clearCache();
-            }
-            return { success: true, message: 'Similarity cache cleared' };
-        }
-        return { success: false, message: 'Vector embedding not enabled' };
+        this.dataManager.saveCSVData(this.sourcesFile, data);
     }
+}
 
-    async shutdown() {
-        await super.shutdown();
-        
-        if (this.vectorEmbeddingEnabled) {
-            if (this.similarityChecker) {
-                await this.similarityChecker.saveRecentHeadlines(this.name);
-            }
-            if (this.embeddingService) {
-                await this.embeddingService.shutdown();
-            }
-        }
+RedditEndpoint.plugin = {
+    name: 'reddit',
+    description: 'New posts from the subreddits in reddit_sources.csv',
+    itemNoun: ['Reddit story', 'Reddit stories'],
+    embedColor: 0xFF4500,
+    secrets: [],
+    configSchema: {
+        userAgent: { env: 'REDDIT_USER_AGENT', type: 'string', default: 'news_feed_monitor' }
     }
-}
+};
 
 module.exports = RedditEndpoint;
\ No newline at end of file
@@ -0,0 +1,160 @@
+const { EventEmitter } = require('events');
+const crypto = require('crypto');
+const EndpointHealth = require('../core/EndpointHealth');
+
+// An output the news feed can be posted to. Each notifier has its own targets
+// (channels, rooms, URLs), formatting and retry behavior; targets can subscribe
+// to a subset of endpoints.
+class Notifier extends EventEmitter {
+    constructor(name, options = {}, services = {}) {
+        super();
+        this.name = name;
+        this.type = options.type || name;
+        this.options = options;
+        this.config = services.config;
+        this.logger = services.logger;
+
+        this.retry = {
+            attempts: options.retries !== undefined ? options.retries : 3, // Retries after the first attempt
+            delayMs: options.retryDelayMs || 1000, // Doubles after each retry
+            maxDelayMs: options.maxRetryDelayMs || 60 * 1000 // Longest wait between attempts; a longer Retry-After ends the retries
+        };
+
+        this.targets = (options.targets || []).map(target => Notifier.normalizeTarget(target));
+        this.stats = { sent: 0, failed: 0, lastSentAt: null, lastError: null };
+    }
+
+    static normalizeTarget(target) {
+        if (!target || !target.id) {
+            throw new Error('Notifier targets need an id');
+        }
+
+        // No endpoint list means the target gets everything
+        const endpoints = Array.isArray(target.endpoints) && target.endpoints.length > 0 ? target.endpoints : null;
+        return { ...target, endpoints };
+    }
+
+    async initialize() {
+        // Default implementation - notifiers can override if they need setup
+    }
+
+    async shutdown() {
+        // Default implementation - notifiers can override if needed
+    }
+
+    isConnected() {
+        return true;
+    }
+
+    getTargets() {
+        return this.targets;
+    }
+
+    getTarget(targetId) {
+        return this.getTargets().find(target => target.id === targetId) || null;
+    }
+
+    subscribes(target, item) {
+        return !target.endpoints || target.endpoints.includes(item.source);
+    }
+
+    getTargetsFor(item) {
+        return this.getTargets().filter(target => this.subscribes(target, item));
+    }
+
+    // Render a news item into whatever sendToTarget() posts
+    formatItem(item) {
+        let text = item.title;
+        if (item.description && item.description.trim()) {
+            text += `\n\n${item.description}`;
+        }
+        if (item.details) {
+            text += `\n\n${item.details}`;
+        }
+        return `${text}\n\n${item.url}`;
+    }
+
+    formatText(text) {
+        return text;
+    }
+
+    // Post one formatted payload; return the remote message ID, or null if the service has none.
+    // deliveryId stays the same across retries of one delivery, for services with idempotency keys.
+    async sendToTarget(payload, target, deliveryId) {
+        throw new Error(`${this.name} notifier must implement sendToTarget() method`);
+    }
+
+    isRetryable(error) {
+        // Network errors, rate limits and server errors are worth another try; other 4xx are not
+        const status = error?.response?.status;
+        return !status || status === 429 || status >= 500;
+    }
+
+    async withRetry(operation, description) {
+        let attempt = 0;
+        while (true) {
+            try {
+                return await operation();
+            } catch (error) {
+                if (attempt >= this.retry.attempts || !this.isRetryable(error)) {
+                    throw error;
+                }
+
+                const retryAfterMs = EndpointHealth.getRetryAfterMs(error);
+                if (retryAfterMs > this.retry.maxDelayMs) {
+                    this.logger.warn(`${this.name}: ${description} failed (${error.message}) and the service asked to wait ${Math.round(retryAfterMs / 1000)}s, giving up`);
+                    throw error;
+                }
+
+                const delayMs = retryAfterMs || Math.min(this.retry.delayMs * Math.pow(2, attempt), this.retry.maxDelayMs);
+                attempt++;
+                this.logger.warn(`${this.name}: ${description} failed (${error.message}), retry ${attempt}/${this.retry.attempts} in ${Math.round(delayMs / 1000)}s`);
+                await new Promise(resolve => setTimeout(resolve, delayMs));
+            }
+        }
+    }
+
+    async deliver(payload, targets, description) {
+        const receipts = [];
+        for (const target of targets) {
+            try {
+                const deliveryId = crypto.randomUUID();
+                const messageId = await this.withRetry(() => this.sendToTarget(payload, target, deliveryId), `${description} to ${target.id}`);
+                receipts.push({ targetId: target.id, messageId: messageId || null });
+                this.stats.sent++;
+                this.stats.lastSentAt = new Date().toISOString();
+            } catch (error) {
+                this.stats.failed++;
+                this.stats.lastError = { message: error.message, targetId: target.id, at: new Date().toISOString() };
+                this.logger.error(`${this.name}: could not send ${description} to ${target.id}`, error);
+            }
+        }
+        return receipts;
+    }
+
+    async notify(item) {
+        const targets = this.getTargetsFor(item);
+        if (targets.length === 0) {
+            return [];
+        }
+        return this.deliver(this.formatItem(item), targets, `"${item.title}"`);
+    }
+
+    async sendText(text, targetIds = null) {
+        const targets = targetIds ? this.getTargets().filter(target => targetIds.includes(target.id)) : this.getTargets();
+        return this.deliver(this.formatText(text), targets, 'message');
+    }
+
+    getStatus() {
+        return {
+            name: this.name,
+            type: this.type,
+            connected: this.isConnected(),
+            retries: this.retry.attempts,
+            targets: this.getTargets().map(target => ({ id: target.id, endpoints: target.endpoints })),
+            ...this.stats
+        };
+    }
+}
+
+module.exports = Notifier;
@@ -0,0 +1,215 @@
+const SlackNotifier = require('./adapters/SlackNotifier');
+const MatrixNotifier = require('./adapters/MatrixNotifier');
+const WebhookNotifier = require('./adapters/WebhookNotifier');
+
+const notifierRegistry = new Map(); // notifier type -> Notifier subclass
+
+// Outputs besides Discord. Definitions live in notifiers.json; until that file
+// exists they are built from SLACK_WEBHOOK_URLS, WEBHOOK_URLS and MATRIX_ROOM_IDS.
+class NotifierManager {
+    static registerNotifier(type, NotifierClass) {
+        notifierRegistry.set(type, NotifierClass);
+    }
+
+    static getRegisteredNotifiers() {
+        return Array.from(notifierRegistry.keys());
+    }
+
+    constructor(config, dataManager, logger) {
+        this.config = config;
+        this.dataManager = dataManager;
+        this.logger = logger;
+        this.filename = 'notifiers.json';
+
+        this.definitions = []; // { name, type, enabled, targets, ...adapter options }
+        this.notifiers = new Map(); // name -> Notifier
+        this.errors = new Map(); // name -> error message
+    }
+
+    getDefaultDefinitions() {
+        const { slackWebhookUrls, webhookUrls, matrix, sections } = this.config.getNotifierConfig();
+        const definitions = new Map(); // name -> definition
+
+        // Config file sections first; a notifier set up through the environment replaces the one of the same name
+        Object.entries(sections).forEach(([name, section]) => {
+            const options = Object.fromEntries(Object.entries(section).filter(([, value]) => value !== undefined));
+            definitions.set(name, { ...options, name, type: section.type || name });
+        });
+
+        if (slackWebhookUrls.length > 0) {
+            definitions.set('slack', { name: 'slack', type: 'slack', targets: slackWebhookUrls.map((url, index) => ({ id: `slack-${index + 1}`, url })) });
+        }
+        if (webhookUrls.length > 0) {
+            definitions.set('webhook', { name: 'webhook', type: 'webhook', targets: webhookUrls.map((url, index) => ({ id: `webhook-${index + 1}`, url })) });
+        }
+        if (matrix.roomIds.length > 0) {
+            definitions.set('matrix', { name: 'matrix', type: 'matrix', targets: matrix.roomIds.map(id => ({ id })) });
+        }
+        return Array.from(definitions.values());
+    }
+
+    normalizeDefinition(definition) {
+        if (!definition || !definition.name || !definition.type) {
+            throw new Error('Notifier definitions need a name and type');
+        }
+        if (!notifierRegistry.has(definition.type)) {
+            throw new Error(`Unknown notifier type "${definition.type}" (available: ${NotifierManager.getRegisteredNotifiers().join(', ')})`);
+        }
+        if (!Array.isArray(definition.targets)) {
+            throw new Error(`Notifier ${definition.name} needs a targets list`);
+        }
+
+        return { ...definition, enabled: definition.enabled !== false };
+    }
+
+    async loadAll() {
+        const saved = this.dataManager.fileExists(this.filename)
+            ? this.dataManager.loadJSONData(this.filename, [])
+            : this.getDefaultDefinitions();
+
+        this.definitions = [];
+        for (const definition of Array.isArray(saved) ? saved : []) {
+            try {
+                this.definitions.push(this.normalizeDefinition(definition));
+            } catch (error) {
+                this.logger.error(`Skipping notifier definition: ${error.message}`);
+            }
+        }
+
+        for (const definition of this.definitions) {
+            if (definition.enabled) {
+                await this.start(definition);
+            }
+        }
+        return this.getStatus();
+    }
+
+    save() {
+        this.dataManager.saveJSONData(this.filename, this.definitions);
+    }
+
+    create(definition) {
+        const NotifierClass = notifierRegistry.get(definition.type);
+        const { name, type, enabled, ...options } = definition;
+        return new NotifierClass(name, options, { config: this.config, logger: this.logger });
+    }
+
+    async start(definition) {
+        try {
+            const notifier = this.create(definition);
+            await notifier.initialize();
+            this.notifiers.set(definition.name, notifier);
+            this.errors.delete(definition.name);
+            this.logger.success(`📣 Notifier ${definition.name} (${definition.type}) ready with ${notifier.getTargets().length} targets`);
+        } catch (error) {
+            this.errors.set(definition.name, error.message);
+            this.logger.error(`Failed to start notifier ${definition.name}`, error);
+        }
+    }
+
+    async stop(name) {
+        const notifier = this.notifiers.get(name);
+        if (!notifier) return;
+
+        this.notifiers.delete(name);
+        try {
+            await notifier.shutdown();
+        } catch (error) {
+            this.logger.error(`Error shutting down notifier ${name}`, error);
+        }
+    }
+
+    async setDefinitions(definitions) {
+        // Validate everything before touching the running notifiers
+        const normalized = definitions.map(definition => this.normalizeDefinition(definition));
+        const names = normalized.map(definition => definition.name);
+        if (new Set(names).size !== names.length) {
+            throw new Error('Notifier names must be unique');
+        }
+        normalized.filter(definition => definition.enabled).forEach(definition => this.create(definition));
+
+        for (const name of Array.from(this.notifiers.keys())) {
+            await this.stop(name);
+        }
+        this.errors.clear();
+
+        this.definitions = normalized;
+        this.save();
+        for (const definition of this.definitions) {
+            if (definition.enabled) {
+                await this.start(definition);
+            }
+        }
+        return this.getStatus();
+    }
+
+    async setTargetEndpoints(name, targetId, endpoints) {
+        const definition = this.definitions.find(entry => entry.name === name);
+        const target = definition && definition.targets.find(entry => entry.id === targetId);
+        if (!target) {
+            throw new Error(`Notifier target ${name}/${targetId} not found`);
+        }
+        if (endpoints !== null && !Array.isArray(endpoints)) {
+            throw new Error('endpoints must be a list of endpoint names or null');
+        }
+
+        target.endpoints = endpoints && endpoints.length > 0 ? endpoints : null;
+        this.save();
+
+        // Running notifiers pick the change up without a restart
+        const notifier = this.notifiers.get(name);
+        const running = notifier && notifier.getTarget(targetId);
+        if (running) {
+            running.endpoints = target.endpoints;
+        }
+        return target;
+    }
+
+    hasNotifiers() {
+        return this.notifiers.size > 0;
+    }
+
+    getNotifier(name) {
+        return this.notifiers.get(name) || null;
+    }
+
+    hasTargetsFor(item) {
+        return Array.from(this.notifiers.values()).some(notifier => notifier.getTargetsFor(item).length > 0);
+    }
+
+    async notify(item) {
+        const results = await Promise.all(Array.from(this.notifiers.values()).map(async notifier => ({
+            notifier: notifier.name,
+            receipts: await notifier.notify(item)
+        })));
+        return results.filter(result => result.receipts.length > 0);
+    }
+
+    async shutdown() {
+        for (const name of Array.from(this.notifiers.keys())) {
+            await this.stop(name);
+        }
+    }
+
+    getStatus() {
+        return this.definitions.map(definition => {
+            const notifier = this.notifiers.get(definition.name);
+            return notifier
+                ? { ...notifier.getStatus(), enabled: true, error: null }
+                : {
+                    name: definition.name,
+                    type: definition.type,
+                    enabled: definition.enabled,
+                    connected: false,
+                    targets: definition.targets.map(target => ({ id: target.id, endpoints: target.endpoints || null })),
+                    error: this.errors.get(definition.name) || null
+                };
+        });
+    }
+}
+
+NotifierManager.registerNotifier('slack', SlackNotifier);
+NotifierManager.registerNotifier('matrix', MatrixNotifier);
+NotifierManager.registerNotifier('webhook', WebhookNotifier);
+
+module.exports = NotifierManager;
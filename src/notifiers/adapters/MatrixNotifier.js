@@ -0,0 +1,66 @@
+const axios = require('axios');
+const Notifier = require('../Notifier');
+
+// Posts to Matrix rooms through the client-server API - one room ID per target
+class MatrixNotifier extends Notifier {
+    constructor(name, options = {}, services = {}) {
+        super(name, { ...options, type: 'matrix' }, services);
+
+        const matrixConfig = services.config ? services.config.getNotifierConfig().matrix : {};
+        this.homeserverUrl = (options.homeserverUrl || matrixConfig.homeserverUrl || '').replace(/\/+$/, '');
+        this.accessToken = options.accessToken || matrixConfig.accessToken;
+        this.userId = null;
+
+        if (!this.homeserverUrl || !this.accessToken) {
+            throw new Error('Matrix notifier needs a homeserverUrl and accessToken (or MATRIX_HOMESERVER_URL and MATRIX_ACCESS_TOKEN)');
+        }
+    }
+
+    static escapeHtml(text) {
+        return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+
+    getHeaders() {
+        return { Authorization: `Bearer ${this.accessToken}` };
+    }
+
+    async initialize() {
+        // Confirms the token works before the first post
+        const response = await axios.get(`${this.homeserverUrl}/_matrix/client/v3/account/whoami`, {
+            headers: this.getHeaders(),
+            timeout: 10000
+        });
+        this.userId = response.data.user_id;
+        this.logger.info(`${this.name}: signed in to Matrix as ${this.userId}`);
+    }
+
+    isConnected() {
+        return this.userId !== null;
+    }
+
+    formatItem(item) {
+        const parts = [item.description && item.description.trim() ? item.description : null, item.details].filter(Boolean);
+        const html = [`<strong><a href="${MatrixNotifier.escapeHtml(item.url)}">${MatrixNotifier.escapeHtml(item.title)}</a></strong>`,
+            ...parts.map(part => MatrixNotifier.escapeHtml(part).replace(/\n/g, '<br>'))];
+
+        return {
+            msgtype: 'm.text',
+            body: `${[item.title, ...parts].join('\n\n')}\n\n${item.url}`,
+            format: 'org.matrix.custom.html',
+            formatted_body: html.join('<br><br>')
+        };
+    }
+
+    formatText(text) {
+        return { msgtype: 'm.notice', body: text };
+    }
+
+    async sendToTarget(payload, target, deliveryId) {
+        // Reusing the transaction ID makes retries idempotent - the homeserver drops repeats
+        const url = `${this.homeserverUrl}/_matrix/client/v3/rooms/${encodeURIComponent(target.id)}/send/m.room.message/${deliveryId}`;
+        const response = await axios.put(url, payload, { headers: this.getHeaders(), timeout: 10000 });
+        return response.data.event_id || null;
+    }
+}
+
+module.exports = MatrixNotifier;
@@ -0,0 +1,43 @@
+const axios = require('axios');
+const Notifier = require('../Notifier');
+
+// Posts to Slack incoming webhooks - one webhook URL per target
+class SlackNotifier extends Notifier {
+    constructor(name, options = {}, services = {}) {
+        super(name, { ...options, type: 'slack' }, services);
+
+        this.getTargets().forEach(target => {
+            if (!target.url) {
+                throw new Error(`Slack target ${target.id} needs a webhook url`);
+            }
+        });
+    }
+
+    static escape(text) {
+        // Slack mrkdwn only needs these three escaped
+        return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    }
+
+    formatItem(item) {
+        const lines = [`*<${item.url}|${SlackNotifier.escape(item.title)}>*`];
+        if (item.description && item.description.trim()) {
+            lines.push(SlackNotifier.escape(item.description));
+        }
+        if (item.details) {
+            lines.push(SlackNotifier.escape(item.details));
+        }
+        lines.push(`_${SlackNotifier.escape(item.source)}_`);
+        return { text: lines.join('\n'), unfurl_links: true };
+    }
+
+    formatText(text) {
+        return { text: SlackNotifier.escape(text) };
+    }
+
+    async sendToTarget(payload, target) {
+        await axios.post(target.url, payload, { timeout: 10000 });
+        return null; // Incoming webhooks don't return message IDs
+    }
+}
+
+module.exports = SlackNotifier;
@@ -0,0 +1,53 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const Notifier = require('../Notifier');
+
+// POSTs each item as JSON to arbitrary URLs - one URL per target
+class WebhookNotifier extends Notifier {
+    constructor(name, options = {}, services = {}) {
+        super(name, { ...options, type: 'webhook' }, services);
+
+        this.getTargets().forEach(target => {
+            if (!target.url) {
+                throw new Error(`Webhook target ${target.id} needs a url`);
+            }
+        });
+    }
+
+    formatItem(item) {
+        return {
+            event: 'news',
+            item: {
+                id: item.id,
+                source: item.source,
+                title: item.title,
+                url: item.url,
+                description: item.description || null,
+                details: item.details || null,
+                priority: item.priority || 1,
+                publishedAt: item.publishedAt || null,
+                tags: item.tags || [],
+                metadata: item.metadata || {}
+            }
+        };
+    }
+
+    formatText(text) {
+        return { event: 'message', text };
+    }
+
+    async sendToTarget(payload, target) {
+        const body = JSON.stringify(payload);
+        const headers = { 'Content-Type': 'application/json', ...(target.headers || {}) };
+
+        // Receivers can verify the payload with the shared secret
+        if (target.secret) {
+            headers['X-NewsBot-Signature'] = `sha256=${crypto.createHmac('sha256', target.secret).update(body).digest('hex')}`;
+        }
+
+        const response = await axios.post(target.url, body, { headers, timeout: 10000 });
+        return (response.data && response.data.id) || null;
+    }
+}
+
+module.exports = WebhookNotifier;
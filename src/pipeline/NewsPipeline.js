@@ -0,0 +1,262 @@
+const KeywordFilterStage = require('./stages/KeywordFilterStage');
+const UrlNormalizerStage = require('./stages/UrlNormalizerStage');
+const DeduplicationStage = require('./stages/DeduplicationStage');
+
+const stageRegistry = new Map(); // stage name -> PipelineStage subclass
+
+class NewsPipeline {
+    constructor(config, dataManager, logger) {
+        this.config = config;
+        this.dataManager = dataManager;
+        this.logger = logger;
+        this.filename = 'pipeline.json';
+
+        this.definition = null; // { default, endpoints, channels }
+        this.stageCache = new Map(); // scope key -> [PipelineStage]
+        this.sharedStages = new Map(); // stage name -> instance for shared stages
+        this.initializedStages = new Set();
+        this.initialized = false;
+
+        this.load();
+    }
+
+    static registerStage(name, StageClass) {
+        stageRegistry.set(name, StageClass);
+    }
+
+    static getRegisteredStages() {
+        return Array.from(stageRegistry.keys());
+    }
+
+    load() {
+        const pipelineConfig = this.config.getPipelineConfig();
+        const defaults = {
+            default: pipelineConfig.defaultStages,
+            endpoints: {},
+            channels: {}
+        };
+
+        this.dataManager.ensureFile(this.filename, JSON.stringify(defaults, null, 2));
+        const saved = this.dataManager.loadJSONData(this.filename, defaults) || defaults;
+
+        this.definition = {
+            // PIPELINE_STAGES wins over the saved default so it can be changed per deployment
+            default: pipelineConfig.stagesOverride || saved.default || defaults.default,
+            endpoints: saved.endpoints || {},
+            channels: saved.channels || {}
+        };
+
+        this.validateDefinition();
+    }
+
+    save() {
+        this.dataManager.saveJSONData(this.filename, this.definition);
+    }
+
+    normalizeEntry(entry) {
+        return typeof entry === 'string' ? { stage: entry, options: {} } : { stage: entry.stage, options: entry.options || {} };
+    }
+
+    validateDefinition() {
+        const lists = [
+            this.definition.default,
+            ...Object.values(this.definition.endpoints),
+            ...Object.values(this.definition.channels)
+        ];
+
+        lists.forEach(list => {
+            list.map(entry => this.normalizeEntry(entry)).forEach(({ stage }) => {
+                if (!stageRegistry.has(stage)) {
+                    throw new Error(`Unknown pipeline stage "${stage}" (available: ${NewsPipeline.getRegisteredStages().join(', ')})`);
+                }
+            });
+        });
+    }
+
+    createStage(name, options) {
+        const StageClass = stageRegistry.get(name);
+        const services = { config: this.config, dataManager: this.dataManager, logger: this.logger };
+
+        if (StageClass.shared) {
+            if (!this.sharedStages.has(name)) {
+                this.sharedStages.set(name, new StageClass(name, options, services));
+            }
+            return this.sharedStages.get(name);
+        }
+
+        return new StageClass(name, options, services);
+    }
+
+    async buildStages(cacheKey, entries) {
+        if (!this.stageCache.has(cacheKey)) {
+            const stages = entries.map(entry => {
+                const { stage, options } = this.normalizeEntry(entry);
+                return this.createStage(stage, options);
+            });
+
+            this.stageCache.set(cacheKey, stages);
+
+            // Stages created after startup (e.g. a new channel) are set up on first use
+            if (this.initialized) {
+                for (const stage of stages) {
+                    await this.initializeStage(stage);
+                }
+            }
+        }
+        return this.stageCache.get(cacheKey);
+    }
+
+    getEndpointEntries(endpointName) {
+        return this.definition.endpoints[endpointName] || this.definition.default;
+    }
+
+    hasChannelStages(channelId) {
+        return Array.isArray(this.definition.channels[channelId]) && this.definition.channels[channelId].length > 0;
+    }
+
+    async initializeStage(stage) {
+        // Shared stages appear in several pipelines but must only be set up once
+        if (this.initializedStages.has(stage)) {
+            return;
+        }
+        this.initializedStages.add(stage);
+        await stage.initialize();
+    }
+
+    async initialize() {
+        await this.buildStages('default', this.definition.default);
+
+        for (const stages of this.stageCache.values()) {
+            for (const stage of stages) {
+                await this.initializeStage(stage);
+            }
+        }
+
+        this.initialized = true;
+        this.logger.info(`🧪 News pipeline ready: ${this.definition.default.map(entry => this.normalizeEntry(entry).stage).join(' → ')}`);
+    }
+
+    async run(stages, item, context) {
+        let current = { ...item, metadata: { ...item.metadata }, tags: [...(item.tags || [])] };
+
+        for (const stage of stages) {
+            try {
+                current = await stage.process(current, context);
+            } catch (error) {
+                this.logger.error(`Pipeline stage ${stage.name} failed, dropping item`, error);
+                context.dropReason = `Stage error: ${error.message}`;
+                current = null;
+            }
+
+            if (!current) {
+                this.logger.info(`🚫 Dropped by ${stage.name}: "${item.title.substring(0, 50)}..." - ${context.dropReason || 'no reason given'}`);
+                return { item: null, droppedBy: stage.name, reason: context.dropReason || null, context, stages };
+            }
+        }
+
+        return { item: current, droppedBy: null, reason: null, context, stages };
+    }
+
+    async processForEndpoint(item) {
+        const stages = await this.buildStages(`endpoint:${item.source}`, this.getEndpointEntries(item.source));
+        return this.run(stages, item, { scope: 'endpoint', endpoint: item.source });
+    }
+
+    async processForChannel(item, channelId) {
+        if (!this.hasChannelStages(channelId)) {
+            return { item, droppedBy: null, reason: null, context: { scope: 'channel', channelId }, stages: [] };
+        }
+
+        const stages = await this.buildStages(`channel:${channelId}`, this.definition.channels[channelId]);
+        return this.run(stages, item, { scope: 'channel', endpoint: item.source, channelId });
+    }
+
+    // Takes every channel's result at once: a shared stage (dedup) hears about the
+    // delivery only once, after all channels had the item
+    async markDelivered(...results) {
+        const notified = new Set();
+        for (const result of results) {
+            for (const stage of result.stages) {
+                if (notified.has(stage)) continue;
+                notified.add(stage);
+
+                try {
+                    await stage.onDelivered(result.item, result.context);
+                } catch (error) {
+                    this.logger.error(`Pipeline stage ${stage.name} failed after delivery`, error);
+                }
+            }
+        }
+    }
+
+    getSharedStage(name) {
+        const StageClass = stageRegistry.get(name);
+        if (!StageClass || !StageClass.shared) {
+            return null;
+        }
+        return this.createStage(name, {});
+    }
+
+    getDefinition() {
+        return JSON.parse(JSON.stringify(this.definition));
+    }
+
+    setStages(scope, key, entries) {
+        const previous = this.getDefinition();
+
+        if (scope === 'default') {
+            this.definition.default = entries;
+        } else if (scope === 'endpoint' || scope === 'channel') {
+            const target = scope === 'endpoint' ? this.definition.endpoints : this.definition.channels;
+            if (entries && entries.length > 0) {
+                target[key] = entries;
+            } else {
+                delete target[key];
+            }
+        } else {
+            throw new Error(`Unknown pipeline scope "${scope}"`);
+        }
+
+        try {
+            this.validateDefinition();
+        } catch (error) {
+            this.definition = previous;
+            throw error;
+        }
+
+        // Rebuild lazily with the new definition
+        this.stageCache.clear();
+        this.initializedStages = new Set(Array.from(this.sharedStages.values()).filter(stage => this.initializedStages.has(stage)));
+        this.save();
+    }
+
+    getStatus() {
+        const describe = entries => entries.map(entry => this.normalizeEntry(entry).stage);
+        return {
+            availableStages: NewsPipeline.getRegisteredStages(),
+            default: describe(this.definition.default),
+            endpoints: Object.fromEntries(Object.entries(this.definition.endpoints).map(([name, entries]) => [name, describe(entries)])),
+            channels: Object.fromEntries(Object.entries(this.definition.channels).map(([id, entries]) => [id, describe(entries)]))
+        };
+    }
+
+    async shutdown() {
+        const stages = new Set();
+        this.stageCache.forEach(list => list.forEach(stage => stages.add(stage)));
+        this.sharedStages.forEach(stage => stages.add(stage));
+
+        for (const stage of stages) {
+            try {
+                await stage.shutdown();
+            } catch (error) {
+                this.logger.error(`Error shutting down pipeline stage ${stage.name}`, error);
+            }
+        }
+    }
+}
+
+NewsPipeline.registerStage('urlNormalize', UrlNormalizerStage);
+NewsPipeline.registerStage('keywordFilter', KeywordFilterStage);
+NewsPipeline.registerStage('dedup', DeduplicationStage);
+
+module.exports = NewsPipeline;
@@ -0,0 +1,43 @@
+class PipelineStage {
+    constructor(name, options = {}, services = {}) {
+        this.name = name;
+        this.options = options;
+        this.config = services.config;
+        this.dataManager = services.dataManager;
+        this.logger = services.logger;
+    }
+
+    async initialize() {
+        // Default implementation - stages can override if they need setup
+    }
+
+    // Return the item (optionally modified) to keep it, or null to drop it
+    async process(item, context) {
+        throw new Error(`${this.name} stage must implement process() method`);
+    }
+
+    // Called once an item that passed this stage has actually been posted
+    async onDelivered(item, context) {
+        // Default implementation - stages can override if needed
+    }
+
+    async shutdown() {
+        // Default implementation - stages can override if needed
+    }
+
+    drop(context, reason) {
+        context.dropReason = reason;
+        return null;
+    }
+
+    tag(item, ...tags) {
+        item.tags = Array.from(new Set([...(item.tags || []), ...tags]));
+        return item;
+    }
+
+    getStatus() {
+        return { name: this.name, options: this.options };
+    }
+}
+
+module.exports = PipelineStage;
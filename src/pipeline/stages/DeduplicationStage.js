@@ -0,0 +1,233 @@
+const PipelineStage = require('../PipelineStage');
+const EmbeddingService = require('../../services/EmbeddingService');
+const SimilarityChecker = require('../../utils/SimilarityChecker');
+
+class DeduplicationStage extends PipelineStage {
+    constructor(name, options, services) {
+        super(name, options, services);
+
+        this.dedupConfig = this.config.getDeduplicationConfig();
+        this.enabled = this.dedupConfig.enabled;
+        this.historyName = 'shared'; // One headline history for all endpoints
+        this.thresholds = new Map(Object.entries(this.dedupConfig.thresholds)); // endpointName -> threshold
+
+        this.embeddingService = null;
+        this.similarityChecker = null;
+
+        this.rejectionsFile = 'dedup_rejections.json';
+        this.maxRejections = 100;
+        this.rejections = this.dataManager.loadJSONData(this.rejectionsFile, []);
+    }
+
+    async initialize() {
+        if (!this.enabled) {
+            this.logger.info('Semantic deduplication disabled');
+            return;
+        }
+
+        try {
+            await this.start();
+            this.logger.info('🧠 Semantic deduplication enabled for all endpoints');
+        } catch (error) {
+            this.logger.error('❌ Failed to initialize vector embedding, disabling deduplication', error);
+            this.enabled = false;
+            this.embeddingService = null;
+            this.similarityChecker = null;
+        }
+    }
+
+    async start() {
+        this.embeddingService = new EmbeddingService(this.logger);
+
+        this.similarityChecker = new SimilarityChecker(
+            this.embeddingService,
+            this.dataManager,
+            this.logger,
+            {
+                similarityThreshold: this.dedupConfig.defaultThreshold,
+                maxHistorySize: this.dedupConfig.maxHistorySize,
+                retentionHours: this.dedupConfig.retentionHours
+            }
+        );
+
+        await this.embeddingService.initialize();
+        await this.similarityChecker.loadRecentHeadlines(this.historyName);
+    }
+
+    getThreshold(endpointName) {
+        if (this.thresholds.has(endpointName)) {
+            return this.thresholds.get(endpointName);
+        }
+        return this.similarityChecker?.options.similarityThreshold ?? this.dedupConfig.defaultThreshold;
+    }
+
+    setThreshold(endpointName, threshold) {
+        if (!Number.isFinite(threshold)) {
+            throw new Error(`Invalid similarity threshold: ${threshold}`);
+        }
+        this.thresholds.set(endpointName, Math.max(0, Math.min(1, threshold)));
+        this.logger.info(`Similarity threshold for ${endpointName} updated to ${this.thresholds.get(endpointName)}`);
+    }
+
+    async process(item, context) {
+        const result = await this.check(item);
+        if (result.isDuplicate) {
+            context.duplicate = result;
+            return this.drop(context, `Similar to "${result.matched.title}" (${(result.similarity * 100).toFixed(1)}%)`);
+        }
+        return item;
+    }
+
+    async onDelivered(item) {
+        await this.remember(item);
+    }
+
+    async check(newsItem) {
+        if (!this.enabled || !this.similarityChecker) {
+            return { isDuplicate: false };
+        }
+
+        const threshold = this.getThreshold(newsItem.source);
+        const result = await this.similarityChecker.checkSimilarity(newsItem.title, threshold);
+        if (!result.isSimilar) {
+            return { isDuplicate: false, similarity: result.similarity };
+        }
+
+        // Updates of a story (a bill's progress) repeat its headline and URL - they update the first post instead
+        const matched = result.similarItem;
+        if (newsItem.story && matched && matched.source === newsItem.source && matched.url === newsItem.url) {
+            return { isDuplicate: false, similarity: result.similarity, storyUpdate: true };
+        }
+
+        const rejection = {
+            rejectedAt: new Date().toISOString(),
+            item: { id: newsItem.id, title: newsItem.title, url: newsItem.url, source: newsItem.source },
+            matched: { title: result.similarHeadline, ...(result.similarItem || {}) },
+            similarity: Math.round(result.similarity * 1000) / 1000,
+            threshold
+        };
+        this.recordRejection(rejection);
+
+        this.logger.info(`🔄 REJECTED - Similar headline: "${newsItem.title}" from ${newsItem.source} (similarity: ${(result.similarity * 100).toFixed(1)}% with "${result.similarHeadline}"${result.similarItem ? ` from ${result.similarItem.source}` : ''})`);
+        return { isDuplicate: true, ...rejection };
+    }
+
+    async remember(newsItem) {
+        if (!this.enabled || !this.similarityChecker) {
+            return;
+        }
+
+        await this.similarityChecker.addHeadline(newsItem.title, {
+            id: newsItem.id,
+            source: newsItem.source,
+            url: newsItem.url
+        });
+        await this.similarityChecker.saveRecentHeadlines(this.historyName);
+    }
+
+    recordRejection(rejection) {
+        this.rejections.unshift(rejection);
+        this.rejections = this.rejections.slice(0, this.maxRejections);
+        this.dataManager.saveJSONData(this.rejectionsFile, this.rejections);
+    }
+
+    getRecentRejections(limit = 20) {
+        return this.rejections.slice(0, limit);
+    }
+
+    isEnabled() {
+        return this.enabled;
+    }
+
+    async enable() {
+        if (this.enabled) {
+            return { success: true, message: 'Vector embedding already enabled' };
+        }
+
+        try {
+            this.logger.info('Enabling vector embedding...');
+            await this.start();
+            this.enabled = true;
+            this.logger.info('✅ Vector embedding enabled successfully');
+            return { success: true, message: 'Vector embedding enabled successfully' };
+        } catch (error) {
+            this.logger.error('❌ Failed to enable vector embedding', error);
+            this.embeddingService = null;
+            this.similarityChecker = null;
+            return { success: false, message: `Failed to enable vector embedding: ${error.message}` };
+        }
+    }
+
+    async disable() {
+        if (!this.enabled) {
+            return { success: true, message: 'Vector embedding already disabled' };
+        }
+
+        try {
+            this.logger.info('Disabling vector embedding...');
+            await this.shutdown();
+            this.enabled = false;
+            this.embeddingService = null;
+            this.similarityChecker = null;
+            this.logger.info('✅ Vector embedding disabled successfully');
+            return { success: true, message: 'Vector embedding disabled successfully' };
+        } catch (error) {
+            this.logger.error('❌ Error disabling vector embedding', error);
+            return { success: false, message: `Error disabling vector embedding: ${error.message}` };
+        }
+    }
+
+    updateThreshold(threshold) {
+        if (this.enabled && this.similarityChecker) {
+            this.similarityChecker.updateThreshold(threshold);
+            return { success: true, message: `Similarity threshold updated to ${threshold}` };
+        }
+        return { success: false, message: 'Vector embedding not enabled' };
+    }
+
+    clearCache() {
+        if (this.enabled) {
+            if (this.similarityChecker) {
+                this.similarityChecker.clear();
+            }
+            if (this.embeddingService) {
+                this.embeddingService.clearCache();
+            }
+            return { success: true, message: 'Similarity cache cleared' };
+        }
+        return { success: false, message: 'Vector embedding not enabled' };
+    }
+
+    getStatus() {
+        return { ...super.getStatus(), ...this.getStats() };
+    }
+
+    getStats() {
+        if (!this.enabled || !this.similarityChecker) {
+            return { enabled: false, rejections: this.rejections.length };
+        }
+
+        return {
+            enabled: true,
+            ...this.similarityChecker.getStats(),
+            endpointThresholds: Object.fromEntries(this.thresholds),
+            cacheSize: this.embeddingService?.getCacheSize() || 0,
+            rejections: this.rejections.length
+        };
+    }
+
+    async shutdown() {
+        if (this.similarityChecker) {
+            await this.similarityChecker.saveRecentHeadlines(this.historyName);
+            this.similarityChecker.clear();
+        }
+        if (this.embeddingService) {
+            await this.embeddingService.shutdown();
+        }
+    }
+}
+
+// One instance serves every pipeline so all endpoints share the headline history
+DeduplicationStage.shared = true;
+
+module.exports = DeduplicationStage;
@@ -0,0 +1,107 @@
+const PipelineStage = require('../PipelineStage');
+
+class KeywordFilterStage extends PipelineStage {
+    constructor(name, options, services) {
+        super(name, options, services);
+
+        this.fields = options.fields || ['title', 'url'];
+        this.include = (options.include || []).map(keyword => keyword.toLowerCase());
+        this.exclude = (options.exclude || []).map(keyword => keyword.toLowerCase());
+
+        // The shared banned keyword list is the old Reddit URL check: it only looks at URLs of
+        // Reddit items unless a stage widens it, e.g. { bannedKeywordFields: ['title', 'url'], bannedKeywordSources: '*' }
+        this.useBannedKeywords = options.useBannedKeywords !== false;
+        this.bannedKeywordFields = options.bannedKeywordFields || ['url'];
+        this.bannedKeywordSources = options.bannedKeywordSources || ['reddit']; // Endpoint names, or '*' for all
+        this.bannedKeywordsFile = 'banned_keywords.csv';
+        this.bannedKeywords = [];
+    }
+
+    async initialize() {
+        if (this.useBannedKeywords) {
+            this.loadBannedKeywords();
+        }
+    }
+
+    loadBannedKeywords() {
+        this.dataManager.ensureFile(this.bannedKeywordsFile, '');
+
+        const keywords = this.dataManager.loadCSVData(this.bannedKeywordsFile, line => {
+            return line.split(',').map(keyword => keyword.trim()).filter(Boolean);
+        });
+
+        this.bannedKeywords = keywords.flat();
+    }
+
+    getSearchText(item, fields = this.fields) {
+        return fields
+            .map(field => item[field])
+            .filter(value => typeof value === 'string')
+            .join('\n')
+            .toLowerCase();
+    }
+
+    appliesBannedKeywords(item) {
+        return this.useBannedKeywords &&
+            (this.bannedKeywordSources === '*' || this.bannedKeywordSources.includes(item.source));
+    }
+
+    async process(item, context) {
+        const text = this.getSearchText(item);
+
+        const excluded = this.exclude.find(keyword => text.includes(keyword));
+        if (excluded) {
+            return this.drop(context, `Matched excluded keyword "${excluded}"`);
+        }
+
+        if (this.appliesBannedKeywords(item)) {
+            const bannedText = this.getSearchText(item, this.bannedKeywordFields);
+            const banned = this.bannedKeywords.find(keyword => bannedText.includes(keyword.toLowerCase()));
+            if (banned) {
+                return this.drop(context, `Matched banned keyword "${banned}"`);
+            }
+        }
+
+        if (this.include.length > 0) {
+            const matched = this.include.filter(keyword => text.includes(keyword));
+            if (matched.length === 0) {
+                return this.drop(context, 'Matched none of the include keywords');
+            }
+            this.tag(item, ...matched.map(keyword => `keyword:${keyword}`));
+        }
+
+        return item;
+    }
+
+    getBannedKeywords() {
+        return [...this.bannedKeywords];
+    }
+
+    addBannedKeyword(keyword) {
+        if (!this.bannedKeywords.includes(keyword)) {
+            this.bannedKeywords.push(keyword);
+            this.saveBannedKeywords();
+        }
+    }
+
+    removeBannedKeyword(keyword) {
+        const index = this.bannedKeywords.indexOf(keyword);
+        if (index > -1) {
+            this.bannedKeywords.splice(index, 1);
+            this.saveBannedKeywords();
+        }
+    }
+
+    saveBannedKeywords() {
+        this.dataManager.saveCSVData(this.bannedKeywordsFile, this.bannedKeywords.join(','));
+    }
+
+    getStatus() {
+        return {
+            ...super.getStatus(),
+            bannedKeywords: this.useBannedKeywords ? this.bannedKeywords.length : 0
+        };
+    }
+}
+
+module.exports = KeywordFilterStage;
@@ -0,0 +1,58 @@
+const PipelineStage = require('../PipelineStage');
+
+class UrlNormalizerStage extends PipelineStage {
+    constructor(name, options, services) {
+        super(name, options, services);
+
+        // Query parameters that only track where a click came from
+        this.trackingParams = options.trackingParams || [
+            'fbclid', 'gclid', 'dclid', 'msclkid', 'mc_cid', 'mc_eid', 'igshid', 'ref', 'ref_src', 'smid', 'cmpid'
+        ];
+        this.trackingPrefixes = options.trackingPrefixes || ['utm_'];
+        this.stripFragment = options.stripFragment !== false;
+        this.forceHttps = options.forceHttps === true;
+    }
+
+    normalize(rawUrl) {
+        let url;
+        try {
+            url = new URL(rawUrl);
+        } catch (error) {
+            return null;
+        }
+
+        if (this.forceHttps && url.protocol === 'http:') {
+            url.protocol = 'https:';
+        }
+
+        url.hostname = url.hostname.toLowerCase();
+
+        Array.from(url.searchParams.keys()).forEach(key => {
+            const lowerKey = key.toLowerCase();
+            if (this.trackingParams.includes(lowerKey) || this.trackingPrefixes.some(prefix => lowerKey.startsWith(prefix))) {
+                url.searchParams.delete(key);
+            }
+        });
+
+        if (this.stripFragment) {
+            url.hash = '';
+        }
+
+        return url.toString();
+    }
+
+    async process(item, context) {
+        const normalized = this.normalize(item.url);
+        if (!normalized) {
+            return this.drop(context, `Invalid URL "${item.url}"`);
+        }
+
+        if (normalized !== item.url) {
+            item.metadata = { ...item.metadata, originalUrl: item.url };
+            item.url = normalized;
+        }
+        return item;
+    }
+}
+
+module.exports = UrlNormalizerStage;
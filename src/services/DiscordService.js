@@ -1,5 +1,9 @@
-const { Client, GatewayIntentBits } = require('discord.js');
+const { Client, GatewayIntentBits, Partials, PermissionFlagsBits } = require('discord.js');
 const { EventEmitter } = require('events');
+const NewsEmbed = require('../utils/NewsEmbed');
+const ChannelRegistry = require('../core/ChannelRegistry');
+
+const FEEDBACK_REACTIONS = { '👍': 1, '👎': -1 };
 
 class DiscordService extends EventEmitter {
     constructor(config, dataManager, logger) {
@@ -9,16 +13,26 @@ class DiscordService extends EventEmitter {
         this.logger = logger;
         this.discordConfig = config.getDiscordConfig();
         this.secretsConfig = config.getSecretsConfig();
+        this.feedbackConfig = config.getFeedbackConfig();
         
-        this.client = new Client({
-            intents: [
-                GatewayIntentBits.Guilds,
-                GatewayIntentBits.GuildMessages,
-                GatewayIntentBits.MessageContent
-            ]
-        });
+        // Commands are slash commands now; reading other users' messages (a privileged
+        // intent) is only needed for the secret message reply
+        const intents = [GatewayIntentBits.Guilds, GatewayIntentBits.GuildMessages];
+        if (this.secretsConfig.message) {
+            intents.push(GatewayIntentBits.MessageContent);
+        }
 
-        this.targetChannels = [];
+        // Reactions on messages posted before a restart arrive as partials
+        const partials = [];
+        if (this.feedbackConfig.enabled) {
+            intents.push(GatewayIntentBits.GuildMessageReactions);
+            partials.push(Partials.Message, Partials.Channel, Partials.Reaction);
+        }
+        this.client = new Client({ intents, partials });
+
+        this.channels = new ChannelRegistry(dataManager); // Registered channels and their subscriptions
+        this.trackedMessages = new Map(); // messageId -> the posted item's source, for reaction feedback
+        this.trackingFilename = 'feedback_messages.json';
         this.isReady = false;
         
         this.setupEventHandlers();
@@ -27,6 +41,7 @@ class DiscordService extends EventEmitter {
     async initialize() {
         this.logger.info('Initializing Discord service...');
         await this.loadTargetChannels();
+        this.loadTrackedMessages();
         await this.login();
     }
 
@@ -43,9 +58,38 @@ class DiscordService extends EventEmitter {
         this.client.once('ready', () => {
             this.isReady = true;
             this.logger.success(`Discord bot ready as ${this.client.user.tag}`);
+            this.refreshChannelDetails();
             this.emit('ready');
         });
 
+        // Forget channels that were deleted or whose guild the bot left
+        this.client.on('channelDelete', (channel) => {
+            if (this.channels.has(channel.id)) {
+                this.removeTargetChannel(channel.id, 'channel deleted');
+            }
+        });
+
+        this.client.on('guildDelete', (guild) => {
+            // An outage also fires guildDelete, with the guild marked unavailable - keep its channels then
+            if (guild.available === false) {
+                this.logger.warn(`Guild ${guild.id} is unavailable`);
+                return;
+            }
+            this.channels.getByGuild(guild.id).forEach(({ channelId }) => this.removeTargetChannel(channelId, `left guild ${guild.name || guild.id}`));
+        });
+
+        this.client.on('channelUpdate', (oldChannel, channel) => {
+            this.channels.update(channel.id, this.getChannelDetails(channel));
+        });
+
+        this.client.on('messageReactionAdd', (reaction, user) => {
+            this.handleReaction(reaction, user, false);
+        });
+
+        this.client.on('messageReactionRemove', (reaction, user) => {
+            this.handleReaction(reaction, user, true);
+        });
+
         this.client.on('messageCreate', async (message) => {
             try {
                 await this.handleMessage(message);
@@ -55,6 +99,10 @@ class DiscordService extends EventEmitter {
             }
         });
 
+        this.client.on('interactionCreate', (interaction) => {
+            this.emit('interaction', interaction);
+        });
+
         this.client.on('error', (error) => {
             this.logger.error('Discord client error', error);
             this.emit('error', error);
@@ -74,38 +122,14 @@ class DiscordService extends EventEmitter {
                 return;
             }
 
-            // Skip messages without text content (GIFs, images, embeds, etc.)
-            if (!message.content || message.content.trim() === '') {
-                return;
-            }
-
-            // Handle ping command
-            if (message.content === '!ping') {
-                await message.reply('Pong!');
-                return;
-            }
-
-            // Handle set channel command
-            if (message.content === '!setchannel') {
-                await this.handleSetChannel(message);
-                return;
-            }
-
-            // Handle asteroid command  
-            if (message.content === '!asteroids') {
-                this.emit('asteroidRequest', message);
-                return;
-            }
-
-            // Handle congress command
-            if (message.content === '!congress') {
-                this.emit('congressRequest', message);
+            // Handle bot's own messages for keyword checking - news posts are mostly embeds
+            if (message.author.id === this.client.user.id) {
+                await this.handleBotMessage(message);
                 return;
             }
 
-            // Handle bot's own messages for keyword checking
-            if (message.author.id === this.client.user.id) {
-                await this.handleBotMessage(message);
+            // Skip messages without text content (GIFs, images, embeds, etc.)
+            if (!message.content || message.content.trim() === '') {
                 return;
             }
 
@@ -120,26 +144,11 @@ class DiscordService extends EventEmitter {
         }
     }
 
-    async handleSetChannel(message) {
-        if (message.guild && message.channel && message.channel.type === 0) {
-            // Check if channel is already registered
-            if (this.targetChannels.some(ch => ch.channelId === message.channel.id)) {
-                await message.reply('This channel is already registered for automatic posts.');
-                return;
-            }
-
-            this.targetChannels.push({ channelId: message.channel.id });
-            this.saveTargetChannels();
-            await message.reply(`Channel #${message.channel.name} registered for automatic posts.`);
-            this.logger.info(`Channel registered: #${message.channel.name} (${message.channel.id})`);
-        } else {
-            await message.reply('This command must be used in a text channel.');
-        }
-    }
-
     async handleBotMessage(message) {
         const keywords = ["maryland", "baltimore", "wes moore"];
-        const content = message.content.toLowerCase();
+        const content = [message.content, ...message.embeds.map(embed => `${embed.title || ''}\n${embed.description || ''}`)]
+            .join('\n')
+            .toLowerCase();
         
         if (keywords.some(keyword => content.includes(keyword))) {
             const targetChannel = this.client.channels.cache.get(this.discordConfig.goChannel);
@@ -175,26 +184,81 @@ class DiscordService extends EventEmitter {
         }
     }
 
-    async sendToChannels(messageContent) {
+    getDeliveryChannels() {
+        return this.config.isTesting() ? this.getTestChannels() : this.channels.list();
+    }
+
+    // With an item, only the channels whose subscription it matches and that are under their hourly limit
+    getDeliveryChannelIds(item = null) {
+        const channelIds = this.getDeliveryChannels().map(({ channelId }) => channelId);
+        if (!item || this.config.isTesting()) {
+            return channelIds;
+        }
+        return channelIds.filter(channelId => this.channels.matches(channelId, item) && !this.channels.isRateLimited(channelId));
+    }
+
+    hasSubscribers(item) {
+        return this.config.isTesting()
+            ? this.getDeliveryChannels().length > 0
+            : this.channels.list().some(({ channelId }) => this.channels.matches(channelId, item));
+    }
+
+    recordPost(channelId) {
+        this.channels.recordPost(channelId);
+    }
+
+    // Rich embed plus the plain-text version for channels that can't show embeds
+    formatItem(newsItem, embed = NewsEmbed.create(newsItem)) {
+        return { embeds: [embed], fallback: this.formatPlainText(newsItem) };
+    }
+
+    formatPlainText(newsItem) {
+        let messageContent = newsItem.title;
+        
+        // Add description if available
+        if (newsItem.description && newsItem.description.trim()) {
+            messageContent += `\n\n${newsItem.description}`;
+        }
+        
+        // Add details if available
+        if (newsItem.details) {
+            messageContent += `\n\n${newsItem.details}`;
+        }
+        
+        // Add URL at the end (Discord will auto-embed)
+        messageContent += `\n\nURL: ${newsItem.url}`;
+
+        return messageContent;
+    }
+
+    async sendToChannels(messageContent, channelIds = null) {
+        const sent = await this.postToChannels(messageContent, channelIds);
+        return sent.length > 0;
+    }
+
+    // Like sendToChannels, but returns { channelId, messageId } for every message that went out
+    async postToChannels(messageContent, channelIds = null) {
         if (!this.isReady) {
             this.logger.warn('Discord bot not ready, cannot send message');
-            return false;
+            return [];
         }
 
-        const channels = this.config.isTesting() ? this.getTestChannels() : this.targetChannels;
+        const channels = channelIds
+            ? this.getDeliveryChannels().filter(({ channelId }) => channelIds.includes(channelId))
+            : this.getDeliveryChannels();
         
         if (channels.length === 0) {
             this.logger.warn('No target channels configured');
-            return false;
+            return [];
         }
 
-        let successCount = 0;
+        const sent = [];
         for (const { channelId } of channels) {
             try {
                 const channel = this.client.channels.cache.get(channelId);
                 if (channel) {
-                    await channel.send(messageContent);
-                    successCount++;
+                    const message = await channel.send(this.resolveMessage(messageContent, channel));
+                    sent.push({ channelId, messageId: message.id });
                     this.logger.debug(`Message sent to #${channel.name}`);
                 } else {
                     this.logger.warn(`Channel not found: ${channelId}`);
@@ -204,8 +268,130 @@ class DiscordService extends EventEmitter {
             }
         }
 
-        this.logger.info(`Message sent to ${successCount}/${channels.length} channels`);
-        return successCount > 0;
+        this.logger.info(`Message sent to ${sent.length}/${channels.length} channels`);
+        return sent;
+    }
+
+    // Replace an earlier message's content, e.g. with a story's latest status
+    async editMessage(channelId, messageId, messageContent) {
+        if (!this.isReady) {
+            return false;
+        }
+
+        try {
+            const channel = this.client.channels.cache.get(channelId);
+            if (!channel) {
+                return false;
+            }
+            const message = await channel.messages.fetch(messageId);
+            const content = this.resolveMessage(messageContent, channel);
+
+            // Switching between plain text and an embed has to clear the other one
+            await message.edit(typeof content === 'string' ? { content, embeds: [] } : { content: null, ...content });
+            return true;
+        } catch (error) {
+            this.logger.warn(`Could not edit message ${messageId} in channel ${channelId}: ${error.message}`);
+            return false;
+        }
+    }
+
+    // Post in the thread under an earlier message, starting the thread the first time.
+    // Returns { channelId, messageId, threadId } or null
+    async replyInThread(channelId, messageId, threadId, messageContent, threadName) {
+        if (!this.isReady) {
+            return null;
+        }
+
+        try {
+            const channel = this.client.channels.cache.get(channelId);
+            if (!channel) {
+                return null;
+            }
+
+            let thread = threadId ? await this.client.channels.fetch(threadId).catch(() => null) : null;
+            if (!thread) {
+                thread = await this.startThread(channel, messageId, threadName);
+            }
+            if (thread.archived) {
+                await thread.setArchived(false);
+            }
+
+            const sent = await thread.send(this.resolveMessage(messageContent, channel));
+            return { channelId, messageId: sent.id, threadId: thread.id };
+        } catch (error) {
+            this.logger.warn(`Could not reply in thread of message ${messageId} in channel ${channelId}: ${error.message}`);
+            return null;
+        }
+    }
+
+    // Thread names are limited to 100 characters; cut at a word boundary
+    shortenTitle(title, limit = 100) {
+        const text = String(title).replace(/\s+/g, ' ').trim();
+        if (text.length <= limit) {
+            return text;
+        }
+        const cut = text.slice(0, limit - 1);
+        const lastSpace = cut.lastIndexOf(' ');
+        return `${lastSpace > limit / 2 ? cut.slice(0, lastSpace) : cut}…`;
+    }
+
+    // The message's thread, started if it doesn't have one yet
+    async startThread(channel, messageId, title, autoArchiveDuration = undefined) {
+        const message = await channel.messages.fetch(messageId);
+        return message.thread || message.startThread({ name: this.shortenTitle(title), autoArchiveDuration });
+    }
+
+    // Open a discussion thread on a posted message; returns the thread ID or null
+    async openThread(channelId, messageId, title, autoArchiveDuration) {
+        if (!this.isReady) {
+            return null;
+        }
+
+        try {
+            const channel = this.client.channels.cache.get(channelId);
+            if (!channel) {
+                return null;
+            }
+            const thread = await this.startThread(channel, messageId, title, autoArchiveDuration);
+            return thread.id;
+        } catch (error) {
+            this.logger.warn(`Could not open a thread on message ${messageId} in channel ${channelId}: ${error.message}`);
+            return null;
+        }
+    }
+
+    async sendToThread(threadId, messageContent) {
+        if (!this.isReady) {
+            return false;
+        }
+
+        try {
+            const thread = await this.client.channels.fetch(threadId);
+            if (!thread) {
+                return false;
+            }
+            if (thread.archived) {
+                await thread.setArchived(false);
+            }
+            await thread.send(messageContent);
+            return true;
+        } catch (error) {
+            this.logger.warn(`Could not post in thread ${threadId}: ${error.message}`);
+            return false;
+        }
+    }
+
+    resolveMessage(messageContent, channel) {
+        if (typeof messageContent === 'string' || !messageContent.embeds) {
+            return messageContent;
+        }
+        return this.canEmbed(channel) ? { embeds: messageContent.embeds } : messageContent.fallback;
+    }
+
+    canEmbed(channel) {
+        // Without Embed Links the embed isn't shown, so the message would arrive empty
+        const permissions = channel.permissionsFor ? channel.permissionsFor(this.client.user) : null;
+        return !permissions || permissions.has(PermissionFlagsBits.EmbedLinks);
     }
 
     async sendToChannel(channelId, messageContent) {
@@ -236,43 +422,125 @@ class DiscordService extends EventEmitter {
     }
 
     async loadTargetChannels() {
-        this.dataManager.ensureFile('target_channels.csv', '');
-        
-        const channels = this.dataManager.loadCSVData('target_channels.csv', line => {
-            const channelId = line.trim();
-            return channelId ? { channelId } : null;
+        const count = this.channels.load();
+        this.logger.info(`Loaded ${count} target channels`);
+    }
+
+    getTargetChannels() {
+        return this.channels.list();
+    }
+
+    getChannelDetails(channel) {
+        return {
+            guildId: channel.guildId || null,
+            guildName: channel.guild ? channel.guild.name : null,
+            name: channel.name || null
+        };
+    }
+
+    refreshChannelDetails() {
+        // Channels registered before names were stored, or renamed while the bot was offline
+        this.channels.list().forEach(({ channelId }) => {
+            const channel = this.client.channels.cache.get(channelId);
+            if (channel) {
+                this.channels.update(channelId, this.getChannelDetails(channel));
+            } else {
+                this.logger.warn(`Registered channel ${channelId} is not visible to the bot`);
+            }
         });
+    }
 
-        this.targetChannels = channels;
-        this.logger.info(`Loaded ${this.targetChannels.length} target channels`);
+    addTargetChannel(channelId, channel = null) {
+        const added = this.channels.add(channelId, channel ? this.getChannelDetails(channel) : {});
+        if (added) {
+            this.emit('channelAdded', channelId);
+        }
+        return added;
     }
 
-    saveTargetChannels() {
-        const data = this.targetChannels.map(entry => entry.channelId);
-        this.dataManager.saveCSVData('target_channels.csv', data);
+    removeTargetChannel(channelId, reason = 'unregistered') {
+        const record = this.channels.get(channelId);
+        if (!this.channels.remove(channelId)) {
+            return false;
+        }
+
+        this.logger.info(`Channel removed (${reason}): #${record.name || channelId}${record.guildName ? ` in ${record.guildName}` : ''}`);
+        this.emit('channelRemoved', channelId, reason);
+        return true;
     }
 
-    getTargetChannels() {
-        return [...this.targetChannels];
+    loadTrackedMessages() {
+        const saved = this.dataManager.loadJSONData(this.trackingFilename, []);
+        this.trackedMessages.clear();
+        (Array.isArray(saved) ? saved : []).forEach(entry => {
+            if (entry && entry.messageId) {
+                this.trackedMessages.set(entry.messageId, entry);
+            }
+        });
+        this.pruneTrackedMessages();
     }
 
-    addTargetChannel(channelId) {
-        if (!this.targetChannels.some(ch => ch.channelId === channelId)) {
-            this.targetChannels.push({ channelId });
-            this.saveTargetChannels();
-            return true;
+    saveTrackedMessages() {
+        this.dataManager.saveJSONData(this.trackingFilename, Array.from(this.trackedMessages.values()));
+    }
+
+    pruneTrackedMessages() {
+        const cutoff = Date.now() - this.feedbackConfig.trackDays * 24 * 60 * 60 * 1000;
+        this.trackedMessages.forEach((entry, messageId) => {
+            if (new Date(entry.sentAt).getTime() < cutoff) {
+                this.trackedMessages.delete(messageId);
+            }
+        });
+    }
+
+    // Remember which source each posted message came from, so reactions can be scored
+    trackMessages(item, sent) {
+        if (!this.feedbackConfig.enabled || sent.length === 0) {
+            return;
         }
-        return false;
+
+        sent.forEach(({ channelId, messageId }) => {
+            // An edited story post keeps the votes it already had
+            const existing = this.trackedMessages.get(messageId);
+            this.trackedMessages.set(messageId, {
+                messageId,
+                channelId,
+                source: item.source,
+                sourceUrl: item.metadata?.sourceUrl || null,
+                title: item.title,
+                sentAt: new Date().toISOString(),
+                votes: existing ? existing.votes : [] // "userId:emoji" already counted
+            });
+        });
+        this.pruneTrackedMessages();
+        this.saveTrackedMessages();
     }
 
-    removeTargetChannel(channelId) {
-        const index = this.targetChannels.findIndex(ch => ch.channelId === channelId);
-        if (index > -1) {
-            this.targetChannels.splice(index, 1);
-            this.saveTargetChannels();
-            return true;
+    handleReaction(reaction, user, removed) {
+        const vote = FEEDBACK_REACTIONS[reaction.emoji.name];
+        const tracked = this.trackedMessages.get(reaction.message.id);
+        if (!vote || !tracked || user.bot || user.id === this.client.user?.id) {
+            return;
         }
-        return false;
+
+        // Each member counts once per emoji, and can only take back a vote that was counted
+        const voteKey = `${user.id}:${reaction.emoji.name}`;
+        if (tracked.votes.includes(voteKey) !== removed) {
+            return;
+        }
+        tracked.votes = removed ? tracked.votes.filter(key => key !== voteKey) : [...tracked.votes, voteKey];
+        this.saveTrackedMessages();
+
+        this.emit('feedback', {
+            messageId: tracked.messageId,
+            channelId: tracked.channelId,
+            source: tracked.source,
+            sourceUrl: tracked.sourceUrl,
+            title: tracked.title,
+            userId: user.id,
+            vote,
+            removed
+        });
     }
 
     isConnected() {
@@ -1,6 +1,3 @@
-const tf = require('@tensorflow/tfjs-node');
-const use = require('@tensorflow-models/universal-sentence-encoder');
-
 class EmbeddingService {
     constructor(logger) {
         this.logger = logger;
@@ -14,6 +11,10 @@ class EmbeddingService {
 
         try {
             this.logger.info('Initializing Universal Sentence Encoder...');
+
+            // Loaded here so the native TensorFlow addon is only needed once deduplication starts
+            const tf = require('@tensorflow/tfjs-node');
+            const use = require('@tensorflow-models/universal-sentence-encoder');
             
             // Set TensorFlow backend to CPU for Node.js
             await tf.setBackend('cpu');
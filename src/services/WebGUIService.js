@@ -1,5 +1,8 @@
 const express = require('express');
 const path = require('path');
+const crypto = require('crypto');
+const FeedBuilder = require('../utils/FeedBuilder');
+const NotifierManager = require('../notifiers/NotifierManager');
 
 class WebGUIService {
     constructor(newsBot, config, logger) {
@@ -15,6 +18,9 @@ class WebGUIService {
     }
 
     setupMiddleware() {
+        // State archives carry every seen item; the bodies of other requests keep the default limit.
+        // The first parser to read a body marks it, so the global one below skips these routes
+        this.app.use(['/api/state/preview', '/api/state/import'], express.json({ limit: '50mb' }));
         this.app.use(express.json());
         this.app.use(express.urlencoded({ extended: true }));
         this.app.use(express.static(path.join(__dirname, '../gui')));
@@ -34,6 +40,48 @@ class WebGUIService {
             res.sendFile(path.join(__dirname, '../gui/index.html'));
         });
 
+        // Feeds of posted news: /feeds/all.xml (RSS), /feeds/congress.atom, /feeds/reddit.json (JSON Feed)
+        this.app.get('/feeds/:file', (req, res) => {
+            try {
+                const match = req.params.file.match(/^(.+)\.(xml|atom|json)$/);
+                if (!match) {
+                    return res.status(404).json({ error: 'Feed not found (use .xml, .atom or .json)' });
+                }
+
+                const [, name, extension] = match;
+                const source = name === 'all' ? null : name;
+                if (source && !this.newsBot.getEndpoint(source) && !this.newsBot.archive.getStatus().sources[source]) {
+                    return res.status(404).json({ error: 'Endpoint not found' });
+                }
+
+                const { limit, title } = this.config.getFeedConfig();
+                const entries = this.newsBot.archive.search({ source, limit }).results;
+                const baseUrl = `${req.protocol}://${req.get('host')}`;
+                const feed = {
+                    title: source ? `${title} - ${source}` : title,
+                    description: source ? `News posted from ${source}` : 'All news posted by NewsBot',
+                    homeUrl: `${baseUrl}/`,
+                    feedUrl: `${baseUrl}${req.originalUrl.split('?')[0]}`
+                };
+
+                const format = FeedBuilder.formats[extension];
+                const body = format.render(feed, entries);
+
+                // Readers poll often - let them skip unchanged feeds
+                res.set('ETag', `"${crypto.createHash('sha1').update(body).digest('hex')}"`);
+                res.set('Last-Modified', FeedBuilder.getUpdated(entries).toUTCString());
+                res.set('Cache-Control', 'public, max-age=60');
+                if (req.fresh) {
+                    return res.status(304).end();
+                }
+
+                res.type(format.contentType).send(body);
+            } catch (error) {
+                this.logger.error('Error building feed', error);
+                res.status(500).json({ error: error.message });
+            }
+        });
+
         // API Routes
         this.app.get('/api/status', (req, res) => {
             try {
@@ -49,8 +97,7 @@ class WebGUIService {
                         reddit: {
                             enabled: redditEndpoint?.isEndpointEnabled() || false,
                             weight: redditEndpoint?.getWeight() || 0,
-                            sources: redditEndpoint?.getSourcesCount() || 0,
-                            vectorEmbedding: redditEndpoint?.getSimilarityStats() || { enabled: false }
+                            sources: redditEndpoint?.getSourcesCount() || 0
                         },
                         congress: {
                             enabled: congressEndpoint?.isEndpointEnabled() || false,
@@ -84,21 +131,18 @@ class WebGUIService {
         // Vector Embedding Control
         this.app.post('/api/vector-embedding/:action', async (req, res) => {
             try {
-                const redditEndpoint = this.newsBot.getEndpoint('reddit');
-                if (!redditEndpoint) {
-                    return res.status(404).json({ error: 'Reddit endpoint not found' });
-                }
+                const deduplication = this.newsBot.deduplication;
 
                 let result;
                 switch (req.params.action) {
                     case 'enable':
-                        result = await redditEndpoint.enableVectorEmbedding();
+                        result = await deduplication.enable();
                         break;
                     case 'disable':
-                        result = await redditEndpoint.disableVectorEmbedding();
+                        result = await deduplication.disable();
                         break;
                     case 'clear-cache':
-                        result = redditEndpoint.clearSimilarityCache();
+                        result = deduplication.clearCache();
                         break;
                     default:
                         return res.status(400).json({ error: 'Invalid action' });
@@ -111,17 +155,27 @@ class WebGUIService {
             }
         });
 
-        // Update similarity threshold
+        // Update similarity threshold - globally, or for one endpoint when given
         this.app.post('/api/similarity-threshold', async (req, res) => {
             try {
-                const { threshold } = req.body;
-                const redditEndpoint = this.newsBot.getEndpoint('reddit');
-                
-                if (!redditEndpoint) {
-                    return res.status(404).json({ error: 'Reddit endpoint not found' });
+                const { endpoint } = req.body;
+                const threshold = ['number', 'string'].includes(typeof req.body.threshold) && req.body.threshold !== ''
+                    ? Number(req.body.threshold)
+                    : NaN;
+                if (!Number.isFinite(threshold) || threshold < 0 || threshold > 1) {
+                    return res.status(400).json({ error: 'Threshold must be a number between 0 and 1' });
+                }
+                const deduplication = this.newsBot.deduplication;
+
+                if (endpoint) {
+                    if (!this.newsBot.getEndpoint(endpoint)) {
+                        return res.status(404).json({ error: 'Endpoint not found' });
+                    }
+                    deduplication.setThreshold(endpoint, threshold);
+                    return res.json({ success: true, message: `Similarity threshold for ${endpoint} updated to ${threshold}` });
                 }
 
-                const result = redditEndpoint.updateSimilarityThreshold(parseFloat(threshold));
+                const result = deduplication.updateThreshold(threshold);
                 res.json(result);
             } catch (error) {
                 this.logger.error('Error updating similarity threshold', error);
@@ -129,16 +183,70 @@ class WebGUIService {
             }
         });
 
+        // Recent duplicate rejections and what they matched
+        this.app.get('/api/deduplication/rejections', (req, res) => {
+            try {
+                const limit = parseInt(req.query.limit) || 20;
+                res.json({ rejections: this.newsBot.deduplication.getRecentRejections(limit) });
+            } catch (error) {
+                this.logger.error('Error getting dedup rejections', error);
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        // News pipeline configuration
+        this.app.get('/api/pipeline', (req, res) => {
+            try {
+                res.json({ ...this.newsBot.pipeline.getStatus(), definition: this.newsBot.pipeline.getDefinition() });
+            } catch (error) {
+                this.logger.error('Error getting pipeline', error);
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        this.app.put('/api/pipeline/default', (req, res) => {
+            try {
+                const { stages } = req.body;
+                if (!Array.isArray(stages)) {
+                    return res.status(400).json({ error: 'stages must be an array' });
+                }
+
+                this.newsBot.pipeline.setStages('default', null, stages);
+                res.json({ success: true, message: 'Default pipeline updated' });
+            } catch (error) {
+                this.logger.error('Error updating pipeline', error);
+                res.status(400).json({ error: error.message });
+            }
+        });
+
+        this.app.put('/api/pipeline/:scope/:key', (req, res) => {
+            try {
+                const { stages } = req.body;
+                if (!Array.isArray(stages)) {
+                    return res.status(400).json({ error: 'stages must be an array' });
+                }
+
+                this.newsBot.pipeline.setStages(req.params.scope, req.params.key, stages);
+                const message = stages.length > 0
+                    ? `Pipeline for ${req.params.scope} ${req.params.key} updated`
+                    : `Pipeline for ${req.params.scope} ${req.params.key} reset`;
+                res.json({ success: true, message });
+            } catch (error) {
+                this.logger.error('Error updating pipeline', error);
+                res.status(400).json({ error: error.message });
+            }
+        });
+
         // Reddit Sources Management
         this.app.get('/api/reddit/sources', (req, res) => {
             try {
-                const redditEndpoint = this.newsBot.getEndpoint('reddit');
+                const redditEndpoint = this.getRedditEndpoint(req);
                 if (!redditEndpoint) {
                     return res.status(404).json({ error: 'Reddit endpoint not found' });
                 }
 
                 const sources = Array.from(redditEndpoint.sources.entries()).map(([url, author]) => ({
-                    url, author
+                    url, author, priority: redditEndpoint.getSourcePriority(url)
                 }));
                 res.json({ sources });
             } catch (error) {
@@ -149,14 +257,14 @@ class WebGUIService {
 
         this.app.post('/api/reddit/sources', (req, res) => {
             try {
-                const { author, url } = req.body;
-                const redditEndpoint = this.newsBot.getEndpoint('reddit');
+                const { author, url, priority } = req.body;
+                const redditEndpoint = this.getRedditEndpoint(req);
                 
                 if (!redditEndpoint) {
                     return res.status(404).json({ error: 'Reddit endpoint not found' });
                 }
 
-                redditEndpoint.addSource(author, url);
+                redditEndpoint.addSource(author, url, priority);
                 res.json({ success: true, message: 'Source added successfully' });
             } catch (error) {
                 this.logger.error('Error adding Reddit source', error);
@@ -167,7 +275,7 @@ class WebGUIService {
         this.app.delete('/api/reddit/sources', (req, res) => {
             try {
                 const { url } = req.body;
-                const redditEndpoint = this.newsBot.getEndpoint('reddit');
+                const redditEndpoint = this.getRedditEndpoint(req);
                 
                 if (!redditEndpoint) {
                     return res.status(404).json({ error: 'Reddit endpoint not found' });
@@ -181,46 +289,441 @@ class WebGUIService {
             }
         });
 
+        // Endpoint instances - create, reconfigure, initialize, shut down and remove at runtime
+        this.app.get('/api/endpoints', (req, res) => {
+            try {
+                res.json({
+                    endpoints: this.newsBot.endpointManager.getStatus(),
+                    plugins: this.newsBot.pluginLoader.getStatus()
+                });
+            } catch (error) {
+                this.logger.error('Error getting endpoints', error);
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        this.app.post('/api/endpoints', async (req, res) => {
+            try {
+                const endpoint = await this.newsBot.endpointManager.createEndpoint(req.body || {});
+                res.json({ success: true, message: `Endpoint ${endpoint.getName()} created` });
+            } catch (error) {
+                this.logger.error('Error creating endpoint', error);
+                res.status(400).json({ error: error.message });
+            }
+        });
+
+        this.app.put('/api/endpoints/:name', async (req, res) => {
+            try {
+                const manager = this.newsBot.endpointManager;
+                if (!manager.hasEndpoint(req.params.name)) {
+                    return res.status(404).json({ error: 'Endpoint not found' });
+                }
+
+                const definition = await manager.updateEndpoint(req.params.name, req.body || {});
+                res.json({ success: true, message: `Endpoint ${req.params.name} updated`, endpoint: definition });
+            } catch (error) {
+                this.logger.error('Error updating endpoint', error);
+                res.status(400).json({ error: error.message });
+            }
+        });
+
+        this.app.delete('/api/endpoints/:name', async (req, res) => {
+            try {
+                const manager = this.newsBot.endpointManager;
+                if (!manager.hasEndpoint(req.params.name)) {
+                    return res.status(404).json({ error: 'Endpoint not found' });
+                }
+
+                await manager.removeEndpoint(req.params.name);
+                res.json({ success: true, message: `Endpoint ${req.params.name} removed` });
+            } catch (error) {
+                this.logger.error('Error removing endpoint', error);
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        // Update endpoint weight - registered before /:action so it isn't swallowed by it
+        this.app.post('/api/endpoints/:name/weight', async (req, res) => {
+            try {
+                const { weight } = req.body;
+                const manager = this.newsBot.endpointManager;
+                
+                if (!manager.hasEndpoint(req.params.name)) {
+                    return res.status(404).json({ error: 'Endpoint not found' });
+                }
+
+                await manager.updateEndpoint(req.params.name, { weight });
+                res.json({ success: true, message: 'Weight updated successfully' });
+            } catch (error) {
+                this.logger.error('Error updating endpoint weight', error);
+                res.status(500).json({ error: error.message });
+            }
+        });
+
         // Endpoint Controls
-        this.app.post('/api/endpoints/:name/:action', (req, res) => {
+        this.app.post('/api/endpoints/:name/:action', async (req, res) => {
             try {
-                const endpoint = this.newsBot.getEndpoint(req.params.name);
-                if (!endpoint) {
+                const manager = this.newsBot.endpointManager;
+                const { name, action } = req.params;
+                if (!manager.hasEndpoint(name)) {
                     return res.status(404).json({ error: 'Endpoint not found' });
                 }
 
-                switch (req.params.action) {
+                switch (action) {
                     case 'enable':
-                        endpoint.setEnabled(true);
+                        await manager.updateEndpoint(name, { enabled: true });
                         break;
                     case 'disable':
-                        endpoint.setEnabled(false);
+                        await manager.updateEndpoint(name, { enabled: false });
+                        break;
+                    case 'initialize':
+                        await manager.initializeEndpoint(name);
                         break;
+                    case 'shutdown':
+                        await manager.shutdownEndpoint(name);
+                        break;
+                    case 'reset-health': {
+                        const scheduler = this.newsBot.getScheduler(name);
+                        if (!scheduler) {
+                            return res.status(404).json({ error: 'Endpoint is not running' });
+                        }
+                        scheduler.health.reset();
+                        scheduler.setSchedule(scheduler.schedule); // Re-arm so the next poll isn't held back
+                        break;
+                    }
                     default:
                         return res.status(400).json({ error: 'Invalid action' });
                 }
 
-                res.json({ success: true, message: `Endpoint ${req.params.action}d successfully` });
+                const messages = { enable: 'enabled', disable: 'disabled', initialize: 'initialized', shutdown: 'shut down', 'reset-health': 'health reset' };
+                res.json({ success: true, message: `Endpoint ${messages[action]} successfully` });
             } catch (error) {
                 this.logger.error('Error controlling endpoint', error);
                 res.status(500).json({ error: error.message });
             }
         });
 
-        // Update endpoint weight
-        this.app.post('/api/endpoints/:name/weight', (req, res) => {
+        // Post queue
+        this.app.get('/api/queue', (req, res) => {
             try {
-                const { weight } = req.body;
-                const endpoint = this.newsBot.getEndpoint(req.params.name);
-                
-                if (!endpoint) {
-                    return res.status(404).json({ error: 'Endpoint not found' });
+                res.json(this.newsBot.getQueueStatus(Infinity));
+            } catch (error) {
+                this.logger.error('Error getting post queue', error);
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        this.app.post('/api/queue/collect', async (req, res) => {
+            try {
+                const queued = await this.newsBot.fetchNews();
+                res.json({ success: true, queued, message: `Queued ${queued} new items` });
+            } catch (error) {
+                this.logger.error('Error collecting news', error);
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        this.app.post('/api/queue/dispatch', async (req, res) => {
+            try {
+                const newsItem = await this.newsBot.dispatchNext();
+                res.json({
+                    success: true,
+                    newsItem,
+                    message: newsItem ? 'News sent successfully' : 'Nothing sent'
+                });
+            } catch (error) {
+                this.logger.error('Error dispatching queued news', error);
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        this.app.delete('/api/queue', (req, res) => {
+            try {
+                const { key } = req.body;
+                if (!this.newsBot.postQueue.remove(key)) {
+                    return res.status(404).json({ error: 'Queued item not found' });
                 }
+                res.json({ success: true, message: 'Queued item removed' });
+            } catch (error) {
+                this.logger.error('Error removing queued item', error);
+                res.status(500).json({ error: error.message });
+            }
+        });
 
-                endpoint.setWeight(parseFloat(weight));
-                res.json({ success: true, message: 'Weight updated successfully' });
+        // Registered Discord channels and their subscriptions
+        this.app.get('/api/channels', (req, res) => {
+            try {
+                res.json({ channels: this.newsBot.discordService.channels.getStatus() });
             } catch (error) {
-                this.logger.error('Error updating endpoint weight', error);
+                this.logger.error('Error getting channels', error);
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        this.app.delete('/api/channels/:channelId', (req, res) => {
+            try {
+                if (!this.newsBot.discordService.removeTargetChannel(req.params.channelId, 'removed from the web panel')) {
+                    return res.status(404).json({ error: `Channel ${req.params.channelId} is not registered` });
+                }
+                res.json({ success: true, message: `Channel ${req.params.channelId} no longer gets automatic posts` });
+            } catch (error) {
+                this.logger.error('Error removing channel', error);
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        this.app.put('/api/channels/:channelId/subscription', (req, res) => {
+            const channels = this.newsBot.discordService.channels;
+            if (!channels.has(req.params.channelId)) {
+                return res.status(404).json({ error: `Channel ${req.params.channelId} is not registered` });
+            }
+
+            try {
+                const subscription = channels.setSubscription(req.params.channelId, req.body || {});
+                res.json({ success: true, subscription, message: `Subscription for channel ${req.params.channelId} updated` });
+            } catch (error) {
+                this.logger.error('Error updating channel subscription', error);
+                res.status(400).json({ error: error.message });
+            }
+        });
+
+        this.app.delete('/api/channels/:channelId/subscription', (req, res) => {
+            const channels = this.newsBot.discordService.channels;
+            if (!channels.has(req.params.channelId)) {
+                return res.status(404).json({ error: `Channel ${req.params.channelId} is not registered` });
+            }
+
+            try {
+                channels.resetSubscription(req.params.channelId);
+                res.json({ success: true, message: `Channel ${req.params.channelId} gets every post again` });
+            } catch (error) {
+                this.logger.error('Error resetting channel subscription', error);
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        // Slack, Matrix and webhook notifiers
+        this.app.get('/api/notifiers', (req, res) => {
+            try {
+                res.json({
+                    types: NotifierManager.getRegisteredNotifiers(),
+                    notifiers: this.newsBot.notifierManager.getStatus()
+                });
+            } catch (error) {
+                this.logger.error('Error getting notifiers', error);
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        this.app.put('/api/notifiers', async (req, res) => {
+            try {
+                const { notifiers } = req.body;
+                if (!Array.isArray(notifiers)) {
+                    return res.status(400).json({ error: 'notifiers must be an array of notifier definitions' });
+                }
+
+                const status = await this.newsBot.notifierManager.setDefinitions(notifiers);
+                res.json({ success: true, notifiers: status, message: `${notifiers.length} notifiers configured` });
+            } catch (error) {
+                this.logger.error('Error updating notifiers', error);
+                res.status(400).json({ error: error.message });
+            }
+        });
+
+        this.app.put('/api/notifiers/:name/targets/:targetId', async (req, res) => {
+            try {
+                const { endpoints } = req.body;
+                await this.newsBot.notifierManager.setTargetEndpoints(req.params.name, req.params.targetId, endpoints === undefined ? null : endpoints);
+                res.json({ success: true, message: `Subscriptions for ${req.params.name}/${req.params.targetId} updated` });
+            } catch (error) {
+                this.logger.error('Error updating notifier target', error);
+                res.status(400).json({ error: error.message });
+            }
+        });
+
+        this.app.post('/api/notifiers/:name/test', async (req, res) => {
+            try {
+                const notifier = this.newsBot.notifierManager.getNotifier(req.params.name);
+                if (!notifier) {
+                    return res.status(404).json({ error: 'Notifier not found or not running' });
+                }
+
+                const receipts = await notifier.sendText(req.body?.message || '🧪 NewsBot test message');
+                res.json({ success: receipts.length > 0, receipts, message: `Test message reached ${receipts.length}/${notifier.getTargets().length} targets` });
+            } catch (error) {
+                this.logger.error('Error sending test notification', error);
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        // Archive of posted news
+        this.app.get('/api/archive', (req, res) => {
+            try {
+                const { q, source, channel, from, to, limit, offset } = req.query;
+                res.json(this.newsBot.archive.search({ q, source, channel, from, to, limit, offset }));
+            } catch (error) {
+                this.logger.error('Error searching archive', error);
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        this.app.get('/api/archive/status', (req, res) => {
+            try {
+                res.json(this.newsBot.archive.getStatus());
+            } catch (error) {
+                this.logger.error('Error getting archive status', error);
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        this.app.get('/api/archive/:key', (req, res) => {
+            try {
+                const entry = this.newsBot.archive.get(req.params.key);
+                if (!entry) {
+                    return res.status(404).json({ error: 'Archived item not found' });
+                }
+                res.json(entry);
+            } catch (error) {
+                this.logger.error('Error getting archived item', error);
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        // Weights learned from reactions
+        this.app.get('/api/feedback', (req, res) => {
+            try {
+                res.json(this.newsBot.feedbackTuner.getStatus());
+            } catch (error) {
+                this.logger.error('Error getting feedback status', error);
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        // Posting windows and quiet hours
+        this.app.get('/api/posting', (req, res) => {
+            try {
+                res.json(this.newsBot.getPostingStatus());
+            } catch (error) {
+                this.logger.error('Error getting posting windows', error);
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        this.app.put('/api/posting/:channelId', (req, res) => {
+            try {
+                const settings = this.newsBot.channelSettings.set(req.params.channelId, req.body || {});
+                res.json({ success: true, settings, message: `Posting settings for channel ${req.params.channelId} updated` });
+            } catch (error) {
+                this.logger.error('Error updating posting settings', error);
+                res.status(400).json({ error: error.message });
+            }
+        });
+
+        this.app.delete('/api/posting/:channelId', (req, res) => {
+            try {
+                this.newsBot.channelSettings.clear(req.params.channelId);
+                res.json({ success: true, message: `Channel ${req.params.channelId} now uses the default posting settings` });
+            } catch (error) {
+                this.logger.error('Error resetting posting settings', error);
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        this.app.post('/api/posting/:channelId/release', async (req, res) => {
+            try {
+                const released = await this.newsBot.releaseHeldItems({ channelId: req.params.channelId, force: true });
+                res.json({ success: true, released, message: `Released ${released} held items` });
+            } catch (error) {
+                this.logger.error('Error releasing held items', error);
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        this.app.post('/api/posting/:channelId/digest', async (req, res) => {
+            try {
+                const posted = await this.newsBot.postDueDigests({ channelId: req.params.channelId, force: true });
+                res.json({ success: true, posted, message: posted > 0 ? `Posted a digest of ${posted} items` : 'No digest items collected' });
+            } catch (error) {
+                this.logger.error('Error posting digest', error);
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        // State export, backups and staged imports
+        this.app.get('/api/state', (req, res) => {
+            try {
+                res.json(this.newsBot.dataManager.getStatus());
+            } catch (error) {
+                this.logger.error('Error getting state status', error);
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        this.app.get('/api/state/export', (req, res) => {
+            try {
+                const { dataManager } = this.newsBot;
+                dataManager.flush();
+                const archive = dataManager.stateArchive.create();
+                const filename = `newsbot-state-${archive.exportedAt.slice(0, 10)}.json`;
+                res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+                res.json(archive);
+            } catch (error) {
+                this.logger.error('Error exporting state', error);
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        this.app.post('/api/state/backup', (req, res) => {
+            try {
+                const { dataManager } = this.newsBot;
+                dataManager.flush();
+                const backupPath = dataManager.stateArchive.backup('manual');
+                this.logger.info(`💾 Data backed up to ${backupPath}`);
+                res.json({ success: true, message: `Backed up to ${backupPath}`, path: backupPath });
+            } catch (error) {
+                this.logger.error('Error backing up data', error);
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        this.app.post('/api/state/preview', (req, res) => {
+            try {
+                const { archive, mode = 'merge' } = req.body || {};
+                this.newsBot.dataManager.flush();
+                const preview = this.newsBot.dataManager.stateArchive.preview(archive, mode);
+                res.status(preview.valid ? 200 : 400).json(preview);
+            } catch (error) {
+                this.logger.error('Error previewing state import', error);
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        this.app.post('/api/state/import', (req, res) => {
+            try {
+                const { archive, mode = 'merge' } = req.body || {};
+                const { stateArchive } = this.newsBot.dataManager;
+                const errors = stateArchive.validate(archive, mode);
+                if (errors.length > 0) {
+                    return res.status(400).json({ error: 'Invalid state archive', errors });
+                }
+
+                stateArchive.stage(archive, mode);
+                this.logger.info(`📥 State import from ${archive.exportedAt} staged (${mode}); it's applied on the next start`);
+                res.json({ success: true, message: 'Import staged - restart the bot to apply it' });
+            } catch (error) {
+                this.logger.error('Error staging state import', error);
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        this.app.delete('/api/state/import', (req, res) => {
+            try {
+                if (!this.newsBot.dataManager.stateArchive.cancelPending()) {
+                    return res.status(404).json({ error: 'No import is staged' });
+                }
+                res.json({ success: true, message: 'Staged import cancelled' });
+            } catch (error) {
+                this.logger.error('Error cancelling state import', error);
                 res.status(500).json({ error: error.message });
             }
         });
@@ -235,8 +738,11 @@ class WebGUIService {
 
                 const newsItem = await endpoint.fetchUpdate();
                 if (newsItem) {
-                    await this.newsBot.sendNews(newsItem);
-                    res.json({ success: true, newsItem, message: 'News sent successfully' });
+                    const result = await this.newsBot.deliver(newsItem);
+                    const message = result.dropped
+                        ? `Dropped by ${result.droppedBy}: ${result.reason || 'no reason given'}`
+                        : result.sent ? 'News sent successfully' : 'Failed to send news';
+                    res.json({ success: true, newsItem, message });
                 } else {
                     res.json({ success: true, newsItem: null, message: 'No news found' });
                 }
@@ -247,6 +753,12 @@ class WebGUIService {
         });
     }
 
+    getRedditEndpoint(req) {
+        // Several Reddit instances can run side by side - pick one with ?endpoint=name
+        const endpoint = this.newsBot.getEndpoint(req.query.endpoint || 'reddit');
+        return endpoint && endpoint.getType() === 'reddit' ? endpoint : null;
+    }
+
     async start() {
         return new Promise((resolve, reject) => {
             try {
@@ -0,0 +1,111 @@
+const path = require('path');
+const ImportTargetChannels = require('./migrations/ImportTargetChannels');
+const ShareHeadlineHistory = require('./migrations/ShareHeadlineHistory');
+const HeadlinesToJson = require('./migrations/HeadlinesToJson');
+
+const migrations = new Map(); // layout version -> { description, migrate(storage) }
+
+// Keeps the data directory's layout version in manifest.json and upgrades older
+// layouts one version at a time, after taking a backup
+class DataMigrator {
+    static registerMigration(version, migration) {
+        if (version !== migrations.size + 1) {
+            throw new Error(`Migration ${version} registered out of order - expected version ${migrations.size + 1}`);
+        }
+        migrations.set(version, migration);
+    }
+
+    static getLatestVersion() {
+        return migrations.size;
+    }
+
+    // Works on the storage backend directly: unlike DataManager's helpers it throws
+    // when a read or write fails, which stops the migration
+    constructor(storage, options = {}) {
+        this.storage = storage;
+        this.filename = options.filename || 'manifest.json';
+        this.backupDirectory = options.backupDirectory || path.join(storage.dataDirectory, 'backups');
+        this.takeBackup = options.backup !== false;
+        this.log = options.log || console.log;
+    }
+
+    // Data directories from before the manifest are version 0
+    readManifest() {
+        const content = this.storage.readDocument(this.filename);
+        if (content === null) {
+            return { version: 0, history: [] };
+        }
+
+        const manifest = JSON.parse(content);
+        if (!manifest || !Number.isInteger(manifest.version) || manifest.version < 0) {
+            throw new Error(`${this.filename} has no valid layout version`);
+        }
+        return manifest;
+    }
+
+    writeManifest(manifest) {
+        this.storage.writeDocument(this.filename, JSON.stringify({ ...manifest, updatedAt: new Date().toISOString() }, null, 2));
+    }
+
+    getVersion() {
+        return this.readManifest().version;
+    }
+
+    isEmpty() {
+        return this.storage.list().length === 0 && this.storage.loadSeenItems().size === 0;
+    }
+
+    backup(version) {
+        const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+        return this.storage.backup(path.join(this.backupDirectory, `${stamp}-v${version}`));
+    }
+
+    // Brings the data up to the latest layout; returns the versions it went through
+    run() {
+        const latest = DataMigrator.getLatestVersion();
+        const manifest = this.readManifest();
+
+        if (manifest.version > latest) {
+            throw new Error(`Data in ${this.storage.describe()} uses layout version ${manifest.version}, but this NewsBot only understands up to version ${latest} - upgrade NewsBot or restore a backup`);
+        }
+
+        if (manifest.version === 0 && this.isEmpty()) {
+            this.writeManifest({ version: latest, history: [] }); // New installs start on the latest layout
+            return [];
+        }
+
+        if (manifest.version === latest) {
+            return [];
+        }
+
+        const backupPath = this.takeBackup ? this.backup(manifest.version) : null;
+        if (backupPath) {
+            this.log(`💾 Backed up data layout version ${manifest.version} to ${backupPath}`);
+        }
+
+        const applied = [];
+        for (let version = manifest.version + 1; version <= latest; version++) {
+            const migration = migrations.get(version);
+            try {
+                migration.migrate(this.storage);
+            } catch (error) {
+                const restore = backupPath ? ` - the data from before migrating is in ${backupPath}` : '';
+                throw new Error(`Data migration to version ${version} (${migration.description}) failed: ${error.message}${restore}`);
+            }
+
+            // Saved after every step, so a failed run picks up where it stopped
+            manifest.history = [...(manifest.history || []), { from: version - 1, to: version, at: new Date().toISOString(), backup: backupPath }];
+            manifest.version = version;
+            this.writeManifest(manifest);
+            applied.push(version);
+            this.log(`🔧 Migrated data to layout version ${version}: ${migration.description}`);
+        }
+        return applied;
+    }
+}
+
+DataMigrator.registerMigration(1, ImportTargetChannels);
+DataMigrator.registerMigration(2, ShareHeadlineHistory);
+DataMigrator.registerMigration(3, HeadlinesToJson);
+
+module.exports = DataMigrator;
@@ -0,0 +1,317 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CsvStorage = require('./backends/CsvStorage');
+const DataMigrator = require('./DataMigrator');
+
+const FORMAT = 'newsbot-state';
+const FORMAT_VERSION = 1;
+const IMPORT_MODES = ['merge', 'replace'];
+const NAME_PATTERN = /^[\w.-]+\.(csv|json)$/;
+const RECORD_KEYS = ['channelId', 'storyId', 'messageId', 'name', 'id', 'url', 'headline']; // Identify records when merging arrays
+
+// Exports everything in storage as one versioned JSON archive and imports such
+// archives. Imports are staged and applied on the next start, before anything
+// loads the data - the running bot would write its own state over them.
+class StateArchive {
+    constructor(storage, options = {}) {
+        this.storage = storage;
+        this.pendingFilename = options.pendingFilename || 'pending_import.json';
+        this.backupDirectory = options.backupDirectory || path.join(storage.dataDirectory, 'backups');
+    }
+
+    // Files that describe the data directory rather than being bot state
+    isStateFile(name) {
+        return name !== 'manifest.json' && !name.startsWith(this.pendingFilename.replace(/\.json$/, ''));
+    }
+
+    readDocument(name) {
+        try {
+            return JSON.parse(this.storage.readDocument(name));
+        } catch (error) {
+            throw new Error(`${name} is not valid JSON: ${error.message}`);
+        }
+    }
+
+    create() {
+        const manifest = this.storage.exists('manifest.json') ? this.readDocument('manifest.json') : { version: 0 };
+        const archive = {
+            format: FORMAT,
+            formatVersion: FORMAT_VERSION,
+            layoutVersion: manifest.version,
+            exportedAt: new Date().toISOString(),
+            seenItems: {},
+            lists: {},
+            documents: {}
+        };
+
+        this.storage.loadSeenItems().forEach((seenItemsMap, endpointName) => {
+            archive.seenItems[endpointName] = Object.fromEntries(seenItemsMap);
+        });
+
+        this.storage.list().filter(name => this.isStateFile(name)).forEach(name => {
+            if (name.endsWith('.csv')) {
+                archive.lists[name] = this.storage.readLines(name).filter(line => line.trim());
+            } else {
+                archive.documents[name] = this.readDocument(name);
+            }
+        });
+
+        return archive;
+    }
+
+    // Problems that keep the archive from being imported; empty when it's fine
+    validate(archive, mode = 'merge') {
+        const errors = [];
+        const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+        if (!IMPORT_MODES.includes(mode)) {
+            errors.push(`mode: must be one of ${IMPORT_MODES.join(', ')}`);
+        }
+        if (!isObject(archive) || archive.format !== FORMAT) {
+            errors.push(`format: not a ${FORMAT} archive`);
+            return errors;
+        }
+        if (archive.formatVersion !== FORMAT_VERSION) {
+            errors.push(`formatVersion: ${archive.formatVersion} is not supported (expected ${FORMAT_VERSION})`);
+        }
+        if (!Number.isInteger(archive.layoutVersion) || archive.layoutVersion < 0) {
+            errors.push('layoutVersion: must be a whole number');
+        } else if (archive.layoutVersion > DataMigrator.getLatestVersion()) {
+            errors.push(`layoutVersion: ${archive.layoutVersion} is newer than this NewsBot understands (${DataMigrator.getLatestVersion()})`);
+        }
+
+        if (!isObject(archive.seenItems)) {
+            errors.push('seenItems: must be an object of endpoint name -> { itemId: timestamp }');
+        } else {
+            Object.entries(archive.seenItems).forEach(([endpointName, items]) => {
+                if (!isObject(items) || Object.values(items).some(timestamp => typeof timestamp !== 'number' || !isFinite(timestamp))) {
+                    errors.push(`seenItems.${endpointName}: must map item IDs to timestamps`);
+                }
+            });
+        }
+
+        [['lists', '.csv'], ['documents', '.json']].forEach(([section, extension]) => {
+            if (!isObject(archive[section])) {
+                errors.push(`${section}: must be an object of file name -> content`);
+                return;
+            }
+            Object.entries(archive[section]).forEach(([name, content]) => {
+                if (!NAME_PATTERN.test(name) || !name.endsWith(extension) || !this.isStateFile(name)) {
+                    errors.push(`${section}.${name}: not an allowed ${extension} file name`);
+                } else if (section === 'lists' && !(Array.isArray(content) && content.every(line => typeof line === 'string'))) {
+                    errors.push(`${section}.${name}: must be an array of lines`);
+                } else if (section === 'documents' && content === undefined) {
+                    errors.push(`${section}.${name}: has no content`);
+                }
+            });
+        });
+
+        return errors;
+    }
+
+    // Archives from an older layout are migrated in a scratch directory first
+    upgrade(archive) {
+        const latest = DataMigrator.getLatestVersion();
+        if (archive.layoutVersion === latest) {
+            return archive;
+        }
+
+        const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'newsbot-import-'));
+        try {
+            const scratch = new CsvStorage(directory);
+            scratch.open();
+            Object.entries(archive.seenItems).forEach(([endpointName, items]) => scratch.saveSeenItems(endpointName, new Map(Object.entries(items))));
+            Object.entries(archive.lists).forEach(([name, lines]) => scratch.writeLines(name, lines));
+            Object.entries(archive.documents).forEach(([name, value]) => scratch.writeDocument(name, JSON.stringify(value, null, 2)));
+            scratch.writeDocument('manifest.json', JSON.stringify({ version: archive.layoutVersion, history: [] }));
+
+            new DataMigrator(scratch, { backup: false, log: () => {} }).run();
+            return { ...new StateArchive(scratch).create(), exportedAt: archive.exportedAt };
+        } finally {
+            fs.rmSync(directory, { recursive: true, force: true });
+        }
+    }
+
+    static countOf(value) {
+        if (Array.isArray(value)) return value.length;
+        if (value && typeof value === 'object') return Object.keys(value).length;
+        return 1;
+    }
+
+    static recordKey(records) {
+        const objects = records.filter(record => record && typeof record === 'object');
+        return objects.length === records.length && objects.length > 0
+            ? RECORD_KEYS.find(key => objects.every(record => record[key] !== undefined)) || null
+            : null;
+    }
+
+    // Merged values keep what's already here and add what the archive has on top
+    static mergeValues(current, incoming) {
+        if (Array.isArray(current) && Array.isArray(incoming)) {
+            const key = StateArchive.recordKey([...current, ...incoming]);
+            const identify = record => (key ? String(record[key]) : JSON.stringify(record));
+            const known = new Set(current.map(identify));
+            return [...current, ...incoming.filter(record => !known.has(identify(record)))];
+        }
+        if (current && incoming && typeof current === 'object' && typeof incoming === 'object' && !Array.isArray(current) && !Array.isArray(incoming)) {
+            return { ...incoming, ...current };
+        }
+        return current;
+    }
+
+    static mergeLines(current, incoming) {
+        const known = new Set(current.map(line => line.trim()));
+        return [...current, ...incoming.filter(line => !known.has(line.trim()))];
+    }
+
+    // What importing the archive would change, without changing anything
+    preview(archive, mode = 'merge') {
+        const errors = this.validate(archive, mode);
+        if (errors.length > 0) {
+            return { valid: false, errors };
+        }
+
+        archive = this.upgrade(archive);
+        const plan = this.plan(archive, mode);
+        return {
+            valid: true,
+            errors: [],
+            mode,
+            exportedAt: archive.exportedAt,
+            layoutVersion: archive.layoutVersion,
+            seenItems: plan.seenItems.map(({ endpointName, current, next }) => ({
+                endpoint: endpointName,
+                current: current.size,
+                incoming: Object.keys(archive.seenItems[endpointName] || {}).length,
+                after: next.size
+            })),
+            files: plan.files.map(({ name, action, current, next }) => ({
+                name,
+                action,
+                current: current === null ? 0 : StateArchive.countOf(current),
+                after: next === null ? 0 : StateArchive.countOf(next)
+            }))
+        };
+    }
+
+    plan(archive, mode) {
+        const existing = this.storage.loadSeenItems();
+        const seenItems = Array.from(new Set([...existing.keys(), ...Object.keys(archive.seenItems)])).sort().map(endpointName => {
+            const current = existing.get(endpointName) || new Map();
+            const incoming = new Map(Object.entries(archive.seenItems[endpointName] || {}));
+            const next = mode === 'replace' ? incoming : new Map(current);
+            if (mode === 'merge') {
+                incoming.forEach((timestamp, itemId) => next.set(itemId, Math.max(timestamp, next.get(itemId) || 0)));
+            }
+            return { endpointName, current, next };
+        });
+
+        const names = new Set([...Object.keys(archive.lists), ...Object.keys(archive.documents)]);
+        this.storage.list().filter(name => this.isStateFile(name)).forEach(name => names.add(name));
+
+        const files = Array.from(names).sort().map(name => {
+            const isList = name.endsWith('.csv');
+            const exists = this.storage.exists(name);
+            const current = !exists ? null : isList ? this.storage.readLines(name).filter(line => line.trim()) : this.readDocument(name);
+            const incoming = isList ? archive.lists[name] : archive.documents[name];
+
+            if (incoming === undefined) {
+                return mode === 'replace'
+                    ? { name, action: 'remove', current, next: null }
+                    : { name, action: 'keep', current, next: current };
+            }
+            if (!exists) {
+                return { name, action: 'create', current, next: incoming };
+            }
+            if (mode === 'replace') {
+                return { name, action: 'replace', current, next: incoming };
+            }
+
+            const next = isList ? StateArchive.mergeLines(current, incoming) : StateArchive.mergeValues(current, incoming);
+            const changed = JSON.stringify(next) !== JSON.stringify(current);
+            return { name, action: changed ? 'merge' : 'keep', current, next };
+        });
+
+        return { seenItems, files };
+    }
+
+    backup(label) {
+        const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+        return this.storage.backup(path.join(this.backupDirectory, `${stamp}-${label}`));
+    }
+
+    // Applies right away; only safe while nothing else is using the data
+    apply(archive, mode = 'merge') {
+        const errors = this.validate(archive, mode);
+        if (errors.length > 0) {
+            throw new Error(`Invalid state archive: ${errors.join('; ')}`);
+        }
+
+        archive = this.upgrade(archive);
+        const plan = this.plan(archive, mode);
+        const backupPath = this.backup('import');
+
+        plan.seenItems.forEach(({ endpointName, next }) => this.storage.saveSeenItems(endpointName, next));
+        plan.files.forEach(({ name, action, next }) => {
+            if (action === 'remove') {
+                this.storage.remove(name);
+            } else if (action !== 'keep') {
+                if (name.endsWith('.csv')) {
+                    this.storage.writeLines(name, next);
+                } else {
+                    this.storage.writeDocument(name, JSON.stringify(next, null, 2));
+                }
+            }
+        });
+
+        return { backupPath, files: plan.files.filter(file => file.action !== 'keep').length, seenItems: plan.seenItems.length };
+    }
+
+    stage(archive, mode = 'merge') {
+        const errors = this.validate(archive, mode);
+        if (errors.length > 0) {
+            throw new Error(`Invalid state archive: ${errors.join('; ')}`);
+        }
+        this.storage.writeDocument(this.pendingFilename, JSON.stringify({ mode, stagedAt: new Date().toISOString(), archive }));
+    }
+
+    getPending() {
+        if (!this.storage.exists(this.pendingFilename)) {
+            return null;
+        }
+        const { mode, stagedAt, archive } = this.readDocument(this.pendingFilename);
+        return { mode, stagedAt, exportedAt: archive ? archive.exportedAt : null };
+    }
+
+    cancelPending() {
+        const pending = this.storage.exists(this.pendingFilename);
+        this.storage.remove(this.pendingFilename);
+        return pending;
+    }
+
+    // Run at startup; a staged import that fails is kept for a look and not retried
+    applyPending() {
+        if (!this.storage.exists(this.pendingFilename)) {
+            return null;
+        }
+
+        const { mode, archive } = this.readDocument(this.pendingFilename);
+        try {
+            const result = this.apply(archive, mode);
+            this.storage.remove(this.pendingFilename);
+            console.log(`📥 Imported state from ${archive.exportedAt} (${mode}): ${result.files} files and seen items for ${result.seenItems} endpoints; previous data backed up to ${result.backupPath}`);
+            return result;
+        } catch (error) {
+            const failedName = this.pendingFilename.replace(/\.json$/, '.failed.json');
+            this.storage.writeDocument(failedName, this.storage.readDocument(this.pendingFilename));
+            this.storage.remove(this.pendingFilename);
+            console.error(`Staged state import failed and was moved to ${failedName}:`, error.message);
+            return null;
+        }
+    }
+}
+
+StateArchive.IMPORT_MODES = IMPORT_MODES;
+
+module.exports = StateArchive;
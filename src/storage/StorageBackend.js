@@ -0,0 +1,71 @@
+// Where DataManager keeps its data. Files are addressed by their historical file
+// name (e.g. reddit_sources.csv, channels.json) whatever the backend stores them as:
+// line lists for .csv names, documents (JSON text) for everything else.
+class StorageBackend {
+    constructor(dataDirectory, options = {}) {
+        this.dataDirectory = dataDirectory;
+        this.options = options;
+    }
+
+    open() {
+        // Default implementation - backends can override if they need setup
+    }
+
+    close() {
+        // Default implementation - backends can override if needed
+    }
+
+    // Human readable location, for status output
+    describe() {
+        return this.dataDirectory;
+    }
+
+    // endpointName -> Map(itemId -> timestamp in seconds)
+    loadSeenItems() {
+        throw new Error('loadSeenItems method must be implemented by storage backend');
+    }
+
+    // changes: { added: [[itemId, timestamp]], removed: [itemId] } when known; backends
+    // that can't write changes alone persist the whole map
+    saveSeenItems(endpointName, seenItemsMap, changes = null) {
+        throw new Error('saveSeenItems method must be implemented by storage backend');
+    }
+
+    // Copy everything to a new directory; returns the backup's path
+    backup(destination) {
+        throw new Error('backup method must be implemented by storage backend');
+    }
+
+    // Names of every list and document (seen items are not included)
+    list() {
+        throw new Error('list method must be implemented by storage backend');
+    }
+
+    exists(name) {
+        throw new Error('exists method must be implemented by storage backend');
+    }
+
+    remove(name) {
+        throw new Error('remove method must be implemented by storage backend');
+    }
+
+    // Lines of a list, or null if it doesn't exist
+    readLines(name) {
+        throw new Error('readLines method must be implemented by storage backend');
+    }
+
+    writeLines(name, lines) {
+        throw new Error('writeLines method must be implemented by storage backend');
+    }
+
+    // Raw document text, or null if it doesn't exist
+    readDocument(name) {
+        throw new Error('readDocument method must be implemented by storage backend');
+    }
+
+    writeDocument(name, content) {
+        throw new Error('writeDocument method must be implemented by storage backend');
+    }
+}
+
+module.exports = StorageBackend;
@@ -0,0 +1,132 @@
+const fs = require('fs');
+const path = require('path');
+const StorageBackend = require('../StorageBackend');
+
+const SEEN_ITEMS_SUFFIX = '_seen_items.csv';
+
+// The original layout: one plain file per name in the data directory
+class CsvStorage extends StorageBackend {
+    // Item IDs are written as JSON strings so commas and line breaks in them survive
+    static formatSeenItem(itemId, timestamp) {
+        return `${JSON.stringify(String(itemId))},${timestamp}`;
+    }
+
+    static parseSeenItems(data) {
+        const seenItemsMap = new Map();
+        data.split('\n').forEach(line => {
+            // The timestamp never contains a comma, whatever the ID does
+            const separator = line.lastIndexOf(',');
+            const itemId = CsvStorage.parseItemId(line.slice(0, separator));
+            const timestamp = parseFloat(line.slice(separator + 1));
+            if (separator > 0 && !isNaN(timestamp)) {
+                seenItemsMap.set(itemId, timestamp);
+            }
+        });
+        return seenItemsMap;
+    }
+
+    static parseItemId(field) {
+        // Files written before IDs were quoted hold them raw
+        if (!field.startsWith('"')) {
+            return field;
+        }
+        try {
+            return JSON.parse(field);
+        } catch (error) {
+            return field;
+        }
+    }
+
+    open() {
+        if (!fs.existsSync(this.dataDirectory)) {
+            fs.mkdirSync(this.dataDirectory, { recursive: true });
+        }
+    }
+
+    filePath(name) {
+        return path.join(this.dataDirectory, name);
+    }
+
+    // Every file in the data directory, for importing into other backends
+    listFiles() {
+        return fs.readdirSync(this.dataDirectory)
+            .filter(file => !file.endsWith('.tmp') && fs.statSync(this.filePath(file)).isFile());
+    }
+
+    loadSeenItems() {
+        const seenItems = new Map();
+        this.listFiles()
+            .filter(file => file.endsWith(SEEN_ITEMS_SUFFIX))
+            .forEach(file => {
+                const endpointName = file.slice(0, -SEEN_ITEMS_SUFFIX.length);
+                try {
+                    seenItems.set(endpointName, CsvStorage.parseSeenItems(fs.readFileSync(this.filePath(file), 'utf8')));
+                } catch (error) {
+                    console.error(`Error loading seen items for ${endpointName}:`, error);
+                }
+            });
+        return seenItems;
+    }
+
+    // Write a temp file and rename it over the original, so a crash mid-write
+    // leaves either the old or the new file, never a truncated one
+    writeFileAtomic(name, content) {
+        const filePath = this.filePath(name);
+        const tempPath = `${filePath}.${process.pid}.tmp`;
+        try {
+            fs.writeFileSync(tempPath, content, 'utf8');
+            fs.renameSync(tempPath, filePath);
+        } catch (error) {
+            fs.rmSync(tempPath, { force: true });
+            throw error;
+        }
+    }
+
+    saveSeenItems(endpointName, seenItemsMap) {
+        const entries = Array.from(seenItemsMap.entries())
+            .map(([itemId, timestamp]) => CsvStorage.formatSeenItem(itemId, timestamp))
+            .join('\n');
+        this.writeFileAtomic(`${endpointName}${SEEN_ITEMS_SUFFIX}`, entries);
+    }
+
+    backup(destination) {
+        fs.mkdirSync(destination, { recursive: true });
+        this.listFiles().forEach(file => fs.copyFileSync(this.filePath(file), path.join(destination, file)));
+        return destination;
+    }
+
+    list() {
+        return this.listFiles()
+            .filter(file => (file.endsWith('.csv') || file.endsWith('.json')) && !file.endsWith(SEEN_ITEMS_SUFFIX))
+            .sort();
+    }
+
+    exists(name) {
+        return fs.existsSync(this.filePath(name));
+    }
+
+    remove(name) {
+        fs.rmSync(this.filePath(name), { force: true });
+    }
+
+    readLines(name) {
+        const content = this.readDocument(name);
+        return content === null ? null : content.split('\n');
+    }
+
+    writeLines(name, lines) {
+        this.writeDocument(name, lines.join('\n'));
+    }
+
+    readDocument(name) {
+        return this.exists(name) ? fs.readFileSync(this.filePath(name), 'utf8') : null;
+    }
+
+    writeDocument(name, content) {
+        this.writeFileAtomic(name, content);
+    }
+}
+
+CsvStorage.SEEN_ITEMS_SUFFIX = SEEN_ITEMS_SUFFIX;
+
+module.exports = CsvStorage;
@@ -0,0 +1,198 @@
+const fs = require('fs');
+const path = require('path');
+const StorageBackend = require('../StorageBackend');
+const CsvStorage = require('./CsvStorage');
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS meta (key TEXT PRIMARY KEY, value TEXT);
+    CREATE TABLE IF NOT EXISTS seen_items (
+        endpoint TEXT NOT NULL,
+        item_id TEXT NOT NULL,
+        seen_at REAL NOT NULL,
+        PRIMARY KEY (endpoint, item_id)
+    );
+    CREATE TABLE IF NOT EXISTS lists (name TEXT PRIMARY KEY, updated_at TEXT NOT NULL);
+    CREATE TABLE IF NOT EXISTS list_lines (
+        name TEXT NOT NULL,
+        position INTEGER NOT NULL,
+        line TEXT NOT NULL,
+        PRIMARY KEY (name, position)
+    );
+    CREATE TABLE IF NOT EXISTS documents (name TEXT PRIMARY KEY, content TEXT NOT NULL, updated_at TEXT NOT NULL);
+`;
+
+// Everything in one embedded SQLite database (data/newsbot.db). Seen items are
+// rows, so marking an item writes one row instead of rewriting a whole file.
+// The first start imports the files the CSV backend left in the data directory.
+class SqliteStorage extends StorageBackend {
+    constructor(dataDirectory, options = {}) {
+        super(dataDirectory, options);
+        this.filename = options.filename || 'newsbot.db';
+        this.db = null;
+    }
+
+    static loadDriver() {
+        try {
+            return require('better-sqlite3');
+        } catch (error) {
+            throw new Error('The sqlite storage backend needs the better-sqlite3 package - run "npm install better-sqlite3" or set STORAGE_BACKEND=csv');
+        }
+    }
+
+    open() {
+        const Database = SqliteStorage.loadDriver();
+        new CsvStorage(this.dataDirectory).open(); // Creates the data directory
+
+        this.db = new Database(path.join(this.dataDirectory, this.filename));
+        this.db.pragma('journal_mode = WAL');
+        this.db.exec(SCHEMA);
+
+        this.statements = {
+            getMeta: this.db.prepare('SELECT value FROM meta WHERE key = ?'),
+            setMeta: this.db.prepare('INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value'),
+            allSeen: this.db.prepare('SELECT endpoint, item_id, seen_at FROM seen_items'),
+            markSeen: this.db.prepare('INSERT INTO seen_items (endpoint, item_id, seen_at) VALUES (?, ?, ?) ON CONFLICT(endpoint, item_id) DO UPDATE SET seen_at = excluded.seen_at'),
+            forgetSeen: this.db.prepare('DELETE FROM seen_items WHERE endpoint = ? AND item_id = ?'),
+            clearSeen: this.db.prepare('DELETE FROM seen_items WHERE endpoint = ?'),
+            listExists: this.db.prepare('SELECT 1 FROM lists WHERE name = ?'),
+            readLines: this.db.prepare('SELECT line FROM list_lines WHERE name = ? ORDER BY position'),
+            touchList: this.db.prepare('INSERT INTO lists (name, updated_at) VALUES (?, ?) ON CONFLICT(name) DO UPDATE SET updated_at = excluded.updated_at'),
+            clearLines: this.db.prepare('DELETE FROM list_lines WHERE name = ?'),
+            addLine: this.db.prepare('INSERT INTO list_lines (name, position, line) VALUES (?, ?, ?)'),
+            listNames: this.db.prepare('SELECT name FROM lists UNION SELECT name FROM documents ORDER BY name'),
+            removeList: this.db.prepare('DELETE FROM lists WHERE name = ?'),
+            removeDocument: this.db.prepare('DELETE FROM documents WHERE name = ?'),
+            readDocument: this.db.prepare('SELECT content FROM documents WHERE name = ?'),
+            writeDocument: this.db.prepare('INSERT INTO documents (name, content, updated_at) VALUES (?, ?, ?) ON CONFLICT(name) DO UPDATE SET content = excluded.content, updated_at = excluded.updated_at')
+        };
+
+        if (!this.getMeta('files_imported_at')) {
+            this.importFiles();
+        }
+    }
+
+    close() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+    }
+
+    describe() {
+        return path.join(this.dataDirectory, this.filename);
+    }
+
+    getMeta(key) {
+        const row = this.statements.getMeta.get(key);
+        return row ? row.value : null;
+    }
+
+    setMeta(key, value) {
+        this.statements.setMeta.run(key, String(value));
+    }
+
+    // One-time import of the CSV backend's files; the files themselves are left in place
+    importFiles() {
+        const files = new CsvStorage(this.dataDirectory);
+        const imported = [];
+
+        this.db.transaction(() => {
+            files.loadSeenItems().forEach((seenItemsMap, endpointName) => {
+                this.saveSeenItems(endpointName, seenItemsMap);
+                imported.push(`${endpointName}${CsvStorage.SEEN_ITEMS_SUFFIX}`);
+            });
+
+            files.listFiles()
+                .filter(file => !file.endsWith(CsvStorage.SEEN_ITEMS_SUFFIX))
+                .forEach(file => {
+                    if (file.endsWith('.csv')) {
+                        this.writeLines(file, files.readLines(file));
+                    } else if (file.endsWith('.json')) {
+                        this.writeDocument(file, files.readDocument(file));
+                    } else {
+                        return;
+                    }
+                    imported.push(file);
+                });
+
+            this.setMeta('files_imported_at', new Date().toISOString());
+        })();
+
+        if (imported.length > 0) {
+            console.log(`📦 Imported ${imported.length} data files into ${this.describe()}: ${imported.join(', ')}`);
+        }
+    }
+
+    loadSeenItems() {
+        const seenItems = new Map();
+        this.statements.allSeen.all().forEach(row => {
+            if (!seenItems.has(row.endpoint)) {
+                seenItems.set(row.endpoint, new Map());
+            }
+            seenItems.get(row.endpoint).set(row.item_id, row.seen_at);
+        });
+        return seenItems;
+    }
+
+    saveSeenItems(endpointName, seenItemsMap, changes = null) {
+        this.db.transaction(() => {
+            if (changes) {
+                (changes.removed || []).forEach(itemId => this.statements.forgetSeen.run(endpointName, itemId));
+                (changes.added || []).forEach(([itemId, timestamp]) => this.statements.markSeen.run(endpointName, itemId, timestamp));
+                return;
+            }
+
+            this.statements.clearSeen.run(endpointName);
+            seenItemsMap.forEach((timestamp, itemId) => this.statements.markSeen.run(endpointName, itemId, timestamp));
+        })();
+    }
+
+    backup(destination) {
+        fs.mkdirSync(destination, { recursive: true });
+        const backupPath = path.join(destination, this.filename);
+        this.db.prepare('VACUUM INTO ?').run(backupPath); // A consistent copy, including anything still in the WAL
+        return backupPath;
+    }
+
+    list() {
+        return this.statements.listNames.all().map(row => row.name);
+    }
+
+    exists(name) {
+        return !!(this.statements.listExists.get(name) || this.statements.readDocument.get(name));
+    }
+
+    remove(name) {
+        this.db.transaction(() => {
+            this.statements.removeList.run(name);
+            this.statements.clearLines.run(name);
+            this.statements.removeDocument.run(name);
+        })();
+    }
+
+    readLines(name) {
+        if (!this.statements.listExists.get(name)) {
+            return null;
+        }
+        return this.statements.readLines.all(name).map(row => row.line);
+    }
+
+    writeLines(name, lines) {
+        this.db.transaction(() => {
+            this.statements.touchList.run(name, new Date().toISOString());
+            this.statements.clearLines.run(name);
+            lines.forEach((line, position) => this.statements.addLine.run(name, position, line));
+        })();
+    }
+
+    readDocument(name) {
+        const row = this.statements.readDocument.get(name);
+        return row ? row.content : null;
+    }
+
+    writeDocument(name, content) {
+        this.statements.writeDocument.run(name, content, new Date().toISOString());
+    }
+}
+
+module.exports = SqliteStorage;
@@ -0,0 +1,28 @@
+const SUFFIX = '_recent_headlines.csv';
+
+// Headline histories were "headline|||timestamp|||source|||url" lines, which broke on
+// headlines containing "|||"; they are now JSON
+module.exports = {
+    description: 'Convert headline histories from ||| separated lines to JSON',
+
+    migrate(storage) {
+        storage.list()
+            .filter(filename => filename.endsWith(SUFFIX))
+            .forEach(filename => {
+                const headlines = storage.readLines(filename)
+                    .map(line => {
+                        const [headline, timestamp, source, url] = line.split('|||');
+                        return headline && timestamp ? {
+                            headline: headline.trim(),
+                            timestamp: parseFloat(timestamp),
+                            source: source || null,
+                            url: url || null
+                        } : null;
+                    })
+                    .filter(Boolean);
+
+                storage.writeDocument(filename.replace(/\.csv$/, '.json'), JSON.stringify(headlines, null, 2));
+                storage.remove(filename);
+            });
+    }
+};
@@ -0,0 +1,33 @@
+// target_channels.csv (one channel ID per line, no header) becomes channels.json.
+// Records have the shape channels.json had at this version, not whatever ChannelRegistry builds now;
+// later changes to it need their own migration
+function createRecord(channelId, addedAt) {
+    return {
+        channelId,
+        guildId: null,
+        guildName: null,
+        name: null,
+        addedAt,
+        subscription: { endpoints: null, subreddits: null, include: [], exclude: [], maxPostsPerHour: null }
+    };
+}
+
+module.exports = {
+    description: 'Import target_channels.csv into channels.json',
+
+    migrate(storage) {
+        if (!storage.exists('target_channels.csv')) {
+            return;
+        }
+
+        if (!storage.exists('channels.json')) {
+            const addedAt = new Date().toISOString();
+            const records = storage.readLines('target_channels.csv')
+                .map(line => line.trim())
+                .filter(Boolean)
+                .map(channelId => createRecord(channelId, addedAt));
+            storage.writeDocument('channels.json', JSON.stringify(records, null, 2));
+        }
+        storage.remove('target_channels.csv');
+    }
+};
@@ -0,0 +1,16 @@
+// Duplicate detection used to keep a headline history for Reddit only; it now
+// keeps one shared history for every endpoint
+module.exports = {
+    description: 'Move the Reddit headline history to the shared one',
+
+    migrate(storage) {
+        if (!storage.exists('reddit_recent_headlines.csv')) {
+            return;
+        }
+
+        if (!storage.exists('shared_recent_headlines.csv')) {
+            storage.writeLines('shared_recent_headlines.csv', storage.readLines('reddit_recent_headlines.csv'));
+        }
+        storage.remove('reddit_recent_headlines.csv');
+    }
+};
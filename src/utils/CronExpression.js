@@ -0,0 +1,123 @@
+// Digits only - parseInt would read "5abc" as 5 and "1.5" as 1
+const parseNumber = value => (/^\d+$/.test(value) ? Number(value) : NaN);
+
+class CronExpression {
+    constructor(expression) {
+        this.expression = String(expression).trim();
+
+        const fields = this.expression.split(/\s+/);
+        if (fields.length !== 5) {
+            throw new Error(`Invalid cron expression "${this.expression}" - expected 5 fields (minute hour day month weekday)`);
+        }
+
+        this.minutes = this.parseField(fields[0], 0, 59);
+        this.hours = this.parseField(fields[1], 0, 23);
+        this.daysOfMonth = this.parseField(fields[2], 1, 31);
+        this.months = this.parseField(fields[3], 1, 12);
+        this.daysOfWeek = this.parseField(fields[4], 0, 7);
+
+        // Both 0 and 7 mean Sunday
+        if (this.daysOfWeek.has(7)) {
+            this.daysOfWeek.add(0);
+        }
+
+        // Standard cron semantics: if both day fields are restricted, either may match
+        this.anyDayOfMonth = fields[2] === '*';
+        this.anyDayOfWeek = fields[4] === '*';
+    }
+
+    // Throws unless the expression is well-formed and fires at least once ("0 0 30 2 *" never does)
+    static validate(expression) {
+        const cron = new CronExpression(expression);
+        cron.getNextDate();
+        return cron;
+    }
+
+    static isCronExpression(value) {
+        return typeof value === 'string' && value.trim().split(/\s+/).length === 5;
+    }
+
+    parseField(field, min, max) {
+        const values = new Set();
+
+        field.split(',').forEach(part => {
+            const [range, stepString, ...extra] = part.split('/');
+            const step = stepString === undefined ? 1 : parseNumber(stepString);
+            if (extra.length > 0 || !Number.isInteger(step) || step < 1) {
+                throw new Error(`Invalid step "${part}" in cron expression "${this.expression}"`);
+            }
+
+            let start = min;
+            let end = max;
+            if (range !== '*') {
+                const bounds = range.split('-');
+                const [from, to] = bounds.length <= 2 ? bounds.map(parseNumber) : [NaN];
+                start = from;
+                end = to === undefined ? (stepString !== undefined ? max : from) : to;
+            }
+
+            if (!Number.isInteger(start) || !Number.isInteger(end) || start < min || end > max || start > end) {
+                throw new Error(`Invalid value "${part}" in cron expression "${this.expression}"`);
+            }
+
+            for (let value = start; value <= end; value += step) {
+                values.add(value);
+            }
+        });
+
+        return values;
+    }
+
+    matchesDay(date) {
+        const domMatch = this.daysOfMonth.has(date.getDate());
+        const dowMatch = this.daysOfWeek.has(date.getDay());
+
+        if (this.anyDayOfMonth && this.anyDayOfWeek) return true;
+        if (this.anyDayOfMonth) return dowMatch;
+        if (this.anyDayOfWeek) return domMatch;
+        return domMatch || dowMatch;
+    }
+
+    getNextDate(from = new Date()) {
+        const date = new Date(from.getTime());
+        date.setSeconds(0, 0);
+        date.setMinutes(date.getMinutes() + 1);
+
+        // Search at most a little over four years ahead (covers Feb 29 schedules)
+        const limit = from.getTime() + 4 * 366 * 24 * 60 * 60 * 1000;
+
+        while (date.getTime() <= limit) {
+            if (!this.months.has(date.getMonth() + 1)) {
+                date.setMonth(date.getMonth() + 1, 1);
+                date.setHours(0, 0, 0, 0);
+                continue;
+            }
+
+            if (!this.matchesDay(date)) {
+                date.setDate(date.getDate() + 1);
+                date.setHours(0, 0, 0, 0);
+                continue;
+            }
+
+            if (!this.hours.has(date.getHours())) {
+                date.setHours(date.getHours() + 1, 0, 0, 0);
+                continue;
+            }
+
+            if (!this.minutes.has(date.getMinutes())) {
+                date.setMinutes(date.getMinutes() + 1, 0, 0);
+                continue;
+            }
+
+            return date;
+        }
+
+        throw new Error(`Cron expression "${this.expression}" never matches`);
+    }
+
+    toString() {
+        return this.expression;
+    }
+}
+
+module.exports = CronExpression;
@@ -0,0 +1,64 @@
+const DISCORD_MESSAGE_LIMIT = 2000;
+
+class DigestFormatter {
+    static describeCount(source, count) {
+        return `${count} ${source} ${count === 1 ? 'item' : 'items'}`;
+    }
+
+    static formatLine(item) {
+        // Angle brackets stop Discord from embedding every link in the digest
+        return `• ${item.title} - <${item.url}>`;
+    }
+
+    static groupBySource(items) {
+        const groups = new Map(); // source -> items, in order of first appearance
+        items.forEach(item => {
+            if (!groups.has(item.source)) {
+                groups.set(item.source, []);
+            }
+            groups.get(item.source).push(item);
+        });
+        return groups;
+    }
+
+    static format(items, options = {}) {
+        const limit = options.limit || DISCORD_MESSAGE_LIMIT;
+        const describe = options.describe || DigestFormatter.describeCount;
+        const groups = DigestFormatter.groupBySource(items);
+
+        // "3 bill updates, 5 Reddit stories, 1 asteroid"
+        const summary = Array.from(groups.entries())
+            .map(([source, groupItems]) => describe(source, groupItems.length))
+            .join(', ');
+
+        const lines = [`**${options.title || '📰 News roundup'}**`, summary];
+        groups.forEach((groupItems, source) => {
+            lines.push('', `__${describe(source, groupItems.length)}__`);
+            groupItems.forEach(item => lines.push(DigestFormatter.formatLine(item)));
+        });
+
+        return DigestFormatter.split(lines, limit);
+    }
+
+    static split(lines, limit = DISCORD_MESSAGE_LIMIT) {
+        // Pack whole lines into as few messages as Discord allows
+        const messages = [];
+        let current = null;
+        lines.forEach(line => {
+            const text = line.length > limit ? `${line.slice(0, limit - 1)}…` : line;
+            if (current !== null && current.length + 1 + text.length > limit) {
+                messages.push(current);
+                current = null;
+            }
+            if (current === null && text === '') return; // No blank line at the top of a continuation
+            current = current === null ? text : `${current}\n${text}`;
+        });
+
+        if (current !== null) {
+            messages.push(current);
+        }
+        return messages;
+    }
+}
+
+module.exports = DigestFormatter;
@@ -0,0 +1,116 @@
+// Renders archived items as RSS 2.0, Atom 1.0 or JSON Feed 1.1
+class FeedBuilder {
+    static escapeXml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;');
+    }
+
+    static renderContent(entry) {
+        // Description, details and metadata as simple HTML - readers show this as the entry body
+        const paragraphs = [entry.description, entry.details]
+            .filter(Boolean)
+            .map(text => `<p>${FeedBuilder.escapeXml(text).replace(/\n/g, '<br>')}</p>`);
+
+        const metadata = Object.entries(entry.metadata || {});
+        if (metadata.length > 0) {
+            const rows = metadata.map(([key, value]) => {
+                const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+                return `<li><strong>${FeedBuilder.escapeXml(key)}</strong>: ${FeedBuilder.escapeXml(text)}</li>`;
+            });
+            paragraphs.push(`<ul>${rows.join('')}</ul>`);
+        }
+        return paragraphs.join('');
+    }
+
+    static getUpdated(entries) {
+        return entries.length > 0 ? new Date(entries[0].postedAt) : new Date(0);
+    }
+
+    static rss(feed, entries) {
+        const items = entries.map(entry => `    <item>
+      <title>${FeedBuilder.escapeXml(entry.title)}</title>
+      <link>${FeedBuilder.escapeXml(entry.url)}</link>
+      <guid isPermaLink="false">${FeedBuilder.escapeXml(entry.key)}</guid>
+      <pubDate>${new Date(entry.postedAt).toUTCString()}</pubDate>
+      <category>${FeedBuilder.escapeXml(entry.source)}</category>
+${(entry.tags || []).map(tag => `      <category>${FeedBuilder.escapeXml(tag)}</category>\n`).join('')}      <description>${FeedBuilder.escapeXml(FeedBuilder.renderContent(entry))}</description>
+    </item>`);
+
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
+  <channel>
+    <title>${FeedBuilder.escapeXml(feed.title)}</title>
+    <link>${FeedBuilder.escapeXml(feed.homeUrl)}</link>
+    <description>${FeedBuilder.escapeXml(feed.description)}</description>
+    <atom:link href="${FeedBuilder.escapeXml(feed.feedUrl)}" rel="self" type="application/rss+xml"/>
+    <lastBuildDate>${FeedBuilder.getUpdated(entries).toUTCString()}</lastBuildDate>
+${items.join('\n')}
+  </channel>
+</rss>
+`;
+    }
+
+    static atom(feed, entries) {
+        const items = entries.map(entry => `  <entry>
+    <title>${FeedBuilder.escapeXml(entry.title)}</title>
+    <link href="${FeedBuilder.escapeXml(entry.url)}"/>
+    <id>urn:newsbot:${FeedBuilder.escapeXml(entry.key)}</id>
+    <updated>${new Date(entry.postedAt).toISOString()}</updated>
+    <published>${new Date(entry.publishedAt || entry.postedAt).toISOString()}</published>
+    <category term="${FeedBuilder.escapeXml(entry.source)}"/>
+${(entry.tags || []).map(tag => `    <category term="${FeedBuilder.escapeXml(tag)}"/>\n`).join('')}    <content type="html">${FeedBuilder.escapeXml(FeedBuilder.renderContent(entry))}</content>
+  </entry>`);
+
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>${FeedBuilder.escapeXml(feed.title)}</title>
+  <subtitle>${FeedBuilder.escapeXml(feed.description)}</subtitle>
+  <link href="${FeedBuilder.escapeXml(feed.homeUrl)}"/>
+  <link href="${FeedBuilder.escapeXml(feed.feedUrl)}" rel="self"/>
+  <id>${FeedBuilder.escapeXml(feed.feedUrl)}</id>
+  <updated>${FeedBuilder.getUpdated(entries).toISOString()}</updated>
+  <author><name>NewsBot</name></author>
+${items.join('\n')}
+</feed>
+`;
+    }
+
+    static json(feed, entries) {
+        return JSON.stringify({
+            version: 'https://jsonfeed.org/version/1.1',
+            title: feed.title,
+            description: feed.description,
+            home_page_url: feed.homeUrl,
+            feed_url: feed.feedUrl,
+            items: entries.map(entry => ({
+                id: entry.key,
+                url: entry.url,
+                title: entry.title,
+                content_html: FeedBuilder.renderContent(entry),
+                content_text: [entry.description, entry.details].filter(Boolean).join('\n\n') || undefined,
+                date_published: new Date(entry.publishedAt || entry.postedAt).toISOString(),
+                date_modified: new Date(entry.postedAt).toISOString(),
+                tags: [entry.source, ...(entry.tags || [])],
+                // JSON Feed extension with the raw fields
+                _newsbot: {
+                    source: entry.source,
+                    priority: entry.priority,
+                    details: entry.details,
+                    metadata: entry.metadata
+                }
+            }))
+        }, null, 2);
+    }
+}
+
+FeedBuilder.formats = {
+    xml: { render: FeedBuilder.rss, contentType: 'application/rss+xml; charset=utf-8' },
+    atom: { render: FeedBuilder.atom, contentType: 'application/atom+xml; charset=utf-8' },
+    json: { render: FeedBuilder.json, contentType: 'application/feed+json; charset=utf-8' }
+};
+
+module.exports = FeedBuilder;
@@ -0,0 +1,55 @@
+// Discord embed limits - anything longer is rejected by the API
+const LIMITS = {
+    title: 256,
+    description: 4096,
+    fields: 25,
+    fieldName: 256,
+    fieldValue: 1024,
+    footer: 2048
+};
+
+class NewsEmbed {
+    static truncate(text, limit) {
+        const value = String(text);
+        return value.length > limit ? `${value.slice(0, limit - 1)}…` : value;
+    }
+
+    static isImageUrl(url) {
+        return typeof url === 'string' && /^https?:\/\//.test(url);
+    }
+
+    // Plain embed object (discord.js accepts these directly) built from a news item
+    static create(item, options = {}) {
+        const fields = (item.fields || [])
+            .filter(field => field && field.name && field.value)
+            .slice(0, LIMITS.fields)
+            .map(field => ({
+                name: NewsEmbed.truncate(field.name, LIMITS.fieldName),
+                value: NewsEmbed.truncate(field.value, LIMITS.fieldValue),
+                inline: !!field.inline
+            }));
+
+        // Details are only needed as text when the endpoint didn't break them into fields
+        const description = [item.description, fields.length === 0 ? item.details : null]
+            .filter(text => text && String(text).trim())
+            .join('\n\n');
+
+        const embed = {
+            title: NewsEmbed.truncate(item.title, LIMITS.title),
+            url: item.url,
+            footer: { text: NewsEmbed.truncate(options.footer || item.source, LIMITS.footer) },
+            timestamp: new Date(item.publishedAt || item.timestamp || Date.now()).toISOString()
+        };
+
+        if (description) embed.description = NewsEmbed.truncate(description, LIMITS.description);
+        if (fields.length > 0) embed.fields = fields;
+        if (Number.isInteger(options.color)) embed.color = options.color;
+        if (NewsEmbed.isImageUrl(item.thumbnail)) embed.thumbnail = { url: item.thumbnail };
+
+        return embed;
+    }
+}
+
+NewsEmbed.LIMITS = LIMITS;
+
+module.exports = NewsEmbed;
@@ -0,0 +1,91 @@
+const MINUTES_PER_DAY = 24 * 60;
+
+class PostingWindow {
+    constructor(startMinutes, endMinutes, timezone = PostingWindow.getDefaultTimezone()) {
+        if (!PostingWindow.isValidTimezone(timezone)) {
+            throw new Error(`Unknown time zone "${timezone}"`);
+        }
+
+        this.startMinutes = startMinutes;
+        this.endMinutes = endMinutes;
+        this.timezone = timezone;
+        this.formatter = new Intl.DateTimeFormat('en-US', {
+            timeZone: timezone,
+            hour: '2-digit',
+            minute: '2-digit',
+            hourCycle: 'h23'
+        });
+    }
+
+    static getDefaultTimezone() {
+        return process.env.TZ || Intl.DateTimeFormat().resolvedOptions().timeZone;
+    }
+
+    static isValidTimezone(timezone) {
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    static parseTime(value) {
+        // "7", "07:30" or "22:00"
+        const match = String(value).trim().match(/^(\d{1,2})(?::(\d{2}))?$/);
+        if (!match) return null;
+
+        const hours = parseInt(match[1], 10);
+        const minutes = parseInt(match[2] || '0', 10);
+        if (hours > 24 || minutes > 59 || (hours === 24 && minutes > 0)) return null;
+        return hours * 60 + minutes;
+    }
+
+    static parse(windowString, timezone) {
+        // "07:00-22:00" posts from 7 a.m. until 10 p.m.; "22:00-02:00" wraps past midnight
+        const [start, end] = String(windowString).split('-');
+        const startMinutes = PostingWindow.parseTime(start);
+        const endMinutes = PostingWindow.parseTime(end);
+
+        if (startMinutes === null || endMinutes === null || startMinutes === endMinutes) {
+            throw new Error(`Invalid posting window "${windowString}" (expected e.g. "07:00-22:00")`);
+        }
+        return new PostingWindow(startMinutes, endMinutes % MINUTES_PER_DAY, timezone);
+    }
+
+    static formatMinutes(minutes) {
+        const hours = Math.floor(minutes / 60);
+        return `${String(hours).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+    }
+
+    getLocalMinutes(date = new Date()) {
+        const parts = this.formatter.formatToParts(date);
+        const hour = parseInt(parts.find(part => part.type === 'hour').value, 10);
+        const minute = parseInt(parts.find(part => part.type === 'minute').value, 10);
+        return hour * 60 + minute;
+    }
+
+    isOpen(date = new Date()) {
+        const now = this.getLocalMinutes(date);
+        return this.startMinutes < this.endMinutes
+            ? now >= this.startMinutes && now < this.endMinutes
+            : now >= this.startMinutes || now < this.endMinutes;
+    }
+
+    getNextOpening(date = new Date()) {
+        if (this.isOpen(date)) {
+            return date;
+        }
+
+        const minutesUntilStart = (this.startMinutes - this.getLocalMinutes(date) + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+        const opening = new Date(date.getTime() + minutesUntilStart * 60 * 1000);
+        opening.setSeconds(0, 0);
+        return opening;
+    }
+
+    toString() {
+        return `${PostingWindow.formatMinutes(this.startMinutes)}-${PostingWindow.formatMinutes(this.endMinutes)}`;
+    }
+}
+
+module.exports = PostingWindow;
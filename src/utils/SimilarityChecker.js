@@ -11,18 +11,19 @@ class SimilarityChecker {
             ...options
         };
 
-        this.recentHeadlines = new Map(); // headline -> { embedding, timestamp }
+        this.recentHeadlines = new Map(); // headline -> { embedding, timestamp, item }
     }
 
     async loadRecentHeadlines(endpointName) {
         try {
-            const headlines = this.dataManager.loadCSVData(
-                `${endpointName}_recent_headlines.csv`,
-                line => {
-                    const [headline, timestamp] = line.split('|||'); // Use ||| as separator to avoid comma conflicts
-                    return headline && timestamp ? { headline: headline.trim(), timestamp: parseFloat(timestamp) } : null;
-                }
-            );
+            const saved = this.dataManager.loadJSONData(`${endpointName}_recent_headlines.json`, []);
+            const headlines = (Array.isArray(saved) ? saved : [])
+                .filter(entry => entry && entry.headline && entry.timestamp)
+                .map(entry => ({
+                    headline: entry.headline,
+                    timestamp: entry.timestamp,
+                    item: entry.source ? { source: entry.source, url: entry.url || null } : null
+                }));
 
             this.logger.debug(`Loading ${headlines.length} recent headlines for ${endpointName}`);
 
@@ -54,7 +55,8 @@ class SimilarityChecker {
                             if (embeddings[index]) {
                                 this.recentHeadlines.set(item.headline, {
                                     embedding: embeddings[index],
-                                    timestamp: item.timestamp
+                                    timestamp: item.timestamp,
+                                    item: item.item
                                 });
                             }
                         });
@@ -78,9 +80,14 @@ class SimilarityChecker {
             const cutoffTime = Date.now() / 1000 - (this.options.retentionHours * 60 * 60);
             const validEntries = Array.from(this.recentHeadlines.entries())
                 .filter(([_, data]) => data.timestamp > cutoffTime)
-                .map(([headline, data]) => `${headline}|||${data.timestamp}`);
-
-            this.dataManager.saveCSVData(`${endpointName}_recent_headlines.csv`, validEntries);
+                .map(([headline, data]) => ({
+                    headline,
+                    timestamp: data.timestamp,
+                    source: data.item ? data.item.source : null,
+                    url: data.item ? data.item.url || null : null
+                }));
+
+            this.dataManager.saveJSONData(`${endpointName}_recent_headlines.json`, validEntries);
             this.logger.debug(`Saved ${validEntries.length} recent headlines for ${endpointName}`);
 
         } catch (error) {
@@ -88,13 +95,13 @@ class SimilarityChecker {
         }
     }
 
-    async checkSimilarity(newHeadline) {
+    async checkSimilarity(newHeadline, threshold = this.options.similarityThreshold) {
         try {
             // Get embedding for new headline
             const newEmbedding = await this.embeddingService.getEmbedding(newHeadline);
             if (!newEmbedding) {
                 this.logger.warn('Could not generate embedding for new headline');
-                return { isSimilar: false, similarity: 0, similarHeadline: null };
+                return { isSimilar: false, similarity: 0, similarHeadline: null, similarItem: null };
             }
 
             // Check against all recent headlines
@@ -110,7 +117,7 @@ class SimilarityChecker {
                 }
             }
 
-            const isSimilar = maxSimilarity >= this.options.similarityThreshold;
+            const isSimilar = maxSimilarity >= threshold;
 
             if (isSimilar) {
                 this.logger.debug(`Similar headline detected: ${maxSimilarity.toFixed(3)} similarity with "${mostSimilarHeadline.substring(0, 50)}..."`);
@@ -119,22 +126,24 @@ class SimilarityChecker {
             return {
                 isSimilar,
                 similarity: maxSimilarity,
-                similarHeadline: mostSimilarHeadline
+                similarHeadline: mostSimilarHeadline,
+                similarItem: mostSimilarHeadline ? this.recentHeadlines.get(mostSimilarHeadline).item || null : null
             };
 
         } catch (error) {
             this.logger.error('Error checking headline similarity:', error);
-            return { isSimilar: false, similarity: 0, similarHeadline: null };
+            return { isSimilar: false, similarity: 0, similarHeadline: null, similarItem: null };
         }
     }
 
-    async addHeadline(headline) {
+    async addHeadline(headline, item = null) {
         try {
             const embedding = await this.embeddingService.getEmbedding(headline);
             if (embedding) {
                 this.recentHeadlines.set(headline, {
                     embedding,
-                    timestamp: Date.now() / 1000
+                    timestamp: Date.now() / 1000,
+                    item
                 });
 
                 // Prune old entries to prevent memory bloat
@@ -183,6 +192,9 @@ class SimilarityChecker {
     }
 
     updateThreshold(newThreshold) {
+        if (!Number.isFinite(newThreshold)) {
+            throw new Error(`Invalid similarity threshold: ${newThreshold}`);
+        }
         this.options.similarityThreshold = Math.max(0, Math.min(1, newThreshold));
         this.logger.info(`Similarity threshold updated to ${this.options.similarityThreshold}`);
     }
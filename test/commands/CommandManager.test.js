@@ -0,0 +1,56 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const CommandManager = require('../../src/commands/CommandManager');
+const SlashCommand = require('../../src/commands/SlashCommand');
+const { createLogger } = require('../helpers');
+
+class SecretCommand extends SlashCommand {
+    constructor(name, services) {
+        super(name, services);
+        this.adminOnly = true;
+        this.runs = 0;
+    }
+
+    build(builder) {
+        return builder.setDescription('Admins only');
+    }
+
+    async execute() {
+        this.runs++;
+    }
+}
+
+CommandManager.registerCommand('secret', SecretCommand);
+
+function createManager(errors) {
+    const config = { getDiscordConfig: () => ({ adminRoleIds: ['admins'], commandGuildId: null }) };
+    return new CommandManager(config, createLogger(errors));
+}
+
+function createInteraction(roleIds, reply) {
+    return {
+        commandName: 'secret',
+        member: { roles: roleIds },
+        isChatInputCommand: () => true,
+        isAutocomplete: () => false,
+        reply
+    };
+}
+
+describe('CommandManager', () => {
+    it('runs admin-only commands for members with an admin role', async () => {
+        const manager = createManager([]);
+        await manager.handle(createInteraction(['admins'], async () => {}));
+        assert.strictEqual(manager.getCommand('secret').runs, 1);
+    });
+
+    it('logs instead of rejecting when the permission reply fails', async () => {
+        const errors = [];
+        const manager = createManager(errors);
+        const interaction = createInteraction([], async () => { throw new Error('Unknown interaction'); });
+
+        await manager.handle(interaction);
+        assert.strictEqual(manager.getCommand('secret').runs, 0);
+        assert.deepStrictEqual(errors, ['Could not report missing permission for /secret']);
+    });
+});
@@ -0,0 +1,75 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { PermissionFlagsBits } = require('discord.js');
+const ChannelsCommand = require('../../../src/commands/builtin/ChannelsCommand');
+const ChannelRegistry = require('../../../src/core/ChannelRegistry');
+const { createDataManager } = require('../../helpers');
+
+function createCommand() {
+    const channels = new ChannelRegistry(createDataManager());
+    channels.add('news', { guildId: 'guild' });
+    channels.add('alerts', { guildId: 'guild' });
+    channels.add('foreign', { guildId: 'elsewhere' });
+    channels.setSubscription('alerts', { endpoints: ['congress'], maxPostsPerHour: 5 });
+
+    const bot = {
+        channelSettings: {
+            get: channelId => ({ mode: channelId === 'alerts' ? 'digest' : 'stream', postingWindow: channelId === 'alerts' ? '08:00-22:00' : null }),
+            isOpen: () => true
+        },
+        holdQueue: { size: () => 2 },
+        digestQueue: { size: () => 0 },
+        archive: { search: () => ({ results: [] }) }
+    };
+    return new ChannelsCommand('channels', { bot, discord: { channels } });
+}
+
+function createInteraction(subcommand, options = {}) {
+    return {
+        replies: [],
+        guildId: 'guild',
+        guild: { name: 'Guild' },
+        channelId: 'news',
+        channel: { id: 'news' },
+        client: { user: { id: 'bot' }, channels: { cache: new Map(options.cached || []) } },
+        options: {
+            getSubcommand: () => subcommand,
+            getChannel: () => (options.channelId ? { id: options.channelId } : null)
+        },
+        async reply(message) {
+            this.replies.push(message.content);
+        }
+    };
+}
+
+describe('ChannelsCommand', () => {
+    it('lists only the channels of the current server with their routing', async () => {
+        const interaction = createInteraction('list');
+        await createCommand().execute(interaction);
+
+        assert.strictEqual(interaction.replies[0], [
+            '📺 **2 news channels in Guild**',
+            '• <#news> - all endpoints · stream',
+            '• <#alerts> - congress · digest · window 08:00-22:00 · max 5/hour'
+        ].join('\n'));
+    });
+
+    it('reports whether the bot can post and embed in a channel', async () => {
+        // Everything but Embed Links
+        const channel = { permissionsFor: () => ({ has: flags => flags !== PermissionFlagsBits.EmbedLinks }) };
+        const interaction = createInteraction('status', { cached: [['news', channel]] });
+        await createCommand().execute(interaction);
+
+        assert.match(interaction.replies[0], /^📺 Status of <#news>/);
+        assert.match(interaction.replies[0], /\*\*Bot access\*\*: ✅ Can post \(no Embed Links - plain text\)/);
+        assert.match(interaction.replies[0], /\*\*Held\*\*: 2 for quiet hours, 0 for the next digest/);
+        assert.match(interaction.replies[0], /\*\*Last post\*\*: None archived/);
+    });
+
+    it('does not show the status of another server\'s channel', async () => {
+        const interaction = createInteraction('status', { channelId: 'foreign' });
+        await createCommand().execute(interaction);
+
+        assert.deepStrictEqual(interaction.replies, ['<#foreign> is not registered for automatic posts.']);
+    });
+});
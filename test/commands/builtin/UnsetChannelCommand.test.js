@@ -0,0 +1,56 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const UnsetChannelCommand = require('../../../src/commands/builtin/UnsetChannelCommand');
+const ChannelRegistry = require('../../../src/core/ChannelRegistry');
+const { createDataManager } = require('../../helpers');
+
+function createCommand() {
+    const channels = new ChannelRegistry(createDataManager());
+    channels.add('news', { guildId: 'guild' });
+    channels.add('foreign', { guildId: 'elsewhere' });
+
+    const removed = [];
+    const discord = {
+        channels,
+        removeTargetChannel: (channelId, reason) => {
+            removed.push([channelId, reason]);
+            return channels.remove(channelId);
+        }
+    };
+    return { command: new UnsetChannelCommand('unsetchannel', { discord }), removed };
+}
+
+function createInteraction(channelId, replies) {
+    return {
+        guildId: 'guild',
+        channelId: 'news',
+        channel: { id: 'news' },
+        user: { tag: 'admin#1' },
+        options: { getChannel: () => (channelId ? { id: channelId } : null) },
+        reply: async message => replies.push(message.content)
+    };
+}
+
+describe('UnsetChannelCommand', () => {
+    it('unregisters the current channel by default', async () => {
+        const { command, removed } = createCommand();
+        const replies = [];
+
+        await command.execute(createInteraction(null, replies));
+        assert.deepStrictEqual(removed, [['news', 'unset by admin#1']]);
+        assert.match(replies[0], /<#news> no longer gets automatic posts/);
+    });
+
+    it('leaves channels of other servers and unknown channels alone', async () => {
+        const { command, removed } = createCommand();
+        const replies = [];
+
+        await command.execute(createInteraction('foreign', replies));
+        await command.execute(createInteraction('missing', replies));
+        assert.deepStrictEqual(removed, []);
+        assert.deepStrictEqual(replies, [
+            '<#foreign> is not registered for automatic posts.',
+            '<#missing> is not registered for automatic posts.'
+        ]);
+    });
+});
@@ -0,0 +1,104 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const Config = require('../../src/config/Config');
+const { useTempDirectories } = require('../helpers');
+
+const ENV_KEYS = ['CONFIG_FILE', 'DISCORD_BOT_TOKEN', 'INTERVAL_MINUTES', 'ENDPOINT_WEIGHTS', 'BACKOFF_STRATEGIES', 'TESTING', 'NODE_ENV'];
+
+describe('Config', () => {
+    const createDirectory = useTempDirectories('config');
+    let directory;
+    let savedEnv;
+
+    const writeConfig = (name, content) => {
+        const file = path.join(directory, name);
+        fs.writeFileSync(file, content);
+        process.env.CONFIG_FILE = file;
+        return file;
+    };
+
+    beforeEach(() => {
+        directory = createDirectory();
+        savedEnv = {};
+        ENV_KEYS.forEach(key => {
+            savedEnv[key] = process.env[key];
+            delete process.env[key];
+        });
+        process.env.DISCORD_BOT_TOKEN = 'token';
+    });
+
+    afterEach(() => {
+        ENV_KEYS.forEach(key => {
+            if (savedEnv[key] === undefined) {
+                delete process.env[key];
+            } else {
+                process.env[key] = savedEnv[key];
+            }
+        });
+    });
+
+    it('reads endpoint sections from a YAML file', () => {
+        writeConfig('newsbot.config.yaml', [
+            'bot:',
+            '  intervalMinutes: 3',
+            'endpoints:',
+            '  reddit:',
+            '    weight: 2',
+            '    backoffStrategy: activity',
+            '  world:',
+            '    type: reddit',
+            '    schedule: "*/15 * * * *"'
+        ].join('\n'));
+
+        const config = new Config();
+        assert.strictEqual(config.getIntervalMinutes(), 3);
+        assert.strictEqual(config.getEndpointWeight('reddit'), 2);
+        assert.strictEqual(config.getEndpointWeight('congress'), 1);
+        assert.deepStrictEqual(config.getEndpointSchedule('world'), { cron: '*/15 * * * *' });
+        assert.strictEqual(config.getBackoffConfig('reddit').strategy, 'activity');
+        assert.strictEqual(config.getBackoffConfig('world').strategy, 'linear');
+        assert.strictEqual(config.getEndpointSection('world').type, 'reddit');
+    });
+
+    it('lets environment variables override the file', () => {
+        writeConfig('newsbot.config.json', JSON.stringify({ bot: { intervalMinutes: 3 }, endpoints: { reddit: { weight: 2 } } }));
+        process.env.INTERVAL_MINUTES = '4';
+        process.env.ENDPOINT_WEIGHTS = 'reddit:0.5,congress:3';
+        process.env.BACKOFF_STRATEGIES = 'congress:exponential';
+
+        const config = new Config();
+        assert.strictEqual(config.getIntervalMinutes(), 4);
+        assert.strictEqual(config.getEndpointWeight('reddit'), 0.5);
+        assert.strictEqual(config.getEndpointWeight('congress'), 3);
+        assert.strictEqual(config.getBackoffConfig('congress').strategy, 'exponential');
+    });
+
+    it('lists every problem in one error', () => {
+        writeConfig('newsbot.config.yaml', 'bot:\n  intervalMinutes: -1\nnotifiers:\n  newsroom:\n    targets: []\n');
+        delete process.env.DISCORD_BOT_TOKEN;
+
+        assert.throws(() => new Config(), error => {
+            assert.match(error.message, /^Invalid configuration \(newsbot\.config\.yaml and environment\):/);
+            assert.match(error.message, /- bot\.intervalMinutes: must be greater than 0 \(got -1\)/);
+            assert.match(error.message, /- discord\.token: is required/);
+            assert.match(error.message, /- notifiers\.newsroom\.type: is required unless the section is named after a notifier type/);
+            return true;
+        });
+    });
+
+    it('does not need a Discord token for data tools', () => {
+        delete process.env.DISCORD_BOT_TOKEN;
+        process.env.CONFIG_FILE = path.join(directory, 'missing.yaml');
+        assert.throws(() => new Config({ requireSecrets: false }), /missing\.yaml \(CONFIG_FILE\) does not exist/);
+
+        writeConfig('empty.yaml', '');
+        assert.strictEqual(new Config({ requireSecrets: false }).getDiscordConfig().token, undefined);
+    });
+
+    it('rejects files that are not sections of settings', () => {
+        writeConfig('list.yaml', '- reddit\n- congress\n');
+        assert.throws(() => new Config(), /must contain sections of settings/);
+    });
+});
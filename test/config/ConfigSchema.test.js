@@ -0,0 +1,74 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const ConfigSchema = require('../../src/config/ConfigSchema');
+
+const resolve = (fileValues, env = {}) => new ConfigSchema().resolve(fileValues, env);
+
+describe('ConfigSchema', () => {
+    it('uses the defaults when nothing is set', () => {
+        const { values, errors } = resolve({});
+        assert.deepStrictEqual(errors, []);
+        assert.strictEqual(values.bot.intervalMinutes, 1.25);
+        assert.deepStrictEqual(values.endpoints.enabled, ['reddit', 'congress']);
+    });
+
+    it('lets environment variables win over the file', () => {
+        const { values, errors } = resolve(
+            { bot: { intervalMinutes: 5, vectorEmbedding: true }, posting: { timezone: 'Europe/Berlin' } },
+            { INTERVAL_MINUTES: '2', VECTOR_EMBEDDING: 'no', ENABLED_ENDPOINTS: 'reddit, world' }
+        );
+        assert.deepStrictEqual(errors, []);
+        assert.strictEqual(values.bot.intervalMinutes, 2);
+        assert.strictEqual(values.bot.vectorEmbedding, false);
+        assert.deepStrictEqual(values.endpoints.enabled, ['reddit', 'world']);
+        assert.strictEqual(values.posting.timezone, 'Europe/Berlin');
+    });
+
+    it('ignores empty environment variables', () => {
+        const { values } = resolve({ bot: { intervalMinutes: 5 } }, { INTERVAL_MINUTES: '' });
+        assert.strictEqual(values.bot.intervalMinutes, 5);
+    });
+
+    it('sets one key of named endpoint sections from the mapped variables', () => {
+        const { values, errors } = resolve(
+            { endpoints: { reddit: { weight: 2, similarityThreshold: 0.9 } } },
+            { ENDPOINT_WEIGHTS: 'reddit:3, congress:0.5', ENDPOINT_SCHEDULES: 'congress:*/15 * * * *;reddit:2' }
+        );
+        assert.deepStrictEqual(errors, []);
+        assert.strictEqual(values.endpoints.reddit.weight, 3);
+        assert.strictEqual(values.endpoints.reddit.similarityThreshold, 0.9);
+        assert.deepStrictEqual(values.endpoints.reddit.schedule, { intervalMinutes: 2 });
+        assert.strictEqual(values.endpoints.congress.weight, 0.5);
+        assert.deepStrictEqual(values.endpoints.congress.schedule, { cron: '*/15 * * * *' });
+    });
+
+    it('reports every problem with its path and source', () => {
+        const { errors } = resolve(
+            { bot: { intervalMinutes: 'often' }, discord: { testChannel: 123 }, unknownSection: {}, posting: { colour: 'red' } },
+            { BACKOFF_STRATEGY: 'random', ENDPOINT_WEIGHTS: 'reddit' }
+        );
+        assert.deepStrictEqual(errors, [
+            'discord.testChannel: must be a string - quote numbers such as Discord IDs (got 123)',
+            'bot.intervalMinutes: must be a number (got "often")',
+            'ENDPOINT_WEIGHTS: "reddit" is not in "name:value" form',
+            'backoff.strategy (from BACKOFF_STRATEGY): must be one of: linear, exponential, timeOfDay, activity (got "random")',
+            'posting.colour: unknown setting',
+            'unknownSection: unknown setting'
+        ]);
+    });
+
+    it('rejects cron schedules that never fire', () => {
+        const { errors } = resolve({ posting: { digestSchedule: '0 0 30 2 *' } }, { ENDPOINT_SCHEDULES: 'congress:0 0 31 4 *' });
+        assert.strictEqual(errors.length, 2);
+        assert.match(errors[0], /^endpoints\.congress\.schedule \(from ENDPOINT_SCHEDULES\): /);
+        assert.match(errors[1], /^posting\.digestSchedule: /);
+    });
+
+    it('rejects section names that clash with settings or contain odd characters', () => {
+        const { errors } = resolve({ endpoints: { 'my feed': {} } }, { ENDPOINT_WEIGHTS: 'enabled:2' });
+        assert.deepStrictEqual(errors, [
+            'endpoints.my feed: section names may only contain letters, numbers, "-" and "_"',
+            'endpoints.enabled: is a setting, not a section name'
+        ]);
+    });
+});
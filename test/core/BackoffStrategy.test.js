@@ -0,0 +1,83 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const BackoffStrategy = require('../../src/core/BackoffStrategy');
+
+function emptyPolls(strategy, count, baseMinutes) {
+    for (let i = 0; i < count; i++) {
+        strategy.onEmpty(baseMinutes);
+    }
+}
+
+describe('BackoffStrategy', () => {
+    it('rejects unknown strategies', () => {
+        assert.throws(() => BackoffStrategy.create('random'), /Unknown backoff strategy "random"/);
+    });
+
+    describe('linear', () => {
+        it('adds the increment per empty poll and resets on news', () => {
+            const strategy = BackoffStrategy.create('linear', { incrementSeconds: 30 });
+            emptyPolls(strategy, 4, 5);
+            assert.strictEqual(strategy.getBackoffMinutes(5), 2);
+
+            strategy.onNewsFound();
+            assert.strictEqual(strategy.getBackoffMinutes(5), 0);
+        });
+
+        it('keeps base interval plus backoff under the maximum', () => {
+            const strategy = BackoffStrategy.create('linear', { incrementSeconds: 600, maxMinutes: 30 });
+            emptyPolls(strategy, 10, 5);
+            assert.strictEqual(strategy.getBackoffMinutes(5), 25);
+        });
+    });
+
+    describe('exponential', () => {
+        it('multiplies the base interval per empty poll', () => {
+            const strategy = BackoffStrategy.create('exponential', { multiplier: 2, maxMinutes: 1000 });
+            emptyPolls(strategy, 3, 5);
+            assert.strictEqual(strategy.getBackoffMinutes(5), 35); // 5 * 2^3 - 5
+        });
+
+        it('uses the increment as the unit for cron schedules and never overflows', () => {
+            const strategy = BackoffStrategy.create('exponential', { incrementSeconds: 60, maxMinutes: 60 });
+            emptyPolls(strategy, 2, null);
+            assert.strictEqual(strategy.getBackoffMinutes(null), 3);
+
+            emptyPolls(strategy, 5000, null);
+            assert.strictEqual(strategy.getBackoffMinutes(null), 60);
+        });
+    });
+
+    describe('timeOfDay', () => {
+        it('stretches the cadence outside active hours', () => {
+            const strategy = BackoffStrategy.create('timeOfDay', { activeHours: '7-23', offHoursMultiplier: 4, maxMinutes: 120 });
+            assert.strictEqual(strategy.getBackoffMinutes(5, new Date(2024, 0, 1, 12)), 0);
+            assert.strictEqual(strategy.getBackoffMinutes(5, new Date(2024, 0, 1, 3)), 15);
+        });
+
+        it('handles ranges that wrap past midnight', () => {
+            const strategy = BackoffStrategy.create('timeOfDay', { activeHours: '22-6' });
+            assert.strictEqual(strategy.isActiveHour(new Date(2024, 0, 1, 23)), true);
+            assert.strictEqual(strategy.isActiveHour(new Date(2024, 0, 1, 5)), true);
+            assert.strictEqual(strategy.isActiveHour(new Date(2024, 0, 1, 12)), false);
+        });
+
+        it('rejects malformed active hours', () => {
+            assert.throws(() => BackoffStrategy.create('timeOfDay', { activeHours: 'mornings' }), /Invalid active hours/);
+        });
+    });
+
+    describe('activity', () => {
+        it('polls at full speed without history and slows as the hit rate drops', () => {
+            const strategy = BackoffStrategy.create('activity', { windowSize: 4, maxMultiplier: 5, maxMinutes: 100 });
+            assert.strictEqual(strategy.getBackoffMinutes(5), 0);
+
+            strategy.onNewsFound();
+            strategy.onNewsFound();
+            emptyPolls(strategy, 2, 5);
+            assert.strictEqual(strategy.getBackoffMinutes(5), 10); // 5 * 0.5 * (5 - 1)
+
+            emptyPolls(strategy, 2, 5);
+            assert.strictEqual(strategy.getBackoffMinutes(5), 20);
+        });
+    });
+});
@@ -0,0 +1,95 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const ChannelRegistry = require('../../src/core/ChannelRegistry');
+const { createDataManager } = require('../helpers');
+
+function createRegistry(channelIds = ['news']) {
+    const dataManager = createDataManager();
+    const registry = new ChannelRegistry(dataManager);
+    channelIds.forEach(channelId => registry.add(channelId, { guildId: 'guild', guildName: 'Guild' }));
+    return { registry, dataManager };
+}
+
+const redditItem = (title, subreddit = 'news') => ({
+    source: 'reddit',
+    title,
+    metadata: { subreddit, sourceUrl: `https://www.reddit.com/r/${subreddit}/new.json` }
+});
+
+describe('ChannelRegistry', () => {
+    it('gives new channels every endpoint with no limit', () => {
+        const { registry, dataManager } = createRegistry();
+
+        assert.strictEqual(registry.add('news'), false);
+        assert.deepStrictEqual(registry.getSubscription('news'), { endpoints: null, subreddits: null, include: [], exclude: [], maxPostsPerHour: null });
+        assert.strictEqual(registry.matches('news', { source: 'asteroid', title: 'Flyby' }), true);
+        assert.strictEqual(dataManager.files['channels.json'][0].guildName, 'Guild');
+    });
+
+    it('normalizes subscription lists', () => {
+        assert.deepStrictEqual(ChannelRegistry.normalizeSubscription({
+            endpoints: 'congress, reddit,congress',
+            subreddits: ['r/News', ' WorldNews '],
+            include: ['Senate', ''],
+            maxPostsPerHour: '5'
+        }), { endpoints: ['congress', 'reddit'], subreddits: ['news', 'worldnews'], include: ['senate'], exclude: [], maxPostsPerHour: 5 });
+
+        assert.throws(() => ChannelRegistry.normalizeSubscription({ maxPostsPerHour: 0 }), /maxPostsPerHour must be a whole number above 0/);
+        assert.throws(() => ChannelRegistry.normalizeSubscription({ maxPostsPerHour: 1.5 }), /maxPostsPerHour/);
+    });
+
+    it('routes items by endpoint, subreddit and keywords', () => {
+        const { registry } = createRegistry();
+        registry.setSubscription('news', { endpoints: ['reddit', 'congress'], subreddits: ['worldnews'], include: ['election'], exclude: ['rumor'] });
+
+        assert.strictEqual(registry.matches('news', redditItem('Election results', 'WorldNews')), true);
+        assert.strictEqual(registry.matches('news', redditItem('Election results', 'news')), false, 'other subreddits');
+        assert.strictEqual(registry.matches('news', redditItem('Weather report', 'worldnews')), false, 'no included keyword');
+        assert.strictEqual(registry.matches('news', redditItem('Election rumor', 'worldnews')), false, 'excluded keyword');
+        assert.strictEqual(registry.matches('news', { source: 'congress', title: 'Election security act' }), true, 'subreddits only filter Reddit items');
+        assert.strictEqual(registry.matches('news', { source: 'asteroid', title: 'Election of a comet' }), false, 'other endpoints');
+    });
+
+    it('matches subreddits by their source URL too', () => {
+        const { registry } = createRegistry();
+        registry.setSubscription('news', { subreddits: 'https://www.reddit.com/r/worldnews/new.json' });
+        assert.strictEqual(registry.matches('news', redditItem('Story', 'worldnews')), true);
+        assert.strictEqual(registry.matches('news', redditItem('Story', 'news')), false);
+    });
+
+    it('resets single fields or the whole subscription', () => {
+        const { registry, dataManager } = createRegistry();
+        registry.setSubscription('news', { endpoints: ['reddit'], exclude: ['rumor'] });
+
+        assert.deepStrictEqual(registry.setSubscription('news', { endpoints: null }).exclude, ['rumor']);
+        assert.strictEqual(registry.getSubscription('news').endpoints, null);
+        assert.deepStrictEqual(registry.resetSubscription('news'), ChannelRegistry.normalizeSubscription());
+        assert.deepStrictEqual(dataManager.files['channels.json'][0].subscription.exclude, []);
+        assert.throws(() => registry.setSubscription('missing', {}), /Channel missing is not registered/);
+    });
+
+    it('holds a channel back once it reaches its hourly limit', () => {
+        const { registry } = createRegistry(['news', 'other']);
+        registry.setSubscription('news', { maxPostsPerHour: 2 });
+
+        registry.recordPost('news');
+        assert.strictEqual(registry.isRateLimited('news'), false);
+        registry.recordPost('news');
+        registry.recordPost('other');
+        assert.strictEqual(registry.isRateLimited('news'), true);
+        assert.strictEqual(registry.isRateLimited('other'), false, 'no limit set');
+
+        registry.recentPosts.set('news', [Date.now() - 61 * 60 * 1000, Date.now()]);
+        assert.strictEqual(registry.isRateLimited('news'), false, 'posts older than an hour no longer count');
+        assert.deepStrictEqual(registry.getStatus().map(record => record.postsLastHour), [1, 1]);
+    });
+
+    it('loads saved channels and fills in missing subscription fields', () => {
+        const registry = new ChannelRegistry(createDataManager({
+            'channels.json': [{ channelId: 'news', subscription: { endpoints: ['reddit'] } }, { name: 'no id' }]
+        }));
+
+        assert.strictEqual(registry.load(), 1);
+        assert.deepStrictEqual(registry.getSubscription('news'), { endpoints: ['reddit'], subreddits: null, include: [], exclude: [], maxPostsPerHour: null });
+    });
+});
@@ -0,0 +1,85 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const ChannelSettings = require('../../src/core/ChannelSettings');
+const { createDataManager } = require('../helpers');
+
+const DEFAULTS = {
+    postingWindow: null,
+    timezone: null,
+    release: 'batch',
+    catchUpLimit: 10,
+    bypassPriority: null,
+    bypassEndpoints: [],
+    mode: 'stream',
+    digestSchedule: '0 8 * * *',
+    embeds: true,
+    storyUpdates: 'edit',
+    threads: false,
+    threadArchiveMinutes: 1440
+};
+
+function createSettings(defaults = {}, dataManager = createDataManager()) {
+    return new ChannelSettings({ getPostingConfig: () => ({ ...DEFAULTS, ...defaults }) }, dataManager);
+}
+
+describe('ChannelSettings', () => {
+    it('is always open without a posting window', () => {
+        const settings = createSettings();
+        assert.strictEqual(settings.isOpen('news'), true);
+        assert.deepStrictEqual(settings.getStatus(['news']).channels.news.overrides, []);
+    });
+
+    it('opens and closes with the channel\'s own posting window', () => {
+        const dataManager = createDataManager();
+        const settings = createSettings({ postingWindow: '07:00-22:00', timezone: 'UTC' }, dataManager);
+        settings.set('night', { postingWindow: '22:00-02:00' });
+
+        const lateEvening = new Date('2026-03-01T23:00:00Z');
+        assert.strictEqual(settings.isOpen('news', lateEvening), false);
+        assert.strictEqual(settings.isOpen('night', lateEvening), true);
+        assert.deepStrictEqual(dataManager.files['channel_settings.json'], { night: { postingWindow: '22:00-02:00' } });
+
+        settings.set('night', { postingWindow: null });
+        assert.strictEqual(settings.isOpen('night', lateEvening), false, 'null falls back to the default window');
+        assert.deepStrictEqual(dataManager.files['channel_settings.json'], {});
+    });
+
+    it('lets high-priority items and chosen endpoints through a closed window', () => {
+        const settings = createSettings({ bypassPriority: 3, bypassEndpoints: ['asteroid'] });
+        assert.strictEqual(settings.canBypass('news', { source: 'asteroid' }), true);
+        assert.strictEqual(settings.canBypass('news', { source: 'reddit', priority: 3 }), true);
+        assert.strictEqual(settings.canBypass('news', { source: 'reddit', priority: 2 }), false);
+        assert.strictEqual(settings.canBypass('news', { source: 'reddit' }), false);
+    });
+
+    it('switches a channel to digests on its own schedule', () => {
+        const settings = createSettings();
+        settings.set('digest', { mode: 'digest', digestSchedule: '30 18 * * *' });
+
+        assert.strictEqual(settings.isDigest('digest'), true);
+        assert.strictEqual(settings.isDigest('news'), false);
+        assert.deepStrictEqual(settings.getDigestSchedule('digest').getNextDate(new Date(2026, 0, 1, 12, 0)), new Date(2026, 0, 1, 18, 30));
+        assert.strictEqual(settings.getStatus().channels.news, undefined);
+        assert.ok(settings.getStatus().channels.digest.nextDigestAt);
+    });
+
+    it('rejects invalid settings and keeps the previous ones', () => {
+        const settings = createSettings();
+        settings.set('news', { release: 'digest' });
+
+        assert.throws(() => settings.set('news', { postingWindow: '25:00-02:00' }));
+        assert.throws(() => settings.set('news', { timezone: 'Mars/Olympus' }), /Unknown time zone/);
+        assert.throws(() => settings.set('news', { release: 'later' }), /Release mode must be one of: batch, digest/);
+        assert.throws(() => settings.set('news', { digestSchedule: '0 0 30 2 *' }), /never matches/);
+        assert.throws(() => settings.set('news', { threadArchiveMinutes: 30 }), /threadArchiveMinutes must be one of/);
+        assert.throws(() => settings.set('news', { embeds: 'yes' }), /embeds must be true or false/);
+        assert.strictEqual(settings.get('news').release, 'digest');
+
+        settings.clear('news');
+        assert.strictEqual(settings.get('news').release, 'batch');
+    });
+
+    it('refuses to start with a bad default window', () => {
+        assert.throws(() => createSettings({ postingWindow: 'whenever' }));
+    });
+});
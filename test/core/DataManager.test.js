@@ -0,0 +1,158 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const DataManager = require('../../src/core/DataManager');
+const StateArchive = require('../../src/storage/StateArchive');
+const DataMigrator = require('../../src/storage/DataMigrator');
+const { useTempDirectories } = require('../helpers');
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('DataManager', () => {
+    const createDirectory = useTempDirectories('data');
+    let dataDirectory;
+    let managers;
+
+    const open = (options = {}) => {
+        const dataManager = new DataManager(dataDirectory, { flushDelayMs: 20, ...options });
+        managers.push(dataManager);
+        return dataManager;
+    };
+    const seenFile = endpointName => path.join(dataDirectory, `${endpointName}_seen_items.csv`);
+    const journal = () => path.join(dataDirectory, 'seen_items.journal');
+
+    beforeEach(() => {
+        dataDirectory = createDirectory();
+        managers = [];
+    });
+
+    afterEach(() => {
+        managers.forEach(dataManager => {
+            dataManager.stopPeriodicCleanup();
+            clearTimeout(dataManager.flushTimer);
+            clearTimeout(dataManager.journalTimer);
+            dataManager.closeJournal();
+            dataManager.storage.close();
+        });
+    });
+
+    it('journals seen items and writes them in one batch once marking stops', async () => {
+        const dataManager = open({ flushDelayMs: 80, journalDelayMs: 10 });
+        dataManager.markItemAsSeen('reddit', 'a');
+        dataManager.markItemAsSeen('reddit', 'b');
+
+        assert.strictEqual(dataManager.hasSeenItem('reddit', 'a'), true);
+        assert.strictEqual(fs.existsSync(journal()), false, 'journal lines are batched');
+        assert.strictEqual(dataManager.getStatus().pendingSeenItems, 2);
+
+        await wait(30);
+        assert.strictEqual(fs.existsSync(seenFile('reddit')), false);
+        assert.strictEqual(fs.readFileSync(journal(), 'utf8').trim().split('\n').length, 2);
+
+        await wait(100);
+        assert.strictEqual(fs.readFileSync(seenFile('reddit'), 'utf8').split('\n').length, 2);
+        assert.strictEqual(fs.existsSync(journal()), false);
+        assert.strictEqual(dataManager.getStatus().pendingSeenItems, 0);
+    });
+
+    it('recovers marks from the journal after an unclean shutdown', async () => {
+        const crashed = open({ flushDelayMs: 60 * 1000, journalDelayMs: 10 });
+        crashed.markItemAsSeen('congress', 'hr1');
+        await wait(30);
+        crashed.stopPeriodicCleanup();
+        clearTimeout(crashed.flushTimer);
+
+        const restarted = open();
+        assert.strictEqual(restarted.hasSeenItem('congress', 'hr1'), true);
+        assert.strictEqual(fs.existsSync(journal()), false);
+        assert.ok(fs.readFileSync(seenFile('congress'), 'utf8').startsWith('"hr1",'));
+    });
+
+    it('does not replay journaled marks over a staged replace import', async () => {
+        const crashed = open({ flushDelayMs: 60 * 1000, journalDelayMs: 10 });
+        crashed.markItemAsSeen('congress', 'hr1');
+        await wait(30);
+        crashed.stopPeriodicCleanup();
+        clearTimeout(crashed.flushTimer);
+
+        new StateArchive(crashed.storage).stage({
+            format: 'newsbot-state',
+            formatVersion: 1,
+            layoutVersion: DataMigrator.getLatestVersion(),
+            exportedAt: '2024-01-01T00:00:00.000Z',
+            seenItems: { congress: { hr2: Date.now() / 1000 } },
+            lists: {},
+            documents: {}
+        }, 'replace');
+
+        const consoleLog = console.log;
+        console.log = () => {};
+        let restarted;
+        try {
+            restarted = open();
+        } finally {
+            console.log = consoleLog;
+        }
+
+        assert.strictEqual(restarted.hasSeenItem('congress', 'hr1'), false);
+        assert.strictEqual(restarted.hasSeenItem('congress', 'hr2'), true);
+        assert.strictEqual(restarted.getStatus().pendingImport, null);
+        assert.strictEqual(fs.existsSync(journal()), false);
+    });
+
+    it('ignores a torn last journal line', () => {
+        fs.writeFileSync(journal(), `${JSON.stringify({ endpoint: 'reddit', itemId: 'a', seenAt: Date.now() / 1000 })}\n{"endpoint":"red`);
+
+        const dataManager = open();
+        assert.strictEqual(dataManager.getSeenItemsCount('reddit'), 1);
+    });
+
+    it('keeps the journal while a write fails', () => {
+        const dataManager = open({ flushDelayMs: 60 * 1000 });
+        const saveSeenItems = dataManager.storage.saveSeenItems;
+        dataManager.storage.saveSeenItems = () => { throw new Error('disk full'); };
+        const consoleError = console.error;
+        console.error = () => {};
+
+        try {
+            dataManager.markItemAsSeen('reddit', 'a');
+            assert.strictEqual(dataManager.flush(), false);
+            assert.strictEqual(fs.readFileSync(journal(), 'utf8').trim().split('\n').length, 1, 'a failed flush writes the journal right away');
+        } finally {
+            console.error = consoleError;
+            dataManager.storage.saveSeenItems = saveSeenItems;
+        }
+
+        assert.strictEqual(dataManager.flush(), true);
+        assert.strictEqual(fs.existsSync(journal()), false);
+    });
+
+    it('keeps the journal of marks it could not save at shutdown', () => {
+        const dataManager = open({ flushDelayMs: 60 * 1000, journalDelayMs: 60 * 1000 });
+        dataManager.storage.saveSeenItems = () => { throw new Error('disk full'); };
+        const consoleError = console.error;
+        console.error = () => {};
+
+        try {
+            dataManager.markItemAsSeen('reddit', 'a');
+            dataManager.shutdown();
+        } finally {
+            console.error = consoleError;
+        }
+        assert.strictEqual(dataManager.journalFd, null);
+
+        const restarted = open();
+        assert.strictEqual(restarted.hasSeenItem('reddit', 'a'), true);
+        assert.strictEqual(fs.existsSync(journal()), false);
+    });
+
+    it('forgets seen items past their retention period', () => {
+        fs.writeFileSync(seenFile('reddit'), `"old",${Date.now() / 1000 - 48 * 60 * 60}\n"new",${Date.now() / 1000}`);
+
+        const dataManager = open();
+        assert.strictEqual(dataManager.hasSeenItem('reddit', 'old'), false);
+        assert.strictEqual(dataManager.hasSeenItem('reddit', 'new'), true);
+        assert.ok(!fs.readFileSync(seenFile('reddit'), 'utf8').includes('old'));
+    });
+});
@@ -0,0 +1,84 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const EndpointHealth = require('../../src/core/EndpointHealth');
+
+const MINUTE = 60 * 1000;
+
+function httpError(status, headers = {}) {
+    const error = new Error(`Request failed with status code ${status}`);
+    error.response = { status, headers };
+    return error;
+}
+
+describe('EndpointHealth', () => {
+    it('opens the circuit after the failure threshold', () => {
+        const health = new EndpointHealth('reddit', { failureThreshold: 3, cooldownMinutes: 5 });
+        health.recordFailure(new Error('timeout'));
+        health.recordFailure(new Error('timeout'));
+        assert.strictEqual(health.state, 'closed');
+
+        health.recordFailure(new Error('timeout'));
+        assert.strictEqual(health.state, 'open');
+        assert.strictEqual(health.canAttempt(), false);
+        assert.ok(Math.abs(health.nextProbeAt.getTime() - (Date.now() + 5 * MINUTE)) < 1000);
+    });
+
+    it('resets the failure count on success', () => {
+        const health = new EndpointHealth('reddit', { failureThreshold: 2 });
+        health.recordFailure(new Error('timeout'));
+        health.recordSuccess(120);
+        health.recordFailure(new Error('timeout'));
+
+        assert.strictEqual(health.state, 'closed');
+        assert.strictEqual(health.totalFailures, 2);
+        assert.strictEqual(health.totalSuccesses, 1);
+    });
+
+    it('probes once the cooldown has passed and closes on success', () => {
+        const health = new EndpointHealth('reddit', { failureThreshold: 1, cooldownMinutes: 5 });
+        const states = [];
+        health.on('stateChanged', change => states.push(change.state));
+
+        health.recordFailure(new Error('timeout'));
+        assert.strictEqual(health.canAttempt(Date.now() + 6 * MINUTE), true);
+        assert.strictEqual(health.state, 'half-open');
+
+        health.recordSuccess(80);
+        assert.deepStrictEqual(states, ['open', 'half-open', 'closed']);
+        assert.strictEqual(health.nextProbeAt, null);
+    });
+
+    it('reopens when the probe fails', () => {
+        const health = new EndpointHealth('reddit', { failureThreshold: 3 });
+        health.open(MINUTE, 'test');
+        health.canAttempt(Date.now() + 2 * MINUTE);
+
+        health.recordFailure(new Error('still down'));
+        assert.strictEqual(health.state, 'open');
+    });
+
+    it('opens straight away for as long as a rate limit asks', () => {
+        const health = new EndpointHealth('reddit');
+        health.recordFailure(httpError(429, { 'retry-after': '120' }));
+
+        assert.strictEqual(health.state, 'open');
+        assert.strictEqual(health.lastError.status, 429);
+        assert.ok(Math.abs(health.nextProbeAt.getTime() - (Date.now() + 2 * MINUTE)) < 1000);
+    });
+
+    it('reads Retry-After as seconds or an HTTP date', () => {
+        assert.strictEqual(EndpointHealth.getRetryAfterMs(httpError(429, { 'retry-after': '30' })), 30000);
+        const date = new Date(Date.now() + 90 * 1000).toUTCString();
+        assert.ok(Math.abs(EndpointHealth.getRetryAfterMs(httpError(429, { 'retry-after': date })) - 90000) <= 1000);
+        assert.strictEqual(EndpointHealth.getRetryAfterMs(httpError(429)), null);
+        assert.strictEqual(EndpointHealth.getRetryAfterMs(httpError(429, { 'retry-after': 'soon' })), null);
+    });
+
+    it('averages latency so one slow poll does not dominate', () => {
+        const health = new EndpointHealth('reddit');
+        health.recordSuccess(100);
+        health.recordSuccess(600);
+        assert.strictEqual(health.lastLatencyMs, 600);
+        assert.strictEqual(health.averageLatencyMs, 200);
+    });
+});
@@ -0,0 +1,117 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const EndpointManager = require('../../src/core/EndpointManager');
+const PluginLoader = require('../../src/core/PluginLoader');
+const { createLogger, createDataManager, useTempDirectories, writeEndpointPlugin } = require('../helpers');
+
+// The parts of NewsBot that EndpointManager drives
+function createNewsBot() {
+    const endpoints = new Map();
+    return {
+        endpoints,
+        isInitialized: true,
+        registerEndpoint(endpoint) {
+            if (endpoints.has(endpoint.getName())) {
+                throw new Error(`Endpoint ${endpoint.getName()} is already registered`);
+            }
+            endpoints.set(endpoint.getName(), endpoint);
+        },
+        getEndpoint: name => endpoints.get(name),
+        unregisterEndpoint: name => endpoints.delete(name),
+        initializeEndpoint: endpoint => endpoint.initialize(),
+        shutdownEndpoint: async name => endpoints.get(name).setEnabled(false)
+    };
+}
+
+describe('EndpointManager', () => {
+    const createDirectory = useTempDirectories('endpoints');
+    let newsBot;
+    let dataManager;
+    let manager;
+
+    beforeEach(() => {
+        const directory = createDirectory();
+        writeEndpointPlugin(directory, { name: 'weather', configSchema: { days: { type: 'number', default: 3 } } });
+        writeEndpointPlugin(directory, { name: 'paywalled', secrets: ['NEWSBOT_TEST_MISSING_KEY'] });
+
+        const config = {
+            getPluginsConfig: () => ({ directory, packages: [] }),
+            getEndpointsConfig: () => ({ enabled: ['weather', 'paywalled', 'unknown'], sections: {} }),
+            getEndpointSection: () => null,
+            getIntervalMinutes: () => 5,
+            createError: problems => new Error(problems.join('; '))
+        };
+        newsBot = createNewsBot();
+        dataManager = createDataManager();
+        manager = new EndpointManager(newsBot, new PluginLoader(config, dataManager, createLogger()), dataManager, config, createLogger());
+    });
+
+    it('starts the enabled endpoints and remembers the ones that could not start', () => {
+        manager.loadAll();
+
+        assert.deepStrictEqual(Array.from(newsBot.endpoints.keys()), ['weather']);
+        assert.deepStrictEqual(manager.getStatus().map(({ name, registered, error }) => [name, registered, error]), [
+            ['weather', true, null],
+            ['paywalled', false, 'Missing required secrets: NEWSBOT_TEST_MISSING_KEY']
+        ]);
+        assert.strictEqual(dataManager.files['endpoints.json'], undefined, 'nothing is saved until something changes');
+    });
+
+    it('prefers the saved endpoint list over ENABLED_ENDPOINTS', () => {
+        dataManager.files['endpoints.json'] = [{ name: 'local', type: 'weather', enabled: false, weight: 2, settings: { days: 1 } }];
+        manager.loadAll();
+
+        const local = newsBot.getEndpoint('local');
+        assert.deepStrictEqual(Array.from(newsBot.endpoints.keys()), ['local']);
+        assert.strictEqual(local.isEndpointEnabled(), false);
+        assert.strictEqual(local.getWeight(), 2);
+        assert.deepStrictEqual(local.getPluginConfig(), { days: 1 });
+    });
+
+    it('creates more instances of a plugin and saves them', async () => {
+        manager.loadAll();
+
+        await manager.createEndpoint({ name: 'weekly', type: 'weather', settings: { days: 7 }, schedule: { cron: '0 8 * * 1' } });
+        assert.deepStrictEqual(newsBot.getEndpoint('weekly').getSchedule(), { cron: '0 8 * * 1' });
+        assert.deepStrictEqual(dataManager.files['endpoints.json'].map(definition => definition.name), ['weather', 'paywalled', 'weekly']);
+
+        await assert.rejects(manager.createEndpoint({ name: 'weekly', type: 'weather' }), /already exists/);
+        await assert.rejects(manager.createEndpoint({ name: 'bad name', type: 'weather' }), /may only contain/);
+        await assert.rejects(manager.createEndpoint({ name: 'other', type: 'unknown' }), /Unknown endpoint type "unknown"/);
+    });
+
+    it('rebuilds an instance for new settings and keeps it when they are invalid', async () => {
+        manager.loadAll();
+        const original = newsBot.getEndpoint('weather');
+
+        await manager.updateEndpoint('weather', { settings: { days: 10 }, weight: '1.5' });
+        const rebuilt = newsBot.getEndpoint('weather');
+        assert.notStrictEqual(rebuilt, original);
+        assert.deepStrictEqual(rebuilt.getPluginConfig(), { days: 10 });
+        assert.strictEqual(rebuilt.getWeight(), 1.5);
+
+        await assert.rejects(manager.updateEndpoint('weather', { settings: { days: 'ten' } }), /Invalid number for days/);
+        assert.strictEqual(newsBot.getEndpoint('weather'), rebuilt);
+        assert.deepStrictEqual(manager.getDefinition('weather').settings, { days: 10 });
+
+        await assert.rejects(manager.updateEndpoint('weather', { weight: 'heavy' }), /Weight must be a number/);
+        await assert.rejects(manager.updateEndpoint('weather', { schedule: { intervalMinutes: 0 } }), /needs an intervalMinutes/);
+    });
+
+    it('shuts down, re-initializes and removes instances', async () => {
+        manager.loadAll();
+
+        await manager.shutdownEndpoint('weather');
+        assert.strictEqual(newsBot.getEndpoint('weather').isEndpointEnabled(), false);
+        assert.strictEqual(manager.getDefinition('weather').enabled, false);
+
+        await manager.initializeEndpoint('weather');
+        assert.strictEqual(newsBot.getEndpoint('weather').isEndpointEnabled(), true);
+
+        await manager.removeEndpoint('weather');
+        assert.strictEqual(newsBot.getEndpoint('weather'), undefined);
+        assert.strictEqual(manager.hasEndpoint('weather'), false);
+        assert.strictEqual(manager.pluginLoader.getPlugin('weather').status, 'available');
+        assert.throws(() => manager.getDefinition('weather'), /Endpoint weather not found/);
+    });
+});
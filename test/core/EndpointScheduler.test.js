@@ -0,0 +1,100 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert');
+const EndpointScheduler = require('../../src/core/EndpointScheduler');
+const { createLogger } = require('../helpers');
+
+const logger = createLogger();
+
+function createEndpoint(schedule, enabled = true) {
+    return {
+        getName: () => 'test',
+        getSchedule: () => schedule,
+        isEndpointEnabled: () => enabled
+    };
+}
+
+describe('EndpointScheduler', () => {
+    let scheduler = null;
+
+    afterEach(() => {
+        if (scheduler) {
+            scheduler.stop();
+            scheduler = null;
+        }
+    });
+
+    it('waits the interval plus backoff between polls', () => {
+        scheduler = new EndpointScheduler(createEndpoint({ intervalMinutes: 2 }), async () => ({ found: 0 }), logger, { backoff: { strategy: 'linear', incrementSeconds: 60 } });
+        const from = new Date(2026, 0, 1, 10, 0);
+        assert.deepStrictEqual(scheduler.computeNextRunAt(from), new Date(2026, 0, 1, 10, 2));
+
+        scheduler.onNoPostFound();
+        assert.deepStrictEqual(scheduler.computeNextRunAt(from), new Date(2026, 0, 1, 10, 3));
+
+        scheduler.onNewsFound();
+        assert.deepStrictEqual(scheduler.computeNextRunAt(from), new Date(2026, 0, 1, 10, 2));
+    });
+
+    it('follows a cron schedule and skips occurrences inside the backoff', () => {
+        scheduler = new EndpointScheduler(createEndpoint({ cron: '*/15 * * * *' }), async () => ({ found: 0 }), logger, { backoff: { strategy: 'linear', incrementSeconds: 600 } });
+        const from = new Date(2026, 0, 1, 10, 7);
+        assert.deepStrictEqual(scheduler.computeNextRunAt(from), new Date(2026, 0, 1, 10, 15));
+
+        scheduler.onNoPostFound();
+        assert.deepStrictEqual(scheduler.computeNextRunAt(from), new Date(2026, 0, 1, 10, 30));
+    });
+
+    it('records found, empty and failed runs and re-arms the timer', async () => {
+        const results = [{ found: 2, message: 'Posted' }, { found: 0 }, new Error('boom')];
+        scheduler = new EndpointScheduler(createEndpoint({ intervalMinutes: 60 }), async () => {
+            const result = results.shift();
+            if (result instanceof Error) throw result;
+            return result;
+        }, logger);
+        scheduler.start();
+
+        assert.strictEqual((await scheduler.runNow()).outcome, 'found');
+        assert.strictEqual((await scheduler.runNow()).outcome, 'empty');
+        const failed = await scheduler.runNow();
+        assert.strictEqual(failed.outcome, 'error');
+        assert.strictEqual(failed.message, 'boom');
+        assert.strictEqual(scheduler.health.consecutiveFailures, 1);
+        assert.ok(scheduler.timer);
+        assert.ok(scheduler.nextRunAt > new Date());
+    });
+
+    it('reports a run that overlaps one in progress as busy', async () => {
+        let finish;
+        scheduler = new EndpointScheduler(createEndpoint({ intervalMinutes: 60 }), () => new Promise(resolve => { finish = resolve; }), logger);
+
+        const running = scheduler.runNow();
+        assert.deepStrictEqual(await scheduler.runNow(), { outcome: 'busy', message: 'Fetch already in progress', itemsFound: 0 });
+
+        finish({ found: 1 });
+        assert.strictEqual((await running).outcome, 'found');
+        assert.strictEqual(scheduler.lastRun.itemsFound, 1);
+    });
+
+    it('skips disabled endpoints without calling the handler', async () => {
+        let calls = 0;
+        scheduler = new EndpointScheduler(createEndpoint({ intervalMinutes: 60 }, false), async () => { calls++; }, logger);
+        assert.strictEqual((await scheduler.runNow()).outcome, 'skipped');
+        assert.strictEqual(calls, 0);
+    });
+
+    it('falls back to its interval when the cron schedule never fires', () => {
+        const errors = [];
+        scheduler = new EndpointScheduler(createEndpoint({ cron: '0 0 30 2 *' }), async () => ({}), { ...logger, error: message => errors.push(message) }, { fallbackIntervalMinutes: 5 });
+        const before = Date.now();
+        assert.doesNotThrow(() => scheduler.start());
+
+        assert.match(errors[0], /never matches/);
+        assert.ok(scheduler.timer);
+        assert.ok(Math.abs(scheduler.nextRunAt.getTime() - before - 5 * 60 * 1000) < 1000);
+    });
+
+    it('falls back to linear backoff for an unknown strategy', () => {
+        scheduler = new EndpointScheduler(createEndpoint({ intervalMinutes: 1 }), async () => ({}), logger, { backoff: { strategy: 'nope' } });
+        assert.strictEqual(scheduler.backoff.name, 'linear');
+    });
+});
@@ -0,0 +1,107 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const FeedbackTuner = require('../../src/core/FeedbackTuner');
+const { createLogger, createDataManager } = require('../helpers');
+
+const OPTIONS = { enabled: true, learningRate: 0.5, minWeight: 0.5, maxWeight: 2 };
+
+// A bot with one Reddit-like endpoint; updateEndpoint writes the weight back like EndpointManager does
+function createTuner(weight, options = {}) {
+    const priorities = new Map();
+    const endpoint = {
+        weight,
+        getWeight() { return this.weight; },
+        getSourcePriority: url => (priorities.has(url) ? priorities.get(url) : 1),
+        setSourcePriority: (url, priority) => {
+            priorities.set(url, priority);
+            return true;
+        }
+    };
+    const newsBot = {
+        getEndpoint: name => (name === 'reddit' ? endpoint : null),
+        endpointManager: {
+            updateEndpoint: async (name, changes) => {
+                endpoint.weight = changes.weight;
+            }
+        }
+    };
+    const dataManager = createDataManager();
+    const tuner = new FeedbackTuner(newsBot, dataManager, { getFeedbackConfig: () => ({ ...OPTIONS, ...options }) }, createLogger());
+    return { tuner, endpoint, dataManager };
+}
+
+const vote = (value, extra = {}) => ({ source: 'reddit', vote: value, title: 'Story', channelId: 'news', ...extra });
+
+describe('FeedbackTuner', () => {
+    it('nudges the endpoint weight up and down', async () => {
+        const { tuner, endpoint } = createTuner(1);
+
+        assert.deepStrictEqual(await tuner.apply(vote(1)), [{ type: 'endpoint', target: 'reddit', from: 1, to: 1.649 }]);
+        await tuner.apply(vote(-1));
+        assert.strictEqual(endpoint.weight, 1);
+    });
+
+    it('keeps weights within the configured bounds', async () => {
+        const { tuner, endpoint } = createTuner(1.8);
+
+        await tuner.apply(vote(1));
+        assert.strictEqual(endpoint.weight, 2);
+        await tuner.apply(vote(1));
+        assert.strictEqual(endpoint.weight, 2);
+
+        for (let i = 0; i < 5; i++) {
+            await tuner.apply(vote(-1));
+        }
+        assert.strictEqual(endpoint.weight, 0.5);
+    });
+
+    it('never pushes hand-set weights further out of bounds, nor snaps them back in', async () => {
+        const { tuner, endpoint } = createTuner(3);
+
+        await tuner.apply(vote(1));
+        assert.strictEqual(endpoint.weight, 3);
+        await tuner.apply(vote(-1));
+        assert.strictEqual(endpoint.weight, 1.82, 'a downvote still lowers it');
+
+        endpoint.weight = 0.2;
+        await tuner.apply(vote(-1));
+        assert.strictEqual(endpoint.weight, 0.2);
+        await tuner.apply(vote(1));
+        assert.strictEqual(endpoint.weight, 0.33);
+    });
+
+    it('leaves muted endpoints muted', async () => {
+        const { tuner, endpoint } = createTuner(0);
+
+        assert.deepStrictEqual(await tuner.apply(vote(1)), []);
+        assert.strictEqual(endpoint.weight, 0);
+    });
+
+    it('undoes a vote when the reaction is removed', async () => {
+        const { tuner, endpoint, dataManager } = createTuner(1);
+
+        await tuner.apply(vote(1));
+        await tuner.apply(vote(1, { removed: true }));
+        assert.strictEqual(endpoint.weight, 1);
+        assert.deepStrictEqual(dataManager.files['feedback.json'].scores.endpoints.reddit, { up: 0, down: 0 });
+    });
+
+    it('tunes the priority of the item\'s source within the same bounds', async () => {
+        const { tuner, endpoint } = createTuner(1);
+        const sourceUrl = 'https://www.reddit.com/r/news/new.json';
+
+        for (let i = 0; i < 3; i++) {
+            await tuner.apply(vote(-1, { sourceUrl }));
+        }
+        assert.strictEqual(endpoint.getSourcePriority(sourceUrl), 0.5);
+        assert.deepStrictEqual(tuner.getStatus().sources, [{ url: sourceUrl, up: 0, down: 3, endpoint: 'reddit', priority: 0.5 }]);
+    });
+
+    it('ignores feedback while disabled or for unknown endpoints', async () => {
+        const { tuner, endpoint } = createTuner(1, { enabled: false });
+        assert.deepStrictEqual(await tuner.apply(vote(1)), []);
+        assert.deepStrictEqual(await tuner.apply(vote(1, { source: 'missing' })), []);
+        assert.strictEqual(endpoint.weight, 1);
+        assert.deepStrictEqual(tuner.history, []);
+    });
+});
@@ -0,0 +1,56 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const HoldQueue = require('../../src/core/HoldQueue');
+const { createDataManager } = require('../helpers');
+
+function createItem(id, source = 'reddit') {
+    return { id, source, title: `Story ${id}`, url: `https://example.com/${id}` };
+}
+
+describe('HoldQueue', () => {
+    it('holds each item once per channel and saves it', () => {
+        const dataManager = createDataManager();
+        const queue = new HoldQueue(dataManager);
+
+        assert.strictEqual(queue.hold('quiet', createItem('a')), true);
+        assert.strictEqual(queue.hold('quiet', createItem('a')), false);
+        assert.strictEqual(queue.hold('quiet', createItem('a', 'congress'), 'hr1'), true);
+        assert.strictEqual(queue.hold('other', createItem('a')), true);
+
+        assert.strictEqual(queue.size('quiet'), 2);
+        assert.strictEqual(queue.size(), 3);
+        assert.strictEqual(dataManager.files['held_items.json'].quiet[1].storyId, 'hr1');
+        assert.strictEqual(new HoldQueue(dataManager).size(), 3, 'held items survive a restart');
+    });
+
+    it('keeps the newest items when a channel holds too many', () => {
+        const queue = new HoldQueue(createDataManager(), { maxPerChannel: 2 });
+        ['a', 'b', 'c'].forEach(id => queue.hold('quiet', createItem(id)));
+        assert.deepStrictEqual(queue.peek('quiet').map(entry => entry.item.id), ['b', 'c']);
+    });
+
+    it('hands items over for release and takes back the ones that failed', () => {
+        const dataManager = createDataManager();
+        const queue = new HoldQueue(dataManager);
+        queue.hold('quiet', createItem('a'));
+        queue.hold('quiet', createItem('b'));
+
+        const entries = queue.take('quiet');
+        assert.deepStrictEqual(entries.map(entry => entry.item.id), ['a', 'b']);
+        assert.deepStrictEqual(queue.getChannelIds(), []);
+        assert.deepStrictEqual(dataManager.files['held_items.json'], {});
+
+        queue.hold('quiet', createItem('c'));
+        queue.restore('quiet', entries.slice(1));
+        assert.deepStrictEqual(queue.peek('quiet').map(entry => entry.item.id), ['b', 'c']);
+        assert.deepStrictEqual(queue.getStatus().quiet.items.map(item => item.title), ['Story b', 'Story c']);
+    });
+
+    it('ignores saved entries without an item', () => {
+        const queue = new HoldQueue(createDataManager({
+            'held_items.json': { quiet: [{ item: createItem('a'), heldAt: '2026-01-01T00:00:00.000Z' }, { heldAt: 'x' }, null], empty: 'nope' }
+        }));
+        assert.deepStrictEqual(queue.getChannelIds(), ['quiet']);
+        assert.strictEqual(queue.size('quiet'), 1);
+    });
+});
@@ -0,0 +1,115 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const NewsArchive = require('../../src/core/NewsArchive');
+const { createDataManager } = require('../helpers');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function createItem(id, title, extra = {}) {
+    return { id, source: 'reddit', title, url: `https://example.com/${id}`, ...extra };
+}
+
+// An archive entry as saved by an earlier run
+function createEntry(id, title, postedAt, extra = {}) {
+    return {
+        key: `reddit:${id}`,
+        id,
+        source: 'reddit',
+        title,
+        url: `https://example.com/${id}`,
+        tags: [],
+        postedAt: new Date(postedAt).toISOString(),
+        channels: ['news'],
+        messages: [{ channelId: 'news', messageId: `m-${id}` }],
+        ...extra
+    };
+}
+
+describe('NewsArchive', () => {
+    it('finds the latest entry for a link', () => {
+        const archive = new NewsArchive(createDataManager({
+            'archive.json': [
+                createEntry('a', 'First post', Date.now() - 2 * DAY_MS, { url: 'https://example.com/story' }),
+                createEntry('b', 'Repost', Date.now() - DAY_MS, { url: 'https://example.com/story' }),
+                createEntry('c', 'Same link elsewhere', Date.now(), { source: 'congress', key: 'congress:c', url: 'https://example.com/story' })
+            ]
+        }));
+
+        assert.strictEqual(archive.findByUrl('https://example.com/story', 'reddit').id, 'b');
+        assert.strictEqual(archive.findByUrl('https://example.com/story').id, 'c');
+        assert.strictEqual(archive.findByUrl('https://example.com/missing'), null);
+    });
+
+    it('records where an item went, across deliveries', () => {
+        const dataManager = createDataManager();
+        const archive = new NewsArchive(dataManager);
+
+        const first = archive.record(createItem('a', 'Senate passes budget'), [{ channelId: 'news', messageId: 'm1' }]);
+        const second = archive.record(createItem('a', 'Senate passes budget'), [{ channelId: 'quiet', messageId: 'm2' }, { channelId: 'slack:newsroom', messageId: null }]);
+
+        assert.strictEqual(second.postedAt, first.postedAt);
+        assert.deepStrictEqual(second.channels, ['news', 'quiet', 'slack:newsroom']);
+        assert.strictEqual(archive.findByMessage('m2').key, 'reddit:a');
+        assert.strictEqual(archive.findByMessage('missing'), null);
+        assert.strictEqual(dataManager.files['archive.json'].length, 1);
+        assert.strictEqual(archive.record(createItem('b', 'Not posted'), []), null);
+    });
+
+    it('records nothing when disabled', () => {
+        const archive = new NewsArchive(createDataManager(), { enabled: false });
+        assert.strictEqual(archive.record(createItem('a', 'Story'), [{ channelId: 'news', messageId: 'm1' }]), null);
+        assert.strictEqual(archive.getStatus().size, 0);
+    });
+
+    it('searches words and quoted phrases in the text and tags, newest first', () => {
+        const now = Date.now();
+        const archive = new NewsArchive(createDataManager({
+            'archive.json': [
+                createEntry('a', 'Senate passes budget bill', now - 3 * DAY_MS),
+                createEntry('b', 'Budget talks stall in the Senate', now - DAY_MS, { tags: ['keyword:economy'] }),
+                createEntry('c', 'Asteroid flyby tonight', now, { source: 'asteroid', key: 'asteroid:c', channels: ['space'] })
+            ]
+        }));
+
+        const titles = filters => archive.search(filters).results.map(entry => entry.title);
+        assert.deepStrictEqual(titles({ q: 'senate budget' }), ['Budget talks stall in the Senate', 'Senate passes budget bill']);
+        assert.deepStrictEqual(titles({ q: '"budget bill"' }), ['Senate passes budget bill']);
+        assert.deepStrictEqual(titles({ q: 'ECONOMY' }), ['Budget talks stall in the Senate']);
+        assert.deepStrictEqual(titles({ source: 'asteroid' }), ['Asteroid flyby tonight']);
+        assert.deepStrictEqual(titles({ channel: 'space' }), ['Asteroid flyby tonight']);
+        assert.deepStrictEqual(titles({ from: new Date(now - 2 * DAY_MS).toISOString(), to: new Date(now - 1000).toISOString() }), ['Budget talks stall in the Senate']);
+
+        const page = archive.search({ limit: 1, offset: 1 });
+        assert.strictEqual(page.total, 3);
+        assert.deepStrictEqual(page.results.map(entry => entry.id), ['b']);
+        assert.strictEqual(archive.search({ limit: 1000 }).limit, 200);
+    });
+
+    it('finds the latest post of a link', () => {
+        const now = Date.now();
+        const archive = new NewsArchive(createDataManager({
+            'archive.json': [
+                createEntry('a', 'First post', now - DAY_MS, { url: 'https://example.com/story' }),
+                createEntry('b', 'Second post', now, { url: 'https://example.com/story' })
+            ]
+        }));
+
+        assert.strictEqual(archive.findByUrl('https://example.com/story').id, 'b');
+        assert.strictEqual(archive.findByUrl('https://example.com/story', 'congress'), null);
+    });
+
+    it('forgets entries past the retention period', () => {
+        const now = Date.now();
+        const dataManager = createDataManager({
+            'archive.json': [createEntry('old', 'Old news', now - 10 * DAY_MS), createEntry('new', 'New news', now), { title: 'No key' }]
+        });
+
+        const archive = new NewsArchive(dataManager, { retentionDays: 7 });
+        assert.deepStrictEqual(Array.from(archive.entries.keys()), ['reddit:new']);
+        assert.deepStrictEqual(dataManager.files['archive.json'].map(entry => entry.id), ['new']);
+        assert.strictEqual(archive.getStatus().oldest, archive.get('reddit:new').postedAt);
+
+        const forever = new NewsArchive(createDataManager({ 'archive.json': [createEntry('old', 'Old news', now - 1000 * DAY_MS)] }), { retentionDays: 0 });
+        assert.strictEqual(forever.getStatus().size, 1);
+    });
+});
@@ -0,0 +1,418 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('events');
+const NewsBot = require('../../src/core/NewsBot');
+const ChannelRegistry = require('../../src/core/ChannelRegistry');
+const HoldQueue = require('../../src/core/HoldQueue');
+const NewsArchive = require('../../src/core/NewsArchive');
+const PostQueue = require('../../src/core/PostQueue');
+const StoryTracker = require('../../src/core/StoryTracker');
+const CronExpression = require('../../src/utils/CronExpression');
+const { createLogger, createDataManager } = require('../helpers');
+
+const logger = createLogger();
+
+// Just enough of a bot for sendToDiscord: every channel is open and has its own
+// pipeline stages, and the shared stage drops anything already delivered
+function createBot(channelIds) {
+    const seen = new Set();
+    const posted = [];
+
+    const bot = Object.create(NewsBot.prototype);
+    Object.assign(bot, {
+        logger,
+        posted,
+        discordService: {
+            getDeliveryChannelIds: () => channelIds,
+            postToChannels: async (message, ids) => {
+                posted.push(ids[0]);
+                return [{ channelId: ids[0], messageId: `m-${ids[0]}` }];
+            },
+            recordPost: () => {}
+        },
+        notifierManager: { hasNotifiers: () => false },
+        channelSettings: {
+            get: () => ({ storyUpdates: 'post' }),
+            isDigest: () => false,
+            isOpen: () => true,
+            canBypass: () => false
+        },
+        pipeline: {
+            hasChannelStages: () => true,
+            processForChannel: async (item, channelId) => ({
+                item: seen.has(item.title) ? null : item,
+                context: { channelId },
+                stages: []
+            }),
+            markDelivered: async (...results) => results.forEach(result => seen.add(result.item.title))
+        },
+        formatMessage: item => item.title,
+        openDiscussion: async () => {}
+    });
+    return bot;
+}
+
+// A bot with real hold queues and stories, one closed channel, and a Discord fake that records what it is asked to do
+function createReleasingBot(storyUpdates) {
+    const dataManager = createDataManager();
+    const calls = [];
+    let nextMessageId = 1;
+
+    const bot = Object.create(NewsBot.prototype);
+    Object.assign(bot, {
+        logger,
+        calls,
+        sendChain: Promise.resolve(),
+        holdQueue: new HoldQueue(dataManager),
+        digestQueue: new HoldQueue(dataManager, { filename: 'digest_items.json' }),
+        stories: new StoryTracker(dataManager),
+        archive: { record: () => {} },
+        discordService: {
+            getDeliveryChannelIds: () => ['quiet'],
+            postToChannels: async (message, ids) => {
+                calls.push(['post', message]);
+                return [{ channelId: ids[0], messageId: `m${nextMessageId++}` }];
+            },
+            editMessage: async (channelId, messageId, message) => {
+                calls.push(['edit', messageId, message]);
+                return true;
+            },
+            recordPost: () => {},
+            trackMessages: () => {}
+        },
+        notifierManager: { hasNotifiers: () => false },
+        channelSettings: {
+            open: false,
+            digest: false,
+            get: () => ({ storyUpdates, release: 'each', catchUpLimit: 10, threads: false }),
+            isDigest() { return this.digest; },
+            isOpen() { return this.open; },
+            canBypass: () => false
+        },
+        pipeline: { hasChannelStages: () => false },
+        formatMessage: item => item.title,
+        getEndpoint: () => null,
+        emit: () => {}
+    });
+    return bot;
+}
+
+function createUpdate(id, status) {
+    return { id, source: 'congress', title: `H.R. 1 - ${status}`, url: 'https://example.com/hr1', story: { id: 'hr1', status } };
+}
+
+describe('NewsBot', () => {
+    describe('sendToDiscord', () => {
+        it('posts the item to every channel before remembering it as delivered', async () => {
+            const bot = createBot(['one', 'two', 'three']);
+            const { deliveries } = await bot.sendToDiscord({ id: 'a', source: 'reddit', title: 'Story' });
+
+            assert.deepStrictEqual(bot.posted, ['one', 'two', 'three']);
+            assert.strictEqual(deliveries.length, 3);
+
+            const repeat = await bot.sendToDiscord({ id: 'b', source: 'reddit', title: 'Story' });
+            assert.strictEqual(repeat.deliveries.length, 0);
+        });
+    });
+
+    describe('fetchNews', () => {
+        it('counts items only from runs that found them', async () => {
+            const runs = {
+                reddit: { outcome: 'found', itemsFound: 2 },
+                congress: { outcome: 'busy', itemsFound: 0 },
+                world: { outcome: 'skipped', itemsFound: 5 }
+            };
+            const bot = Object.create(NewsBot.prototype);
+            Object.assign(bot, {
+                logger,
+                postQueue: new PostQueue(createDataManager()),
+                getEnabledEndpoints: () => Object.keys(runs).map(name => ({ getName: () => name })),
+                schedulers: new Map(Object.entries(runs).map(([name, run]) => [name, { runNow: async () => run }]))
+            });
+
+            assert.strictEqual(await bot.fetchNews(), 2);
+        });
+    });
+
+    describe('sendNews', () => {
+        it('does not wait for notifiers before returning', async () => {
+            const bot = createBot(['one']);
+            let finishNotifying;
+            const recorded = [];
+            const emitted = [];
+            Object.assign(bot, {
+                notifications: new Set(),
+                archive: { record: (item, sent) => recorded.push(sent.map(delivery => delivery.channelId)) },
+                discordService: { ...bot.discordService, trackMessages: () => {} },
+                notifierManager: {
+                    hasTargetsFor: () => true,
+                    notify: () => new Promise(resolve => { finishNotifying = resolve; })
+                },
+                emit: (event, item, sent) => emitted.push([event, sent.length])
+            });
+
+            assert.strictEqual(await bot.sendNews({ id: 'a', source: 'reddit', title: 'Story' }), true);
+            assert.deepStrictEqual(recorded, [['one']]);
+            assert.strictEqual(bot.notifications.size, 1);
+
+            finishNotifying([{ notifier: 'slack', receipts: [{ targetId: 'newsroom', messageId: null }] }]);
+            await Promise.all(bot.notifications);
+            assert.deepStrictEqual(recorded, [['one'], ['slack:newsroom']]);
+            assert.deepStrictEqual(emitted, [['newsSent', 1]], 'the Discord post already announced the item');
+            assert.strictEqual(bot.notifications.size, 0);
+        });
+    });
+
+    describe('dispatchNext', () => {
+        function createDispatchingBot(deliver) {
+            const bot = Object.create(NewsBot.prototype);
+            Object.assign(bot, {
+                logger,
+                postQueue: new PostQueue(createDataManager()),
+                getQueueWeight: () => 1,
+                deliver
+            });
+            bot.postQueue.add([{ id: 'a', source: 'reddit', title: 'Story', url: 'https://example.com/a', publishedAt: new Date().toISOString() }]);
+            return bot;
+        }
+
+        it('removes the item from the queue once it is sent', async () => {
+            const bot = createDispatchingBot(async item => ({ sent: true, dropped: false, newsItem: item }));
+            assert.strictEqual((await bot.dispatchNext()).id, 'a');
+            assert.strictEqual(bot.postQueue.size(), 0);
+        });
+
+        it('keeps the item queued when sending throws', async () => {
+            const bot = createDispatchingBot(async () => { throw new Error('Discord is down'); });
+            await assert.rejects(() => bot.dispatchNext(), /Discord is down/);
+            assert.strictEqual(bot.postQueue.size(), 1);
+            assert.strictEqual(bot.postQueue.takeNext(() => 1).attempts, 1);
+        });
+    });
+
+    describe('pollEndpoint', () => {
+        it('fetches only as many items as the queue has room for', async () => {
+            const bot = Object.create(NewsBot.prototype);
+            Object.assign(bot, { logger, postQueue: new PostQueue(createDataManager(), { maxSize: 2 }), emit: () => {} });
+            const limits = [];
+            const endpoint = {
+                getName: () => 'reddit',
+                fetchCandidates: async limit => {
+                    limits.push(limit);
+                    return Array.from({ length: Math.min(limit, 5) }, (_, index) => ({
+                        id: `${limits.length}-${index}`, source: 'reddit', title: 'Story', url: 'https://example.com', publishedAt: new Date().toISOString()
+                    }));
+                }
+            };
+
+            assert.strictEqual((await bot.pollEndpoint(endpoint)).found, 2);
+            assert.deepStrictEqual(await bot.pollEndpoint(endpoint), { found: 0, message: 'Post queue full' });
+            assert.deepStrictEqual(limits, [2]);
+        });
+    });
+
+    describe('releaseHeldItems', () => {
+        const createNews = id => ({ id, source: 'reddit', title: `Story ${id}`, url: `https://example.com/${id}` });
+
+        it('holds news while the channel is closed and posts it once it opens', async () => {
+            const bot = createReleasingBot('post');
+            assert.strictEqual((await bot.sendToDiscord(createNews('a'))).held, true);
+            await bot.sendToDiscord(createNews('b'));
+
+            assert.strictEqual(await bot.releaseHeldItems(), 0);
+            assert.strictEqual(bot.holdQueue.size('quiet'), 2);
+
+            bot.channelSettings.open = true;
+            assert.strictEqual(await bot.releaseHeldItems(), 2);
+            assert.deepStrictEqual(bot.calls, [['post', 'Story a'], ['post', 'Story b']]);
+            assert.strictEqual(bot.holdQueue.size(), 0);
+        });
+
+        it('releases more held items than the catch-up limit as one digest', async () => {
+            const bot = createReleasingBot('post');
+            const settings = bot.channelSettings.get();
+            bot.channelSettings.get = () => ({ ...settings, catchUpLimit: 2 });
+            ['a', 'b', 'c'].forEach(id => bot.holdQueue.hold('quiet', createNews(id)));
+
+            assert.strictEqual(await bot.releaseHeldItems({ force: true }), 3);
+            assert.strictEqual(bot.calls.length, 1);
+            assert.match(bot.calls[0][1], /3 stories from quiet hours/);
+            assert.match(bot.calls[0][1], /• Story c - <https:\/\/example.com\/c>/);
+        });
+
+        it('keeps items held when posting fails', async () => {
+            const bot = createReleasingBot('post');
+            bot.holdQueue.hold('quiet', createNews('a'));
+            bot.discordService.postToChannels = async () => [];
+
+            assert.strictEqual(await bot.releaseHeldItems({ force: true }), 0);
+            assert.deepStrictEqual(bot.holdQueue.peek('quiet').map(entry => entry.item.id), ['a']);
+        });
+
+        it('drops items held for channels that no longer get news', async () => {
+            const bot = createReleasingBot('post');
+            bot.holdQueue.hold('removed', createNews('a'));
+
+            assert.strictEqual(await bot.releaseHeldItems({ force: true }), 0);
+            assert.strictEqual(bot.holdQueue.size(), 0);
+            assert.deepStrictEqual(bot.calls, []);
+        });
+
+        it('posts a held first update as the story post and edits it with the next one', async () => {
+            const bot = createReleasingBot('edit');
+            const { held } = await bot.sendToDiscord(createUpdate('a', 'Introduced'));
+            assert.strictEqual(held, true);
+
+            bot.channelSettings.open = true;
+            assert.strictEqual(await bot.releaseHeldItems(), 1);
+            assert.deepStrictEqual(bot.stories.getMessage('hr1', 'quiet'), { messageId: 'm1', threadId: null });
+
+            await bot.sendToDiscord(createUpdate('b', 'Passed House'));
+            assert.deepStrictEqual(bot.calls.map(call => call[0]), ['post', 'edit']);
+            assert.strictEqual(bot.calls[1][1], 'm1');
+        });
+
+        it('releases several held updates of one story into a single post', async () => {
+            const bot = createReleasingBot('edit');
+            await bot.sendToDiscord(createUpdate('a', 'Introduced'));
+            await bot.sendToDiscord(createUpdate('b', 'Passed House'));
+            await bot.sendToDiscord({ id: 'c', source: 'reddit', title: 'Other news', url: 'https://example.com/c' });
+
+            bot.channelSettings.open = true;
+            assert.strictEqual(await bot.releaseHeldItems(), 3);
+            assert.deepStrictEqual(bot.calls.map(call => call[0]), ['post', 'post', 'edit']);
+            assert.strictEqual(bot.calls[0][1], 'Other news');
+            assert.strictEqual(bot.calls[2][1], 'm2');
+            assert.strictEqual(bot.holdQueue.size(), 0);
+        });
+    });
+
+    describe('postDueDigests', () => {
+        it('posts a digest once its schedule has fired since the oldest item arrived', async () => {
+            const bot = createReleasingBot('post');
+            bot.channelSettings.open = true;
+            bot.channelSettings.digest = true;
+            bot.channelSettings.getDigestSchedule = () => new CronExpression('0 * * * *'); // Hourly
+            await bot.sendToDiscord({ id: 'a', source: 'reddit', title: 'Story a', url: 'https://example.com/a' });
+
+            assert.strictEqual(await bot.postDueDigests(), 0, 'the next hour has not started yet');
+            assert.strictEqual(bot.digestQueue.size('quiet'), 1);
+
+            bot.digestQueue.peek('quiet')[0].heldAt = new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString();
+            assert.strictEqual(await bot.postDueDigests(), 1);
+            assert.match(bot.calls[0][1], /News roundup - 1 stories/);
+            assert.strictEqual(bot.digestQueue.size(), 0);
+        });
+
+        it('posts story updates to the story instead of the digest', async () => {
+            const bot = createReleasingBot('thread');
+            bot.channelSettings.open = true;
+            bot.channelSettings.digest = true;
+            await bot.sendToDiscord(createUpdate('a', 'Introduced'));
+            await bot.sendToDiscord({ id: 'c', source: 'reddit', title: 'Other news', url: 'https://example.com/c' });
+
+            assert.strictEqual(await bot.postDueDigests({ force: true }), 2);
+            assert.strictEqual(bot.calls.length, 2);
+            assert.match(JSON.stringify(bot.calls[0][1]), /News roundup - 1 stories/);
+            assert.strictEqual(bot.calls[1][1], 'H.R. 1 - Introduced');
+            assert.deepStrictEqual(bot.stories.getMessage('hr1', 'quiet'), { messageId: 'm2', threadId: null });
+            assert.strictEqual(bot.digestQueue.size(), 0);
+        });
+    });
+
+    describe('channelRemoved', () => {
+        it('drops everything waiting for a removed channel', () => {
+            const bot = createReleasingBot('edit');
+            const cleared = [];
+            bot.discordService = new EventEmitter();
+            bot.channelSettings.clear = channelId => cleared.push(channelId);
+            bot.on = () => {};
+            NewsBot.prototype.setupEventHandlers.call(bot);
+
+            const update = createUpdate('1', 'Introduced');
+            bot.holdQueue.hold('quiet', update, 'hr1');
+            bot.digestQueue.hold('quiet', update);
+            bot.holdQueue.hold('open', update);
+            bot.stories.addUpdate(update);
+            bot.stories.recordMessage('hr1', 'quiet', { messageId: 'm1' });
+
+            bot.discordService.emit('channelRemoved', 'quiet', 'channel deleted');
+            assert.strictEqual(bot.holdQueue.size('quiet'), 0);
+            assert.strictEqual(bot.digestQueue.size('quiet'), 0);
+            assert.strictEqual(bot.holdQueue.size('open'), 1, 'other channels keep their held items');
+            assert.strictEqual(bot.stories.getMessage('hr1', 'quiet'), null);
+            assert.deepStrictEqual(cleared, ['quiet']);
+        });
+    });
+
+    describe('threads', () => {
+        // A bot whose channels with "threads" in their name want discussion threads
+        function createThreadBot() {
+            const dataManager = createDataManager();
+            const channels = new ChannelRegistry(dataManager);
+            const calls = [];
+
+            const bot = Object.create(NewsBot.prototype);
+            Object.assign(bot, {
+                logger,
+                calls,
+                archive: new NewsArchive(dataManager),
+                channelSettings: { get: channelId => ({ threads: channelId.includes('threads'), threadArchiveMinutes: 60 }) },
+                discordService: {
+                    channels,
+                    openThread: async (channelId, messageId, title, minutes) => {
+                        calls.push(['open', channelId, messageId, title, minutes]);
+                        return `thread-${messageId}`;
+                    },
+                    sendToThread: async (threadId, message) => {
+                        calls.push(['send', threadId, message]);
+                        return true;
+                    }
+                }
+            });
+            return bot;
+        }
+
+        const createNews = (id, source = 'reddit') => ({ id, source, title: `Story ${id}`, url: `https://example.com/${id}` });
+
+        it('opens a discussion thread only where the channel wants one', async () => {
+            const bot = createThreadBot();
+            const withThread = { channelId: 'threads', messageId: 'm1' };
+            const plain = { channelId: 'plain', messageId: 'm2' };
+
+            await bot.openDiscussion('threads', createNews('a'), withThread);
+            await bot.openDiscussion('plain', createNews('a'), plain);
+            assert.deepStrictEqual(bot.calls, [['open', 'threads', 'm1', 'Story a', 60]]);
+            assert.strictEqual(withThread.threadId, 'thread-m1');
+            assert.strictEqual(plain.threadId, undefined);
+        });
+
+        it('posts a rejected duplicate as related coverage in the threads of the story it matched', async () => {
+            const bot = createThreadBot();
+            ['threads', 'threads-asteroids', 'plain'].forEach(channelId => bot.discordService.channels.add(channelId));
+            bot.discordService.channels.setSubscription('threads-asteroids', { endpoints: ['asteroid'] });
+            const original = createNews('a');
+            bot.archive.record(original, [
+                { channelId: 'threads', messageId: 'm1', threadId: 't1' },
+                { channelId: 'threads-asteroids', messageId: 'm2', threadId: 't2' },
+                { channelId: 'plain', messageId: 'm3', threadId: 't3' },
+                { channelId: 'threads-removed', messageId: 'm4', threadId: 't4' }
+            ]);
+
+            const duplicate = { ...createNews('b', 'congress'), title: 'Same story, other source' };
+            assert.strictEqual(await bot.postRelatedCoverage(duplicate, { matched: original }), 1);
+            assert.deepStrictEqual(bot.calls, [['send', 't1', '🔗 Related coverage from congress: **Same story, other source**\nhttps://example.com/b']]);
+        });
+
+        it('skips duplicates of unarchived stories and reposts of the same link', async () => {
+            const bot = createThreadBot();
+            bot.discordService.channels.add('threads');
+            const original = createNews('a');
+            bot.archive.record(original, [{ channelId: 'threads', messageId: 'm1', threadId: 't1' }]);
+
+            assert.strictEqual(await bot.postRelatedCoverage(createNews('b'), { matched: createNews('missing') }), 0);
+            assert.strictEqual(await bot.postRelatedCoverage({ ...original, id: 'again' }, { matched: original }), 0);
+            assert.deepStrictEqual(bot.calls, []);
+        });
+    });
+});
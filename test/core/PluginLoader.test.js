@@ -0,0 +1,113 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const PluginLoader = require('../../src/core/PluginLoader');
+const { createLogger, createDataManager, useTempDirectories, writeEndpointPlugin } = require('../helpers');
+
+function createConfig(directory, sections = {}) {
+    return {
+        getPluginsConfig: () => ({ directory, packages: [] }),
+        getEndpointsConfig: () => ({ enabled: [], sections }),
+        getEndpointSection: name => sections[name] || null,
+        getIntervalMinutes: () => 5
+    };
+}
+
+describe('PluginLoader', () => {
+    const createDirectory = useTempDirectories('plugins');
+
+    const discover = (setup, sections = {}) => {
+        const directory = createDirectory();
+        setup(directory);
+        const loader = new PluginLoader(createConfig(directory, sections), createDataManager(), createLogger());
+        loader.discover();
+        return loader;
+    };
+
+    it('finds the built-in endpoints and plugins in the plugin directory', () => {
+        const loader = discover(directory => writeEndpointPlugin(directory, { name: 'weather', description: 'Forecasts' }));
+
+        const status = loader.getStatus();
+        ['reddit', 'congress', 'asteroid'].forEach(name => {
+            assert.strictEqual(status.find(plugin => plugin.name === name).origin, 'builtin');
+        });
+        assert.deepStrictEqual(status.find(plugin => plugin.name === 'weather'), {
+            name: 'weather',
+            description: 'Forecasts',
+            origin: 'directory',
+            status: 'available',
+            reason: null,
+            configSchema: {},
+            instances: []
+        });
+    });
+
+    it('marks modules that fail to load or break the contract as invalid', () => {
+        const loader = discover(directory => {
+            fs.writeFileSync(path.join(directory, 'broken.js'), 'throw new Error("no network");');
+            fs.writeFileSync(path.join(directory, 'empty.js'), 'module.exports = {};');
+            fs.writeFileSync(path.join(directory, 'anonymous.js'), 'module.exports = class {};');
+            fs.writeFileSync(path.join(directory, 'partial.js'), 'class Partial { initialize() {} }\nPartial.plugin = { name: "partial" };\nmodule.exports = Partial;');
+        });
+
+        const reasons = Object.fromEntries(loader.getStatus()
+            .filter(plugin => plugin.status === 'invalid')
+            .map(plugin => [plugin.name, plugin.reason]));
+        assert.deepStrictEqual(Object.keys(reasons).sort(), ['anonymous', 'broken', 'empty', 'partial']);
+        assert.strictEqual(reasons.broken, 'Failed to load: no network');
+        assert.strictEqual(reasons.empty, 'Module does not export an endpoint class');
+        assert.strictEqual(reasons.anonymous, 'Missing static plugin descriptor with a name');
+        assert.match(reasons.partial, /^Does not implement the BaseEndpoint contract/);
+        assert.throws(() => loader.instantiate('broken'), /is invalid: Failed to load/);
+    });
+
+    it('resolves settings from the instance, then the environment, then the config file', () => {
+        const loader = discover(directory => writeEndpointPlugin(directory, {
+            name: 'weather',
+            configSchema: {
+                city: { type: 'string', required: true },
+                days: { type: 'number', default: 3, env: 'NEWSBOT_TEST_WEATHER_DAYS' },
+                alerts: { type: 'boolean', default: false }
+            }
+        }), { weather: { settings: { city: 'Oslo', days: 5 } } });
+
+        process.env.NEWSBOT_TEST_WEATHER_DAYS = '7';
+        try {
+            assert.deepStrictEqual(loader.instantiate('weather').getPluginConfig(), { city: 'Oslo', days: 7, alerts: false });
+            assert.deepStrictEqual(loader.instantiate('weather', 'local', { city: 'Bergen', alerts: 'yes' }).getPluginConfig(), { city: 'Bergen', days: 7, alerts: true });
+            assert.throws(() => loader.instantiate('weather', 'bad', { city: 'Oslo', alerts: 'maybe' }), /Invalid boolean for alerts: "maybe"/);
+        } finally {
+            delete process.env.NEWSBOT_TEST_WEATHER_DAYS;
+        }
+
+        const plugin = loader.getStatus().find(entry => entry.name === 'weather');
+        assert.strictEqual(plugin.status, 'registered');
+        assert.deepStrictEqual(plugin.instances, ['weather', 'local']);
+
+        loader.release('weather', 'weather');
+        loader.release('weather', 'local');
+        assert.strictEqual(loader.getPlugin('weather').status, 'available');
+    });
+
+    it('disables a plugin whose secrets are missing', () => {
+        const loader = discover(directory => writeEndpointPlugin(directory, { name: 'paywalled', secrets: ['NEWSBOT_TEST_MISSING_KEY'] }));
+
+        assert.throws(() => loader.instantiate('paywalled'), /Missing required secrets: NEWSBOT_TEST_MISSING_KEY/);
+        assert.strictEqual(loader.getPlugin('paywalled').status, 'disabled');
+        assert.strictEqual(loader.isAvailable('paywalled'), true, 'it can be instantiated once the secret is set');
+    });
+
+    it('reports config file settings the plugin does not know', () => {
+        const loader = discover(directory => writeEndpointPlugin(directory, { name: 'weather', configSchema: { days: { type: 'number' } } }), {
+            weather: { settings: { days: 'soon', units: 'metric' } },
+            forecast: { type: 'missing', settings: {} }
+        });
+
+        assert.deepStrictEqual(loader.checkConfiguredSettings().map(error => error.split(':')[0]), [
+            'endpoints.weather.settings.days',
+            'endpoints.weather.settings.units',
+            'endpoints.forecast.type'
+        ]);
+    });
+});
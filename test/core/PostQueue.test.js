@@ -0,0 +1,124 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const PostQueue = require('../../src/core/PostQueue');
+const { createDataManager } = require('../helpers');
+
+const HOUR = 60 * 60 * 1000;
+
+function createItem(id, source, hoursAgo, priority) {
+    return {
+        id,
+        source,
+        title: `Story ${id}`,
+        url: `https://example.com/${id}`,
+        publishedAt: new Date(Date.now() - hoursAgo * HOUR).toISOString(),
+        priority
+    };
+}
+
+const evenWeights = () => 1;
+
+describe('PostQueue', () => {
+    it('ignores items it already holds', () => {
+        const queue = new PostQueue(createDataManager());
+        assert.strictEqual(queue.add([createItem('a', 'reddit', 0), createItem('b', 'reddit', 0)]), 2);
+        assert.strictEqual(queue.add([createItem('a', 'reddit', 0)]), 0);
+        assert.strictEqual(queue.size(), 2);
+    });
+
+    it('halves freshness every half-life', () => {
+        const queue = new PostQueue(createDataManager(), { freshnessHalfLifeHours: 6 });
+        const now = Date.now();
+        const item = createItem('a', 'reddit', 6);
+        assert.ok(Math.abs(queue.getFreshness(item, now) - 0.5) < 0.01);
+    });
+
+    it('takes the freshest item first when weights are equal', () => {
+        const queue = new PostQueue(createDataManager());
+        queue.add([createItem('old', 'reddit', 5), createItem('new', 'reddit', 1)]);
+        assert.strictEqual(queue.takeNext(evenWeights).item.id, 'new');
+        assert.strictEqual(queue.takeNext(evenWeights).item.id, 'old');
+        assert.strictEqual(queue.takeNext(evenWeights), null);
+    });
+
+    it('ranks by endpoint weight and item priority', () => {
+        const queue = new PostQueue(createDataManager());
+        queue.add([createItem('r', 'reddit', 0), createItem('c', 'congress', 1), createItem('p', 'reddit', 2, 4)]);
+        const weights = { reddit: 1, congress: 3 };
+
+        assert.deepStrictEqual(queue.getRanked(source => weights[source]).map(entry => entry.item.id), ['p', 'c', 'r']);
+    });
+
+    it('keeps items of zero-weight endpoints waiting', () => {
+        const queue = new PostQueue(createDataManager());
+        queue.add([createItem('muted', 'reddit', 0)]);
+        assert.strictEqual(queue.takeNext(() => 0), null);
+        assert.strictEqual(queue.size(), 1);
+    });
+
+    it('keeps an item saved while it is being sent', () => {
+        const dataManager = createDataManager();
+        const queue = new PostQueue(dataManager);
+        queue.add([createItem('a', 'reddit', 0), createItem('b', 'reddit', 1)]);
+
+        const entry = queue.takeNext(evenWeights);
+        assert.strictEqual(entry.item.id, 'a');
+        assert.strictEqual(queue.takeNext(evenWeights).item.id, 'b', 'an item in flight is not taken twice');
+        assert.strictEqual(queue.takeNext(evenWeights), null);
+
+        // A restart mid-send finds both items still queued
+        assert.deepStrictEqual(new PostQueue(dataManager).getRanked(evenWeights).map(saved => saved.item.id), ['a', 'b']);
+
+        queue.complete(entry);
+        assert.deepStrictEqual(dataManager.files['post_queue.json'].map(saved => saved.item.id), ['b']);
+    });
+
+    it('requeues failed posts until they run out of attempts', () => {
+        const queue = new PostQueue(createDataManager(), { maxAttempts: 2 });
+        queue.add([createItem('a', 'reddit', 0)]);
+
+        const entry = queue.takeNext(evenWeights);
+        assert.strictEqual(queue.requeue(entry), true);
+        const retried = queue.takeNext(evenWeights);
+        assert.strictEqual(retried.attempts, 1);
+        assert.strictEqual(queue.requeue(retried), false);
+        assert.strictEqual(queue.size(), 0);
+    });
+
+    it('drops expired items and trims the stalest past maxSize', () => {
+        const queue = new PostQueue(createDataManager(), { maxAgeHours: 24, maxSize: 2 });
+        const pruned = [];
+        queue.on('pruned', entry => pruned.push(entry));
+
+        queue.add([createItem('expired', 'reddit', 30), createItem('a', 'reddit', 3), createItem('b', 'reddit', 2), createItem('c', 'reddit', 1)]);
+        assert.deepStrictEqual(queue.getRanked(evenWeights).map(entry => entry.item.id), ['c', 'b']);
+
+        assert.deepStrictEqual(pruned.map(entry => [entry.key, entry.reason]), [
+            ['reddit:expired', 'older than 24 hours'],
+            ['reddit:a', 'queue over 2 items']
+        ]);
+        assert.strictEqual(queue.getPrunedStatus().total, 2);
+        assert.strictEqual(queue.getFreeSlots(), 0);
+    });
+
+    it('never prunes an item that is being sent', () => {
+        const queue = new PostQueue(createDataManager(), { maxSize: 1 });
+        queue.add([createItem('a', 'reddit', 5)]);
+        const entry = queue.takeNext(evenWeights);
+
+        queue.add([createItem('b', 'reddit', 0)]);
+        queue.complete(entry);
+        assert.strictEqual(queue.size(), 1);
+        assert.strictEqual(queue.takeNext(evenWeights).item.id, 'b');
+    });
+
+    it('survives a restart and skips broken saved entries', () => {
+        const dataManager = createDataManager();
+        new PostQueue(dataManager).add([createItem('a', 'reddit', 0)]);
+        dataManager.files['post_queue.json'].push({ item: { id: 'broken', source: 'reddit' } });
+
+        const reloaded = new PostQueue(dataManager);
+        assert.strictEqual(reloaded.size(), 1);
+        assert.strictEqual(reloaded.takeNext(evenWeights).item.id, 'a');
+    });
+});
@@ -0,0 +1,110 @@
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { after, afterEach, before } = require('node:test');
+
+// Fixtures shared by the test files; this file has no tests of its own
+
+// A logger that discards everything, or collects error messages into the given list
+function createLogger(errors = null) {
+    return {
+        debug() {},
+        info() {},
+        success() {},
+        warn() {},
+        error(message) {
+            if (errors) errors.push(message);
+        }
+    };
+}
+
+// DataManager's file API over an in-memory object of file name -> data (CSV files are arrays of lines)
+function createDataManager(files = {}) {
+    return {
+        files,
+        fileExists: name => files[name] !== undefined,
+        ensureFile: () => {}, // Callers fall back to their defaults through the load functions
+        loadJSONData: (name, fallback) => (files[name] !== undefined ? files[name] : fallback),
+        saveJSONData: (name, data) => { files[name] = JSON.parse(JSON.stringify(data)); },
+        loadCSVData: (name, parser = null) => {
+            const lines = (files[name] || []).filter(line => line.trim());
+            return parser ? lines.map(parser).filter(Boolean) : lines;
+        },
+        saveCSVData: (name, data) => { files[name] = Array.isArray(data) ? data.map(String) : String(data).split('\n'); }
+    };
+}
+
+// Call inside a describe(): returns a function that makes a fresh temp directory,
+// and every directory it made is removed after each test
+function useTempDirectories(name) {
+    const directories = [];
+    afterEach(() => {
+        directories.splice(0).forEach(directory => fs.rmSync(directory, { recursive: true, force: true }));
+    });
+
+    return () => {
+        const directory = fs.mkdtempSync(path.join(os.tmpdir(), `newsbot-${name}-`));
+        directories.push(directory);
+        return directory;
+    };
+}
+
+// Call inside a describe(): runs a local HTTP server for the tests in it and records each request.
+// server.respond(request) returns the { status, headers, body } to answer with (200 {} by default)
+function useHttpServer() {
+    const server = { url: null, requests: [], respond: () => ({}) };
+    let httpServer;
+
+    before(() => new Promise(resolve => {
+        httpServer = http.createServer((req, res) => {
+            let raw = '';
+            req.on('data', chunk => { raw += chunk; });
+            req.on('end', () => {
+                const request = { method: req.method, url: req.url, headers: req.headers, raw, body: raw ? JSON.parse(raw) : null };
+                server.requests.push(request);
+
+                const { status = 200, headers = {}, body = {} } = server.respond(request) || {};
+                res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+                res.end(JSON.stringify(body));
+            });
+        });
+        httpServer.listen(0, '127.0.0.1', () => {
+            server.url = `http://127.0.0.1:${httpServer.address().port}`;
+            resolve();
+        });
+    }));
+
+    after(() => new Promise(resolve => {
+        httpServer.closeAllConnections();
+        httpServer.close(resolve);
+    }));
+
+    return server;
+}
+
+// Writes <descriptor.name>.js into a plugin directory: a BaseEndpoint subclass with the
+// given static plugin descriptor that returns no news
+function writeEndpointPlugin(directory, descriptor) {
+    const baseEndpoint = path.join(__dirname, '..', 'src', 'core', 'BaseEndpoint');
+    fs.writeFileSync(path.join(directory, `${descriptor.name}.js`), `
+const BaseEndpoint = require(${JSON.stringify(baseEndpoint)});
+
+class TestEndpoint extends BaseEndpoint {
+    constructor(config, dataManager, options = {}) {
+        super(${JSON.stringify(descriptor.name)}, config, dataManager, options);
+    }
+
+    async initialize() {}
+
+    async fetchCandidates() {
+        return [];
+    }
+}
+
+TestEndpoint.plugin = ${JSON.stringify(descriptor)};
+module.exports = TestEndpoint;
+`);
+}
+
+module.exports = { createLogger, createDataManager, useTempDirectories, useHttpServer, writeEndpointPlugin };
@@ -0,0 +1,62 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const Notifier = require('../../src/notifiers/Notifier');
+const { createLogger } = require('../helpers');
+
+// Fails with the given HTTP responses in turn, then succeeds
+class FlakyNotifier extends Notifier {
+    constructor(failures, options = {}) {
+        super('flaky', { retryDelayMs: 5, targets: [{ id: 'room' }], ...options }, { logger: createLogger() });
+        this.failures = failures;
+        this.attempts = [];
+    }
+
+    async sendToTarget(payload, target, deliveryId) {
+        this.attempts.push({ at: Date.now(), deliveryId });
+        const response = this.failures.shift();
+        if (response) {
+            const error = new Error(`Request failed with status code ${response.status}`);
+            error.response = { headers: {}, ...response };
+            throw error;
+        }
+        return `message-${this.attempts.length}`;
+    }
+}
+
+const item = { id: 'a', source: 'reddit', title: 'Story', url: 'https://example.com/a' };
+
+describe('Notifier', () => {
+    it('waits as long as Retry-After asks before trying again', async () => {
+        const notifier = new FlakyNotifier([{ status: 429, headers: { 'retry-after': '0.1' } }]);
+
+        const receipts = await notifier.notify(item);
+        assert.deepStrictEqual(receipts, [{ targetId: 'room', messageId: 'message-2' }]);
+        assert.ok(notifier.attempts[1].at - notifier.attempts[0].at >= 90);
+        assert.strictEqual(notifier.attempts[0].deliveryId, notifier.attempts[1].deliveryId);
+        assert.strictEqual(notifier.getStatus().sent, 1);
+    });
+
+    it('gives up when Retry-After is longer than the longest retry delay', async () => {
+        const notifier = new FlakyNotifier([{ status: 429, headers: { 'retry-after': '3600' } }], { maxRetryDelayMs: 1000 });
+
+        assert.deepStrictEqual(await notifier.notify(item), []);
+        assert.strictEqual(notifier.attempts.length, 1);
+        assert.strictEqual(notifier.getStatus().failed, 1);
+    });
+
+    it('backs off on server errors and does not retry other client errors', async () => {
+        const flaky = new FlakyNotifier([{ status: 503 }, { status: 502 }]);
+        assert.strictEqual((await flaky.notify(item)).length, 1);
+        assert.strictEqual(flaky.attempts.length, 3);
+
+        const rejected = new FlakyNotifier([{ status: 404 }]);
+        assert.deepStrictEqual(await rejected.notify(item), []);
+        assert.strictEqual(rejected.attempts.length, 1);
+        assert.match(rejected.getStatus().lastError.message, /404/);
+    });
+
+    it('only sends to targets subscribed to the item\'s endpoint', async () => {
+        const notifier = new FlakyNotifier([], { targets: [{ id: 'all' }, { id: 'congress', endpoints: ['congress'] }] });
+        assert.deepStrictEqual((await notifier.notify(item)).map(receipt => receipt.targetId), ['all']);
+    });
+});
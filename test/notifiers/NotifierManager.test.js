@@ -0,0 +1,109 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const Notifier = require('../../src/notifiers/Notifier');
+const NotifierManager = require('../../src/notifiers/NotifierManager');
+const { createLogger, createDataManager } = require('../helpers');
+
+// Records what it sends instead of calling a service
+class RecordingNotifier extends Notifier {
+    constructor(name, options = {}, services = {}) {
+        super(name, { ...options, type: 'recording' }, services);
+        this.sent = [];
+    }
+
+    async sendToTarget(payload, target) {
+        this.sent.push([target.id, payload]);
+        return `${target.id}-message`;
+    }
+}
+
+NotifierManager.registerNotifier('recording', RecordingNotifier);
+
+function createConfig(notifiers = {}) {
+    return {
+        getNotifierConfig: () => ({
+            slackWebhookUrls: [],
+            webhookUrls: [],
+            matrix: { roomIds: [] },
+            sections: {},
+            ...notifiers
+        })
+    };
+}
+
+const item = { id: 'a', source: 'congress', title: 'H.R. 1', url: 'https://example.com/hr1' };
+
+describe('NotifierManager', () => {
+    it('builds notifiers from the environment until notifiers.json exists', () => {
+        const manager = new NotifierManager(createConfig({
+            slackWebhookUrls: ['https://hooks.slack.com/a', 'https://hooks.slack.com/b'],
+            matrix: { roomIds: ['!room:example.org'] },
+            sections: { slack: { type: 'slack', retries: 5, targets: [] }, archive: { type: 'webhook', targets: [{ id: 'ingest', url: 'https://example.com' }] } }
+        }), createDataManager(), createLogger());
+
+        assert.deepStrictEqual(manager.getDefaultDefinitions(), [
+            { name: 'slack', type: 'slack', targets: [{ id: 'slack-1', url: 'https://hooks.slack.com/a' }, { id: 'slack-2', url: 'https://hooks.slack.com/b' }] },
+            { name: 'archive', type: 'webhook', targets: [{ id: 'ingest', url: 'https://example.com' }] },
+            { name: 'matrix', type: 'matrix', targets: [{ id: '!room:example.org' }] }
+        ]);
+    });
+
+    it('starts saved notifiers and skips definitions it cannot use', async () => {
+        const errors = [];
+        const dataManager = createDataManager({
+            'notifiers.json': [
+                { name: 'log', type: 'recording', targets: [{ id: 'all' }, { id: 'bills', endpoints: ['congress'] }, { id: 'space', endpoints: ['asteroid'] }] },
+                { name: 'paused', type: 'recording', enabled: false, targets: [] },
+                { name: 'teams', type: 'teams', targets: [] },
+                { name: 'slack', type: 'slack', targets: [{ id: 'newsroom' }] }
+            ]
+        });
+        const manager = new NotifierManager(createConfig(), dataManager, createLogger(errors));
+
+        const status = await manager.loadAll();
+        assert.deepStrictEqual(status.map(({ name, connected, error }) => [name, connected, error]), [
+            ['log', true, null],
+            ['paused', false, null],
+            ['slack', false, 'Slack target newsroom needs a webhook url']
+        ]);
+        assert.match(errors[0], /Unknown notifier type "teams"/);
+
+        assert.strictEqual(manager.hasTargetsFor(item), true);
+        assert.deepStrictEqual(await manager.notify(item), [{
+            notifier: 'log',
+            receipts: [{ targetId: 'all', messageId: 'all-message' }, { targetId: 'bills', messageId: 'bills-message' }]
+        }]);
+    });
+
+    it('replaces definitions only when all of them are valid', async () => {
+        const dataManager = createDataManager();
+        const manager = new NotifierManager(createConfig(), dataManager, createLogger());
+        await manager.setDefinitions([{ name: 'log', type: 'recording', targets: [{ id: 'all' }] }]);
+
+        await assert.rejects(manager.setDefinitions([
+            { name: 'log', type: 'recording', targets: [] },
+            { name: 'log', type: 'recording', targets: [] }
+        ]), /Notifier names must be unique/);
+        await assert.rejects(manager.setDefinitions([{ name: 'hook', type: 'webhook', targets: [{ id: 'ingest' }] }]), /needs a url/);
+        await assert.rejects(manager.setDefinitions([{ name: 'log', type: 'recording' }]), /needs a targets list/);
+
+        assert.deepStrictEqual(dataManager.files['notifiers.json'], [{ name: 'log', type: 'recording', targets: [{ id: 'all' }], enabled: true }]);
+        assert.ok(manager.getNotifier('log'));
+    });
+
+    it('changes a target\'s subscriptions without a restart', async () => {
+        const dataManager = createDataManager();
+        const manager = new NotifierManager(createConfig(), dataManager, createLogger());
+        await manager.setDefinitions([{ name: 'log', type: 'recording', targets: [{ id: 'all' }] }]);
+
+        await manager.setTargetEndpoints('log', 'all', ['asteroid']);
+        assert.strictEqual(manager.hasTargetsFor(item), false);
+        assert.deepStrictEqual(dataManager.files['notifiers.json'][0].targets, [{ id: 'all', endpoints: ['asteroid'] }]);
+
+        await manager.setTargetEndpoints('log', 'all', []);
+        assert.strictEqual(manager.hasTargetsFor(item), true);
+
+        await assert.rejects(manager.setTargetEndpoints('log', 'missing', null), /target log\/missing not found/);
+        await assert.rejects(manager.setTargetEndpoints('log', 'all', 'congress'), /endpoints must be a list/);
+    });
+});
@@ -0,0 +1,65 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const MatrixNotifier = require('../../../src/notifiers/adapters/MatrixNotifier');
+const { createLogger, useHttpServer } = require('../../helpers');
+
+describe('MatrixNotifier', () => {
+    const server = useHttpServer();
+    const createNotifier = () => new MatrixNotifier('matrix', {
+        homeserverUrl: `${server.url}/`,
+        accessToken: 'secret-token',
+        retryDelayMs: 5,
+        targets: [{ id: '!room:example.org' }]
+    }, { logger: createLogger() });
+
+    beforeEach(() => {
+        server.requests.length = 0;
+        server.respond = () => ({ body: { event_id: '$event' } });
+    });
+
+    it('needs a homeserver and token', () => {
+        assert.throws(() => new MatrixNotifier('matrix', { targets: [] }, { logger: createLogger() }), /needs a homeserverUrl and accessToken/);
+    });
+
+    it('checks the token on start', async () => {
+        server.respond = () => ({ body: { user_id: '@newsbot:example.org' } });
+        const notifier = createNotifier();
+        assert.strictEqual(notifier.isConnected(), false);
+
+        await notifier.initialize();
+        assert.strictEqual(notifier.isConnected(), true);
+        assert.strictEqual(server.requests[0].url, '/_matrix/client/v3/account/whoami');
+        assert.strictEqual(server.requests[0].headers.authorization, 'Bearer secret-token');
+    });
+
+    it('sends each item as an HTML message with a transaction ID', async () => {
+        const receipts = await createNotifier().notify({ id: 'a', source: 'reddit', title: 'Tom & <Jerry>', description: 'Line one\nLine two', url: 'https://example.com/?a=1&b=2' });
+        assert.deepStrictEqual(receipts, [{ targetId: '!room:example.org', messageId: '$event' }]);
+
+        const [request] = server.requests;
+        assert.strictEqual(request.method, 'PUT');
+        assert.match(request.url, /^\/_matrix\/client\/v3\/rooms\/!room%3Aexample\.org\/send\/m\.room\.message\/[0-9a-f-]{36}$/);
+        assert.deepStrictEqual(request.body, {
+            msgtype: 'm.text',
+            body: 'Tom & <Jerry>\n\nLine one\nLine two\n\nhttps://example.com/?a=1&b=2',
+            format: 'org.matrix.custom.html',
+            formatted_body: '<strong><a href="https://example.com/?a=1&amp;b=2">Tom &amp; &lt;Jerry&gt;</a></strong><br><br>Line one<br>Line two'
+        });
+    });
+
+    it('reuses the transaction ID when it retries, so the homeserver drops repeats', async () => {
+        let calls = 0;
+        server.respond = () => (++calls === 1
+            ? { status: 429, headers: { 'Retry-After': '0.05' }, body: { errcode: 'M_LIMIT_EXCEEDED' } }
+            : { body: { event_id: '$event' } });
+
+        const receipts = await createNotifier().sendText('Hello');
+        assert.strictEqual(receipts.length, 1);
+        assert.strictEqual(server.requests.length, 2);
+        assert.strictEqual(server.requests[0].url, server.requests[1].url);
+        assert.deepStrictEqual(server.requests[1].body, { msgtype: 'm.notice', body: 'Hello' });
+
+        await createNotifier().sendText('Hello again');
+        assert.notStrictEqual(server.requests[2].url, server.requests[1].url, 'a new delivery gets a new transaction ID');
+    });
+});
@@ -0,0 +1,24 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const SlackNotifier = require('../../../src/notifiers/adapters/SlackNotifier');
+const { createLogger, useHttpServer } = require('../../helpers');
+
+describe('SlackNotifier', () => {
+    const server = useHttpServer();
+
+    it('needs a webhook URL for every target', () => {
+        assert.throws(() => new SlackNotifier('slack', { targets: [{ id: 'newsroom' }] }, { logger: createLogger() }), /Slack target newsroom needs a webhook url/);
+    });
+
+    it('posts items as escaped mrkdwn to the target\'s webhook', async () => {
+        const notifier = new SlackNotifier('slack', { targets: [{ id: 'newsroom', url: `${server.url}/hooks/newsroom` }] }, { logger: createLogger() });
+
+        const receipts = await notifier.notify({ id: 'a', source: 'congress', title: 'H.R. 1 <passes>', description: 'Vote: 218 > 217', url: 'https://example.com/hr1' });
+        assert.deepStrictEqual(receipts, [{ targetId: 'newsroom', messageId: null }]);
+        assert.strictEqual(server.requests[0].url, '/hooks/newsroom');
+        assert.deepStrictEqual(server.requests[0].body, {
+            text: '*<https://example.com/hr1|H.R. 1 &lt;passes&gt;>*\nVote: 218 &gt; 217\n_congress_',
+            unfurl_links: true
+        });
+    });
+});
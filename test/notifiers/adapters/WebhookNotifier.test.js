@@ -0,0 +1,42 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const WebhookNotifier = require('../../../src/notifiers/adapters/WebhookNotifier');
+const { createLogger, useHttpServer } = require('../../helpers');
+
+describe('WebhookNotifier', () => {
+    const server = useHttpServer();
+
+    it('needs a URL for every target', () => {
+        assert.throws(() => new WebhookNotifier('webhook', { targets: [{ id: 'ingest' }] }, { logger: createLogger() }), /Webhook target ingest needs a url/);
+    });
+
+    it('posts items as JSON signed with the target\'s secret', async () => {
+        server.respond = () => ({ body: { id: 'remote-1' } });
+        const notifier = new WebhookNotifier('webhook', {
+            targets: [{ id: 'ingest', url: `${server.url}/news`, secret: 'shared-secret', headers: { 'X-Team': 'news' } }]
+        }, { logger: createLogger() });
+
+        const receipts = await notifier.notify({ id: 'a', source: 'reddit', title: 'Story', url: 'https://example.com/a', tags: ['keyword:senate'] });
+        assert.deepStrictEqual(receipts, [{ targetId: 'ingest', messageId: 'remote-1' }]);
+
+        const [request] = server.requests;
+        assert.strictEqual(request.headers['x-team'], 'news');
+        assert.strictEqual(request.headers['x-newsbot-signature'], `sha256=${crypto.createHmac('sha256', 'shared-secret').update(request.raw).digest('hex')}`);
+        assert.deepStrictEqual(request.body, {
+            event: 'news',
+            item: {
+                id: 'a',
+                source: 'reddit',
+                title: 'Story',
+                url: 'https://example.com/a',
+                description: null,
+                details: null,
+                priority: 1,
+                publishedAt: null,
+                tags: ['keyword:senate'],
+                metadata: {}
+            }
+        });
+    });
+});
@@ -0,0 +1,64 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const NewsPipeline = require('../../src/pipeline/NewsPipeline');
+const PipelineStage = require('../../src/pipeline/PipelineStage');
+const { createLogger, createDataManager } = require('../helpers');
+
+// Drops headlines it has seen delivered, like the dedup stage
+class SeenStage extends PipelineStage {
+    constructor(name, options, services) {
+        super(name, options, services);
+        this.seen = new Set();
+        this.deliveries = 0;
+    }
+
+    async process(item, context) {
+        return this.seen.has(item.title) ? this.drop(context, 'Already delivered') : item;
+    }
+
+    async onDelivered(item) {
+        this.deliveries++;
+        this.seen.add(item.title);
+    }
+}
+SeenStage.shared = true;
+
+NewsPipeline.registerStage('seen', SeenStage);
+
+function createPipeline(saved) {
+    const config = { getPipelineConfig: () => ({ defaultStages: ['seen'], stagesOverride: null }) };
+    return new NewsPipeline(config, createDataManager({ 'pipeline.json': saved }), createLogger());
+}
+
+const item = { id: 'a', source: 'reddit', title: 'Story', url: 'https://example.com/a' };
+
+describe('NewsPipeline', () => {
+    it('notifies a shared stage once when several channels deliver the item', async () => {
+        const pipeline = createPipeline({ default: ['seen'], endpoints: {}, channels: { one: ['seen'], two: ['seen'] } });
+        await pipeline.initialize();
+
+        const first = await pipeline.processForChannel(item, 'one');
+        const second = await pipeline.processForChannel(item, 'two');
+        assert.ok(first.item);
+        assert.ok(second.item);
+
+        await pipeline.markDelivered(first, second);
+        assert.strictEqual(pipeline.sharedStages.get('seen').deliveries, 1);
+
+        const again = await pipeline.processForChannel(item, 'one');
+        assert.strictEqual(again.item, null);
+        assert.strictEqual(again.droppedBy, 'seen');
+    });
+
+    it('keeps notifying the other stages when one fails after delivery', async () => {
+        const pipeline = createPipeline({ default: ['seen'], endpoints: {}, channels: {} });
+        await pipeline.initialize();
+
+        const failing = { name: 'failing', onDelivered: async () => { throw new Error('boom'); } };
+        const result = await pipeline.processForEndpoint(item);
+        result.stages = [failing, ...result.stages];
+
+        await pipeline.markDelivered(result);
+        assert.strictEqual(pipeline.sharedStages.get('seen').deliveries, 1);
+    });
+});
@@ -0,0 +1,29 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const DeduplicationStage = require('../../../src/pipeline/stages/DeduplicationStage');
+const { createLogger, createDataManager } = require('../../helpers');
+
+function createStage(thresholds = {}) {
+    const config = { getDeduplicationConfig: () => ({ enabled: false, defaultThreshold: 0.85, thresholds }) };
+    return new DeduplicationStage('dedup', {}, { config, dataManager: createDataManager(), logger: createLogger() });
+}
+
+describe('DeduplicationStage', () => {
+    it('keeps endpoint thresholds of zero', () => {
+        const stage = createStage({ reddit: 0 });
+        assert.strictEqual(stage.getThreshold('reddit'), 0);
+        assert.strictEqual(stage.getThreshold('congress'), 0.85);
+
+        stage.setThreshold('congress', 0);
+        assert.strictEqual(stage.getThreshold('congress'), 0);
+    });
+
+    it('clamps thresholds and rejects values that are not numbers', () => {
+        const stage = createStage();
+        stage.setThreshold('reddit', 1.5);
+        assert.strictEqual(stage.getThreshold('reddit'), 1);
+
+        assert.throws(() => stage.setThreshold('reddit', NaN), /Invalid similarity threshold/);
+        assert.strictEqual(stage.getThreshold('reddit'), 1);
+    });
+});
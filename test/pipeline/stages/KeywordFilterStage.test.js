@@ -0,0 +1,65 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const KeywordFilterStage = require('../../../src/pipeline/stages/KeywordFilterStage');
+const { createLogger, createDataManager } = require('../../helpers');
+
+async function createStage(options = {}, bannedKeywords = ['spam.com, clickbait']) {
+    const stage = new KeywordFilterStage('keywordFilter', options, {
+        dataManager: createDataManager({ 'banned_keywords.csv': bannedKeywords }),
+        logger: createLogger()
+    });
+    await stage.initialize();
+    return stage;
+}
+
+function createItem(source, title, url = 'https://example.com/story') {
+    return { id: 'a', source, title, url, tags: [] };
+}
+
+describe('KeywordFilterStage', () => {
+    it('checks banned keywords against Reddit URLs only by default', async () => {
+        const stage = await createStage();
+
+        const context = {};
+        assert.strictEqual(await stage.process(createItem('reddit', 'News', 'https://SPAM.com/x'), context), null);
+        assert.strictEqual(context.dropReason, 'Matched banned keyword "spam.com"');
+
+        assert.ok(await stage.process(createItem('reddit', 'Clickbait headline'), {}), 'titles are not checked');
+        assert.ok(await stage.process(createItem('congress', 'News', 'https://spam.com/x'), {}), 'other endpoints are not checked');
+    });
+
+    it('widens the banned keyword check when configured', async () => {
+        const stage = await createStage({ bannedKeywordFields: ['title', 'url'], bannedKeywordSources: '*' });
+        assert.strictEqual(await stage.process(createItem('congress', 'Clickbait headline'), {}), null);
+
+        const named = await createStage({ bannedKeywordSources: ['world'] });
+        assert.strictEqual(await named.process(createItem('world', 'News', 'https://spam.com/x'), {}), null);
+        assert.ok(await named.process(createItem('reddit', 'News', 'https://spam.com/x'), {}));
+    });
+
+    it('can ignore the banned keyword list', async () => {
+        const stage = await createStage({ useBannedKeywords: false });
+        assert.ok(await stage.process(createItem('reddit', 'News', 'https://spam.com/x'), {}));
+        assert.strictEqual(stage.getStatus().bannedKeywords, 0);
+    });
+
+    it('matches include and exclude keywords against the title and URL', async () => {
+        const stage = await createStage({ include: ['Senate'], exclude: ['rumor'] }, []);
+
+        const kept = await stage.process(createItem('congress', 'Senate passes budget'), {});
+        assert.deepStrictEqual(kept.tags, ['keyword:senate']);
+
+        const context = {};
+        assert.strictEqual(await stage.process(createItem('congress', 'Senate rumor mill'), context), null);
+        assert.strictEqual(context.dropReason, 'Matched excluded keyword "rumor"');
+        assert.strictEqual(await stage.process(createItem('congress', 'House passes budget'), {}), null);
+    });
+
+    it('saves banned keywords it is given', async () => {
+        const stage = await createStage({}, []);
+        stage.addBannedKeyword('spam.com');
+        stage.addBannedKeyword('spam.com');
+        assert.deepStrictEqual(stage.getBannedKeywords(), ['spam.com']);
+        assert.deepStrictEqual(stage.dataManager.files['banned_keywords.csv'], ['spam.com']);
+    });
+});
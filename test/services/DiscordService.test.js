@@ -0,0 +1,101 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { PermissionFlagsBits } = require('discord.js');
+const DiscordService = require('../../src/services/DiscordService');
+const { createLogger, createDataManager } = require('../helpers');
+
+// resolveMessage only needs the bot user to look up channel permissions
+function createService() {
+    return Object.assign(Object.create(DiscordService.prototype), { client: { user: { id: 'bot' } } });
+}
+
+// A real service whose client never logs in; its events are emitted by hand
+function createConnectedService(channels) {
+    const config = {
+        getDiscordConfig: () => ({ token: 'token' }),
+        getSecretsConfig: () => ({}),
+        getFeedbackConfig: () => ({ enabled: false })
+    };
+    const service = new DiscordService(config, createDataManager(), createLogger());
+    channels.forEach(([channelId, guildId]) => service.channels.add(channelId, { guildId, guildName: guildId, name: channelId }));
+    const removed = [];
+    service.on('channelRemoved', (channelId, reason) => removed.push([channelId, reason]));
+    return { service, removed };
+}
+
+function createChannel(permissions) {
+    return { permissionsFor: () => ({ has: flag => permissions.includes(flag) }) };
+}
+
+describe('DiscordService', () => {
+    const message = createService().formatItem({ source: 'reddit', title: 'Story', url: 'https://example.com/a', description: 'Summary' }, { title: 'Story' });
+
+    it('sends the embed where the bot may embed links', () => {
+        assert.deepStrictEqual(createService().resolveMessage(message, createChannel([PermissionFlagsBits.EmbedLinks])), { embeds: [{ title: 'Story' }] });
+        assert.deepStrictEqual(createService().resolveMessage(message, {}), { embeds: [{ title: 'Story' }] }, 'channels without permission info get the embed');
+    });
+
+    it('falls back to plain text where embeds would not show', () => {
+        assert.strictEqual(createService().resolveMessage(message, createChannel([])), 'Story\n\nSummary\n\nURL: https://example.com/a');
+        assert.strictEqual(createService().resolveMessage('Plain', createChannel([])), 'Plain');
+    });
+
+    it('shortens thread names at a word boundary', () => {
+        const service = createService();
+        assert.strictEqual(service.shortenTitle('  Senate   passes budget '), 'Senate passes budget');
+        assert.strictEqual(service.shortenTitle('word '.repeat(30)), `${'word '.repeat(19).trim()}…`);
+        assert.strictEqual(service.shortenTitle('x'.repeat(120)), `${'x'.repeat(99)}…`);
+    });
+
+    it('opens a thread on a posted message, reusing one that exists', async () => {
+        const started = [];
+        const messages = {
+            fresh: { startThread: async options => { started.push(options); return { id: 'new-thread' }; } },
+            discussed: { thread: { id: 'old-thread' } }
+        };
+        const channel = { messages: { fetch: async messageId => messages[messageId] } };
+        const service = Object.assign(createService(), { isReady: true, logger: createLogger() });
+        service.client.channels = { cache: new Map([['news', channel]]) };
+
+        assert.strictEqual(await service.openThread('news', 'fresh', 'Story', 60), 'new-thread');
+        assert.strictEqual(await service.openThread('news', 'discussed', 'Story', 60), 'old-thread');
+        assert.strictEqual(await service.openThread('news', 'deleted', 'Story', 60), null, 'failures are logged, not thrown');
+        assert.strictEqual(await service.openThread('gone', 'fresh', 'Story', 60), null);
+        assert.deepStrictEqual(started, [{ name: 'Story', autoArchiveDuration: 60 }]);
+    });
+
+    describe('channel pruning', () => {
+        it('forgets deleted channels', () => {
+            const { service, removed } = createConnectedService([['news', 'guild'], ['other', 'guild']]);
+
+            service.client.emit('channelDelete', { id: 'news' });
+            service.client.emit('channelDelete', { id: 'unregistered' });
+            assert.deepStrictEqual(removed, [['news', 'channel deleted']]);
+            assert.deepStrictEqual(service.getTargetChannels().map(record => record.channelId), ['other']);
+        });
+
+        it('forgets every channel of a guild the bot left', () => {
+            const { service, removed } = createConnectedService([['news', 'guild'], ['alerts', 'guild'], ['other', 'elsewhere']]);
+
+            service.client.emit('guildDelete', { id: 'guild', name: 'Guild', available: true });
+            assert.deepStrictEqual(removed, [['news', 'left guild Guild'], ['alerts', 'left guild Guild']]);
+            assert.deepStrictEqual(service.dataManager.files['channels.json'].map(record => record.channelId), ['other']);
+        });
+
+        it('keeps the channels of a guild that is only unavailable', () => {
+            const { service, removed } = createConnectedService([['news', 'guild']]);
+
+            service.client.emit('guildDelete', { id: 'guild', available: false });
+            assert.deepStrictEqual(removed, []);
+            assert.strictEqual(service.channels.has('news'), true);
+        });
+
+        it('refreshes names when a channel is renamed', () => {
+            const { service } = createConnectedService([['news', 'guild']]);
+
+            service.client.emit('channelUpdate', {}, { id: 'news', guildId: 'guild', guild: { name: 'Renamed guild' }, name: 'headlines' });
+            assert.strictEqual(service.channels.get('news').name, 'headlines');
+            assert.strictEqual(service.channels.get('news').guildName, 'Renamed guild');
+        });
+    });
+});
@@ -0,0 +1,109 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const WebGUIService = require('../../src/services/WebGUIService');
+const NewsArchive = require('../../src/core/NewsArchive');
+const { createLogger, createDataManager } = require('../helpers');
+
+describe('WebGUIService', () => {
+    const calls = [];
+    const newsBot = {
+        getEndpoint: name => (name === 'reddit' ? {} : null),
+        deduplication: {
+            setThreshold: (endpoint, threshold) => calls.push([endpoint, threshold]),
+            updateThreshold: threshold => {
+                calls.push([null, threshold]);
+                return { success: true, message: `Similarity threshold updated to ${threshold}` };
+            }
+        },
+        dataManager: {
+            flush: () => true,
+            stateArchive: { preview: archive => ({ valid: true, items: archive.items.length }) }
+        },
+        archive: new NewsArchive(createDataManager())
+    };
+    const config = { getFeedConfig: () => ({ limit: 50, title: 'NewsBot' }) };
+    let server;
+    let baseUrl;
+
+    before(async () => {
+        const gui = new WebGUIService(newsBot, config, createLogger());
+        await new Promise(resolve => { server = gui.app.listen(0, '127.0.0.1', resolve); });
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(() => new Promise(resolve => {
+        server.closeAllConnections();
+        server.close(resolve);
+    }));
+
+    function post(route, body) {
+        return fetch(`${baseUrl}${route}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+    }
+
+    describe('feeds', () => {
+        // fetch() marks conditional requests "Cache-Control: no-cache" unless told otherwise, like a reader revalidating
+        const getFeed = (file, headers = {}) => fetch(`${baseUrl}/feeds/${file}`, { headers: { 'Cache-Control': 'max-age=0', ...headers } });
+        const postItem = (id, postedAt) => {
+            const entry = newsBot.archive.record({ id, source: 'reddit', title: `Story ${id}`, url: `https://example.com/${id}` }, [{ channelId: 'news', messageId: id }]);
+            entry.postedAt = postedAt;
+        };
+
+        it('answers unchanged feeds with 304 until something new is posted', async () => {
+            postItem('a', '2026-01-01T10:00:00.000Z');
+
+            const first = await getFeed('reddit.xml');
+            assert.strictEqual(first.status, 200);
+            assert.strictEqual(first.headers.get('content-type'), 'application/rss+xml; charset=utf-8');
+            assert.strictEqual(first.headers.get('last-modified'), 'Thu, 01 Jan 2026 10:00:00 GMT');
+            assert.match(await first.text(), /<title>Story a<\/title>/);
+            const etag = first.headers.get('etag');
+
+            assert.strictEqual((await getFeed('reddit.xml', { 'If-None-Match': etag })).status, 304);
+            assert.strictEqual((await getFeed('reddit.xml', { 'If-Modified-Since': 'Thu, 01 Jan 2026 10:00:00 GMT' })).status, 304);
+            assert.strictEqual((await getFeed('reddit.json', { 'If-None-Match': etag })).status, 200, 'each format has its own ETag');
+
+            postItem('b', '2026-01-01T11:00:00.000Z');
+            const changed = await getFeed('reddit.xml', { 'If-None-Match': etag });
+            assert.strictEqual(changed.status, 200);
+            assert.notStrictEqual(changed.headers.get('etag'), etag);
+            assert.strictEqual((await getFeed('all.atom', { 'If-Modified-Since': 'Thu, 01 Jan 2026 10:00:00 GMT' })).status, 200);
+        });
+
+        it('only serves known feeds', async () => {
+            assert.strictEqual((await getFeed('reddit.txt')).status, 404);
+            assert.deepStrictEqual(await (await getFeed('unknown.json')).json(), { error: 'Endpoint not found' });
+        });
+    });
+
+    it('updates similarity thresholds between 0 and 1', async () => {
+        calls.length = 0;
+        assert.strictEqual((await post('/api/similarity-threshold', { threshold: 0 })).status, 200);
+        assert.strictEqual((await post('/api/similarity-threshold', { threshold: '0.7', endpoint: 'reddit' })).status, 200);
+        assert.deepStrictEqual(calls, [[null, 0], ['reddit', 0.7]]);
+    });
+
+    it('accepts large bodies only for state archives', async () => {
+        const items = new Array(20000).fill('item-id'); // About 200 KB of JSON
+
+        const preview = await post('/api/state/preview', { archive: { items } });
+        assert.strictEqual(preview.status, 200);
+        assert.deepStrictEqual(await preview.json(), { valid: true, items: 20000 });
+
+        const threshold = await post('/api/similarity-threshold', { threshold: 0.5, items });
+        assert.strictEqual(threshold.status, 413);
+    });
+
+    it('rejects similarity thresholds that are not numbers between 0 and 1', async () => {
+        calls.length = 0;
+        for (const threshold of [undefined, null, '', 'abc', '0.5abc', 1.5, -0.1, true]) {
+            const response = await post('/api/similarity-threshold', { threshold });
+            assert.strictEqual(response.status, 400, `threshold ${JSON.stringify(threshold)}`);
+            assert.deepStrictEqual(await response.json(), { error: 'Threshold must be a number between 0 and 1' });
+        }
+        assert.deepStrictEqual(calls, []);
+    });
+});
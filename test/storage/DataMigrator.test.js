@@ -0,0 +1,101 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const DataMigrator = require('../../src/storage/DataMigrator');
+const CsvStorage = require('../../src/storage/backends/CsvStorage');
+const { useTempDirectories } = require('../helpers');
+
+describe('DataMigrator', () => {
+    const createDirectory = useTempDirectories('migrate');
+    let dataDirectory;
+    let storage;
+    let migrator;
+
+    const write = (name, content) => fs.writeFileSync(path.join(dataDirectory, name), content);
+    const read = name => fs.readFileSync(path.join(dataDirectory, name), 'utf8');
+    const exists = name => fs.existsSync(path.join(dataDirectory, name));
+
+    beforeEach(() => {
+        dataDirectory = createDirectory();
+        storage = new CsvStorage(dataDirectory);
+        storage.open();
+        migrator = new DataMigrator(storage, { log: () => {} });
+    });
+
+    it('starts new installs on the latest layout without migrating', () => {
+        assert.deepStrictEqual(migrator.run(), []);
+        assert.strictEqual(migrator.getVersion(), DataMigrator.getLatestVersion());
+        assert.strictEqual(exists('backups'), false);
+    });
+
+    it('upgrades a pre-manifest data directory one version at a time', () => {
+        write('target_channels.csv', '111\n\n222\n');
+        write('reddit_recent_headlines.csv', 'Senate passes budget|||1700000000000|||reddit|||https://example.com/a\nbroken line');
+        write('reddit_seen_items.csv', 'abc,1700000000000');
+
+        assert.deepStrictEqual(migrator.run(), [1, 2, 3]);
+
+        const channels = JSON.parse(read('channels.json'));
+        assert.deepStrictEqual(channels.map(record => record.channelId), ['111', '222']);
+        assert.deepStrictEqual({ ...channels[0], addedAt: null }, {
+            channelId: '111',
+            guildId: null,
+            guildName: null,
+            name: null,
+            addedAt: null,
+            subscription: { endpoints: null, subreddits: null, include: [], exclude: [], maxPostsPerHour: null }
+        });
+        assert.strictEqual(exists('target_channels.csv'), false);
+
+        assert.deepStrictEqual(JSON.parse(read('shared_recent_headlines.json')), [
+            { headline: 'Senate passes budget', timestamp: 1700000000000, source: 'reddit', url: 'https://example.com/a' }
+        ]);
+        assert.strictEqual(exists('reddit_recent_headlines.csv'), false);
+        assert.strictEqual(exists('shared_recent_headlines.csv'), false);
+
+        const manifest = JSON.parse(read('manifest.json'));
+        assert.strictEqual(manifest.version, 3);
+        assert.deepStrictEqual(manifest.history.map(step => [step.from, step.to]), [[0, 1], [1, 2], [2, 3]]);
+
+        // The backup holds the data as it was before migrating
+        const [backup] = fs.readdirSync(path.join(dataDirectory, 'backups'));
+        assert.match(backup, /-v0$/);
+        assert.strictEqual(fs.readFileSync(path.join(dataDirectory, 'backups', backup, 'target_channels.csv'), 'utf8'), '111\n\n222\n');
+    });
+
+    it('keeps an existing channels.json and shared history', () => {
+        write('manifest.json', JSON.stringify({ version: 0, history: [] }));
+        write('target_channels.csv', '111');
+        write('channels.json', '[]');
+        write('reddit_recent_headlines.csv', 'Old reddit headline|||1');
+        write('shared_recent_headlines.csv', 'Shared headline|||2');
+
+        migrator.run();
+
+        assert.strictEqual(read('channels.json'), '[]');
+        assert.deepStrictEqual(JSON.parse(read('shared_recent_headlines.json')).map(entry => entry.headline), ['Shared headline']);
+    });
+
+    it('only runs the migrations after the recorded version', () => {
+        write('manifest.json', JSON.stringify({ version: 2, history: [] }));
+        write('target_channels.csv', '111');
+
+        assert.deepStrictEqual(migrator.run(), [3]);
+        assert.strictEqual(exists('target_channels.csv'), true);
+    });
+
+    it('refuses data from a newer layout', () => {
+        write('manifest.json', JSON.stringify({ version: DataMigrator.getLatestVersion() + 1 }));
+        assert.throws(() => migrator.run(), /only understands up to version/);
+    });
+
+    it('rejects a manifest without a valid version', () => {
+        write('manifest.json', JSON.stringify({ version: 'two' }));
+        assert.throws(() => migrator.run(), /no valid layout version/);
+    });
+
+    it('rejects migrations registered out of order', () => {
+        assert.throws(() => DataMigrator.registerMigration(DataMigrator.getLatestVersion() + 2, { migrate: () => {} }), /out of order/);
+    });
+});
@@ -0,0 +1,109 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const StateArchive = require('../../src/storage/StateArchive');
+const DataMigrator = require('../../src/storage/DataMigrator');
+const CsvStorage = require('../../src/storage/backends/CsvStorage');
+const { useTempDirectories } = require('../helpers');
+
+describe('StateArchive', () => {
+    const createDirectory = useTempDirectories('state');
+
+    const createStorage = () => {
+        const storage = new CsvStorage(createDirectory());
+        storage.open();
+        new DataMigrator(storage, { log: () => {} }).run();
+        return storage;
+    };
+
+    const createArchive = (contents = {}) => ({
+        format: 'newsbot-state',
+        formatVersion: 1,
+        layoutVersion: DataMigrator.getLatestVersion(),
+        exportedAt: '2024-01-01T00:00:00.000Z',
+        seenItems: {},
+        lists: {},
+        documents: {},
+        ...contents
+    });
+
+    it('exports state that imports into an empty data directory unchanged', () => {
+        const source = createStorage();
+        source.saveSeenItems('reddit', new Map([['a,b', 1700000000]]));
+        source.writeDocument('channels.json', JSON.stringify([{ channelId: '111' }]));
+        source.writeLines('reddit_sources.csv', ['any,https://www.reddit.com/r/news/new.json']);
+
+        const archive = new StateArchive(source).create();
+        assert.strictEqual(archive.documents['manifest.json'], undefined);
+
+        const target = createStorage();
+        new StateArchive(target).apply(archive, 'replace');
+        assert.deepStrictEqual({ ...new StateArchive(target).create(), exportedAt: archive.exportedAt }, archive);
+    });
+
+    it('merges records by their ID and keeps the newest seen time', () => {
+        const storage = createStorage();
+        storage.saveSeenItems('reddit', new Map([['a', 100], ['b', 100]]));
+        storage.writeDocument('channels.json', JSON.stringify([{ channelId: '111', name: 'local' }]));
+
+        const states = new StateArchive(storage);
+        const preview = states.preview(createArchive({
+            seenItems: { reddit: { a: 200, c: 50 } },
+            documents: { 'channels.json': [{ channelId: '111', name: 'imported' }, { channelId: '222' }] }
+        }));
+        assert.deepStrictEqual(preview.seenItems, [{ endpoint: 'reddit', current: 2, incoming: 2, after: 3 }]);
+        assert.deepStrictEqual(preview.files.find(file => file.name === 'channels.json'), { name: 'channels.json', action: 'merge', current: 1, after: 2 });
+
+        states.apply(createArchive({
+            seenItems: { reddit: { a: 200, c: 50 } },
+            documents: { 'channels.json': [{ channelId: '111', name: 'imported' }, { channelId: '222' }] }
+        }));
+        assert.deepStrictEqual(storage.loadSeenItems().get('reddit'), new Map([['a', 200], ['b', 100], ['c', 50]]));
+        assert.deepStrictEqual(JSON.parse(storage.readDocument('channels.json')), [{ channelId: '111', name: 'local' }, { channelId: '222' }]);
+    });
+
+    it('upgrades archives from an older layout before importing them', () => {
+        const storage = createStorage();
+        new StateArchive(storage).apply(createArchive({ layoutVersion: 0, lists: { 'target_channels.csv': ['111'] } }));
+
+        assert.strictEqual(storage.exists('target_channels.csv'), false);
+        assert.deepStrictEqual(JSON.parse(storage.readDocument('channels.json')).map(record => record.channelId), ['111']);
+    });
+
+    it('rejects archives it cannot import safely', () => {
+        const states = new StateArchive(createStorage());
+        assert.deepStrictEqual(states.validate({ format: 'other' }), ['format: not a newsbot-state archive']);
+        assert.deepStrictEqual(states.validate(createArchive({
+            layoutVersion: DataMigrator.getLatestVersion() + 1,
+            seenItems: { reddit: { a: 'yesterday' } },
+            documents: { '../escape.json': {}, 'manifest.json': {} }
+        }), 'overwrite'), [
+            'mode: must be one of merge, replace',
+            `layoutVersion: ${DataMigrator.getLatestVersion() + 1} is newer than this NewsBot understands (${DataMigrator.getLatestVersion()})`,
+            'seenItems.reddit: must map item IDs to timestamps',
+            'documents.../escape.json: not an allowed .json file name',
+            'documents.manifest.json: not an allowed .json file name'
+        ]);
+    });
+
+    it('applies a staged import once and backs up the data first', () => {
+        const storage = createStorage();
+        const states = new StateArchive(storage);
+        states.stage(createArchive({ documents: { 'channels.json': [{ channelId: '111' }] } }), 'replace');
+        assert.strictEqual(states.getPending().mode, 'replace');
+
+        const consoleLog = console.log;
+        console.log = () => {};
+        let result;
+        try {
+            result = states.applyPending();
+        } finally {
+            console.log = consoleLog;
+        }
+
+        assert.ok(fs.existsSync(result.backupPath));
+        assert.strictEqual(states.getPending(), null);
+        assert.strictEqual(states.applyPending(), null);
+        assert.deepStrictEqual(JSON.parse(storage.readDocument('channels.json')), [{ channelId: '111' }]);
+    });
+});
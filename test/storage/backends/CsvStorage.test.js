@@ -0,0 +1,44 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const CsvStorage = require('../../../src/storage/backends/CsvStorage');
+const { useTempDirectories } = require('../../helpers');
+
+describe('CsvStorage', () => {
+    const createDirectory = useTempDirectories('csv');
+    let dataDirectory;
+    let storage;
+
+    beforeEach(() => {
+        dataDirectory = createDirectory();
+        storage = new CsvStorage(dataDirectory);
+        storage.open();
+    });
+
+    it('keeps item IDs with commas, quotes and line breaks intact', () => {
+        const seen = new Map([
+            ['https://example.com/a?b=1,2', 1700000000000],
+            ['two\nlines', 1700000000001],
+            ['"quoted", with\r\nbreaks', 1700000000002],
+            ['plain', 1700000000003]
+        ]);
+        storage.saveSeenItems('reddit', seen);
+
+        assert.deepStrictEqual(storage.loadSeenItems().get('reddit'), seen);
+        assert.strictEqual(fs.readFileSync(path.join(dataDirectory, 'reddit_seen_items.csv'), 'utf8').split('\n').length, 4);
+    });
+
+    it('reads files written before IDs were quoted', () => {
+        fs.writeFileSync(path.join(dataDirectory, 'congress_seen_items.csv'), 'hr1-118,1700000000000\nhttps://example.com/a,b,1700000000001\n');
+
+        assert.deepStrictEqual(storage.loadSeenItems().get('congress'), new Map([
+            ['hr1-118', 1700000000000],
+            ['https://example.com/a,b', 1700000000001]
+        ]));
+    });
+
+    it('skips rows without a timestamp', () => {
+        assert.deepStrictEqual(CsvStorage.parseSeenItems('"a",1\n"b",\ngarbage\n'), new Map([['a', 1]]));
+    });
+});
@@ -0,0 +1,71 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const CronExpression = require('../../src/utils/CronExpression');
+
+describe('CronExpression', () => {
+    it('parses lists, ranges and steps', () => {
+        const cron = new CronExpression('0,30 9-17/4 * * 1-5');
+        assert.deepStrictEqual(Array.from(cron.minutes), [0, 30]);
+        assert.deepStrictEqual(Array.from(cron.hours), [9, 13, 17]);
+        assert.deepStrictEqual(Array.from(cron.daysOfWeek), [1, 2, 3, 4, 5]);
+    });
+
+    it('treats weekday 7 as Sunday', () => {
+        assert.ok(new CronExpression('0 0 * * 7').daysOfWeek.has(0));
+    });
+
+    it('rejects malformed expressions', () => {
+        assert.throws(() => new CronExpression('* * * *'), /expected 5 fields/);
+        assert.throws(() => new CronExpression('60 * * * *'), /Invalid value "60"/);
+        assert.throws(() => new CronExpression('*/0 * * * *'), /Invalid step/);
+        assert.throws(() => new CronExpression('5-1 * * * *'), /Invalid value/);
+        assert.throws(() => new CronExpression('5abc * * * *'), /Invalid value "5abc"/);
+        assert.throws(() => new CronExpression('1.5 * * * *'), /Invalid value/);
+        assert.throws(() => new CronExpression('-5 * * * *'), /Invalid value/);
+        assert.throws(() => new CronExpression('1-2-3 * * * *'), /Invalid value/);
+        assert.throws(() => new CronExpression('*/2x * * * *'), /Invalid step/);
+        assert.throws(() => new CronExpression('*/ * * * *'), /Invalid step/);
+        assert.throws(() => new CronExpression('*/2/3 * * * *'), /Invalid step/);
+    });
+
+    it('validates that an expression can fire', () => {
+        assert.ok(CronExpression.validate('0 0 29 2 *') instanceof CronExpression);
+        assert.throws(() => CronExpression.validate('0 0 30 2 *'), /never matches/);
+        assert.throws(() => CronExpression.validate('0 0 31 4,6 *'), /never matches/);
+    });
+
+    it('recognizes cron strings', () => {
+        assert.strictEqual(CronExpression.isCronExpression('*/15 * * * *'), true);
+        assert.strictEqual(CronExpression.isCronExpression('15'), false);
+        assert.strictEqual(CronExpression.isCronExpression(15), false);
+    });
+
+    describe('getNextDate', () => {
+        it('returns the next matching minute, never the current one', () => {
+            const cron = new CronExpression('*/15 * * * *');
+            assert.deepStrictEqual(cron.getNextDate(new Date(2026, 0, 1, 10, 7, 30)), new Date(2026, 0, 1, 10, 15));
+            assert.deepStrictEqual(cron.getNextDate(new Date(2026, 0, 1, 10, 15)), new Date(2026, 0, 1, 10, 30));
+        });
+
+        it('rolls over hours, days and months', () => {
+            const cron = new CronExpression('0 8 1 * *');
+            assert.deepStrictEqual(cron.getNextDate(new Date(2026, 0, 31, 9, 0)), new Date(2026, 1, 1, 8, 0));
+        });
+
+        it('matches either restricted day field', () => {
+            // The 13th, or any Friday
+            const cron = new CronExpression('0 12 13 * 5');
+            assert.deepStrictEqual(cron.getNextDate(new Date(2026, 1, 1)), new Date(2026, 1, 6, 12, 0));
+            assert.deepStrictEqual(cron.getNextDate(new Date(2026, 1, 10)), new Date(2026, 1, 13, 12, 0));
+        });
+
+        it('finds leap days years ahead', () => {
+            const cron = new CronExpression('0 0 29 2 *');
+            assert.deepStrictEqual(cron.getNextDate(new Date(2026, 5, 1)), new Date(2028, 1, 29, 0, 0));
+        });
+
+        it('throws for expressions that never match', () => {
+            assert.throws(() => new CronExpression('0 0 30 2 *').getNextDate(new Date(2026, 0, 1)), /never matches/);
+        });
+    });
+});
@@ -0,0 +1,48 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const DigestFormatter = require('../../src/utils/DigestFormatter');
+
+function createItems(count, source, titleLength = 0) {
+    return Array.from({ length: count }, (_, index) => ({
+        source,
+        title: `${source} story ${index}`.padEnd(titleLength, '.'),
+        url: `https://example.com/${source}/${index}`
+    }));
+}
+
+describe('DigestFormatter', () => {
+    it('groups items by source under a summary', () => {
+        const [message] = DigestFormatter.format([...createItems(2, 'reddit'), ...createItems(1, 'congress')], { title: 'Roundup' });
+        assert.deepStrictEqual(message.split('\n'), [
+            '**Roundup**',
+            '2 reddit items, 1 congress item',
+            '',
+            '__2 reddit items__',
+            '• reddit story 0 - <https://example.com/reddit/0>',
+            '• reddit story 1 - <https://example.com/reddit/1>',
+            '',
+            '__1 congress item__',
+            '• congress story 0 - <https://example.com/congress/0>'
+        ]);
+    });
+
+    it('splits long digests into messages of at most 2000 characters', () => {
+        const items = [...createItems(30, 'reddit', 100), ...createItems(10, 'congress', 100)];
+        const messages = DigestFormatter.format(items);
+
+        assert.ok(messages.length > 1);
+        messages.forEach(message => {
+            assert.ok(message.length <= 2000, `${message.length} characters`);
+            assert.notStrictEqual(message[0], '\n', 'continuations do not start with a blank line');
+        });
+
+        // Every line survives whole, in order
+        const lines = messages.join('\n').split('\n').filter(line => line.startsWith('•'));
+        assert.deepStrictEqual(lines, items.map(DigestFormatter.formatLine));
+    });
+
+    it('cuts a single line that does not fit in one message', () => {
+        const messages = DigestFormatter.split(['short', 'y'.repeat(30)], 10);
+        assert.deepStrictEqual(messages, ['short', `${'y'.repeat(9)}…`]);
+    });
+});
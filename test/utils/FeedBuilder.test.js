@@ -0,0 +1,50 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const FeedBuilder = require('../../src/utils/FeedBuilder');
+
+const feed = { title: 'NewsBot', description: 'All news', homeUrl: 'http://localhost/', feedUrl: 'http://localhost/feeds/all.xml' };
+const entry = {
+    key: 'congress:hr1',
+    source: 'congress',
+    title: 'H.R. 1 <passes> & more',
+    url: 'https://example.com/?bill=1&chamber=house',
+    description: 'First line\nSecond line',
+    details: null,
+    metadata: { sponsor: 'Rep. Smith', votes: { yes: 218 } },
+    tags: ['keyword:budget'],
+    priority: 2,
+    publishedAt: '2026-01-01T09:00:00.000Z',
+    postedAt: '2026-01-01T10:00:00.000Z'
+};
+
+describe('FeedBuilder', () => {
+    it('renders escaped RSS', () => {
+        const rss = FeedBuilder.rss(feed, [entry]);
+        assert.match(rss, /<title>H\.R\. 1 &lt;passes&gt; &amp; more<\/title>/);
+        assert.match(rss, /<link>https:\/\/example\.com\/\?bill=1&amp;chamber=house<\/link>/);
+        assert.match(rss, /<pubDate>Thu, 01 Jan 2026 10:00:00 GMT<\/pubDate>/);
+        assert.match(rss, /<category>keyword:budget<\/category>/);
+        assert.match(rss, /<description>&lt;p&gt;First line&lt;br&gt;Second line&lt;\/p&gt;/);
+    });
+
+    it('renders Atom with the published and posted times', () => {
+        const atom = FeedBuilder.atom(feed, [entry]);
+        assert.match(atom, /<id>urn:newsbot:congress:hr1<\/id>/);
+        assert.match(atom, /<published>2026-01-01T09:00:00\.000Z<\/published>/);
+        assert.match(atom, /<updated>2026-01-01T10:00:00\.000Z<\/updated>\n  <author>/);
+    });
+
+    it('renders JSON Feed with the raw fields', () => {
+        const json = JSON.parse(FeedBuilder.json(feed, [entry]));
+        assert.strictEqual(json.version, 'https://jsonfeed.org/version/1.1');
+        assert.deepStrictEqual(json.items[0].tags, ['congress', 'keyword:budget']);
+        assert.strictEqual(json.items[0].content_text, 'First line\nSecond line');
+        assert.strictEqual(json.items[0].content_html, '<p>First line<br>Second line</p><ul><li><strong>sponsor</strong>: Rep. Smith</li><li><strong>votes</strong>: {&quot;yes&quot;:218}</li></ul>');
+        assert.deepStrictEqual(json.items[0]._newsbot, { source: 'congress', priority: 2, details: null, metadata: entry.metadata });
+    });
+
+    it('dates an empty feed at the epoch', () => {
+        assert.strictEqual(FeedBuilder.getUpdated([]).getTime(), 0);
+        assert.deepStrictEqual(JSON.parse(FeedBuilder.json(feed, [])).items, []);
+    });
+});
@@ -0,0 +1,67 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const NewsEmbed = require('../../src/utils/NewsEmbed');
+const BaseEndpoint = require('../../src/core/BaseEndpoint');
+
+const item = {
+    id: 'hr1',
+    source: 'congress',
+    title: 'H.R. 1',
+    url: 'https://example.com/hr1',
+    description: 'Passed the House',
+    details: 'Sponsor: Rep. Smith',
+    publishedAt: '2026-01-01T10:00:00.000Z'
+};
+
+describe('NewsEmbed', () => {
+    it('builds an embed from a news item', () => {
+        assert.deepStrictEqual(NewsEmbed.create(item), {
+            title: 'H.R. 1',
+            url: 'https://example.com/hr1',
+            description: 'Passed the House\n\nSponsor: Rep. Smith',
+            footer: { text: 'congress' },
+            timestamp: '2026-01-01T10:00:00.000Z'
+        });
+    });
+
+    it('shows details as fields when the endpoint provides them', () => {
+        const embed = NewsEmbed.create({
+            ...item,
+            fields: [{ name: 'Sponsor', value: 'Rep. Smith', inline: 1 }, { name: 'Empty', value: '' }, null]
+        }, { color: 0x3b5998, footer: 'Congress.gov' });
+
+        assert.strictEqual(embed.description, 'Passed the House');
+        assert.deepStrictEqual(embed.fields, [{ name: 'Sponsor', value: 'Rep. Smith', inline: true }]);
+        assert.strictEqual(embed.color, 0x3b5998);
+        assert.deepStrictEqual(embed.footer, { text: 'Congress.gov' });
+    });
+
+    it('keeps within Discord\'s limits', () => {
+        const embed = NewsEmbed.create({
+            ...item,
+            title: 't'.repeat(300),
+            description: 'd'.repeat(5000),
+            fields: Array.from({ length: 30 }, (_, index) => ({ name: `Field ${index}`, value: 'v'.repeat(2000) }))
+        });
+
+        assert.strictEqual(embed.title.length, NewsEmbed.LIMITS.title);
+        assert.ok(embed.title.endsWith('…'));
+        assert.strictEqual(embed.description.length, NewsEmbed.LIMITS.description);
+        assert.strictEqual(embed.fields.length, NewsEmbed.LIMITS.fields);
+        assert.strictEqual(embed.fields[0].value.length, NewsEmbed.LIMITS.fieldValue);
+    });
+
+    it('only uses web URLs as thumbnails and integers as colors', () => {
+        assert.deepStrictEqual(NewsEmbed.create({ ...item, thumbnail: 'https://example.com/a.png' }).thumbnail, { url: 'https://example.com/a.png' });
+        assert.strictEqual(NewsEmbed.create({ ...item, thumbnail: 'self' }).thumbnail, undefined);
+        assert.strictEqual(NewsEmbed.create(item, { color: '#ff0000' }).color, undefined);
+    });
+
+    it('colors embeds with the endpoint plugin\'s color', () => {
+        class ColoredEndpoint extends BaseEndpoint {}
+        ColoredEndpoint.plugin = { name: 'colored', embedColor: 0xff4500 };
+
+        const endpoint = new ColoredEndpoint('colored', { getIntervalMinutes: () => 5 }, null);
+        assert.strictEqual(endpoint.buildEmbed(item).color, 0xff4500);
+    });
+});
@@ -0,0 +1,52 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const PostingWindow = require('../../src/utils/PostingWindow');
+
+const at = time => new Date(`2024-01-15T${time}:00Z`);
+
+describe('PostingWindow', () => {
+    it('is open from the start up to the end', () => {
+        const window = PostingWindow.parse('07:00-22:00', 'UTC');
+        assert.strictEqual(window.isOpen(at('06:59')), false);
+        assert.strictEqual(window.isOpen(at('07:00')), true);
+        assert.strictEqual(window.isOpen(at('21:59')), true);
+        assert.strictEqual(window.isOpen(at('22:00')), false);
+    });
+
+    it('wraps windows past midnight', () => {
+        const window = PostingWindow.parse('22:00-02:00', 'UTC');
+        assert.strictEqual(window.isOpen(at('23:30')), true);
+        assert.strictEqual(window.isOpen(at('01:59')), true);
+        assert.strictEqual(window.isOpen(at('12:00')), false);
+    });
+
+    it('reads hours without minutes and 24 as midnight', () => {
+        const window = PostingWindow.parse('7-24', 'UTC');
+        assert.strictEqual(window.toString(), '07:00-00:00');
+        assert.strictEqual(window.isOpen(at('23:59')), true);
+        assert.strictEqual(window.isOpen(at('00:00')), false);
+    });
+
+    it('uses the window time zone', () => {
+        const window = PostingWindow.parse('07:00-22:00', 'America/New_York'); // UTC-5 in January
+        assert.strictEqual(window.isOpen(at('11:00')), false);
+        assert.strictEqual(window.isOpen(at('12:00')), true);
+        assert.strictEqual(window.isOpen(at('03:30')), false);
+    });
+
+    it('finds the next opening, on the next day if need be', () => {
+        const window = PostingWindow.parse('07:00-22:00', 'UTC');
+        assert.strictEqual(window.getNextOpening(new Date('2024-01-15T05:30:45Z')).toISOString(), '2024-01-15T07:00:00.000Z');
+        assert.strictEqual(window.getNextOpening(at('23:00')).toISOString(), '2024-01-16T07:00:00.000Z');
+
+        const open = at('12:00');
+        assert.strictEqual(window.getNextOpening(open), open);
+    });
+
+    it('rejects malformed windows and unknown time zones', () => {
+        ['', '7', '07:00-07:00', '25:00-07:00', '07:60-08:00', 'morning-night'].forEach(value => {
+            assert.throws(() => PostingWindow.parse(value, 'UTC'), /Invalid posting window/, value);
+        });
+        assert.throws(() => PostingWindow.parse('07:00-22:00', 'Mars/Olympus'), /Unknown time zone "Mars\/Olympus"/);
+    });
+});
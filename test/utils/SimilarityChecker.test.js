@@ -0,0 +1,17 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const SimilarityChecker = require('../../src/utils/SimilarityChecker');
+const { createLogger, createDataManager } = require('../helpers');
+
+describe('SimilarityChecker', () => {
+    it('updates the threshold within 0 and 1', () => {
+        const checker = new SimilarityChecker(null, createDataManager(), createLogger(), { similarityThreshold: 0.85 });
+
+        checker.updateThreshold(-1);
+        assert.strictEqual(checker.options.similarityThreshold, 0);
+
+        assert.throws(() => checker.updateThreshold(NaN), /Invalid similarity threshold/);
+        assert.throws(() => checker.updateThreshold(Infinity), /Invalid similarity threshold/);
+        assert.strictEqual(checker.options.similarityThreshold, 0);
+    });
+});